@@ -1,5 +1,6 @@
 import { client, v1 } from "@datadog/datadog-api-client";
 import { DatadogClientError } from "../utils/errors.js";
+import { createRetryingFetch } from "../utils/retry.js";
 
 /**
  * Datadog Events API client using official Datadog SDK
@@ -10,6 +11,8 @@ export class EventsClient {
    * @param {string} config.apiKey - Datadog API key
    * @param {string} config.appKey - Datadog app key
    * @param {string} config.site - Datadog site (default: datadoghq.com)
+   * @param {Object} [config.retry] - Retry policy overrides (see utils/retry.js)
+   * @param {string} [config.apiUrl] - API base URL overriding the site (e.g. a local fake API)
    */
   constructor(config) {
     this.apiKey = config.apiKey;
@@ -22,6 +25,8 @@ export class EventsClient {
         apiKeyAuth: config.apiKey,
         appKeyAuth: config.appKey,
       },
+      fetch: createRetryingFetch(undefined, config.retry),
+      baseServer: config.apiUrl ? new client.BaseServerConfiguration(config.apiUrl, {}) : undefined,
     });
     configuration.setServerVariables({
       site: this.site,
@@ -1,21 +1,46 @@
-import { client, v2 } from "@datadog/datadog-api-client";
+import { client, v1, v2 } from "@datadog/datadog-api-client";
 import { DatadogClientError } from "../utils/errors.js";
+import { createRetryingFetch } from "../utils/retry.js";
 import { Logger } from "../utils/logger.js";
 
 /**
  * Datadog Logs API client using official Datadog SDK
  */
 export class LogsClient {
+  /** Aggregation types accepted by aggregateLogs. */
+  static AGGREGATION_TYPES = [
+    "avg",
+    "max",
+    "min",
+    "sum",
+    "cardinality",
+    "count",
+    "median",
+    "percentile",
+  ];
+
+  /** Percentiles supported by the logs aggregate API. */
+  static PERCENTILES = [75, 90, 95, 98, 99];
+
+  /** Search orders: oldest first (timestamp) or newest first (-timestamp). */
+  static SORT_ORDERS = ["timestamp", "-timestamp"];
+
+  /** Storage tiers that searches and aggregations can target. */
+  static STORAGE_TIERS = ["indexes", "online-archives", "flex"];
+
   /**
    * @param {Object} config - Client configuration
    * @param {string} config.apiKey - Datadog API key
    * @param {string} config.appKey - Datadog app key
    * @param {string} config.site - Datadog site (default: datadoghq.com)
+   * @param {Object} [config.retry] - Retry policy overrides (see utils/retry.js)
+   * @param {string} [config.apiUrl] - API base URL overriding the site (e.g. a local fake API)
    */
   constructor(config) {
     this.apiKey = config.apiKey;
     this.appKey = config.appKey;
     this.site = config.site || "datadoghq.com";
+    this.retry = config.retry;
 
     // Configure Datadog SDK
     const configuration = client.createConfiguration({
@@ -23,12 +48,52 @@ export class LogsClient {
         apiKeyAuth: config.apiKey,
         appKeyAuth: config.appKey,
       },
+      fetch: createRetryingFetch(undefined, config.retry),
+      baseServer: config.apiUrl ? new client.BaseServerConfiguration(config.apiUrl, {}) : undefined,
     });
     configuration.setServerVariables({
       site: this.site,
     });
 
+    this.configuration = configuration;
     this.logsApi = new v2.LogsApi(configuration);
+    this.indexesApi = new v1.LogsIndexesApi(configuration);
+  }
+
+  /**
+   * Per-request SDK configuration whose HTTP requests are aborted with the given signal.
+   * @param {Object} configuration - Shared SDK configuration
+   * @param {AbortSignal} signal - Signal aborting the request
+   * @returns {Object} Configuration inheriting from the shared one
+   * @private
+   */
+  static _withSignal(configuration, signal) {
+    return Object.assign(Object.create(configuration), {
+      httpConfig: { ...configuration.httpConfig, signal },
+    });
+  }
+
+  /**
+   * Validate the index and storage tier options of a search or aggregation.
+   * @param {{indexes?: Array<string>, storageTier?: string}} options - Query options
+   * @returns {DatadogClientError|null} Error, or null when the options are valid
+   * @private
+   */
+  static _scopeError(options) {
+    if (
+      options.indexes != null &&
+      (!Array.isArray(options.indexes) ||
+        options.indexes.length === 0 ||
+        !options.indexes.every((index) => typeof index === "string" && index))
+    ) {
+      return new DatadogClientError("Indexes must be a non-empty array of index names");
+    }
+    if (options.storageTier != null && !LogsClient.STORAGE_TIERS.includes(options.storageTier)) {
+      return new DatadogClientError(
+        `Invalid storage tier. Must be one of: ${LogsClient.STORAGE_TIERS.join(", ")}`
+      );
+    }
+    return null;
   }
 
   /**
@@ -37,13 +102,20 @@ export class LogsClient {
    * @param {number} from - Unix timestamp (milliseconds) for start time
    * @param {number} to - Unix timestamp (milliseconds) for end time
    * @param {number} pageSize - Number of logs per page (default: 10, max: 100)
+   * @param {Object} [options] - Additional options
+   * @param {string} [options.cursor] - Cursor from a previous page (meta.page.after)
+   * @param {Array<string>} [options.indexes] - Indexes to search (default: all)
+   * @param {string} [options.storageTier] - indexes, online-archives or flex (default: indexes)
+   * @param {string} [options.sort] - timestamp (oldest first, default) or -timestamp
+   * @param {AbortSignal} [options.signal] - Aborts the request (e.g. when a tool call is cancelled)
    * @returns {Promise<{data: Object, error: null} | {data: null, error: Error}>}
    */
-  async searchLogs(filter = "", from, to, pageSize = 10) {
+  async searchLogs(filter = "", from, to, pageSize = 10, options = {}) {
     try {
       Logger.log("LogsClient", "searchLogs called", {
         filter,
         pageSize,
+        cursor: options.cursor ?? null,
         from: new Date(from).toISOString(),
         to: new Date(to).toISOString(),
       });
@@ -63,20 +135,49 @@ export class LogsClient {
         };
       }
 
+      if (options.cursor != null && (typeof options.cursor !== "string" || !options.cursor)) {
+        return {
+          data: null,
+          error: new DatadogClientError("Cursor must be a non-empty string"),
+        };
+      }
+
+      const scopeError = LogsClient._scopeError(options);
+      if (scopeError) {
+        return { data: null, error: scopeError };
+      }
+
+      if (options.sort != null && !LogsClient.SORT_ORDERS.includes(options.sort)) {
+        return {
+          data: null,
+          error: new DatadogClientError(
+            `Invalid sort. Must be one of: ${LogsClient.SORT_ORDERS.join(", ")}`
+          ),
+        };
+      }
+
       const body = {
         filter: {
           from: new Date(Math.floor(from)).toISOString(),
           to: new Date(Math.floor(to)).toISOString(),
           query: filter,
+          ...(options.indexes && { indexes: options.indexes }),
+          ...(options.storageTier && { storageTier: /** @type {any} */ (options.storageTier) }),
         },
         page: {
           limit: pageSize,
+          ...(options.cursor && { cursor: options.cursor }),
         },
-        sort: /** @type {any} */ ("timestamp"),
+        sort: /** @type {any} */ (options.sort ?? "timestamp"),
       };
 
       Logger.log("LogsClient", "Calling listLogs API", { bodyFilter: body.filter });
-      const result = await this.logsApi.listLogs({ body });
+      const result = options.signal
+        ? await this.logsApi.listLogs(
+            { body },
+            LogsClient._withSignal(this.configuration, options.signal)
+          )
+        : await this.logsApi.listLogs({ body });
       Logger.log("LogsClient", "listLogs response", { logsCount: result?.data?.length || 0 });
 
       return { data: result, error: null };
@@ -148,13 +249,30 @@ export class LogsClient {
    * @param {string} filter - Log filter query
    * @param {number} from - Unix timestamp (milliseconds) for start time
    * @param {number} to - Unix timestamp (milliseconds) for end time
-   * @param {string} aggregationType - Type of aggregation (e.g., "avg", "max",
-   *   "min", "sum", "cardinality")
+   * @param {string} aggregationType - Type of aggregation (e.g., "count", "avg", "max",
+   *   "min", "sum", "cardinality", "median", "percentile")
+   * @param {Object} [options] - Additional options
+   * @param {string} [options.metric] - Measure or facet to aggregate (e.g. "@duration");
+   *   required for every type except count
+   * @param {number} [options.percentile] - Percentile for "percentile" (75, 90, 95, 98, 99;
+   *   default: 95)
+   * @param {Array<{facet: string, limit?: number, sort?: string}>} [options.groupBy] - Facets to
+   *   group by, each with an optional bucket limit and sort order ("asc" or "desc")
+   * @param {string} [options.interval] - Bucket interval for a timeseries (e.g. "5m", "1h")
+   * @param {string} [options.cursor] - Cursor from a previous response (meta.page.after)
+   * @param {Array<string>} [options.indexes] - Indexes to aggregate over (default: all)
+   * @param {string} [options.storageTier] - indexes, online-archives or flex (default: indexes)
    * @returns {Promise<{data: Object, error: null} | {data: null, error: Error}>}
    */
-  async aggregateLogs(filter = "", from, to, aggregationType) {
+  async aggregateLogs(filter = "", from, to, aggregationType, options = {}) {
     try {
-      Logger.log("LogsClient", "aggregateLogs called", { filter, aggregationType });
+      Logger.log("LogsClient", "aggregateLogs called", {
+        filter,
+        aggregationType,
+        metric: options.metric ?? null,
+        groupBy: options.groupBy?.map((g) => g.facet) ?? [],
+        interval: options.interval ?? null,
+      });
 
       if (from >= to) {
         return {
@@ -170,28 +288,85 @@ export class LogsClient {
         };
       }
 
-      const validTypes = ["avg", "max", "min", "sum", "cardinality"];
-      if (!validTypes.includes(aggregationType)) {
+      if (!LogsClient.AGGREGATION_TYPES.includes(aggregationType)) {
+        return {
+          data: null,
+          error: new DatadogClientError(
+            `Invalid aggregation type. Must be one of: ${LogsClient.AGGREGATION_TYPES.join(", ")}`
+          ),
+        };
+      }
+
+      const percentile = options.percentile ?? 95;
+      if (aggregationType === "percentile" && !LogsClient.PERCENTILES.includes(percentile)) {
         return {
           data: null,
           error: new DatadogClientError(
-            `Invalid aggregation type. Must be one of: ${validTypes.join(", ")}`
+            `Invalid percentile. Must be one of: ${LogsClient.PERCENTILES.join(", ")}`
           ),
         };
       }
 
+      if (options.interval != null && !/^\d+(ms|s|m|h|d|w)$/.test(String(options.interval))) {
+        return {
+          data: null,
+          error: new DatadogClientError(
+            `Invalid interval "${options.interval}". Use a duration such as 30s, 5m, 1h or 1d`
+          ),
+        };
+      }
+
+      const scopeError = LogsClient._scopeError(options);
+      if (scopeError) {
+        return { data: null, error: scopeError };
+      }
+
+      const groupBy = options.groupBy ?? [];
+      for (const group of groupBy) {
+        if (!group?.facet || typeof group.facet !== "string") {
+          return {
+            data: null,
+            error: new DatadogClientError("Each groupBy entry requires a facet name"),
+          };
+        }
+        if (group.sort != null && !["asc", "desc"].includes(group.sort)) {
+          return {
+            data: null,
+            error: new DatadogClientError('groupBy sort must be "asc" or "desc"'),
+          };
+        }
+      }
+
+      const aggregation = aggregationType === "percentile" ? `pc${percentile}` : aggregationType;
+      const compute = {
+        aggregation: /** @type {any} */ (aggregation),
+        type: /** @type {any} */ (options.interval ? "timeseries" : "total"),
+        ...(options.metric && { metric: options.metric }),
+        ...(options.interval && { interval: String(options.interval) }),
+      };
+
       const body = {
         filter: {
           from: new Date(Math.floor(from)).toISOString(),
           to: new Date(Math.floor(to)).toISOString(),
           query: filter,
+          ...(options.indexes && { indexes: options.indexes }),
+          ...(options.storageTier && { storageTier: /** @type {any} */ (options.storageTier) }),
         },
-        compute: [
-          {
-            aggregation: /** @type {any} */ (aggregationType),
-            metric: "@timestamp",
-          },
-        ],
+        compute: [compute],
+        ...(options.cursor && { page: { cursor: options.cursor } }),
+        ...(groupBy.length > 0 && {
+          groupBy: groupBy.map((group) => ({
+            facet: group.facet,
+            limit: Math.min(Math.max(Math.floor(group.limit ?? 10), 1), 10000),
+            sort: {
+              aggregation: /** @type {any} */ (aggregation),
+              order: /** @type {any} */ (group.sort ?? "desc"),
+              type: /** @type {any} */ ("measure"),
+              ...(options.metric && { metric: options.metric }),
+            },
+          })),
+        }),
       };
 
       Logger.log("LogsClient", "Calling aggregateLogs API", { bodyFilter: body.filter });
@@ -218,18 +393,8 @@ export class LogsClient {
    */
   async listIndexes() {
     try {
-      // Note: Use LogsIndexesApi from v1 for index management
-      const v1 = require("@datadog/datadog-api-client").v1;
-      const configuration = client.createConfiguration({
-        authMethods: {
-          apiKeyAuth: this.apiKey,
-          appKeyAuth: this.appKey,
-        },
-      });
-      configuration.setServerVariables({ site: this.site });
-      const indexesApi = new v1.LogsIndexesApi(configuration);
-
-      const result = await indexesApi.listLogIndexes();
+      Logger.log("LogsClient", "listIndexes called");
+      const result = await this.indexesApi.listLogIndexes();
       return { data: result, error: null };
     } catch (error) {
       return {
@@ -1,5 +1,6 @@
-import { client, v1 } from "@datadog/datadog-api-client";
+import { client, v1, v2 } from "@datadog/datadog-api-client";
 import { DatadogClientError } from "../utils/errors.js";
+import { createRetryingFetch } from "../utils/retry.js";
 
 /**
  * Datadog Metrics API client using official Datadog SDK
@@ -10,6 +11,8 @@ export class MetricsClient {
    * @param {string} config.apiKey - Datadog API key
    * @param {string} config.appKey - Datadog app key
    * @param {string} config.site - Datadog site (default: datadoghq.com)
+   * @param {Object} [config.retry] - Retry policy overrides (see utils/retry.js)
+   * @param {string} [config.apiUrl] - API base URL overriding the site (e.g. a local fake API)
    */
   constructor(config) {
     this.apiKey = config.apiKey;
@@ -17,17 +20,29 @@ export class MetricsClient {
     this.site = config.site || "datadoghq.com";
 
     // Configure Datadog SDK
-    const configuration = client.createConfiguration({
-      authMethods: {
-        apiKeyAuth: config.apiKey,
-        appKeyAuth: config.appKey,
-      },
-    });
-    configuration.setServerVariables({
-      site: this.site,
-    });
+    const createConfiguration = (retryOptions) => {
+      const configuration = client.createConfiguration({
+        authMethods: {
+          apiKeyAuth: config.apiKey,
+          appKeyAuth: config.appKey,
+        },
+        fetch: createRetryingFetch(undefined, config.retry, retryOptions),
+        baseServer: config.apiUrl
+          ? new client.BaseServerConfiguration(config.apiUrl, {})
+          : undefined,
+      });
+      configuration.setServerVariables({
+        site: this.site,
+      });
+      return configuration;
+    };
+    const configuration = createConfiguration();
 
     this.metricsApi = new v1.MetricsApi(configuration);
+    this.metricsApiV2 = new v2.MetricsApi(configuration);
+    // A submission that timed out or got a 5xx may have been accepted: resending it could
+    // count the points twice, so only rate-limited submissions are retried
+    this.metricsIntakeApi = new v2.MetricsApi(createConfiguration({ rateLimitOnly: true }));
   }
 
   /**
@@ -69,6 +84,57 @@ export class MetricsClient {
     }
   }
 
+  /**
+   * Query several named metric queries combined by formulas (v2 timeseries API).
+   * @param {Array<{name: string, query: string}>} queries - Named metric queries
+   * @param {Array<{formula: string, alias?: string}>} formulas - Formulas over the query names
+   * @param {number} from - Unix timestamp (milliseconds) for start time
+   * @param {number} to - Unix timestamp (milliseconds) for end time
+   * @param {Object} [options] - Query options
+   * @param {number} [options.interval] - Point interval in milliseconds
+   * @returns {Promise<{data: Object, error: null} | {data: null, error: Error}>}
+   */
+  async queryTimeseries(queries, formulas, from, to, options = {}) {
+    try {
+      if (!Array.isArray(queries) || queries.length === 0) {
+        return {
+          data: null,
+          error: new DatadogClientError("At least one query is required"),
+        };
+      }
+
+      if (from >= to) {
+        return {
+          data: null,
+          error: new DatadogClientError("Start time must be before end time"),
+        };
+      }
+
+      const result = await this.metricsApiV2.queryTimeseriesData({
+        body: {
+          data: {
+            type: "timeseries_request",
+            attributes: {
+              from: Math.floor(from),
+              to: Math.floor(to),
+              ...(options.interval != null && { interval: options.interval }),
+              queries: queries.map(({ name, query }) => ({ dataSource: "metrics", name, query })),
+              formulas: formulas.map(({ formula }) => ({ formula })),
+            },
+          },
+        },
+      });
+
+      return { data: result, error: null };
+    } catch (error) {
+      const statusCode = error.statusCode ?? 500;
+      return {
+        data: null,
+        error: new DatadogClientError(`HTTP ${statusCode}: ${error.message}`, statusCode, error),
+      };
+    }
+  }
+
   /**
    * Get metadata about a specific metric.
    * @param {string} metricName - The metric name (e.g., "system.cpu")
@@ -116,6 +182,139 @@ export class MetricsClient {
     }
   }
 
+  /**
+   * List the tags reported for a metric (v2 all-tags endpoint).
+   * @param {string} metricName - The metric name (e.g., "system.cpu.user")
+   * @returns {Promise<{data: Object, error: null} | {data: null, error: Error}>}
+   */
+  async listMetricTags(metricName) {
+    try {
+      if (!metricName) {
+        return {
+          data: null,
+          error: new DatadogClientError("Metric name is required"),
+        };
+      }
+
+      const result = await this.metricsApiV2.listTagsByMetricName({ metricName });
+      return { data: result, error: null };
+    } catch (error) {
+      const statusCode = error.statusCode ?? 500;
+      return {
+        data: null,
+        error: new DatadogClientError(`HTTP ${statusCode}: ${error.message}`, statusCode, error),
+      };
+    }
+  }
+
+  /**
+   * List the tag keys and aggregations actively queried for a metric.
+   * @param {string} metricName - The metric name (e.g., "system.cpu.user")
+   * @param {number} [windowSeconds] - Lookback window in seconds (API default: 30 days)
+   * @returns {Promise<{data: Object, error: null} | {data: null, error: Error}>}
+   */
+  async listActiveMetricConfigurations(metricName, windowSeconds) {
+    try {
+      if (!metricName) {
+        return {
+          data: null,
+          error: new DatadogClientError("Metric name is required"),
+        };
+      }
+
+      const result = await this.metricsApiV2.listActiveMetricConfigurations({
+        metricName,
+        ...(windowSeconds != null && { windowSeconds }),
+      });
+      return { data: result, error: null };
+    } catch (error) {
+      const statusCode = error.statusCode ?? 500;
+      return {
+        data: null,
+        error: new DatadogClientError(`HTTP ${statusCode}: ${error.message}`, statusCode, error),
+      };
+    }
+  }
+
+  /**
+   * Get the series volumes of a metric: distinct volume, or ingested and indexed volumes
+   * when the metric has a tag configuration.
+   * @param {string} metricName - The metric name (e.g., "system.cpu.user")
+   * @returns {Promise<{data: Object, error: null} | {data: null, error: Error}>}
+   */
+  async getMetricVolumes(metricName) {
+    try {
+      if (!metricName) {
+        return {
+          data: null,
+          error: new DatadogClientError("Metric name is required"),
+        };
+      }
+
+      const result = await this.metricsApiV2.listVolumesByMetricName({ metricName });
+      return { data: result, error: null };
+    } catch (error) {
+      const statusCode = error.statusCode ?? 500;
+      return {
+        data: null,
+        error: new DatadogClientError(`HTTP ${statusCode}: ${error.message}`, statusCode, error),
+      };
+    }
+  }
+
+  /**
+   * Get the tag configuration of a metric (Metrics without Limits). Datadog answers 404 for
+   * metrics without one.
+   * @param {string} metricName - The metric name (e.g., "system.cpu.user")
+   * @returns {Promise<{data: Object, error: null} | {data: null, error: Error}>}
+   */
+  async getMetricTagConfiguration(metricName) {
+    try {
+      if (!metricName) {
+        return {
+          data: null,
+          error: new DatadogClientError("Metric name is required"),
+        };
+      }
+
+      const result = await this.metricsApiV2.listTagConfigurationByName({ metricName });
+      return { data: result, error: null };
+    } catch (error) {
+      const statusCode = error.statusCode ?? 500;
+      return {
+        data: null,
+        error: new DatadogClientError(`HTTP ${statusCode}: ${error.message}`, statusCode, error),
+      };
+    }
+  }
+
+  /**
+   * Submit metric series (v2 intake). Requires only the API key.
+   * @param {Array<{metric: string, type: number, points: Array<{timestamp: number,
+   *   value: number}>, tags?: Array<string>, unit?: string, interval?: number}>} series -
+   *   Series in the intake format (type 1 count, 2 rate, 3 gauge; timestamps in seconds)
+   * @returns {Promise<{data: Object, error: null} | {data: null, error: Error}>}
+   */
+  async submitMetrics(series) {
+    try {
+      if (!Array.isArray(series) || series.length === 0) {
+        return {
+          data: null,
+          error: new DatadogClientError("At least one series is required"),
+        };
+      }
+
+      const result = await this.metricsIntakeApi.submitMetrics({ body: { series } });
+      return { data: result, error: null };
+    } catch (error) {
+      const statusCode = error.statusCode ?? 500;
+      return {
+        data: null,
+        error: new DatadogClientError(`HTTP ${statusCode}: ${error.message}`, statusCode, error),
+      };
+    }
+  }
+
   /**
    * Validate a metrics query for syntax errors.
    * @param {string} query - The metrics query to validate
@@ -0,0 +1,107 @@
+import { MetricsClient } from "./metricsClient.js";
+import { LogsClient } from "./logsClient.js";
+import { EventsClient } from "./eventsClient.js";
+import { MonitorsClient } from "./monitorsClient.js";
+import { ApmClient } from "./apmClient.js";
+import { ServicesClient } from "./servicesClient.js";
+
+/**
+ * Per-org Datadog clients, created lazily the first time an org is used.
+ */
+export class OrgClients {
+  /**
+   * @param {Object} options - Options
+   * @param {Map<string, Object>} options.profiles - Profiles by org name (see utils/profiles.js)
+   * @param {string} options.defaultOrg - Org used when a call names none
+   * @param {Object} [options.retry] - Retry policy overrides passed to every client
+   * @param {(profile: Object) => Object} [options.createClients] - Client bundle factory
+   *   (default: OrgClients.createClients)
+   */
+  constructor({ profiles, defaultOrg, retry, createClients }) {
+    this.profiles = profiles;
+    this.defaultOrg = defaultOrg;
+    this.retry = retry;
+    this.createClients = createClients ?? ((profile) => OrgClients.createClients(profile, retry));
+    this.clients = new Map();
+  }
+
+  /**
+   * Create the full set of Datadog clients for one profile.
+   * @param {{apiKey: string, appKey: string, site: string, apiUrl?: string}} profile - Credential
+   *   profile
+   * @param {Object} [retry] - Retry policy overrides
+   * @returns {{metricsClient: MetricsClient, logsClient: LogsClient, eventsClient: EventsClient,
+   *   monitorsClient: MonitorsClient, apmClient: ApmClient, servicesClient: ServicesClient}}
+   */
+  static createClients(profile, retry) {
+    const config = {
+      apiKey: profile.apiKey,
+      appKey: profile.appKey,
+      site: profile.site,
+      apiUrl: profile.apiUrl,
+      retry,
+    };
+    return {
+      metricsClient: new MetricsClient(config),
+      logsClient: new LogsClient(config),
+      eventsClient: new EventsClient(config),
+      monitorsClient: new MonitorsClient(config),
+      apmClient: new ApmClient(config),
+      servicesClient: new ServicesClient(config),
+    };
+  }
+
+  /**
+   * Whether an org name is configured.
+   * @param {string} org - Org name
+   * @returns {boolean}
+   */
+  has(org) {
+    return this.profiles.has(org);
+  }
+
+  /**
+   * Resolve an optional org argument to a configured org name.
+   * @param {string} [org] - Org name (default: the default org)
+   * @returns {string} Org name
+   * @throws {Error} If the org is not configured
+   */
+  resolve(org) {
+    const name = org || this.defaultOrg;
+    if (!this.profiles.has(name)) {
+      throw new Error(
+        `Unknown org "${name}". Available orgs: ${[...this.profiles.keys()].join(", ")}`
+      );
+    }
+    return name;
+  }
+
+  /**
+   * Get (creating on first use) the clients for an org.
+   * @param {string} [org] - Org name (default: the default org)
+   * @returns {Object} Client bundle
+   * @throws {Error} If the org is not configured
+   */
+  get(org) {
+    const name = this.resolve(org);
+    if (!this.clients.has(name)) {
+      this.clients.set(name, this.createClients(this.profiles.get(name)));
+    }
+    return this.clients.get(name);
+  }
+
+  /**
+   * Describe the configured orgs (never includes credentials).
+   * @returns {Array<{name: string, site: string, apiUrl?: string, default: boolean,
+   *   initialized: boolean}>}
+   */
+  list() {
+    return [...this.profiles.values()].map((profile) => ({
+      name: profile.name,
+      site: profile.site,
+      ...(profile.apiUrl && { apiUrl: profile.apiUrl }),
+      default: profile.name === this.defaultOrg,
+      initialized: this.clients.has(profile.name),
+    }));
+  }
+}
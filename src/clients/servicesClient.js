@@ -12,10 +12,12 @@ export class ServicesClient extends ApiClient {
    * @param {string} config.apiKey - Datadog API key
    * @param {string} config.appKey - Datadog app key
    * @param {string} config.site - Datadog site (default: datadoghq.com)
+   * @param {Object} [config.retry] - Retry policy overrides (see utils/retry.js)
+   * @param {string} [config.apiUrl] - API base URL overriding the site (e.g. a local fake API)
    */
   constructor(config) {
     const site = config.site || "datadoghq.com";
-    const baseUrl = `https://api.${site}/api/v1`;
+    const baseUrl = `${config.apiUrl || `https://api.${site}`}/api/v1`;
 
     super({
       baseUrl,
@@ -25,6 +27,7 @@ export class ServicesClient extends ApiClient {
         "Content-Type": "application/json",
       },
       timeout: 30000,
+      retry: config.retry,
     });
 
     this.apiKey = config.apiKey;
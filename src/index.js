@@ -1,182 +1,150 @@
 #!/usr/bin/env node
-import { Server } from "@modelcontextprotocol/sdk/server/index.js";
+import { parseArgs } from "node:util";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
-import { ListToolsRequestSchema, CallToolRequestSchema } from "@modelcontextprotocol/sdk/types.js";
 import { getConfiguration } from "./utils/environment.js";
-import { MetricsClient } from "./clients/metricsClient.js";
-import { LogsClient } from "./clients/logsClient.js";
-import { EventsClient } from "./clients/eventsClient.js";
-import { MonitorsClient } from "./clients/monitorsClient.js";
-import { ApmClient } from "./clients/apmClient.js";
-import { ServicesClient } from "./clients/servicesClient.js";
-import { getMetricsTools } from "./tools/metricsTools.js";
-import { getLogsTools } from "./tools/logsTools.js";
-import { getEventsTools } from "./tools/eventsTools.js";
-import { getMonitorsTools } from "./tools/monitorsTools.js";
-import { getApmTools } from "./tools/apmTools.js";
-import { getServicesTools } from "./tools/servicesTools.js";
+import { InvalidConfigurationError } from "./utils/errors.js";
+import { OrgClients } from "./clients/orgClients.js";
+import { registerTools, createServer, TOOL_DOMAINS } from "./server.js";
+import { ResponseCache, parseToolTtls } from "./utils/cache.js";
+import { createToolFilter, loadToolFilterConfig } from "./utils/toolFilter.js";
+import { loadProfiles } from "./utils/profiles.js";
+import { startHttpTransport } from "./transports/httpTransport.js";
+
+const TRANSPORTS = ["stdio", "http"];
 
 /**
- * Register all tool handlers with the MCP server.
+ * Resolve transport options from CLI flags, falling back to configuration.
+ * Supported flags: --transport stdio|http, --port <number>, --host <address>.
  *
- * @param {Server} server - The MCP server instance
- * @param {Object} clients - Object containing all initialized API clients
- * @param {MetricsClient} clients.metricsClient - Metrics API client
- * @param {LogsClient} clients.logsClient - Logs API client
- * @param {EventsClient} clients.eventsClient - Events API client
- * @param {MonitorsClient} clients.monitorsClient - Monitors API client
- * @param {ApmClient} clients.apmClient - APM API client
- * @param {ServicesClient} clients.servicesClient - Services/Dependencies API client
- * @returns {Map<string, Function>} Map of tool names to handler functions
+ * @param {Object} config - Configuration from getConfiguration
+ * @returns {{transport: string, port: number, host: string}} Transport options
+ * @throws {InvalidConfigurationError} If the transport or port is invalid
  * @private
  */
-function registerTools(server, clients) {
-  const toolMap = new Map();
-
-  // Get tools from all modules
-  const allTools = [
-    ...getMetricsTools(clients.metricsClient),
-    ...getLogsTools(clients.logsClient),
-    ...getEventsTools(clients.eventsClient),
-    ...getMonitorsTools(clients.monitorsClient),
-    ...getApmTools(clients.apmClient),
-    ...getServicesTools(clients.servicesClient),
-  ];
-
-  // Register tools with server and build handler map
-  for (const tool of allTools) {
-    // Extract handler function (don't include in tool definition)
-    const { handler, ..._toolDef } = tool;
-
-    // Map tool name to handler
-    toolMap.set(tool.name, handler);
-
-    console.error(`Registered tool: ${tool.name}`);
+function resolveTransportOptions(config) {
+  const { values } = parseArgs({
+    options: {
+      transport: { type: "string" },
+      port: { type: "string" },
+      host: { type: "string" },
+    },
+  });
+
+  const transport = values.transport ?? config.mcpTransport;
+  if (!TRANSPORTS.includes(transport)) {
+    throw new InvalidConfigurationError(
+      `Invalid transport "${transport}". Must be one of: ${TRANSPORTS.join(", ")}`
+    );
   }
 
-  return { toolMap, allTools };
+  const port = Number(values.port ?? config.mcpHttpPort);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new InvalidConfigurationError(`Invalid HTTP port "${values.port ?? config.mcpHttpPort}"`);
+  }
+
+  return { transport, port, host: values.host ?? config.mcpHttpHost };
 }
 
 /**
- * Initialize and start the MCP Datadog server.
+ * Create the response cache from configuration.
+ *
+ * @param {Object} cacheConfig - Cache section of getConfiguration
+ * @returns {ResponseCache | null} Cache, or null when disabled
+ * @throws {InvalidConfigurationError} If a cache setting is invalid
+ * @private
  */
-async function main() {
-  // Load configuration
-  const config = getConfiguration();
-
-  // Initialize Datadog clients
-  const metricsClient = new MetricsClient({
-    apiKey: config.datadogApiKey,
-    appKey: config.datadogAppKey,
-    site: config.datadogSite,
-  });
-
-  const logsClient = new LogsClient({
-    apiKey: config.datadogApiKey,
-    appKey: config.datadogAppKey,
-    site: config.datadogSite,
-  });
-
-  const eventsClient = new EventsClient({
-    apiKey: config.datadogApiKey,
-    appKey: config.datadogAppKey,
-    site: config.datadogSite,
-  });
-
-  const monitorsClient = new MonitorsClient({
-    apiKey: config.datadogApiKey,
-    appKey: config.datadogAppKey,
-    site: config.datadogSite,
-  });
-
-  const apmClient = new ApmClient({
-    apiKey: config.datadogApiKey,
-    appKey: config.datadogAppKey,
-    site: config.datadogSite,
-  });
-
-  const servicesClient = new ServicesClient({
-    apiKey: config.datadogApiKey,
-    appKey: config.datadogAppKey,
-    site: config.datadogSite,
-  });
+function createResponseCache(cacheConfig) {
+  if (cacheConfig.enabled === "false" || cacheConfig.enabled === "0") {
+    return null;
+  }
 
-  // Initialize MCP server
-  const server = new Server({
-    name: config.mcpServerName,
-    version: config.mcpServerVersion,
-  });
+  const numbers = {};
+  for (const key of ["maxEntries", "ttlSeconds", "absoluteTtlSeconds"]) {
+    const value = Number(cacheConfig[key]);
+    if (!Number.isInteger(value) || value < 0) {
+      throw new InvalidConfigurationError(`Invalid cache setting ${key}: "${cacheConfig[key]}"`);
+    }
+    numbers[key] = value;
+  }
 
-  // Register capabilities - declare that this server supports tools
-  server.registerCapabilities({
-    tools: {},
-  });
+  let toolTtls;
+  try {
+    toolTtls = parseToolTtls(cacheConfig.toolTtls);
+  } catch (error) {
+    throw new InvalidConfigurationError(error.message);
+  }
 
-  // Register all tools and get handler map
-  const { toolMap: toolHandlers, allTools } = registerTools(server, {
-    metricsClient,
-    logsClient,
-    eventsClient,
-    monitorsClient,
-    apmClient,
-    servicesClient,
+  return new ResponseCache({
+    maxEntries: numbers.maxEntries,
+    defaultTtlMs: numbers.ttlSeconds * 1000,
+    absoluteTtlMs: numbers.absoluteTtlSeconds * 1000,
+    toolTtls,
   });
+}
 
-  // Create tool definitions without handlers for the MCP protocol
-  const toolDefinitions = allTools.map((tool) => {
-    const { handler: _handler, ...toolDef } = tool;
-    return toolDef;
+/**
+ * Initialize and start the MCP Datadog server.
+ */
+async function main() {
+  // Load configuration
+  const config = getConfiguration();
+  const transportOptions = resolveTransportOptions(config);
+
+  // Resolve which tools to expose before creating clients so config errors fail fast
+  const toolFilterConfig = loadToolFilterConfig(config.tools);
+  const toolFilter = createToolFilter({ ...toolFilterConfig, knownDomains: TOOL_DOMAINS });
+  console.error(
+    `Tool filter (${toolFilterConfig.source}): ` +
+      `domains=${toolFilterConfig.domains.join(",") || "all"} ` +
+      `allow=${toolFilterConfig.allow.join(",") || "-"} ` +
+      `deny=${toolFilterConfig.deny.join(",") || "-"}`
+  );
+
+  // Datadog clients are created per org on first use
+  const { profiles, defaultOrg } = loadProfiles(config);
+  const orgs = new OrgClients({ profiles, defaultOrg, retry: config.retry });
+  console.error(
+    `Datadog orgs: ${[...profiles.values()].map((p) => `${p.name} (${p.apiUrl ?? p.site})`).join(", ")}; ` +
+      `default: ${defaultOrg}`
+  );
+
+  // Register all tools once; every server instance shares the same registry (and cache)
+  const registry = registerTools(orgs, {
+    cache: createResponseCache(config.cache),
+    toolFilter,
+    writesEnabled: config.tools.writesEnabled === "true" || config.tools.writesEnabled === "1",
+    exportDir: config.mcpExportDir || undefined,
   });
 
-  // Register tools/list handler using MCP SDK
-  server.setRequestHandler(ListToolsRequestSchema, async () => ({
-    tools: toolDefinitions,
-  }));
-
-  // Register tools/call handler with timing for observability (RED: rate, errors, duration)
-  const SLOW_TOOL_MS = Number(process.env.MCP_SLOW_TOOL_MS) || 2000;
-
-  server.setRequestHandler(CallToolRequestSchema, async (request) => {
-    const { name, arguments: args } = request.params;
-    const handler = toolHandlers.get(name);
-
-    if (!handler) {
-      throw new Error(`Tool not found: ${name}`);
-    }
-
-    const start = performance.now();
-    try {
-      const result = await handler(args);
-      const durationMs = Math.round(performance.now() - start);
-      const slow = durationMs >= SLOW_TOOL_MS;
-      const logLine = JSON.stringify({
-        timestamp: new Date().toISOString(),
-        level: "info",
-        message: "tool_call",
-        tool: name,
-        durationMs,
-        slow,
-      });
-      console.error(logLine);
-      return result;
-    } catch (error) {
-      const durationMs = Math.round(performance.now() - start);
-      const logLine = JSON.stringify({
-        timestamp: new Date().toISOString(),
-        level: "error",
-        message: "tool_call",
-        tool: name,
-        durationMs,
-        error: error?.message ?? String(error),
-      });
-      console.error(logLine);
-      throw error;
-    }
-  });
+  const newServer = () =>
+    createServer({
+      name: config.mcpServerName,
+      version: config.mcpServerVersion,
+      registry,
+    });
+
+  if (transportOptions.transport === "http") {
+    const handle = await startHttpTransport(newServer, {
+      port: transportOptions.port,
+      host: transportOptions.host,
+    });
+
+    const shutdown = () => {
+      handle.close().finally(() => process.exit(0));
+    };
+    process.once("SIGINT", shutdown);
+    process.once("SIGTERM", shutdown);
+
+    console.error(
+      `Datadog MCP server listening on http://${transportOptions.host}:${handle.port} ` +
+        "(Streamable HTTP at /mcp, legacy SSE at /sse)"
+    );
+    return;
+  }
 
   // Start server with stdio transport
   const transport = new StdioServerTransport();
-  await server.connect(transport);
+  await newServer().connect(transport);
 
   console.error("Datadog MCP server started successfully");
 }
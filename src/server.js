@@ -0,0 +1,289 @@
+import { Server } from "@modelcontextprotocol/sdk/server/index.js";
+import { ListToolsRequestSchema, CallToolRequestSchema } from "@modelcontextprotocol/sdk/types.js";
+import { getMetricsTools } from "./tools/metricsTools.js";
+import { getLogsTools } from "./tools/logsTools.js";
+import { getEventsTools } from "./tools/eventsTools.js";
+import { getMonitorsTools } from "./tools/monitorsTools.js";
+import { getApmTools } from "./tools/apmTools.js";
+import { getServicesTools } from "./tools/servicesTools.js";
+import { getCacheTools } from "./tools/cacheTools.js";
+import { getOrgsTools } from "./tools/orgsTools.js";
+import { withResponseCache } from "./utils/cache.js";
+import { trackRetries } from "./utils/retry.js";
+import { formatToolError } from "./utils/toolErrors.js";
+
+// Domains whose tools call the Datadog API (and so take `org` and can be cached)
+const DATADOG_DOMAINS = ["metrics", "logs", "events", "monitors", "apm", "services"];
+
+/**
+ * Tool domains, used to enable or disable whole groups of tools.
+ * @type {Array<string>}
+ */
+export const TOOL_DOMAINS = [...DATADOG_DOMAINS, "orgs", "cache"];
+
+/**
+ * Input property added to every Datadog tool when org profiles are configured.
+ * @type {Object}
+ */
+const orgInputProperty = {
+  org: {
+    type: "string",
+    description:
+      "Optional: Datadog org (profile) to query; see list_orgs (default: the default org)",
+  },
+};
+
+/**
+ * Get the Datadog tools of every domain for one set of clients.
+ * @param {Object} clients - Client bundle (see registerTools)
+ * @param {{exportDir?: string}} [options] - Tool options (see registerTools)
+ * @returns {Object<string, Array<Object>>} Tool definitions with handlers, by domain
+ * @private
+ */
+function getDatadogTools(clients, options = {}) {
+  return {
+    metrics: getMetricsTools(clients.metricsClient, options),
+    logs: getLogsTools(clients.logsClient, options),
+    events: getEventsTools(clients.eventsClient),
+    monitors: getMonitorsTools(clients.monitorsClient),
+    apm: getApmTools(clients.apmClient),
+    services: getServicesTools(clients.servicesClient),
+  };
+}
+
+/**
+ * Wrap a tool so the optional `org` argument selects which org's clients handle the call.
+ * Per-org handlers are built on first use, so an org's clients are only created when needed.
+ * @param {Object} tool - Tool definition
+ * @param {(org: string | undefined, toolName: string) => Function} handlerFor - Handler lookup
+ * @returns {Object} Tool definition with the org input and a routing handler
+ * @private
+ */
+function withOrgArgument(tool, handlerFor) {
+  return {
+    ...tool,
+    inputSchema: {
+      ...tool.inputSchema,
+      properties: { ...tool.inputSchema.properties, ...orgInputProperty },
+    },
+    handler: async (input = {}, context) => {
+      const { org, ...args } = input ?? {};
+      let handler;
+      try {
+        handler = handlerFor(org, tool.name);
+      } catch (error) {
+        return {
+          isError: true,
+          content: [{ type: "text", text: `Error: ${formatToolError(error.message)}` }],
+        };
+      }
+      return handler(args, context);
+    },
+  };
+}
+
+/**
+ * Build the tool registry shared by every MCP server instance.
+ *
+ * @param {Object | OrgClients} clients - Clients for a single org, or an OrgClients pool; with
+ *   a pool every Datadog tool takes an optional `org` argument and list_orgs is registered
+ * @param {MetricsClient} clients.metricsClient - Metrics API client
+ * @param {LogsClient} clients.logsClient - Logs API client
+ * @param {EventsClient} clients.eventsClient - Events API client
+ * @param {MonitorsClient} clients.monitorsClient - Monitors API client
+ * @param {ApmClient} clients.apmClient - APM API client
+ * @param {ServicesClient} clients.servicesClient - Services/Dependencies API client
+ * @param {Object} [options] - Registry options
+ * @param {ResponseCache} [options.cache] - Response cache for read-only, idempotent tools;
+ *   also registers the clear_cache tool
+ * @param {Function} [options.toolFilter] - Filter from createToolFilter deciding which tools
+ *   are exposed (default: all)
+ * @param {boolean} [options.writesEnabled] - Expose Datadog tools that write
+ *   (readOnlyHint: false), such as submit_metrics (default: false)
+ * @param {string} [options.exportDir] - Directory for the export option of query_metrics,
+ *   search_logs and aggregate_logs (default: exports disabled)
+ * @returns {{toolMap: Map<string, Function>, allTools: Array<Object>,
+ *   disabledTools: Map<string, string>}} Map of tool names to handler functions, the list of
+ *   enabled tool definitions, and the reason each disabled tool was left out
+ * @throws {Error} If two tools share a name
+ */
+export function registerTools(clients, options = {}) {
+  const toolMap = new Map();
+  const disabledTools = new Map();
+  const {
+    cache,
+    toolFilter = () => ({ enabled: true, reason: "enabled by default" }),
+    writesEnabled = false,
+    exportDir,
+  } = options;
+  const toolOptions = { exportDir };
+  const orgs = typeof clients.get === "function" ? clients : null;
+
+  // Get tools from all modules, grouped by domain
+  let toolsByDomain;
+  if (orgs) {
+    // Definitions only: handlers are built per org on first use
+    const handlersByOrg = new Map();
+    const handlerFor = (org, toolName) => {
+      const name = orgs.resolve(org);
+      if (!handlersByOrg.has(name)) {
+        const handlers = new Map();
+        for (const tools of Object.values(getDatadogTools(orgs.get(name), toolOptions))) {
+          for (const tool of tools) handlers.set(tool.name, tool.handler);
+        }
+        handlersByOrg.set(name, handlers);
+      }
+      return handlersByOrg.get(name).get(toolName);
+    };
+
+    toolsByDomain = Object.fromEntries(
+      Object.entries(getDatadogTools({})).map(([domain, tools]) => [
+        domain,
+        tools.map((tool) => withOrgArgument(tool, handlerFor)),
+      ])
+    );
+    toolsByDomain.orgs = getOrgsTools(orgs);
+  } else {
+    toolsByDomain = getDatadogTools(clients, toolOptions);
+  }
+  toolsByDomain.cache = cache ? getCacheTools(cache) : [];
+
+  // Tool names must be unique: a later handler would silently shadow an earlier one
+  const owners = new Map();
+  for (const [domain, tools] of Object.entries(toolsByDomain)) {
+    for (const tool of tools) {
+      if (owners.has(tool.name)) {
+        throw new Error(
+          `Duplicate tool name "${tool.name}" registered by domains ` +
+            `"${owners.get(tool.name)}" and "${domain}"`
+        );
+      }
+      owners.set(tool.name, domain);
+    }
+  }
+
+  const allTools = [];
+  for (const [domain, tools] of Object.entries(toolsByDomain)) {
+    for (const tool of tools) {
+      // Writes to Datadog need an explicit opt-in, whatever the filter allows
+      const writeBlocked =
+        !writesEnabled && DATADOG_DOMAINS.includes(domain) && tool.readOnlyHint === false;
+      const { enabled, reason } = writeBlocked
+        ? { enabled: false, reason: "writes disabled; set MCP_WRITES_ENABLED=true" }
+        : toolFilter(tool.name, domain);
+      if (!enabled) {
+        disabledTools.set(tool.name, reason);
+        console.error(`Disabled tool: ${tool.name} (${reason})`);
+        continue;
+      }
+
+      const cacheable =
+        cache && DATADOG_DOMAINS.includes(domain) && tool.readOnlyHint && tool.idempotentHint;
+      const registered = cacheable ? withResponseCache(tool, cache) : tool;
+
+      // Map tool name to handler (the handler is stripped from definitions sent to clients)
+      allTools.push(registered);
+      toolMap.set(tool.name, registered.handler);
+
+      console.error(`Registered tool: ${tool.name} (${reason})`);
+    }
+  }
+
+  console.error(
+    `Tools enabled: ${allTools.length} of ${allTools.length + disabledTools.size}` +
+      (disabledTools.size > 0 ? ` (disabled: ${[...disabledTools.keys()].join(", ")})` : "")
+  );
+
+  return { toolMap, allTools, disabledTools };
+}
+
+/**
+ * Create an MCP server instance backed by a tool registry.
+ * Each transport connection needs its own Server, so this is called once for stdio
+ * and once per session for HTTP; the registry (and its clients) is shared.
+ *
+ * @param {Object} options - Server options
+ * @param {string} options.name - Server name reported to clients
+ * @param {string} options.version - Server version reported to clients
+ * @param {{toolMap: Map<string, Function>, allTools: Array<Object>,
+ *   disabledTools?: Map<string, string>}} options.registry - Tool registry from registerTools
+ * @returns {Server} Configured MCP server (not yet connected)
+ */
+export function createServer({ name, version, registry }) {
+  const { toolMap: toolHandlers, allTools, disabledTools = new Map() } = registry;
+
+  // Declare tools, and logging for tools that stream results as log notifications (tail_logs)
+  const server = new Server({ name, version }, { capabilities: { tools: {}, logging: {} } });
+
+  // Create tool definitions without handlers for the MCP protocol
+  const toolDefinitions = allTools.map((tool) => {
+    const { handler: _handler, ...toolDef } = tool;
+    return toolDef;
+  });
+
+  // Register tools/list handler using MCP SDK
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({
+    tools: toolDefinitions,
+  }));
+
+  // Register tools/call handler with timing for observability (RED: rate, errors, duration)
+  const SLOW_TOOL_MS = Number(process.env.MCP_SLOW_TOOL_MS) || 2000;
+
+  server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+    const { name, arguments: args } = request.params;
+    const handler = toolHandlers.get(name);
+
+    if (!handler) {
+      if (disabledTools.has(name)) {
+        throw new Error(`Tool disabled: ${name} (${disabledTools.get(name)})`);
+      }
+      throw new Error(`Tool not found: ${name}`);
+    }
+
+    // Lets long-running tools honor cancellation and send progress and log notifications
+    const context = {
+      signal: extra?.signal,
+      progressToken: extra?._meta?.progressToken,
+      sendNotification: extra?.sendNotification,
+      // Honors the level the client set with logging/setLevel. Sent through the request's
+      // sendNotification so Streamable HTTP delivers it on the tool call's own stream
+      sendLoggingMessage: async (params) => {
+        if (server.isMessageIgnored(params.level, extra?.sessionId)) return;
+        await extra?.sendNotification?.({ method: "notifications/message", params });
+      },
+    };
+
+    const start = performance.now();
+    const { result, error, retries } = await trackRetries(() => handler(args, context));
+    const durationMs = Math.round(performance.now() - start);
+
+    if (error) {
+      const logLine = JSON.stringify({
+        timestamp: new Date().toISOString(),
+        level: "error",
+        message: "tool_call",
+        tool: name,
+        durationMs,
+        retries,
+        error: error?.message ?? String(error),
+      });
+      console.error(logLine);
+      throw error;
+    }
+
+    const slow = durationMs >= SLOW_TOOL_MS;
+    const logLine = JSON.stringify({
+      timestamp: new Date().toISOString(),
+      level: "info",
+      message: "tool_call",
+      tool: name,
+      durationMs,
+      slow,
+      retries,
+    });
+    console.error(logLine);
+    return result;
+  });
+
+  return server;
+}
@@ -1,45 +1,16 @@
 /**
  * Tool definitions and handlers for Datadog APM/Traces API.
- * Provides tools to query traces and get service health and dependency information.
+ * Provides tools to query traces and get service health and trace-metric dependency information.
  */
 
 import { formatToolError } from "#utils/toolErrors.js";
-
-/**
- * Convert various time formats to Unix timestamp in milliseconds.
- * @param {number | string} time - Time value (Unix seconds/ms, ISO 8601 string)
- * @param {boolean} asSeconds - If true, return as seconds; otherwise milliseconds
- * @returns {number} Unix timestamp
- * @private
- */
-function parseApmTimestamp(time, asSeconds = false) {
-  if (typeof time === "number") {
-    // If number is small enough to be seconds, convert to ms
-    if (time < 10000000000) {
-      return asSeconds ? time : time * 1000;
-    }
-    return asSeconds ? Math.floor(time / 1000) : time;
-  }
-
-  if (typeof time === "string") {
-    // Try ISO 8601 format
-    const isoTime = new Date(time).getTime();
-    if (!Number.isNaN(isoTime)) {
-      return asSeconds ? Math.floor(isoTime / 1000) : isoTime;
-    }
-
-    // Try Unix seconds/ms
-    const unixValue = parseInt(time, 10);
-    if (!Number.isNaN(unixValue)) {
-      if (asSeconds) {
-        return unixValue < 10000000000 ? unixValue : Math.floor(unixValue / 1000);
-      }
-      return unixValue < 10000000000 ? unixValue * 1000 : unixValue;
-    }
-  }
-
-  throw new Error(`Invalid timestamp format: ${time}`);
-}
+import { resolveTimeRange, timeRangeInputProperties } from "#utils/time.js";
+import {
+  FORMATS,
+  formatInputProperties,
+  renderSeries,
+  describeTimeRange,
+} from "#utils/seriesFormat.js";
 
 /**
  * Query Traces tool definition.
@@ -62,15 +33,7 @@ const queryTracesTool = {
         type: "string",
         description: 'Name of the service to query traces for (e.g., "api", "web")',
       },
-      from: {
-        oneOf: [{ type: "number" }, { type: "string" }],
-        description: "Start time as Unix timestamp (seconds/ms) or ISO 8601 string",
-      },
-      to: {
-        oneOf: [{ type: "number" }, { type: "string" }],
-        description:
-          "End time as Unix timestamp (seconds/ms) or ISO 8601 string " + "(must be after 'from')",
-      },
+      ...timeRangeInputProperties,
       filter: {
         type: "string",
         description:
@@ -83,7 +46,7 @@ const queryTracesTool = {
         default: 100,
       },
     },
-    required: ["serviceName", "from", "to"],
+    required: ["serviceName"],
   },
 };
 
@@ -108,33 +71,28 @@ const getServiceHealthTool = {
         type: "string",
         description: "Name of the service to get health metrics for",
       },
-      from: {
-        oneOf: [{ type: "number" }, { type: "string" }],
-        description: "Start time as Unix timestamp (seconds/ms) or ISO 8601 string",
-      },
-      to: {
-        oneOf: [{ type: "number" }, { type: "string" }],
-        description: "End time as Unix timestamp (seconds/ms) or ISO 8601 string",
-      },
+      ...timeRangeInputProperties,
       env: {
         type: "string",
         description: "Optional environment to scope metrics (e.g. production, staging)",
       },
+      ...formatInputProperties,
     },
-    required: ["serviceName", "from", "to"],
+    required: ["serviceName"],
   },
 };
 
 /**
- * Get Service Dependencies tool definition.
- * Retrieves the service dependency map showing how services communicate.
+ * Get Trace Dependencies tool definition.
+ * Retrieves the trace metrics a service emits, as a view of what it calls.
  * @type {Object}
  */
-const getServiceDependenciesTool = {
-  name: "get_service_dependencies",
+const getTraceDependenciesTool = {
+  name: "get_trace_dependencies",
   description:
-    "Get the service dependency map for a service, showing which services " +
-    "it calls and which services call it. Useful for understanding architecture.",
+    "Get APM trace metrics (trace.*) for a single service over a time range, showing the " +
+    "operations and downstream calls it records. For the environment-wide service map " +
+    "(which services call which), use get_service_dependencies instead.",
   readOnlyHint: true,
   destructiveHint: false,
   idempotentHint: true,
@@ -146,16 +104,9 @@ const getServiceDependenciesTool = {
         type: "string",
         description: 'Name of the service to get dependencies for (e.g., "api", "checkout")',
       },
-      from: {
-        oneOf: [{ type: "number" }, { type: "string" }],
-        description: "Start time as Unix timestamp (seconds/ms) or ISO 8601 string",
-      },
-      to: {
-        oneOf: [{ type: "number" }, { type: "string" }],
-        description: "End time as Unix timestamp (seconds/ms) or ISO 8601 string",
-      },
+      ...timeRangeInputProperties,
     },
-    required: ["serviceName", "from", "to"],
+    required: ["serviceName"],
   },
 };
 
@@ -163,8 +114,9 @@ const getServiceDependenciesTool = {
  * Handle query_traces tool request.
  * @param {Object} input - Tool input
  * @param {string} input.serviceName - Service name
- * @param {number | string} input.from - Start timestamp
- * @param {number | string} input.to - End timestamp
+ * @param {number | string} [input.from] - Start time (default: 1 hour before to)
+ * @param {number | string} [input.to] - End time (default: now)
+ * @param {string} [input.timezone] - IANA timezone for relative expressions
  * @param {string} [input.filter] - Optional filter
  * @param {number} [input.limit] - Result limit
  * @param {ApmClient} client - APM API client
@@ -172,9 +124,10 @@ const getServiceDependenciesTool = {
  */
 async function handleQueryTraces(input, client) {
   try {
-    // Validate and parse timestamps (APM API uses milliseconds)
-    const from = parseApmTimestamp(input.from);
-    const to = parseApmTimestamp(input.to);
+    // Resolve the time range (APM API uses milliseconds)
+    const { from, to, timeRange } = resolveTimeRange(input.from, input.to, {
+      timezone: input.timezone,
+    });
 
     if (from >= to) {
       return {
@@ -241,10 +194,7 @@ async function handleQueryTraces(input, client) {
           text: JSON.stringify({
             serviceName: input.serviceName,
             filter: filter || "all",
-            timeRange: {
-              from: new Date(from).toISOString(),
-              to: new Date(to).toISOString(),
-            },
+            timeRange,
             tracesCount: traces.length,
             traces: summarizedTraces,
           }),
@@ -269,8 +219,11 @@ async function handleQueryTraces(input, client) {
  * Handle get_service_health tool request.
  * @param {Object} input - Tool input
  * @param {string} input.serviceName - Service name
- * @param {number | string} input.from - Start timestamp
- * @param {number | string} input.to - End timestamp
+ * @param {number | string} [input.from] - Start time (default: 1 hour before to)
+ * @param {number | string} [input.to] - End time (default: now)
+ * @param {string} [input.timezone] - IANA timezone for relative expressions
+ * @param {string} [input.env] - Optional environment
+ * @param {string} [input.format] - json, markdown or sparkline
  * @param {ApmClient} client - APM API client
  * @returns {Promise<Object>} Tool result with health metrics or error
  */
@@ -288,9 +241,10 @@ async function handleGetServiceHealth(input, client) {
       };
     }
 
-    // Validate and parse timestamps (APM API uses milliseconds)
-    const from = parseApmTimestamp(input.from);
-    const to = parseApmTimestamp(input.to);
+    // Resolve the time range (APM API uses milliseconds)
+    const { from, to, timeRange } = resolveTimeRange(input.from, input.to, {
+      timezone: input.timezone,
+    });
 
     if (from >= to) {
       return {
@@ -304,6 +258,14 @@ async function handleGetServiceHealth(input, client) {
       };
     }
 
+    const format = input.format ?? "json";
+    if (!FORMATS.includes(format)) {
+      return {
+        isError: true,
+        content: [{ type: "text", text: `Error: format must be one of ${FORMATS.join(", ")}` }],
+      };
+    }
+
     const { data, error } = await client.getServiceHealth(input.serviceName, from, to, {
       env: input.env,
     });
@@ -321,6 +283,28 @@ async function handleGetServiceHealth(input, client) {
       };
     }
 
+    if (format !== "json") {
+      // One row per series of each signal, e.g. "latency trace.http.request.duration"
+      const series = ["requests", "errors", "latency"].flatMap((signal) =>
+        (data?.[signal] ?? []).map((s) => ({
+          label: `${signal} ${s.metric ?? s.expression}`,
+          points: s.pointlist ?? [],
+        }))
+      );
+      return {
+        isError: false,
+        content: [
+          {
+            type: "text",
+            text: renderSeries(series, format, {
+              title: `Service health: ${input.serviceName}`,
+              details: [...(input.env ? [`env:${input.env}`] : []), describeTimeRange(timeRange)],
+            }),
+          },
+        ],
+      };
+    }
+
     return {
       isError: false,
       content: [
@@ -329,10 +313,7 @@ async function handleGetServiceHealth(input, client) {
           text: JSON.stringify(
             {
               serviceName: input.serviceName,
-              timeRange: {
-                from: new Date(from).toISOString(),
-                to: new Date(to).toISOString(),
-              },
+              timeRange,
               health: data,
             },
             null,
@@ -356,15 +337,16 @@ async function handleGetServiceHealth(input, client) {
 }
 
 /**
- * Handle get_service_dependencies tool request.
+ * Handle get_trace_dependencies tool request.
  * @param {Object} input - Tool input
  * @param {string} input.serviceName - Service name
- * @param {number | string} input.from - Start timestamp
- * @param {number | string} input.to - End timestamp
+ * @param {number | string} [input.from] - Start time (default: 1 hour before to)
+ * @param {number | string} [input.to] - End time (default: now)
+ * @param {string} [input.timezone] - IANA timezone for relative expressions
  * @param {ApmClient} client - APM API client
  * @returns {Promise<Object>} Tool result with dependencies or error
  */
-async function handleGetServiceDependencies(input, client) {
+async function handleGetTraceDependencies(input, client) {
   try {
     if (!input.serviceName || typeof input.serviceName !== "string") {
       return {
@@ -378,9 +360,10 @@ async function handleGetServiceDependencies(input, client) {
       };
     }
 
-    // Validate and parse timestamps (APM API uses milliseconds)
-    const from = parseApmTimestamp(input.from);
-    const to = parseApmTimestamp(input.to);
+    // Resolve the time range (APM API uses milliseconds)
+    const { from, to, timeRange } = resolveTimeRange(input.from, input.to, {
+      timezone: input.timezone,
+    });
 
     if (from >= to) {
       return {
@@ -397,13 +380,13 @@ async function handleGetServiceDependencies(input, client) {
     const { data, error } = await client.getServiceDependencies(input.serviceName, from, to);
 
     if (error) {
-      console.error("Get service dependencies error:", error);
+      console.error("Get trace dependencies error:", error);
       return {
         isError: true,
         content: [
           {
             type: "text",
-            text: `Error retrieving service dependencies: ${formatToolError(error.message, error?.statusCode)}`,
+            text: `Error retrieving trace dependencies: ${formatToolError(error.message, error?.statusCode)}`,
           },
         ],
       };
@@ -417,10 +400,7 @@ async function handleGetServiceDependencies(input, client) {
           text: JSON.stringify(
             {
               serviceName: input.serviceName,
-              timeRange: {
-                from: new Date(from).toISOString(),
-                to: new Date(to).toISOString(),
-              },
+              timeRange,
               dependencies: data,
             },
             null,
@@ -430,7 +410,7 @@ async function handleGetServiceDependencies(input, client) {
       ],
     };
   } catch (error) {
-    console.error("Error handling get_service_dependencies:", error);
+    console.error("Error handling get_trace_dependencies:", error);
     return {
       isError: true,
       content: [
@@ -459,8 +439,8 @@ export function getApmTools(client) {
       handler: (input) => handleGetServiceHealth(input, client),
     },
     {
-      ...getServiceDependenciesTool,
-      handler: (input) => handleGetServiceDependencies(input, client),
+      ...getTraceDependenciesTool,
+      handler: (input) => handleGetTraceDependencies(input, client),
     },
   ];
 }
@@ -0,0 +1,80 @@
+/**
+ * Tool definitions and handlers for the server's response cache.
+ * Provides a tool to flush cached responses so agents can force fresh data.
+ */
+
+/**
+ * Clear Cache tool definition.
+ * Flushes cached tool responses, optionally for a single tool.
+ * @type {Object}
+ */
+const clearCacheTool = {
+  name: "clear_cache",
+  description:
+    "Clear the server's response cache, either entirely or for one tool. " +
+    "Use when cached results look stale; to bypass the cache for a single call, pass noCache: true instead.",
+  readOnlyHint: false,
+  destructiveHint: false,
+  idempotentHint: true,
+  openWorldHint: false,
+  inputSchema: {
+    type: "object",
+    properties: {
+      toolName: {
+        type: "string",
+        description: 'Optional: only clear entries for this tool (e.g., "list_metrics")',
+      },
+    },
+  },
+};
+
+/**
+ * Handle clear_cache tool request.
+ * @param {Object} input - Tool input
+ * @param {string} [input.toolName] - Tool whose entries should be cleared
+ * @param {ResponseCache} cache - Response cache
+ * @returns {Promise<Object>} Tool result with the number of entries cleared
+ */
+async function handleClearCache(input, cache) {
+  if (input?.toolName != null && typeof input.toolName !== "string") {
+    return {
+      isError: true,
+      content: [
+        {
+          type: "text",
+          text: "Error: toolName must be a string",
+        },
+      ],
+    };
+  }
+
+  const cleared = cache.clear(input?.toolName);
+
+  return {
+    isError: false,
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify({
+          cleared,
+          toolName: input?.toolName || "all",
+          cache: cache.stats(),
+        }),
+      },
+    ],
+  };
+}
+
+/**
+ * Get all cache tools.
+ * @param {ResponseCache} cache - Response cache instance
+ * @returns {Array<Object>} Array of tool definitions with handlers
+ */
+export function getCacheTools(cache) {
+  return [
+    {
+      ...clearCacheTool,
+      handler: (input) => handleClearCache(input, cache),
+    },
+  ];
+}
@@ -4,34 +4,7 @@
  */
 
 import { formatToolError } from "#utils/toolErrors.js";
-
-/**
- * Convert various time formats to Unix timestamp in seconds.
- * @param {number | string} time - Time value (Unix seconds, ISO 8601 string)
- * @returns {number} Unix timestamp in seconds
- * @private
- */
-function parseEventsTimestamp(time) {
-  if (typeof time === "number") {
-    return time;
-  }
-
-  if (typeof time === "string") {
-    // Try ISO 8601 format
-    const isoTime = new Date(time).getTime();
-    if (!Number.isNaN(isoTime)) {
-      return Math.floor(isoTime / 1000);
-    }
-
-    // Try Unix seconds
-    const unixSeconds = parseInt(time, 10);
-    if (!Number.isNaN(unixSeconds)) {
-      return unixSeconds;
-    }
-  }
-
-  throw new Error(`Invalid timestamp format: ${time}`);
-}
+import { resolveTimeRange, timeRangeInputProperties } from "#utils/time.js";
 
 /**
  * Search Events tool definition.
@@ -57,22 +30,14 @@ const searchEventsTool = {
           'Event search query (e.g., "priority:high", "monitor", ' +
           '"deployment"). Leave empty to search all events.',
       },
-      from: {
-        oneOf: [{ type: "number" }, { type: "string" }],
-        description: "Start time as Unix timestamp in seconds or ISO 8601 string",
-      },
-      to: {
-        oneOf: [{ type: "number" }, { type: "string" }],
-        description:
-          "End time as Unix timestamp in seconds or ISO 8601 string " + "(must be after 'from')",
-      },
+      ...timeRangeInputProperties,
       priority: {
         type: "string",
         enum: ["low", "normal", "high"],
         description: "Filter events by priority level (optional)",
       },
     },
-    required: ["query", "from", "to"],
+    required: ["query"],
   },
 };
 
@@ -106,17 +71,19 @@ const getEventDetailsTool = {
  * Handle search_events tool request.
  * @param {Object} input - Tool input
  * @param {string} input.query - Event search query
- * @param {number | string} input.from - Start timestamp
- * @param {number | string} input.to - End timestamp
+ * @param {number | string} [input.from] - Start time (default: 1 hour before to)
+ * @param {number | string} [input.to] - End time (default: now)
+ * @param {string} [input.timezone] - IANA timezone for relative expressions
  * @param {string} [input.priority] - Priority filter
  * @param {EventsClient} client - Events API client
  * @returns {Promise<Object>} Tool result with events or error
  */
 async function handleSearchEvents(input, client) {
   try {
-    // Validate and parse timestamps (events API uses seconds)
-    const from = parseEventsTimestamp(input.from);
-    const to = parseEventsTimestamp(input.to);
+    // Resolve the time range (events API uses seconds)
+    const range = resolveTimeRange(input.from, input.to, { timezone: input.timezone });
+    const from = Math.floor(range.from / 1000);
+    const to = Math.floor(range.to / 1000);
 
     if (from >= to) {
       return {
@@ -190,10 +157,7 @@ async function handleSearchEvents(input, client) {
           text: JSON.stringify({
             query: query || "all",
             priority: input.priority || "all",
-            timeRange: {
-              from: new Date(from * 1000).toISOString(),
-              to: new Date(to * 1000).toISOString(),
-            },
+            timeRange: range.timeRange,
             eventsCount: events.length,
             events: summarizedEvents,
           }),
@@ -1,45 +1,96 @@
 /**
  * Tool definitions and handlers for Datadog Logs API.
- * Provides tools to search logs, get details, and aggregate log data.
+ * Provides tools to search logs, get details, aggregate log data, chart log volume over time,
+ * cluster log patterns, tail new logs and list log indexes.
  */
 
 import { formatToolError } from "#utils/toolErrors.js";
+import { resolveTimeRange, timeRangeInputProperties } from "#utils/time.js";
+import {
+  FORMATS,
+  formatInputProperties,
+  renderSeries,
+  renderRows,
+  describeTimeRange,
+} from "#utils/seriesFormat.js";
+import { exportInputProperties, exportOptionError, writeExport } from "#utils/export.js";
+import { clusterLogPatterns } from "#utils/logPatterns.js";
+import { flattenAttributes, logFieldValue, projectLog } from "#utils/logFields.js";
 
-/**
- * Convert various time formats to Unix timestamp in milliseconds.
- * @param {number | string} time - Time value (Unix seconds/ms, ISO 8601 string)
- * @param {boolean} asSeconds - If true, return as seconds; otherwise milliseconds
- * @returns {number} Unix timestamp
- * @private
- */
-function parseLogsTimestamp(time, asSeconds = false) {
-  if (typeof time === "number") {
-    // If number is small enough to be seconds, convert to ms
-    if (time < 10000000000) {
-      return asSeconds ? time : time * 1000;
-    }
-    return asSeconds ? Math.floor(time / 1000) : time;
-  }
+/** Upper bound on pages walked by one search_logs call in maxPages mode. */
+const MAX_SEARCH_PAGES = 10;
 
-  if (typeof time === "string") {
-    // Try ISO 8601 format
-    const isoTime = new Date(time).getTime();
-    if (!Number.isNaN(isoTime)) {
-      return asSeconds ? Math.floor(isoTime / 1000) : isoTime;
-    }
+// search_logs projection: at most MAX_LOG_FIELDS paths; messages cut to 200 characters
+const MAX_LOG_FIELDS = 50;
+const DEFAULT_MAX_MESSAGE_LENGTH = 200;
 
-    // Try Unix seconds/ms
-    const unixValue = parseInt(time, 10);
-    if (!Number.isNaN(unixValue)) {
-      if (asSeconds) {
-        return unixValue < 10000000000 ? unixValue : Math.floor(unixValue / 1000);
-      }
-      return unixValue < 10000000000 ? unixValue * 1000 : unixValue;
-    }
-  }
+// Exports page through every result up to these bounds (search_logs: 100 logs per page)
+const MAX_EXPORT_LOG_PAGES = 100;
+const MAX_EXPORT_AGGREGATE_PAGES = 20;
 
-  throw new Error(`Invalid timestamp format: ${time}`);
-}
+// cluster_log_patterns reads up to MAX_PATTERN_PAGES pages of 100 logs
+const DEFAULT_PATTERN_PAGES = 5;
+const MAX_PATTERN_PAGES = 20;
+const DEFAULT_PATTERNS = 20;
+const MAX_PATTERNS = 100;
+
+// tail_logs limits; each poll reads up to TAIL_PAGES_PER_POLL pages of 100 logs. The default
+// duration leaves room for the last poll within the 60 s request timeout most MCP clients use
+const DEFAULT_TAIL_SECONDS = 50;
+const MAX_TAIL_SECONDS = 600;
+const DEFAULT_TAIL_LOGS = 100;
+const MAX_TAIL_LOGS = 1000;
+const DEFAULT_TAIL_POLL_SECONDS = 10;
+const MIN_TAIL_POLL_SECONDS = 5;
+const MAX_TAIL_POLL_SECONDS = 60;
+const MAX_TAIL_LOOKBACK_SECONDS = 3600;
+const TAIL_PAGES_PER_POLL = 3;
+
+/** Logs are indexed a few seconds after their timestamp, so each poll re-reads this much. */
+const TAIL_INGESTION_LAG_MS = 30000;
+
+/** Columns of a search_logs export; tags and custom attributes stay nested (JSON in CSV). */
+const LOG_EXPORT_COLUMNS = [
+  "id",
+  "timestamp",
+  "status",
+  "service",
+  "host",
+  "message",
+  "tags",
+  "attributes",
+];
+
+/** Upper bound on group-by facets for aggregate_logs. */
+const MAX_GROUP_BY_FACETS = 4;
+
+/** search_logs sort orders and the search API order each maps to. */
+const LOG_SORT_ORDERS = { asc: "timestamp", desc: "-timestamp" };
+
+/** log_histogram bucket counts, and the facets it can split by. */
+const DEFAULT_HISTOGRAM_BUCKETS = 30;
+const MAX_HISTOGRAM_BUCKETS = 300;
+const DEFAULT_HISTOGRAM_GROUPS = 10;
+const MAX_HISTOGRAM_GROUPS = 50;
+const HISTOGRAM_GROUP_BY = ["status", "service"];
+
+/**
+ * Input schema properties selecting which indexes and storage tier a query reads,
+ * shared by search_logs and aggregate_logs.
+ * @type {Object}
+ */
+const logScopeInputProperties = {
+  indexes: {
+    type: "array",
+    items: { type: "string" },
+    description: 'Indexes to query (e.g., ["main", "audit"]; default: all, see list_log_indexes)',
+  },
+  storageTier: {
+    type: "string",
+    enum: ["indexes", "online-archives", "flex"],
+    description: "Storage tier to query: indexes (default), online-archives or flex",
+  },
+};
 
 /**
  * Search Logs tool definition.
@@ -64,22 +115,51 @@ const searchLogsTool = {
           'Log filter query (e.g., "service:api status:error", ' +
           '"host:prod-*"). Use Datadog query syntax.',
       },
-      from: {
-        oneOf: [{ type: "number" }, { type: "string" }],
-        description: "Start time as Unix timestamp (seconds/ms) or ISO 8601 string",
+      ...timeRangeInputProperties,
+      limit: {
+        type: "number",
+        description: "Maximum number of logs to return per page (default: 100, max: 100)",
+        default: 100,
       },
-      to: {
-        oneOf: [{ type: "number" }, { type: "string" }],
+      cursor: {
+        type: "string",
         description:
-          "End time as Unix timestamp (seconds/ms) or ISO 8601 string " + "(must be after 'from')",
+          "Pagination cursor from a previous response's next_cursor. " +
+          "Use with the same filter and time range to fetch the next page.",
       },
-      limit: {
+      maxPages: {
         type: "number",
-        description: "Maximum number of logs to return (default: 100, max: 100)",
-        default: 100,
+        description:
+          `Number of pages to walk and merge in one call (default: 1, max: ${MAX_SEARCH_PAGES}). ` +
+          "Stops early when there are no more results.",
+        default: 1,
+      },
+      sort: {
+        type: "string",
+        enum: Object.keys(LOG_SORT_ORDERS),
+        description:
+          "Order by timestamp: asc (oldest first, default) or desc (newest first, e.g. to " +
+          "read the latest errors without paging through the whole range)",
+        default: "asc",
+      },
+      fields: {
+        type: "array",
+        items: { type: "string" },
+        description:
+          "Return exactly these fields per log instead of the default summary: custom " +
+          'attributes as @paths (e.g. "@http.status_code", "@error.stack") and reserved ones ' +
+          'by name ("id", "timestamp", "status", "service", "host", "message", "tags"). ' +
+          'Objects expand into dotted paths ("@http" gives "@http.method", ...). ' +
+          `Max ${MAX_LOG_FIELDS}.`,
+      },
+      ...logScopeInputProperties,
+      maxMessageLength: {
+        type: "integer",
+        description: `Cut messages to this many characters (default: ${DEFAULT_MAX_MESSAGE_LENGTH}; 0 returns them whole)`,
       },
+      ...exportInputProperties,
     },
-    required: ["filter", "from", "to"],
+    required: ["filter"],
   },
 };
 
@@ -92,7 +172,8 @@ const getLogDetailsTool = {
   name: "get_log_details",
   description:
     "Get detailed information about a specific log entry. " +
-    "Returns full log data including all attributes and metadata.",
+    "Returns full log data: the whole message, all tags and every custom attribute as a " +
+    'dotted path (usable as "@path" in search_logs fields).',
   readOnlyHint: true,
   destructiveHint: false,
   idempotentHint: true,
@@ -111,15 +192,17 @@ const getLogDetailsTool = {
 
 /**
  * Aggregate Logs tool definition.
- * Aggregates log data using various aggregation functions.
+ * Aggregates log data using various aggregation functions, optionally grouped by facets.
  * @type {Object}
  */
 const aggregateLogsTool = {
   name: "aggregate_logs",
   description:
     "Aggregate log data for a time range using the specified " +
-    "aggregation type (count, avg, percentile, min, max, sum). " +
-    "Useful for statistical analysis of logs.",
+    "aggregation type (count, cardinality, avg, sum, min, max, median, percentile) " +
+    "over an optional measure, grouped by facets and optionally bucketed over time. " +
+    'Useful for questions like "error count by service" or "p95 @duration by endpoint". ' +
+    "Returns a flat table of buckets.",
   readOnlyHint: true,
   destructiveHint: false,
   idempotentHint: true,
@@ -131,41 +214,442 @@ const aggregateLogsTool = {
         type: "string",
         description: 'Log filter query (e.g., "status:error", "service:checkout")',
       },
-      from: {
-        oneOf: [{ type: "number" }, { type: "string" }],
-        description: "Start time as Unix timestamp (seconds/ms) or ISO 8601 string",
-      },
-      to: {
-        oneOf: [{ type: "number" }, { type: "string" }],
-        description: "End time as Unix timestamp (seconds/ms) or ISO 8601 string",
-      },
+      ...timeRangeInputProperties,
       aggregationType: {
         type: "string",
-        enum: ["count", "avg", "percentile", "min", "max", "sum"],
+        enum: ["count", "cardinality", "avg", "sum", "min", "max", "median", "percentile"],
         description:
           'Aggregation function to apply (e.g., "count" for log count, ' +
-          '"avg" for average of numeric field)',
+          '"avg" for average of the measure given in metric)',
+      },
+      metric: {
+        type: "string",
+        description:
+          'Measure or facet to aggregate (e.g., "@duration", "@http.response_time"). ' +
+          "Required for every aggregation type except count.",
+      },
+      percentile: {
+        type: "number",
+        enum: [75, 90, 95, 98, 99],
+        description: "Percentile to compute when aggregationType is percentile (default: 95)",
+        default: 95,
+      },
+      groupBy: {
+        type: "array",
+        description:
+          `Facets to group by (max ${MAX_GROUP_BY_FACETS}), e.g. ["service"] or ` +
+          '[{ "facet": "@http.status_code", "limit": 5, "sort": "desc" }]',
+        items: {
+          oneOf: [
+            { type: "string" },
+            {
+              type: "object",
+              properties: {
+                facet: {
+                  type: "string",
+                  description: 'Facet name (e.g., "service", "@http.status_code")',
+                },
+                limit: {
+                  type: "number",
+                  description: "Maximum number of groups for this facet (default: 10)",
+                },
+                sort: {
+                  type: "string",
+                  enum: ["asc", "desc"],
+                  description: "Order groups by aggregated value (default: desc)",
+                },
+              },
+              required: ["facet"],
+            },
+          ],
+        },
+      },
+      interval: {
+        type: "string",
+        description:
+          'Optional bucket interval (e.g., "5m", "1h") to return a timeseries ' +
+          "instead of a single value per group",
+      },
+      cursor: {
+        type: "string",
+        description:
+          "Bucket page cursor from a previous export's next_cursor. Use with the same " +
+          "arguments to export the remaining buckets.",
+      },
+      ...logScopeInputProperties,
+      ...formatInputProperties,
+      ...exportInputProperties,
+    },
+    required: ["filter", "aggregationType"],
+  },
+};
+
+/**
+ * Log Histogram tool definition.
+ * Counts matching logs in evenly sized time buckets, optionally split by status or service.
+ * @type {Object}
+ */
+const logHistogramTool = {
+  name: "log_histogram",
+  description:
+    "Count matching logs in N evenly sized time buckets, optionally split by status or " +
+    "service. Reports each series' peak bucket and its largest jump between buckets, to " +
+    'spot when an error burst began (e.g. filter "status:error", groupBy "service").',
+  readOnlyHint: true,
+  destructiveHint: false,
+  idempotentHint: true,
+  openWorldHint: true,
+  inputSchema: {
+    type: "object",
+    properties: {
+      filter: {
+        type: "string",
+        description: 'Log filter query (e.g., "status:error", "service:checkout")',
+      },
+      ...timeRangeInputProperties,
+      buckets: {
+        type: "integer",
+        description:
+          `Number of time buckets the range is split into (default: ${DEFAULT_HISTOGRAM_BUCKETS}, ` +
+          `max: ${MAX_HISTOGRAM_BUCKETS}); buckets are at least one second long`,
+        default: DEFAULT_HISTOGRAM_BUCKETS,
+      },
+      groupBy: {
+        type: "string",
+        enum: HISTOGRAM_GROUP_BY,
+        description: "Split the counts into one series per status or per service",
+      },
+      limit: {
+        type: "integer",
+        description:
+          `Maximum series when grouping, largest first (default: ${DEFAULT_HISTOGRAM_GROUPS}, ` +
+          `max: ${MAX_HISTOGRAM_GROUPS})`,
+        default: DEFAULT_HISTOGRAM_GROUPS,
+      },
+      ...logScopeInputProperties,
+      ...formatInputProperties,
+    },
+    required: ["filter"],
+  },
+};
+
+/**
+ * Cluster Log Patterns tool definition.
+ * Groups log messages into templates with variable tokens masked.
+ * @type {Object}
+ */
+const clusterLogPatternsTool = {
+  name: "cluster_log_patterns",
+  description:
+    "Group matching logs into message patterns, so many near-identical lines read as one " +
+    "pattern with a count. Numbers, UUIDs, IP addresses, hex identifiers and quoted strings " +
+    "are masked (<NUM>, <UUID>, <IP>, <HEX>, <STR>). Each pattern reports its count, first " +
+    "and last seen times, statuses, affected services and hosts, and a sample log ID for " +
+    "get_log_details.",
+  readOnlyHint: true,
+  destructiveHint: false,
+  idempotentHint: true,
+  openWorldHint: true,
+  inputSchema: {
+    type: "object",
+    properties: {
+      filter: {
+        type: "string",
+        description: 'Log filter query (e.g., "service:api status:error")',
+      },
+      ...timeRangeInputProperties,
+      maxPages: {
+        type: "integer",
+        description:
+          `Pages of 100 logs to analyze (default: ${DEFAULT_PATTERN_PAGES}, ` +
+          `max: ${MAX_PATTERN_PAGES}). Stops early when there are no more results.`,
+      },
+      limit: {
+        type: "integer",
+        description: `Maximum patterns to return, most frequent first (default: ${DEFAULT_PATTERNS}, max: ${MAX_PATTERNS})`,
+      },
+    },
+    required: ["filter"],
+  },
+};
+
+/**
+ * Tail Logs tool definition.
+ * Polls for new logs matching a filter and streams them as notifications.
+ * @type {Object}
+ */
+const tailLogsTool = {
+  name: "tail_logs",
+  description:
+    "Watch logs matching a filter as they arrive, e.g. checkout errors for two minutes after " +
+    "a deploy. Polls the logs search with a moving window and skips logs already seen. New " +
+    "logs are streamed as MCP log notifications until the duration or log limit is reached " +
+    "or the call is cancelled; the result lists every log collected. With a progress token, " +
+    "a progress notification follows every poll. Durations over 50 seconds need a client " +
+    "request timeout longer than durationSeconds, or one that resets on progress.",
+  readOnlyHint: true,
+  destructiveHint: false,
+  idempotentHint: false,
+  openWorldHint: true,
+  inputSchema: {
+    type: "object",
+    properties: {
+      filter: {
+        type: "string",
+        description: 'Log filter query (e.g., "service:checkout status:error")',
+      },
+      durationSeconds: {
+        type: "integer",
+        description: `How long to watch (default: ${DEFAULT_TAIL_SECONDS}, max: ${MAX_TAIL_SECONDS})`,
+      },
+      maxLogs: {
+        type: "integer",
+        description: `Stop after this many logs (default: ${DEFAULT_TAIL_LOGS}, max: ${MAX_TAIL_LOGS})`,
+      },
+      pollIntervalSeconds: {
+        type: "integer",
+        description: `Seconds between polls (default: ${DEFAULT_TAIL_POLL_SECONDS}, min: ${MIN_TAIL_POLL_SECONDS}, max: ${MAX_TAIL_POLL_SECONDS})`,
+      },
+      lookbackSeconds: {
+        type: "integer",
+        description:
+          "Also include logs from this many seconds before the tail starts " +
+          `(default: 0, max: ${MAX_TAIL_LOOKBACK_SECONDS})`,
       },
     },
-    required: ["filter", "from", "to", "aggregationType"],
+    required: ["filter"],
+  },
+};
+
+/**
+ * List Log Indexes tool definition.
+ * Lists log indexes with their filters, retention and daily limits.
+ * @type {Object}
+ */
+const listLogIndexesTool = {
+  name: "list_log_indexes",
+  description:
+    "List log indexes in processing order with each index's filter query, retention " +
+    "(standard and flex), daily limit and exclusion filters. Use index names with the " +
+    "indexes argument of search_logs and aggregate_logs.",
+  readOnlyHint: true,
+  destructiveHint: false,
+  idempotentHint: true,
+  openWorldHint: true,
+  inputSchema: {
+    type: "object",
+    properties: {},
   },
 };
 
+/**
+ * Index and storage tier options of a search or aggregation, without unset keys.
+ * @param {Object} input - Tool input
+ * @param {Array<string>} [input.indexes] - Indexes to query
+ * @param {string} [input.storageTier] - Storage tier to query
+ * @returns {{indexes?: Array<string>, storageTier?: string}} Client options
+ * @private
+ */
+function logScope(input) {
+  return {
+    ...(input.indexes != null && { indexes: input.indexes }),
+    ...(input.storageTier != null && { storageTier: input.storageTier }),
+  };
+}
+
+/**
+ * Fetch one or more pages of logs, following the cursor returned by each page.
+ * @param {LogsClient} client - Logs API client
+ * @param {string} filter - Log filter query
+ * @param {number} from - Start timestamp (milliseconds)
+ * @param {number} to - End timestamp (milliseconds)
+ * @param {number} pageSize - Logs per page
+ * @param {Object} [options] - Pagination options
+ * @param {string} [options.cursor] - Cursor to start from
+ * @param {number} [options.maxPages] - Maximum pages to fetch (default: 1)
+ * @param {Object} [options.searchOptions] - Indexes, storage tier and sort order passed on
+ *   to searchLogs
+ * @returns {Promise<{logs: Array<Object>, nextCursor: string | null, hasMore: boolean,
+ *   pagesFetched: number, error: Error | null}>} Merged logs; error is set when a page failed
+ * @private
+ */
+async function fetchLogPages(client, filter, from, to, pageSize, options = {}) {
+  const maxPages = options.maxPages ?? 1;
+  const logs = [];
+  let cursor = options.cursor;
+  let hasMore = false;
+  let pagesFetched = 0;
+
+  while (pagesFetched < maxPages) {
+    const { data, error } = await client.searchLogs(filter, from, to, pageSize, {
+      ...options.searchOptions,
+      cursor,
+    });
+    if (error) {
+      return { logs, nextCursor: cursor ?? null, hasMore, pagesFetched, error };
+    }
+
+    pagesFetched += 1;
+    // The v2 SDK returns logs in data.data (not data.logs)
+    logs.push(...(data?.data || data?.logs || []));
+    cursor = data?.meta?.page?.after ?? undefined;
+    hasMore = !!(data?.links?.next || cursor);
+
+    if (!cursor) {
+      break;
+    }
+  }
+
+  return { logs, nextCursor: cursor ?? null, hasMore, pagesFetched, error: null };
+}
+
+/**
+ * Flatten a log into an export row. Messages are kept whole.
+ * @param {Object} log - Log from the search API
+ * @returns {Object} Row keyed by LOG_EXPORT_COLUMNS
+ * @private
+ */
+function logExportRow(log) {
+  const attributes = log.attributes ?? {};
+  const timestamp = attributes.timestamp ?? log.timestamp;
+  return {
+    id: log.id ?? null,
+    timestamp: timestamp == null ? null : new Date(timestamp).toISOString(),
+    status: attributes.status,
+    service: attributes.service,
+    host: attributes.host,
+    message: attributes.message,
+    tags: attributes.tags ?? [],
+    attributes: attributes.attributes ?? {},
+  };
+}
+
+/**
+ * Export every log matching a search, writing each page as it arrives until the results
+ * end or MAX_EXPORT_LOG_PAGES pages were written. A failure after the first page keeps
+ * what was written and reports where to resume.
+ * @param {LogsClient} client - Logs API client
+ * @param {string} filter - Log filter query
+ * @param {number} from - Start timestamp (milliseconds)
+ * @param {number} to - End timestamp (milliseconds)
+ * @param {{cursor?: string, dir: string, format: string, fields?: Array<string>,
+ *   searchOptions?: Object}} target - Starting cursor, export directory, file format, the
+ *   fields to write as columns (default: LOG_EXPORT_COLUMNS) and the indexes, storage tier and
+ *   sort order to read with
+ * @returns {Promise<Object>} Tool result describing the written file, or error
+ * @private
+ */
+async function exportLogs(
+  client,
+  filter,
+  from,
+  to,
+  { cursor, dir, format, fields, searchOptions }
+) {
+  // Projected fields keep nested objects whole (JSON in CSV) so columns stay fixed
+  const toRow = fields
+    ? (log) =>
+        Object.fromEntries(
+          fields.map((field) => {
+            const value = logFieldValue(log, field);
+            return [field, value instanceof Date ? value.toISOString() : value];
+          })
+        )
+    : logExportRow;
+
+  const first = await client.searchLogs(filter, from, to, 100, { ...searchOptions, cursor });
+  if (first.error) {
+    console.error("Search logs error:", first.error);
+    return {
+      isError: true,
+      content: [
+        {
+          type: "text",
+          text: `Error searching logs: ${formatToolError(first.error.message, first.error?.statusCode)}`,
+        },
+      ],
+    };
+  }
+
+  let nextCursor = first.data?.meta?.page?.after ?? null;
+  let pagesFetched = 1;
+  let error = null;
+  async function* pages() {
+    yield (first.data?.data || first.data?.logs || []).map(toRow);
+    while (nextCursor && pagesFetched < MAX_EXPORT_LOG_PAGES) {
+      const { data, error: pageError } = await client.searchLogs(filter, from, to, 100, {
+        ...searchOptions,
+        cursor: nextCursor,
+      });
+      if (pageError) {
+        error = pageError;
+        return;
+      }
+      pagesFetched += 1;
+      nextCursor = data?.meta?.page?.after ?? null;
+      yield (data?.data || data?.logs || []).map(toRow);
+    }
+  }
+
+  const written = await writeExport({
+    dir,
+    name: "search_logs",
+    format,
+    columns: fields ?? LOG_EXPORT_COLUMNS,
+    pages: pages(),
+  });
+  if (error) {
+    console.error("Search logs error during export:", error);
+  }
+
+  return {
+    isError: false,
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify({
+          ...written,
+          pagesFetched,
+          ...(nextCursor && {
+            truncated: true,
+            next_cursor: nextCursor,
+            ...(error && {
+              warning: `Stopped after ${pagesFetched} page(s): ${formatToolError(error.message, error?.statusCode)}`,
+            }),
+            hint: "Pass next_cursor as cursor to export the rest",
+          }),
+        }),
+      },
+    ],
+  };
+}
+
 /**
  * Handle search_logs tool request.
  * @param {Object} input - Tool input
  * @param {string} input.filter - Log filter query
- * @param {number | string} input.from - Start timestamp
- * @param {number | string} input.to - End timestamp
- * @param {number} [input.limit] - Result limit
+ * @param {number | string} [input.from] - Start time (default: 1 hour before to)
+ * @param {number | string} [input.to] - End time (default: now)
+ * @param {string} [input.timezone] - IANA timezone for relative expressions
+ * @param {number} [input.limit] - Result limit per page
+ * @param {string} [input.cursor] - Pagination cursor from a previous response
+ * @param {number} [input.maxPages] - Number of pages to walk and merge
+ * @param {string} [input.sort] - asc (oldest first, default) or desc (newest first)
+ * @param {Array<string>} [input.fields] - Field paths to return per log instead of the summary
+ * @param {number} [input.maxMessageLength] - Message length limit (0: no limit)
+ * @param {Array<string>} [input.indexes] - Indexes to search (default: all)
+ * @param {string} [input.storageTier] - indexes, online-archives or flex
+ * @param {string} [input.export] - csv or ndjson to write every matching log to a file instead
  * @param {LogsClient} client - Logs API client
+ * @param {{exportDir?: string}} [options] - Tool options
  * @returns {Promise<Object>} Tool result with log entries or error
  */
-async function handleSearchLogs(input, client) {
+async function handleSearchLogs(input, client, options = {}) {
   try {
-    // Validate and parse timestamps (logs API uses milliseconds)
-    const from = parseLogsTimestamp(input.from);
-    const to = parseLogsTimestamp(input.to);
+    // Resolve the time range (logs API uses milliseconds)
+    const { from, to, timeRange } = resolveTimeRange(input.from, input.to, {
+      timezone: input.timezone,
+    });
 
     if (from >= to) {
       return {
@@ -181,10 +665,72 @@ async function handleSearchLogs(input, client) {
 
     const filter = input.filter || "";
     const limit = Math.min(input.limit || 100, 100);
+    const cursor = typeof input.cursor === "string" && input.cursor ? input.cursor : undefined;
+    const maxPages = Math.min(
+      Math.max(Math.floor(Number(input.maxPages) || 1), 1),
+      MAX_SEARCH_PAGES
+    );
+
+    const sort = input.sort ?? "asc";
+    if (!Object.hasOwn(LOG_SORT_ORDERS, sort)) {
+      return {
+        isError: true,
+        content: [{ type: "text", text: 'Error: sort must be "asc" or "desc"' }],
+      };
+    }
+
+    const fields = input.fields;
+    if (
+      fields !== undefined &&
+      (!Array.isArray(fields) ||
+        fields.length === 0 ||
+        fields.length > MAX_LOG_FIELDS ||
+        !fields.every((field) => typeof field === "string" && field.replace(/^@/, "")))
+    ) {
+      return {
+        isError: true,
+        content: [
+          {
+            type: "text",
+            text: `Error: fields must be an array of 1 to ${MAX_LOG_FIELDS} attribute paths`,
+          },
+        ],
+      };
+    }
+    const maxMessageLength = input.maxMessageLength ?? DEFAULT_MAX_MESSAGE_LENGTH;
+    if (!Number.isInteger(maxMessageLength) || maxMessageLength < 0) {
+      return {
+        isError: true,
+        content: [{ type: "text", text: "Error: maxMessageLength must be a non-negative integer" }],
+      };
+    }
 
-    const { data, error } = await client.searchLogs(filter, from, to, limit);
+    const scope = logScope(input);
+    const searchOptions = { ...scope, sort: LOG_SORT_ORDERS[sort] };
+    if (input.export != null) {
+      const exportError = exportOptionError(input.export, options.exportDir);
+      if (exportError) {
+        return { isError: true, content: [{ type: "text", text: `Error: ${exportError}` }] };
+      }
+      return await exportLogs(client, filter, from, to, {
+        cursor,
+        dir: options.exportDir,
+        format: input.export,
+        fields,
+        searchOptions,
+      });
+    }
 
-    if (error) {
+    const { logs, nextCursor, hasMore, pagesFetched, error } = await fetchLogPages(
+      client,
+      filter,
+      from,
+      to,
+      limit,
+      { cursor, maxPages, searchOptions }
+    );
+
+    if (error && pagesFetched === 0) {
       console.error("Search logs error:", error);
       return {
         isError: true,
@@ -197,20 +743,23 @@ async function handleSearchLogs(input, client) {
       };
     }
 
-    // Summarize logs to reduce response size
-    // The v2 SDK returns logs in data.data (not data.logs)
-    const logs = data?.data || data?.logs || [];
-
-    const summarizedLogs = logs.map((log) => ({
-      timestamp: log.timestamp,
-      status: log.attributes?.status,
-      service: log.attributes?.service,
-      message: log.attributes?.message?.substring(0, 200), // Truncate long messages
-      host: log.attributes?.host,
-    }));
+    if (error) {
+      console.error("Search logs error after partial pagination:", error);
+    }
 
-    const hasMore = !!(data?.links?.next || data?.meta?.page?.after);
-    const nextCursor = data?.meta?.page?.after ?? null;
+    // Summarize logs to reduce response size, unless specific fields were asked for
+    const summarizedLogs = fields
+      ? logs.map((log) => projectLog(log, fields, { maxMessageLength }))
+      : logs.map((log) => ({
+          timestamp: log.timestamp,
+          status: log.attributes?.status,
+          service: log.attributes?.service,
+          message:
+            maxMessageLength > 0
+              ? log.attributes?.message?.substring(0, maxMessageLength)
+              : log.attributes?.message,
+          host: log.attributes?.host,
+        }));
 
     return {
       isError: false,
@@ -219,14 +768,17 @@ async function handleSearchLogs(input, client) {
           type: "text",
           text: JSON.stringify({
             filter: filter || "all",
-            timeRange: {
-              from: new Date(from).toISOString(),
-              to: new Date(to).toISOString(),
-            },
+            ...scope,
+            timeRange,
+            sort,
             logsCount: logs.length,
             logs: summarizedLogs,
+            pagesFetched,
             has_more: hasMore,
             next_cursor: nextCursor,
+            ...(error && {
+              warning: `Stopped after ${pagesFetched} page(s): ${formatToolError(error.message, error?.statusCode)}`,
+            }),
           }),
         },
       ],
@@ -281,20 +833,23 @@ async function handleGetLogDetails(input, client) {
       };
     }
 
-    // Summarize details to reduce response size
+    if (!data) {
+      return {
+        isError: true,
+        content: [{ type: "text", text: `Error: Log ${input.logId} not found` }],
+      };
+    }
+
+    // Every custom attribute, flattened to the dotted paths search_logs fields accept (with @)
     const summary = {
       logId: input.logId,
-      timestamp: data.timestamp,
+      timestamp: logFieldValue(data, "timestamp"),
       status: data.attributes?.status,
       service: data.attributes?.service,
       message: data.attributes?.message,
       host: data.attributes?.host,
-      tags: data.attributes?.tags?.slice(0, 10), // Limit tags
-      attributes: Object.fromEntries(
-        Object.entries(data.attributes || {})
-          .slice(0, 15) // Limit total attributes
-          .map(([k, v]) => [k, typeof v === "string" ? v.substring(0, 200) : v])
-      ),
+      tags: data.attributes?.tags ?? [],
+      attributes: flattenAttributes(data.attributes?.attributes),
     };
 
     return {
@@ -320,21 +875,82 @@ async function handleGetLogDetails(input, client) {
   }
 }
 
+/**
+ * Flatten aggregate buckets into table rows.
+ * Total computes yield one row per bucket; timeseries computes yield one row per point.
+ * @param {Object} result - Aggregate response from the SDK ({ data: { buckets } })
+ * @param {string[]} facets - Group-by facet names, in order
+ * @returns {{columns: string[], rows: Array<Object>}} Table columns and rows
+ * @private
+ */
+function flattenAggregateBuckets(result, facets) {
+  const buckets = result?.data?.buckets || result?.buckets || [];
+  const rows = [];
+  let timeseries = false;
+
+  for (const bucket of buckets) {
+    const by = Object.fromEntries(facets.map((facet) => [facet, bucket.by?.[facet] ?? null]));
+    const value = bucket.computes?.c0;
+
+    if (Array.isArray(value)) {
+      timeseries = true;
+      for (const point of value) {
+        rows.push({ ...by, time: point?.time ?? null, value: point?.value ?? null });
+      }
+    } else {
+      rows.push({ ...by, value: value ?? null });
+    }
+  }
+
+  return { columns: [...facets, ...(timeseries ? ["time"] : []), "value"], rows };
+}
+
+/**
+ * Regroup timeseries rows into one series per combination of facet values.
+ * @param {Array<Object>} rows - Rows from flattenAggregateBuckets (with a time column)
+ * @param {string[]} facets - Group-by facet names, in order
+ * @returns {Array<{label: string, points: Array<[number, number|null]>}>} Series
+ * @private
+ */
+function aggregateRowsToSeries(rows, facets) {
+  const series = new Map();
+  for (const row of rows) {
+    const label = facets.map((facet) => `${facet}:${row[facet]}`).join(", ") || "all";
+    if (!series.has(label)) series.set(label, { label, points: [] });
+    const time = typeof row.time === "number" ? row.time : Date.parse(row.time);
+    series.get(label).points.push([time, row.value]);
+  }
+  for (const s of series.values()) s.points.sort((a, b) => a[0] - b[0]);
+  return [...series.values()];
+}
+
 /**
  * Handle aggregate_logs tool request.
  * @param {Object} input - Tool input
  * @param {string} input.filter - Log filter query
- * @param {number | string} input.from - Start timestamp
- * @param {number | string} input.to - End timestamp
+ * @param {number | string} [input.from] - Start time (default: 1 hour before to)
+ * @param {number | string} [input.to] - End time (default: now)
+ * @param {string} [input.timezone] - IANA timezone for relative expressions
  * @param {string} input.aggregationType - Aggregation type
+ * @param {string} [input.metric] - Measure or facet to aggregate
+ * @param {number} [input.percentile] - Percentile for the percentile aggregation
+ * @param {Array<string | Object>} [input.groupBy] - Facets to group by
+ * @param {string} [input.interval] - Timeseries bucket interval
+ * @param {string} [input.cursor] - Bucket page cursor from a previous export
+ * @param {Array<string>} [input.indexes] - Indexes to aggregate over (default: all)
+ * @param {string} [input.storageTier] - indexes, online-archives or flex
+ * @param {string} [input.format] - json, markdown or sparkline
+ * @param {string} [input.export] - csv or ndjson to write every bucket to a file instead
  * @param {LogsClient} client - Logs API client
+ * @param {{exportDir?: string}} [options] - Tool options
  * @returns {Promise<Object>} Tool result with aggregated data or error
  */
-async function handleAggregateLogs(input, client) {
+async function handleAggregateLogs(input, client, options = {}) {
   try {
-    // Validate and parse timestamps (logs API uses milliseconds)
-    const from = parseLogsTimestamp(input.from);
-    const to = parseLogsTimestamp(input.to);
+    // Resolve the time range (logs API uses milliseconds)
+    const { from, to, timeRange } = resolveTimeRange(input.from, input.to, {
+      timezone: input.timezone,
+    });
 
     if (from >= to) {
       return {
@@ -355,30 +971,174 @@ async function handleAggregateLogs(input, client) {
           {
             type: "text",
             text:
-              "Error: aggregationType must be one of: " + "count, avg, percentile, min, max, sum",
+              "Error: aggregationType must be one of: " +
+              "count, cardinality, avg, sum, min, max, median, percentile",
           },
         ],
       };
     }
 
-    const filter = input.filter || "";
-
-    const { data, error } = await client.aggregateLogs(filter, from, to, input.aggregationType);
+    const metric = typeof input.metric === "string" ? input.metric.trim() : "";
+    if (
+      !metric &&
+      input.aggregationType !== "count" &&
+      aggregateLogsTool.inputSchema.properties.aggregationType.enum.includes(input.aggregationType)
+    ) {
+      return {
+        isError: true,
+        content: [
+          {
+            type: "text",
+            text: `Error: metric is required for ${input.aggregationType} (e.g. "@duration")`,
+          },
+        ],
+      };
+    }
 
-    if (error) {
-      console.error("Aggregate logs error:", error);
+    const rawGroupBy = Array.isArray(input.groupBy) ? input.groupBy : [];
+    if (rawGroupBy.length > MAX_GROUP_BY_FACETS) {
       return {
         isError: true,
         content: [
           {
             type: "text",
-            text: `Error aggregating logs: ${formatToolError(error.message, error?.statusCode)}`,
+            text: `Error: groupBy supports at most ${MAX_GROUP_BY_FACETS} facets`,
           },
         ],
       };
     }
+    const groupBy = rawGroupBy.map((g) => (typeof g === "string" ? { facet: g } : g));
 
-    return {
+    const format = input.format ?? "json";
+    if (!FORMATS.includes(format)) {
+      return {
+        isError: true,
+        content: [{ type: "text", text: `Error: format must be one of ${FORMATS.join(", ")}` }],
+      };
+    }
+    if (input.export != null) {
+      const exportError = exportOptionError(input.export, options.exportDir);
+      if (exportError) {
+        return { isError: true, content: [{ type: "text", text: `Error: ${exportError}` }] };
+      }
+    }
+
+    const filter = input.filter || "";
+    const scope = logScope(input);
+    const aggregateOptions = {
+      metric: metric || undefined,
+      percentile: input.percentile,
+      groupBy,
+      interval: input.interval || undefined,
+      cursor: typeof input.cursor === "string" && input.cursor ? input.cursor : undefined,
+      ...scope,
+    };
+
+    const { data, error } = await client.aggregateLogs(
+      filter,
+      from,
+      to,
+      input.aggregationType,
+      aggregateOptions
+    );
+
+    if (error) {
+      console.error("Aggregate logs error:", error);
+      return {
+        isError: true,
+        content: [
+          {
+            type: "text",
+            text: `Error aggregating logs: ${formatToolError(error.message, error?.statusCode)}`,
+          },
+        ],
+      };
+    }
+
+    const facets = groupBy.map((g) => g.facet);
+    const { columns, rows } = flattenAggregateBuckets(data, facets);
+
+    if (input.export) {
+      // Follow bucket pages until the last one
+      let cursor = data?.meta?.page?.after ?? null;
+      let pagesFetched = 1;
+      let pageError = null;
+      const pages = async function* () {
+        yield rows;
+        while (cursor && pagesFetched < MAX_EXPORT_AGGREGATE_PAGES) {
+          const page = await client.aggregateLogs(filter, from, to, input.aggregationType, {
+            ...aggregateOptions,
+            cursor,
+          });
+          if (page.error) {
+            pageError = page.error;
+            return;
+          }
+          pagesFetched += 1;
+          cursor = page.data?.meta?.page?.after ?? null;
+          yield flattenAggregateBuckets(page.data, facets).rows;
+        }
+      };
+
+      const written = await writeExport({
+        dir: options.exportDir,
+        name: "aggregate_logs",
+        format: input.export,
+        columns,
+        pages: pages(),
+      });
+      if (pageError) {
+        console.error("Aggregate logs error during export:", pageError);
+      }
+
+      return {
+        isError: false,
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({
+              ...written,
+              pagesFetched,
+              ...(cursor && {
+                truncated: true,
+                next_cursor: cursor,
+                warning: pageError
+                  ? `Stopped after ${pagesFetched} page(s): ${formatToolError(pageError.message, pageError?.statusCode)}`
+                  : `Stopped after ${MAX_EXPORT_AGGREGATE_PAGES} pages`,
+                hint: "Pass next_cursor as cursor to export the rest",
+              }),
+            }),
+          },
+        ],
+      };
+    }
+
+    if (format !== "json") {
+      const aggregation =
+        input.aggregationType === "percentile"
+          ? `p${input.percentile ?? 95}`
+          : input.aggregationType;
+      const framing = {
+        title: metric ? `${aggregation}(${metric})` : aggregation,
+        details: [
+          `filter: ${filter || "*"}`,
+          ...(facets.length > 0 ? [`by ${facets.join(", ")}`] : []),
+          ...(input.interval ? [`every ${input.interval}`] : []),
+          describeTimeRange(timeRange),
+        ],
+        notes:
+          data?.meta?.status && data.meta.status !== "done"
+            ? [`Aggregation status: ${data.meta.status} (results may be partial)`]
+            : [],
+      };
+      // Totals have no time dimension: both formats render the table
+      const text = columns.includes("time")
+        ? renderSeries(aggregateRowsToSeries(rows, facets), format, framing)
+        : renderRows(columns, rows, framing);
+      return { isError: false, content: [{ type: "text", text }] };
+    }
+
+    return {
       isError: false,
       content: [
         {
@@ -386,12 +1146,20 @@ async function handleAggregateLogs(input, client) {
           text: JSON.stringify(
             {
               aggregationType: input.aggregationType,
+              ...(metric && { metric }),
+              ...(input.aggregationType === "percentile" && {
+                percentile: input.percentile ?? 95,
+              }),
               filter: filter || "all",
-              timeRange: {
-                from: new Date(from).toISOString(),
-                to: new Date(to).toISOString(),
-              },
-              result: data,
+              ...scope,
+              groupBy: groupBy.map((g) => g.facet),
+              ...(input.interval && { interval: input.interval }),
+              timeRange,
+              columns,
+              rowCount: rows.length,
+              rows,
+              ...(data?.meta?.status &&
+                data.meta.status !== "done" && { status: data.meta.status }),
             },
             null,
             2
@@ -413,16 +1181,699 @@ async function handleAggregateLogs(input, client) {
   }
 }
 
+/**
+ * Bucket interval splitting a time range into about the requested number of buckets,
+ * rounded up to whole seconds and written in the largest unit that divides it.
+ * @param {number} rangeMs - Time range length (milliseconds)
+ * @param {number} buckets - Requested number of buckets
+ * @returns {{interval: string, stepMs: number}} Aggregate API interval (e.g. "2m") and its
+ *   length in milliseconds
+ * @private
+ */
+function histogramInterval(rangeMs, buckets) {
+  const seconds = Math.max(1, Math.ceil(rangeMs / buckets / 1000));
+  const [unit, size] = [
+    ["d", 86400],
+    ["h", 3600],
+    ["m", 60],
+    ["s", 1],
+  ].find(([, length]) => seconds % length === 0);
+  return { interval: `${seconds / size}${unit}`, stepMs: seconds * 1000 };
+}
+
+/**
+ * Summarize a series of bucket counts: its total, peak bucket and largest increase from one
+ * bucket to the next (where a burst began).
+ * @param {Array<number>} counts - Count per bucket
+ * @param {Array<string>} times - Bucket start times (ISO), aligned with counts
+ * @returns {{total: number, peak: {time: string, count: number} | null,
+ *   largestIncrease: {time: string, count: number, previous: number} | null}} Summary; peak is
+ *   null without logs, largestIncrease when counts never rise after the first bucket
+ * @private
+ */
+function summarizeHistogram(counts, times) {
+  let total = 0;
+  let peak = null;
+  let largestIncrease = null;
+  counts.forEach((count, i) => {
+    total += count;
+    if (count > 0 && (!peak || count > peak.count)) {
+      peak = { time: times[i], count };
+    }
+    // The first bucket has nothing before it in range: a series that starts high did not
+    // necessarily rise there
+    if (i === 0) return;
+    const previous = counts[i - 1];
+    if (
+      count > previous &&
+      (!largestIncrease || count - previous > largestIncrease.count - largestIncrease.previous)
+    ) {
+      largestIncrease = { time: times[i], count, previous };
+    }
+  });
+  return { total, peak, largestIncrease };
+}
+
+/**
+ * Handle log_histogram tool request.
+ * @param {Object} input - Tool input
+ * @param {string} input.filter - Log filter query
+ * @param {number | string} [input.from] - Start time (default: 1 hour before to)
+ * @param {number | string} [input.to] - End time (default: now)
+ * @param {string} [input.timezone] - IANA timezone for relative expressions
+ * @param {number} [input.buckets] - Number of time buckets
+ * @param {string} [input.groupBy] - status or service to split the counts
+ * @param {number} [input.limit] - Maximum series when grouping
+ * @param {Array<string>} [input.indexes] - Indexes to count in (default: all)
+ * @param {string} [input.storageTier] - indexes, online-archives or flex
+ * @param {string} [input.format] - json, markdown or sparkline
+ * @param {LogsClient} client - Logs API client
+ * @returns {Promise<Object>} Tool result with bucket counts or error
+ */
+async function handleLogHistogram(input, client) {
+  try {
+    const { from, to, timeRange } = resolveTimeRange(input.from, input.to, {
+      timezone: input.timezone,
+    });
+
+    if (from >= to) {
+      return {
+        isError: true,
+        content: [
+          {
+            type: "text",
+            text: "Error: Start time (from) must be before end time (to)",
+          },
+        ],
+      };
+    }
+
+    const buckets = input.buckets ?? DEFAULT_HISTOGRAM_BUCKETS;
+    if (!Number.isInteger(buckets) || buckets < 1 || buckets > MAX_HISTOGRAM_BUCKETS) {
+      return {
+        isError: true,
+        content: [
+          {
+            type: "text",
+            text: `Error: buckets must be an integer from 1 to ${MAX_HISTOGRAM_BUCKETS}`,
+          },
+        ],
+      };
+    }
+    if (input.groupBy != null && !HISTOGRAM_GROUP_BY.includes(input.groupBy)) {
+      return {
+        isError: true,
+        content: [
+          {
+            type: "text",
+            text: `Error: groupBy must be one of ${HISTOGRAM_GROUP_BY.join(", ")}`,
+          },
+        ],
+      };
+    }
+    const limit = input.limit ?? DEFAULT_HISTOGRAM_GROUPS;
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_HISTOGRAM_GROUPS) {
+      return {
+        isError: true,
+        content: [
+          {
+            type: "text",
+            text: `Error: limit must be an integer from 1 to ${MAX_HISTOGRAM_GROUPS}`,
+          },
+        ],
+      };
+    }
+    const format = input.format ?? "json";
+    if (!FORMATS.includes(format)) {
+      return {
+        isError: true,
+        content: [{ type: "text", text: `Error: format must be one of ${FORMATS.join(", ")}` }],
+      };
+    }
+
+    const filter = input.filter || "";
+    const scope = logScope(input);
+    const facets = input.groupBy ? [input.groupBy] : [];
+    const { interval, stepMs } = histogramInterval(to - from, buckets);
+
+    const { data, error } = await client.aggregateLogs(filter, from, to, "count", {
+      groupBy: facets.map((facet) => ({ facet, limit })),
+      interval,
+      ...scope,
+    });
+
+    if (error) {
+      console.error("Log histogram error:", error);
+      return {
+        isError: true,
+        content: [
+          {
+            type: "text",
+            text: `Error aggregating logs: ${formatToolError(error.message, error?.statusCode)}`,
+          },
+        ],
+      };
+    }
+
+    const { rows } = flattenAggregateBuckets(data, facets);
+    const pointSeries = aggregateRowsToSeries(
+      rows.filter((row) => row.time != null),
+      facets
+    );
+    if (facets.length === 0 && pointSeries.length === 0) {
+      pointSeries.push({ label: "all", points: [] });
+    }
+
+    // Empty buckets are left out of the response: lay every series on one grid of buckets,
+    // aligned with the returned bucket times and covering the whole range
+    const firstTime = Math.min(
+      ...pointSeries.flatMap((s) => s.points.map(([time]) => time)).filter(Number.isFinite)
+    );
+    const gridStart = Number.isFinite(firstTime)
+      ? firstTime - Math.floor((firstTime - from) / stepMs) * stepMs
+      : from;
+    const bucketCount = Math.max(1, Math.ceil((to - gridStart) / stepMs));
+    const times = Array.from({ length: bucketCount }, (_, i) =>
+      new Date(gridStart + i * stepMs).toISOString()
+    );
+
+    const series = pointSeries
+      .map((s) => {
+        const counts = new Array(bucketCount).fill(0);
+        for (const [time, value] of s.points) {
+          const index = Math.floor((time - gridStart) / stepMs);
+          if (index >= 0 && index < bucketCount) counts[index] += Number(value) || 0;
+        }
+        return { label: s.label, ...summarizeHistogram(counts, times), counts };
+      })
+      .sort((a, b) => b.total - a.total || a.label.localeCompare(b.label));
+    const total = series.reduce((sum, s) => sum + s.total, 0);
+
+    if (format !== "json") {
+      const text = renderSeries(
+        series.map((s) => ({
+          label: s.label,
+          points: s.counts.map((count, i) => [gridStart + i * stepMs, count]),
+        })),
+        format,
+        {
+          title: "count",
+          details: [
+            `filter: ${filter || "*"}`,
+            ...(input.groupBy ? [`by ${input.groupBy}`] : []),
+            `every ${interval}`,
+            describeTimeRange(timeRange),
+          ],
+          notes: [
+            ...series
+              .filter((s) => s.largestIncrease)
+              .map(
+                (s) =>
+                  `${s.label}: largest increase at ${s.largestIncrease.time} ` +
+                  `(${s.largestIncrease.previous} → ${s.largestIncrease.count})`
+              ),
+            ...(data?.meta?.status && data.meta.status !== "done"
+              ? [`Aggregation status: ${data.meta.status} (results may be partial)`]
+              : []),
+          ],
+        }
+      );
+      return { isError: false, content: [{ type: "text", text }] };
+    }
+
+    return {
+      isError: false,
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({
+            filter: filter || "all",
+            ...scope,
+            groupBy: input.groupBy ?? null,
+            timeRange,
+            interval,
+            bucketCount,
+            total,
+            times,
+            series,
+            ...(data?.meta?.status && data.meta.status !== "done" && { status: data.meta.status }),
+          }),
+        },
+      ],
+    };
+  } catch (error) {
+    console.error("Error handling log_histogram:", error);
+    return {
+      isError: true,
+      content: [
+        {
+          type: "text",
+          text: `Error: ${formatToolError(error?.message ?? String(error), error?.statusCode)}`,
+        },
+      ],
+    };
+  }
+}
+
+/**
+ * Handle cluster_log_patterns tool request.
+ * @param {Object} input - Tool input
+ * @param {string} input.filter - Log filter query
+ * @param {number|string} [input.from] - Start time (default: 1 hour ago)
+ * @param {number|string} [input.to] - End time (default: now)
+ * @param {string} [input.timezone] - IANA timezone for dates without an offset
+ * @param {number} [input.maxPages] - Pages of 100 logs to analyze
+ * @param {number} [input.limit] - Maximum patterns to return
+ * @param {LogsClient} client - Logs API client
+ * @returns {Promise<Object>} Tool result with patterns or error
+ */
+async function handleClusterLogPatterns(input, client) {
+  try {
+    const { from, to, timeRange } = resolveTimeRange(input.from, input.to, {
+      timezone: input.timezone,
+    });
+    if (from >= to) {
+      return {
+        isError: true,
+        content: [{ type: "text", text: "Error: Start time (from) must be before end time (to)" }],
+      };
+    }
+
+    const maxPages = input.maxPages ?? DEFAULT_PATTERN_PAGES;
+    const limit = input.limit ?? DEFAULT_PATTERNS;
+    if (!Number.isInteger(maxPages) || maxPages < 1 || maxPages > MAX_PATTERN_PAGES) {
+      return {
+        isError: true,
+        content: [
+          {
+            type: "text",
+            text: `Error: maxPages must be an integer between 1 and ${MAX_PATTERN_PAGES}`,
+          },
+        ],
+      };
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PATTERNS) {
+      return {
+        isError: true,
+        content: [
+          { type: "text", text: `Error: limit must be an integer between 1 and ${MAX_PATTERNS}` },
+        ],
+      };
+    }
+
+    const filter = input.filter || "";
+    const { logs, hasMore, pagesFetched, error } = await fetchLogPages(
+      client,
+      filter,
+      from,
+      to,
+      100,
+      { maxPages }
+    );
+
+    if (error && pagesFetched === 0) {
+      console.error("Search logs error:", error);
+      return {
+        isError: true,
+        content: [
+          {
+            type: "text",
+            text: `Error searching logs: ${formatToolError(error.message, error?.statusCode)}`,
+          },
+        ],
+      };
+    }
+    if (error) {
+      console.error("Search logs error after partial pagination:", error);
+    }
+
+    const patterns = clusterLogPatterns(logs);
+
+    return {
+      isError: false,
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({
+            filter: filter || "all",
+            timeRange,
+            logsAnalyzed: logs.length,
+            pagesFetched,
+            patternCount: patterns.length,
+            patterns: patterns.slice(0, limit).map((pattern) => ({
+              ...pattern,
+              percentOfLogs: Math.round((pattern.count / logs.length) * 1000) / 10,
+              sampleMessage: pattern.sampleMessage.substring(0, 200),
+            })),
+            ...(patterns.length > limit && { truncated: { patterns: patterns.length - limit } }),
+            ...(hasMore &&
+              !error && {
+                hint:
+                  `Only the first ${logs.length} matching logs were analyzed; ` +
+                  "raise maxPages or narrow the filter or time range to cover the rest",
+              }),
+            ...(error && {
+              warning: `Stopped after ${pagesFetched} page(s): ${formatToolError(error.message, error?.statusCode)}`,
+            }),
+          }),
+        },
+      ],
+    };
+  } catch (error) {
+    console.error("Error handling cluster_log_patterns:", error);
+    return {
+      isError: true,
+      content: [
+        {
+          type: "text",
+          text: `Error: ${formatToolError(error?.message ?? String(error), error?.statusCode)}`,
+        },
+      ],
+    };
+  }
+}
+
+/**
+ * Compact form of a log streamed by tail_logs.
+ * @param {Object} log - Log from the search API
+ * @returns {{id: string, timestamp: string|null, status?: string, service?: string,
+ *   host?: string, message?: string}} Summary; messages are cut to 200 characters
+ * @private
+ */
+function tailLogSummary(log) {
+  const attributes = log.attributes ?? {};
+  const time = new Date(attributes.timestamp ?? log.timestamp).getTime();
+  return {
+    id: log.id,
+    timestamp: Number.isFinite(time) ? new Date(time).toISOString() : null,
+    status: attributes.status,
+    service: attributes.service,
+    host: attributes.host,
+    message: attributes.message?.substring(0, 200),
+  };
+}
+
+/**
+ * Wait between polls, returning early when the call is cancelled.
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} [signal] - Cancellation signal
+ * @returns {Promise<void>}
+ * @private
+ */
+function waitForNextPoll(ms, signal) {
+  return new Promise((resolve) => {
+    if (signal?.aborted) {
+      resolve();
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * Send an MCP notification for the current call. Failures (e.g. a closed transport) are
+ * logged and otherwise ignored so the tail keeps its results.
+ * @param {((payload: Object) => Promise<void>) | undefined} send - Context sender
+ *   (sendLoggingMessage or sendNotification); nothing is sent without one
+ * @param {Object} payload - Logging message params, or a notification ({method, params})
+ * @returns {Promise<void>}
+ * @private
+ */
+async function sendTailNotification(send, payload) {
+  try {
+    await send?.(payload);
+  } catch (error) {
+    console.error("tail_logs notification error:", error);
+  }
+}
+
+/**
+ * Handle tail_logs tool request.
+ * @param {Object} input - Tool input
+ * @param {string} input.filter - Log filter query
+ * @param {number} [input.durationSeconds] - How long to watch
+ * @param {number} [input.maxLogs] - Stop after this many logs
+ * @param {number} [input.pollIntervalSeconds] - Seconds between polls
+ * @param {number} [input.lookbackSeconds] - Seconds before the start to include
+ * @param {LogsClient} client - Logs API client
+ * @param {Object} [context] - Request context from the server
+ * @param {AbortSignal} [context.signal] - Aborted when the client cancels the call
+ * @param {string|number} [context.progressToken] - Progress token sent by the client
+ * @param {(notification: Object) => Promise<void>} [context.sendNotification] - Sends a
+ *   notification related to this call
+ * @param {(params: Object) => Promise<void>} [context.sendLoggingMessage] - Sends a log
+ *   message unless the client's logging level filters it out
+ * @returns {Promise<Object>} Tool result with the collected logs or error
+ */
+async function handleTailLogs(input, client, context = {}) {
+  try {
+    const durationSeconds = input.durationSeconds ?? DEFAULT_TAIL_SECONDS;
+    const maxLogs = input.maxLogs ?? DEFAULT_TAIL_LOGS;
+    const pollIntervalSeconds = input.pollIntervalSeconds ?? DEFAULT_TAIL_POLL_SECONDS;
+    const lookbackSeconds = input.lookbackSeconds ?? 0;
+    let invalid = null;
+    if (
+      !Number.isInteger(durationSeconds) ||
+      durationSeconds < 1 ||
+      durationSeconds > MAX_TAIL_SECONDS
+    ) {
+      invalid = `durationSeconds must be an integer between 1 and ${MAX_TAIL_SECONDS}`;
+    } else if (!Number.isInteger(maxLogs) || maxLogs < 1 || maxLogs > MAX_TAIL_LOGS) {
+      invalid = `maxLogs must be an integer between 1 and ${MAX_TAIL_LOGS}`;
+    } else if (
+      !Number.isInteger(pollIntervalSeconds) ||
+      pollIntervalSeconds < MIN_TAIL_POLL_SECONDS ||
+      pollIntervalSeconds > MAX_TAIL_POLL_SECONDS
+    ) {
+      invalid =
+        `pollIntervalSeconds must be an integer between ${MIN_TAIL_POLL_SECONDS} ` +
+        `and ${MAX_TAIL_POLL_SECONDS}`;
+    } else if (
+      !Number.isInteger(lookbackSeconds) ||
+      lookbackSeconds < 0 ||
+      lookbackSeconds > MAX_TAIL_LOOKBACK_SECONDS
+    ) {
+      invalid = `lookbackSeconds must be an integer between 0 and ${MAX_TAIL_LOOKBACK_SECONDS}`;
+    }
+    if (invalid) {
+      return { isError: true, content: [{ type: "text", text: `Error: ${invalid}` }] };
+    }
+
+    const filter = input.filter || "";
+    const { signal, progressToken } = context;
+    const startedAt = Date.now();
+    const deadline = startedAt + durationSeconds * 1000;
+    // One poll at the start, one per interval and a last one at the deadline
+    const plannedPolls = Math.ceil(durationSeconds / pollIntervalSeconds) + 1;
+    const tailFrom = startedAt - lookbackSeconds * 1000;
+    const seen = new Set();
+    const collected = [];
+    let windowFrom = tailFrom;
+    let polls = 0;
+    let busyPolls = 0;
+    let stoppedBy = "duration";
+    let error = null;
+
+    while (true) {
+      if (signal?.aborted) {
+        stoppedBy = "cancelled";
+        break;
+      }
+
+      const now = Date.now();
+      if (now > windowFrom) {
+        const page = await fetchLogPages(client, filter, windowFrom, now, 100, {
+          maxPages: TAIL_PAGES_PER_POLL,
+          searchOptions: { signal },
+        });
+        if (page.error && signal?.aborted) {
+          stoppedBy = "cancelled";
+          break;
+        }
+        if (page.error) {
+          if (polls === 0) {
+            console.error("Search logs error:", page.error);
+            return {
+              isError: true,
+              content: [
+                {
+                  type: "text",
+                  text: `Error searching logs: ${formatToolError(page.error.message, page.error?.statusCode)}`,
+                },
+              ],
+            };
+          }
+          console.error("Search logs error while tailing:", page.error);
+          error = page.error;
+          stoppedBy = "error";
+          break;
+        }
+
+        polls += 1;
+        if (page.hasMore) busyPolls += 1;
+        // Windows overlap by the ingestion lag; only logs not seen before are new
+        const fresh = page.logs
+          .filter((log) => log.id && !seen.has(log.id))
+          .map(tailLogSummary)
+          .sort((a, b) => (a.timestamp ?? "").localeCompare(b.timestamp ?? ""))
+          .slice(0, maxLogs - collected.length);
+        windowFrom = Math.max(tailFrom, now - TAIL_INGESTION_LAG_MS);
+
+        if (fresh.length > 0) {
+          for (const log of fresh) seen.add(log.id);
+          collected.push(...fresh);
+          await sendTailNotification(context.sendLoggingMessage, {
+            level: "info",
+            logger: "tail_logs",
+            data: { filter, logs: fresh },
+          });
+        }
+        // Sent after every poll, so a quiet tail still resets timeouts that reset on progress
+        if (progressToken !== undefined) {
+          await sendTailNotification(context.sendNotification, {
+            method: "notifications/progress",
+            params: {
+              progressToken,
+              progress: polls,
+              total: plannedPolls,
+              message: `Poll ${polls}: ${fresh.length} new log(s), ${collected.length} in total`,
+            },
+          });
+        }
+
+        if (collected.length >= maxLogs) {
+          stoppedBy = "maxLogs";
+          break;
+        }
+      }
+
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) break;
+      await waitForNextPoll(Math.min(pollIntervalSeconds * 1000, remaining), signal);
+    }
+
+    return {
+      isError: false,
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({
+            filter: filter || "all",
+            timeRange: {
+              from: new Date(tailFrom).toISOString(),
+              to: new Date().toISOString(),
+            },
+            stoppedBy,
+            polls,
+            logsCount: collected.length,
+            logs: collected,
+            ...(busyPolls > 0 && {
+              hint:
+                `${busyPolls} poll(s) matched more than ${TAIL_PAGES_PER_POLL * 100} logs, so ` +
+                "some logs may be missing; narrow the filter or shorten pollIntervalSeconds",
+            }),
+            ...(error && {
+              warning: `Stopped after ${polls} poll(s): ${formatToolError(error.message, error?.statusCode)}`,
+            }),
+          }),
+        },
+      ],
+    };
+  } catch (error) {
+    console.error("Error handling tail_logs:", error);
+    return {
+      isError: true,
+      content: [
+        {
+          type: "text",
+          text: `Error: ${formatToolError(error?.message ?? String(error), error?.statusCode)}`,
+        },
+      ],
+    };
+  }
+}
+
+/**
+ * Handle list_log_indexes tool request.
+ * @param {Object} _input - Tool input (none)
+ * @param {LogsClient} client - Logs API client
+ * @returns {Promise<Object>} Tool result with indexes or error
+ */
+async function handleListLogIndexes(_input, client) {
+  try {
+    const { data, error } = await client.listIndexes();
+
+    if (error) {
+      console.error("List log indexes error:", error);
+      return {
+        isError: true,
+        content: [
+          {
+            type: "text",
+            text: `Error listing log indexes: ${formatToolError(error.message, error?.statusCode)}`,
+          },
+        ],
+      };
+    }
+
+    const indexes = (data?.indexes ?? []).map((index) => ({
+      name: index.name,
+      filter: index.filter?.query ?? null,
+      retentionDays: index.numRetentionDays ?? null,
+      flexRetentionDays: index.numFlexLogsRetentionDays ?? null,
+      dailyLimit: index.dailyLimit ?? null,
+      ...(index.dailyLimitReset && { dailyLimitReset: index.dailyLimitReset }),
+      ...(index.dailyLimitWarningThresholdPercentage != null && {
+        dailyLimitWarningThresholdPercentage: index.dailyLimitWarningThresholdPercentage,
+      }),
+      rateLimited: index.isRateLimited ?? false,
+      exclusionFilters: (index.exclusionFilters ?? []).map((exclusion) => ({
+        name: exclusion.name,
+        enabled: exclusion.isEnabled ?? false,
+        query: exclusion.filter?.query ?? null,
+        sampleRate: exclusion.filter?.sampleRate ?? null,
+      })),
+    }));
+
+    return {
+      isError: false,
+      content: [{ type: "text", text: JSON.stringify({ count: indexes.length, indexes }) }],
+    };
+  } catch (error) {
+    console.error("Error handling list_log_indexes:", error);
+    return {
+      isError: true,
+      content: [
+        {
+          type: "text",
+          text: `Error: ${formatToolError(error?.message ?? String(error), error?.statusCode)}`,
+        },
+      ],
+    };
+  }
+}
+
 /**
  * Get all logs tools.
  * @param {LogsClient} client - Logs API client instance
+ * @param {Object} [options] - Tool options
+ * @param {string} [options.exportDir] - Directory for search_logs and aggregate_logs exports
+ *   (default: disabled)
  * @returns {Array<Object>} Array of tool definitions with handlers
  */
-export function getLogsTools(client) {
+export function getLogsTools(client, options = {}) {
   return [
     {
       ...searchLogsTool,
-      handler: (input) => handleSearchLogs(input, client),
+      handler: (input) => handleSearchLogs(input, client, options),
     },
     {
       ...getLogDetailsTool,
@@ -430,7 +1881,23 @@ export function getLogsTools(client) {
     },
     {
       ...aggregateLogsTool,
-      handler: (input) => handleAggregateLogs(input, client),
+      handler: (input) => handleAggregateLogs(input, client, options),
+    },
+    {
+      ...logHistogramTool,
+      handler: (input) => handleLogHistogram(input, client),
+    },
+    {
+      ...clusterLogPatternsTool,
+      handler: (input) => handleClusterLogPatterns(input, client),
+    },
+    {
+      ...tailLogsTool,
+      handler: (input, context) => handleTailLogs(input, client, context),
+    },
+    {
+      ...listLogIndexesTool,
+      handler: (input) => handleListLogIndexes(input, client),
     },
   ];
 }
@@ -4,34 +4,64 @@
  */
 
 import { formatToolError } from "#utils/toolErrors.js";
+import { parseTime, resolveTimeRange, timeRangeInputProperties } from "#utils/time.js";
+import { buildMetricQuery, metricQueryInputSchema, validateFormulas } from "#utils/metricQuery.js";
+import { summarizeSeries, downsampleLttb, compareSummaries } from "#utils/seriesStats.js";
+import {
+  SEASONALITIES,
+  detectRollingZScore,
+  detectSeasonal,
+  detectChangePoints,
+} from "#utils/anomalies.js";
+import { groupTagsByKey, closestMatches, suggestFilterTags } from "#utils/metricTags.js";
+import { lintMetricQuery } from "#utils/metricQueryLint.js";
+import { estimateCardinality, volumesFrom } from "#utils/metricCardinality.js";
+import {
+  FORMATS,
+  formatInputProperties,
+  renderSeries,
+  describeTimeRange,
+} from "#utils/seriesFormat.js";
+import { exportInputProperties, exportOptionError, writeExport } from "#utils/export.js";
 
-/**
- * Convert various time formats to Unix timestamp in seconds.
- * @param {number | string} time - Time value (Unix seconds, ISO 8601 string)
- * @returns {number} Unix timestamp in seconds
- * @private
- */
-function parseTimestamp(time) {
-  if (typeof time === "number") {
-    return time;
-  }
+// Response limits shared by both query modes
+const MAX_SERIES = 50;
+const MAX_POINTS = 100;
+const MAX_SUMMARY_SERIES = 500;
+const OUTPUT_MODES = ["raw", "summary", "downsample"];
 
-  if (typeof time === "string") {
-    // Try ISO 8601 format
-    const isoTime = new Date(time).getTime();
-    if (!Number.isNaN(isoTime)) {
-      return Math.floor(isoTime / 1000);
-    }
+// Tag discovery limits
+const MAX_SAMPLE_VALUES = 5;
+const DEFAULT_TAG_VALUES_LIMIT = 100;
+const MAX_TAG_VALUES_LIMIT = 1000;
 
-    // Try Unix seconds
-    const unixSeconds = parseInt(time, 10);
-    if (!Number.isNaN(unixSeconds)) {
-      return unixSeconds;
-    }
-  }
+// Cardinality report limits; metrics are analyzed a few at a time (four API calls each)
+const DEFAULT_CARDINALITY_METRICS = 10;
+const MAX_CARDINALITY_METRICS = 50;
+const DEFAULT_TOP_TAG_KEYS = 5;
+const MAX_TOP_TAG_KEYS = 50;
+const CARDINALITY_BATCH_SIZE = 5;
 
-  throw new Error(`Invalid timestamp format: ${time}`);
-}
+// Metric submission: intake types and the limits of one submit_metrics call
+const METRIC_INTAKE_TYPES = { count: 1, rate: 2, gauge: 3 };
+const MAX_SUBMIT_SERIES = 20;
+const MAX_SUBMIT_POINTS = 100;
+// Datadog only accepts points up to 10 minutes ahead and 1 hour old
+const SUBMIT_MAX_FUTURE_MS = 10 * 60 * 1000;
+const SUBMIT_MAX_AGE_MS = 60 * 60 * 1000;
+
+// Anomaly detection for detect_metric_anomalies
+const ANOMALY_METHODS = ["zscore", "seasonal", "changepoint"];
+const DEFAULT_HISTORY_DAYS = { hour_of_day: 7, day_of_week: 28 };
+const MAX_HISTORY_DAYS = 90;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Baseline shifts for compare_metrics
+const BASELINE_SHIFTS_MS = {
+  "1h": 60 * 60 * 1000,
+  "1d": MS_PER_DAY,
+  "1w": 7 * MS_PER_DAY,
+};
 
 /**
  * Query Metrics tool definition.
@@ -42,7 +72,9 @@ const queryMetricsTool = {
   name: "query_metrics",
   description:
     "Query Datadog metrics data for a specified time range. Returns " +
-    "time-series data with values aggregated over the specified period.",
+    "time-series data with values aggregated over the specified period. " +
+    "Pass metricName (and filter) for a single metric, or `queries` plus `formulas` to combine " +
+    'several named queries, e.g. queries a and b with formula "a / b * 100".',
   readOnlyHint: true,
   destructiveHint: false,
   idempotentHint: true,
@@ -53,26 +85,54 @@ const queryMetricsTool = {
       metricName: {
         type: "string",
         description:
-          'Metric name to query (e.g., "system.cpu.user", ' + '"avg:system.memory.free")',
+          'Metric name to query (e.g., "system.cpu.user", ' +
+          '"avg:system.memory.free"); required unless queries is set',
       },
-      from: {
-        oneOf: [{ type: "number" }, { type: "string" }],
+      ...timeRangeInputProperties,
+      filter: {
+        type: "string",
         description:
-          "Start time as Unix timestamp in seconds or ISO 8601 string " +
-          "(e.g., 1609459200 or '2021-01-01T00:00:00Z')",
+          "Optional filter expression to scope the metric " + "(e.g., 'host:web-1', 'env:prod')",
       },
-      to: {
-        oneOf: [{ type: "number" }, { type: "string" }],
+      queries: {
+        type: "array",
+        items: metricQueryInputSchema,
         description:
-          "End time as Unix timestamp in seconds or ISO 8601 string " + "(must be after 'from')",
+          "Formula mode: named metric queries with explicit aggregator, filter, groupBy and rollup",
       },
-      filter: {
+      formulas: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            formula: { type: "string" },
+            alias: { type: "string", description: "Label for the resulting series" },
+          },
+          required: ["formula"],
+        },
+        description:
+          'Formula mode: expressions over query names, e.g. "a / b * 100" ' +
+          "(default: one formula per query)",
+      },
+      interval: {
+        type: "number",
+        description: "Formula mode: seconds between points (default: chosen by Datadog)",
+      },
+      output: {
         type: "string",
+        enum: OUTPUT_MODES,
         description:
-          "Optional filter expression to scope the metric " + "(e.g., 'host:web-1', 'env:prod')",
+          "raw: points, capped at 50 series and the latest 100 points each (default); " +
+          "summary: per-series min, max, mean, last, p50/p95/p99, trend slope and largest " +
+          "spike over all points; downsample: LTTB-downsampled points that keep the shape",
+      },
+      maxPoints: {
+        type: "number",
+        description: "Point budget per series for output=downsample (default: 100, min: 3)",
       },
+      ...formatInputProperties,
+      ...exportInputProperties,
     },
-    required: ["metricName", "from", "to"],
   },
 };
 
@@ -134,21 +194,347 @@ const listMetricsTool = {
   },
 };
 
+/**
+ * Compare Metrics tool definition.
+ * Compares a metric over the current window with the same window shifted back in time.
+ * @type {Object}
+ */
+const compareMetricsTool = {
+  name: "compare_metrics",
+  description:
+    "Compare a metric over a time window with the same window 1 hour, 1 day or 1 week earlier " +
+    '(e.g. "is this higher than the same time last week?"). Returns per-series mean, deltas, ' +
+    "percentage change and whether the deviation is statistically significant.",
+  readOnlyHint: true,
+  destructiveHint: false,
+  idempotentHint: true,
+  openWorldHint: true,
+  inputSchema: {
+    type: "object",
+    properties: {
+      metricName: {
+        type: "string",
+        description: 'Metric name to compare (e.g., "trace.http.request.errors")',
+      },
+      ...timeRangeInputProperties,
+      filter: {
+        type: "string",
+        description:
+          "Optional filter expression to scope the metric " + "(e.g., 'host:web-1', 'env:prod')",
+      },
+      baselines: {
+        type: "array",
+        items: { type: "string", enum: Object.keys(BASELINE_SHIFTS_MS) },
+        description: 'Baselines to compare against (default: ["1d", "1w"])',
+      },
+      significanceThreshold: {
+        type: "number",
+        description:
+          "Welch t-statistic at or above which a change is flagged significant (default: 2)",
+      },
+    },
+    required: ["metricName"],
+  },
+};
+
+/**
+ * Detect Metric Anomalies tool definition.
+ * Runs local anomaly and change-point detection over a fetched metric series.
+ * @type {Object}
+ */
+const detectMetricAnomaliesTool = {
+  name: "detect_metric_anomalies",
+  description:
+    "Find when a metric started misbehaving. Fetches the series and detects anomalous " +
+    "intervals with a rolling z-score, a seasonal (hour-of-day or day-of-week) baseline from " +
+    "earlier history, and change points where the mean shifts. Returns intervals with " +
+    "severity and the earliest anomaly per series.",
+  readOnlyHint: true,
+  destructiveHint: false,
+  idempotentHint: true,
+  openWorldHint: true,
+  inputSchema: {
+    type: "object",
+    properties: {
+      metricName: {
+        type: "string",
+        description: 'Metric name to analyze (e.g., "trace.http.request.errors")',
+      },
+      ...timeRangeInputProperties,
+      filter: {
+        type: "string",
+        description:
+          "Optional filter expression to scope the metric " + "(e.g., 'host:web-1', 'env:prod')",
+      },
+      methods: {
+        type: "array",
+        items: { type: "string", enum: ANOMALY_METHODS },
+        description: `Detection methods to run (default: all of ${ANOMALY_METHODS.join(", ")})`,
+      },
+      threshold: {
+        type: "number",
+        description: "|z-score| at or above which a point is anomalous (default: 3)",
+      },
+      window: {
+        type: "integer",
+        description: "Trailing points used as the rolling z-score baseline (default: 30)",
+      },
+      seasonality: {
+        type: "string",
+        enum: SEASONALITIES,
+        description: "Seasonal buckets, in the request timezone (default: hour_of_day)",
+      },
+      historyDays: {
+        type: "integer",
+        description:
+          "Days before the window used as the seasonal baseline " +
+          `(default: 7 for hour_of_day, 28 for day_of_week; max ${MAX_HISTORY_DAYS})`,
+      },
+    },
+    required: ["metricName"],
+  },
+};
+
+/**
+ * List Metric Tag Keys tool definition.
+ * Lists the tag keys reported for a metric, with value counts and sample values.
+ * @type {Object}
+ */
+const listMetricTagKeysTool = {
+  name: "list_metric_tag_keys",
+  description:
+    "List the tag keys actually reported for a metric, with value counts, sample values and " +
+    "whether each key is actively queried. Use before filtering query_metrics to avoid " +
+    "guessing tags (e.g. env:prod vs env:production).",
+  readOnlyHint: true,
+  destructiveHint: false,
+  idempotentHint: true,
+  openWorldHint: true,
+  inputSchema: {
+    type: "object",
+    properties: {
+      metricName: {
+        type: "string",
+        description: 'Metric name (e.g., "trace.http.request.hits")',
+      },
+      search: {
+        type: "string",
+        description:
+          'Optional partial tag; keeps keys whose name or values contain it (e.g., "prod")',
+      },
+    },
+    required: ["metricName"],
+  },
+};
+
+/**
+ * List Metric Tag Values tool definition.
+ * Lists the values reported for one tag key of a metric.
+ * @type {Object}
+ */
+const listMetricTagValuesTool = {
+  name: "list_metric_tag_values",
+  description:
+    "List the values reported for one tag key of a metric (e.g. every env or service), " +
+    "optionally filtered by a partial value. Suggests close keys when the key is not reported.",
+  readOnlyHint: true,
+  destructiveHint: false,
+  idempotentHint: true,
+  openWorldHint: true,
+  inputSchema: {
+    type: "object",
+    properties: {
+      metricName: {
+        type: "string",
+        description: 'Metric name (e.g., "trace.http.request.hits")',
+      },
+      tagKey: {
+        type: "string",
+        description: 'Tag key (e.g., "env", "service")',
+      },
+      search: {
+        type: "string",
+        description: 'Optional partial value to filter by (e.g., "prod")',
+      },
+      limit: {
+        type: "integer",
+        description: `Maximum values to return (default: ${DEFAULT_TAG_VALUES_LIMIT}, max: ${MAX_TAG_VALUES_LIMIT})`,
+      },
+    },
+    required: ["metricName", "tagKey"],
+  },
+};
+
+/**
+ * Metric Cardinality Report tool definition.
+ * Ranks metrics by series count and estimates which tag keys drive it.
+ * @type {Object}
+ */
+const metricCardinalityReportTool = {
+  name: "metric_cardinality_report",
+  description:
+    "Rank metrics by cardinality (distinct series) to target custom metric cost reductions. " +
+    "For one metric or every metric starting with a prefix, reports Datadog's series volumes, " +
+    "tag configuration and the tag keys estimated to add the most series, flagging keys that " +
+    "are not actively queried as reduction candidates. Tag key estimates assume independent " +
+    "tag values, so treat them as upper bounds.",
+  readOnlyHint: true,
+  destructiveHint: false,
+  idempotentHint: true,
+  openWorldHint: true,
+  inputSchema: {
+    type: "object",
+    properties: {
+      metricName: {
+        type: "string",
+        description: 'Metric name (e.g., "app.checkout.latency"); use this or prefix',
+      },
+      prefix: {
+        type: "string",
+        description:
+          'Metric name prefix (e.g., "app.checkout."); reports every metric from list_metrics ' +
+          "that starts with it",
+      },
+      limit: {
+        type: "integer",
+        description: `Maximum metrics to analyze for a prefix (default: ${DEFAULT_CARDINALITY_METRICS}, max: ${MAX_CARDINALITY_METRICS})`,
+      },
+      topTagKeys: {
+        type: "integer",
+        description: `Tag keys to report per metric (default: ${DEFAULT_TOP_TAG_KEYS}, max: ${MAX_TOP_TAG_KEYS})`,
+      },
+    },
+  },
+};
+
+/**
+ * Validate Metric Query tool definition.
+ * Checks metric query syntax locally and optionally against the API.
+ * @type {Object}
+ */
+const validateMetricQueryTool = {
+  name: "validate_metric_query",
+  description:
+    "Check a raw Datadog metric query string before running it: aggregator, metric name, " +
+    "scope braces, `by {}` clauses, functions and rollups. Returns errors with character " +
+    "positions, suggested fixes and a corrected query; set checkApi to also confirm with Datadog.",
+  readOnlyHint: true,
+  destructiveHint: false,
+  idempotentHint: true,
+  openWorldHint: true,
+  inputSchema: {
+    type: "object",
+    properties: {
+      query: {
+        type: "string",
+        description: 'Metric query (e.g., "sum:trace.http.request.hits{env:prod} by {service}")',
+      },
+      checkApi: {
+        type: "boolean",
+        description:
+          "Also run the query against the API over the last minute when the local check " +
+          "passes (default: false)",
+      },
+    },
+    required: ["query"],
+  },
+};
+
+/**
+ * Submit Metrics tool definition.
+ * Sends custom metric points; only registered when writes are enabled.
+ * @type {Object}
+ */
+const submitMetricsTool = {
+  name: "submit_metrics",
+  description:
+    "Submit custom metric points to Datadog (e.g. a deploy.canary.score marker during an " +
+    "investigation). Supports gauge, count and rate series with tags and several points. " +
+    "Set dryRun to validate and return the payload without sending it.",
+  readOnlyHint: false,
+  destructiveHint: false,
+  idempotentHint: false,
+  openWorldHint: true,
+  inputSchema: {
+    type: "object",
+    properties: {
+      series: {
+        type: "array",
+        description: `Series to submit (at most ${MAX_SUBMIT_SERIES})`,
+        items: {
+          type: "object",
+          properties: {
+            metric: {
+              type: "string",
+              description: 'Metric name (e.g., "deploy.canary.score")',
+            },
+            type: {
+              type: "string",
+              enum: Object.keys(METRIC_INTAKE_TYPES),
+              description: "Metric type (default: gauge)",
+            },
+            points: {
+              type: "array",
+              description:
+                `Points (at most ${MAX_SUBMIT_POINTS}); timestamps accept the same formats as ` +
+                "query time ranges and default to now, within the last hour",
+              items: {
+                type: "object",
+                properties: {
+                  timestamp: { type: ["number", "string"] },
+                  value: { type: "number" },
+                },
+                required: ["value"],
+              },
+            },
+            tags: {
+              type: "array",
+              items: { type: "string" },
+              description: 'Tags such as ["env:prod", "service:checkout"]',
+            },
+            unit: { type: "string", description: 'Optional unit (e.g., "second")' },
+            interval: {
+              type: "integer",
+              description: "Interval in seconds covered by each point; required for rate",
+            },
+          },
+          required: ["metric", "points"],
+        },
+      },
+      dryRun: {
+        type: "boolean",
+        description: "Validate and return the payload without sending it (default: false)",
+      },
+    },
+    required: ["series"],
+  },
+};
+
 /**
  * Handle query_metrics tool request.
  * @param {Object} input - Tool input
  * @param {string} input.metricName - Metric name to query
- * @param {number | string} input.from - Start timestamp
- * @param {number | string} input.to - End timestamp
+ * @param {number | string} [input.from] - Start time (default: 1 hour before to)
+ * @param {number | string} [input.to] - End time (default: now)
+ * @param {string} [input.timezone] - IANA timezone for relative expressions
  * @param {string} [input.filter] - Optional filter expression
+ * @param {Array<Object>} [input.queries] - Named structured queries (formula mode)
+ * @param {Array<Object|string>} [input.formulas] - Formulas over the query names (formula mode)
+ * @param {number} [input.interval] - Seconds between points (formula mode)
+ * @param {string} [input.output] - raw, summary or downsample (default: raw)
+ * @param {number} [input.maxPoints] - Point budget per series when downsampling
+ * @param {string} [input.format] - json, markdown or sparkline (default: json)
+ * @param {string} [input.export] - csv or ndjson to write every point to a file instead
  * @param {MetricsClient} client - Metrics API client
+ * @param {{exportDir?: string}} [options] - Tool options
  * @returns {Promise<Object>} Tool result with metric data or error
  */
-async function handleQueryMetrics(input, client) {
+async function handleQueryMetrics(input, client, options = {}) {
   try {
-    // Validate and parse timestamps
-    const from = parseTimestamp(input.from);
-    const to = parseTimestamp(input.to);
+    // Resolve the time range (metrics API uses seconds)
+    const range = resolveTimeRange(input.from, input.to, { timezone: input.timezone });
+    const from = Math.floor(range.from / 1000);
+    const to = Math.floor(range.to / 1000);
 
     if (from >= to) {
       return {
@@ -162,37 +548,57 @@ async function handleQueryMetrics(input, client) {
       };
     }
 
-    const metricName = typeof input.metricName === "string" ? input.metricName.trim() : "";
-    if (!metricName) {
+    const output = input.output ?? "raw";
+    if (!OUTPUT_MODES.includes(output)) {
       return {
         isError: true,
         content: [
           {
             type: "text",
-            text: "Error: metricName must be a non-empty string",
+            text: `Error: output must be one of ${OUTPUT_MODES.join(", ")}`,
           },
         ],
       };
     }
-
-    // Sanitize filter: disallow characters that could break or inject into metric query
-    const filter = input.filter && typeof input.filter === "string" ? input.filter : "";
-    if (filter && /[{}]/.test(filter)) {
+    const maxPoints = input.maxPoints ?? MAX_POINTS;
+    if (!Number.isInteger(maxPoints) || maxPoints < 3) {
       return {
         isError: true,
-        content: [
-          {
-            type: "text",
-            text: "Error: filter must not contain { or } (invalid for metric query syntax)",
-          },
-        ],
+        content: [{ type: "text", text: "Error: maxPoints must be an integer of at least 3" }],
+      };
+    }
+    const format = input.format ?? "json";
+    if (!FORMATS.includes(format)) {
+      return {
+        isError: true,
+        content: [{ type: "text", text: `Error: format must be one of ${FORMATS.join(", ")}` }],
       };
     }
 
-    // Build the query
-    let query = metricName;
-    if (filter) {
-      query = `${metricName}{${filter}}`;
+    if (input.export != null) {
+      const exportError = exportOptionError(input.export, options.exportDir);
+      if (exportError) {
+        return { isError: true, content: [{ type: "text", text: `Error: ${exportError}` }] };
+      }
+    }
+
+    if (input.queries != null) {
+      return await handleFormulaQuery(input, range, client, {
+        output,
+        maxPoints,
+        format,
+        exportDir: options.exportDir,
+      });
+    }
+
+    let metricName, filter, query;
+    try {
+      ({ metricName, filter, query } = buildSingleQuery(input));
+    } catch (error) {
+      return {
+        isError: true,
+        content: [{ type: "text", text: `Error: ${error.message}` }],
+      };
     }
 
     // Query the metrics
@@ -211,14 +617,44 @@ async function handleQueryMetrics(input, client) {
       };
     }
 
-    // Limit data points in response
-    const limitedData = {
-      ...data,
-      series: data.series?.slice(0, 50).map((s) => ({
-        ...s,
-        points: s.points?.slice(0, 100), // Limit points per series
-      })),
-    };
+    if (input.export) {
+      const series = (data.series ?? []).map((s) => ({
+        label: s.expression ?? s.scope ?? s.metric,
+        tags: s.tagSet ?? (s.scope && s.scope !== "*" ? s.scope.split(",") : []),
+        points: s.pointlist ?? [],
+      }));
+      return await exportSeries(series, { dir: options.exportDir, format: input.export });
+    }
+
+    // An empty result for a filtered query usually means a guessed tag
+    const suggestions =
+      filter && !data.series?.length ? await suggestTagsForFilter(metricName, filter, client) : [];
+
+    if (format !== "json") {
+      const series = (data.series ?? []).map((s) => ({
+        label: s.expression ?? s.scope ?? s.metric,
+        points: s.pointlist ?? [],
+      }));
+      return {
+        isError: false,
+        content: [
+          {
+            type: "text",
+            text: renderSeries(series, format, {
+              title: query,
+              details: [describeTimeRange(range.timeRange)],
+              notes: suggestions.map(
+                (s) =>
+                  `${s.tag} is not reported for this metric` +
+                  (s.suggestions.length ? `; try ${s.suggestions.join(", ")}` : "")
+              ),
+            }),
+          },
+        ],
+      };
+    }
+
+    const shaped = shapeSeries(data.series ?? [], "pointlist", output, maxPoints);
 
     return {
       isError: false,
@@ -228,12 +664,17 @@ async function handleQueryMetrics(input, client) {
           text: JSON.stringify({
             metric: metricName,
             filter: filter || "none",
-            timeRange: {
-              from: new Date(from * 1000).toISOString(),
-              to: new Date(to * 1000).toISOString(),
-            },
+            timeRange: range.timeRange,
+            output,
             seriesCount: data.series?.length || 0,
-            data: limitedData,
+            ...(shaped.truncated && { truncated: shaped.truncated }),
+            ...(suggestions.length > 0 && {
+              suggestions,
+              hint:
+                "No series matched: these filter tags are not reported for the metric. " +
+                "Try a suggested tag, or list_metric_tag_values for all values of a key.",
+            }),
+            data: { ...data, series: shaped.series },
           }),
         },
       ],
@@ -253,32 +694,296 @@ async function handleQueryMetrics(input, client) {
 }
 
 /**
- * Handle get_metric_metadata tool request.
+ * Build the query for single-metric mode from metricName and filter.
  * @param {Object} input - Tool input
- * @param {string} input.metricName - Metric name
- * @param {MetricsClient} client - Metrics API client
- * @returns {Promise<Object>} Tool result with metadata or error
+ * @param {string} input.metricName - Metric name, optionally with an aggregator prefix
+ * @param {string} [input.filter] - Optional scope
+ * @returns {{metricName: string, filter: string, query: string}} Trimmed inputs and query
+ * @throws {Error} If metricName is empty or filter contains braces
+ * @private
  */
-async function handleGetMetricMetadata(input, client) {
-  try {
-    if (!input.metricName || typeof input.metricName !== "string") {
-      return {
-        isError: true,
-        content: [
-          {
-            type: "text",
-            text: "Error: metricName must be a non-empty string",
-          },
-        ],
-      };
-    }
+function buildSingleQuery(input) {
+  const metricName = typeof input.metricName === "string" ? input.metricName.trim() : "";
+  if (!metricName) {
+    throw new Error("metricName must be a non-empty string");
+  }
 
-    const { data, error } = await client.getMetricMetadata(input.metricName);
+  // Sanitize filter: disallow characters that could break or inject into metric query
+  const filter = input.filter && typeof input.filter === "string" ? input.filter : "";
+  if (filter && /[{}]/.test(filter)) {
+    throw new Error("filter must not contain { or } (invalid for metric query syntax)");
+  }
 
-    if (error) {
-      console.error("Get metric metadata error:", error);
-      return {
-        isError: true,
+  return { metricName, filter, query: filter ? `${metricName}{${filter}}` : metricName };
+}
+
+/**
+ * Suggest reported tags for the filter tags of a query that returned no series.
+ * Failures are ignored: suggestions are a convenience on top of an already successful query.
+ * @param {string} metricName - Metric name, optionally with an aggregator prefix
+ * @param {string} filter - Filter that matched nothing
+ * @param {MetricsClient} client - Metrics API client
+ * @returns {Promise<Array<Object>>} Unknown filter tags with close matches
+ * @private
+ */
+async function suggestTagsForFilter(metricName, filter, client) {
+  const { data, error } = await client.listMetricTags(metricName.replace(/^\w+:/, ""));
+  const tags = data?.data?.attributes?.tags ?? [];
+  if (error || tags.length === 0) return [];
+  return suggestFilterTags(filter, tags);
+}
+
+/**
+ * Shape series for the requested output mode.
+ * raw keeps the latest points within the response limits and reports what was left out;
+ * summary replaces points with statistics over all of them; downsample keeps the shape
+ * of each series within the point budget.
+ * @param {Array<Object>} series - Series with [timestamp, value] points
+ * @param {string} pointsKey - Property holding the points ("pointlist" or "points")
+ * @param {string} output - raw, summary or downsample
+ * @param {number} maxPoints - Point budget per series for downsample
+ * @returns {{series: Array<Object>, truncated?: Object}} Shaped series and truncation info
+ * @private
+ */
+function shapeSeries(series, pointsKey, output, maxPoints) {
+  const seriesLimit = output === "summary" ? MAX_SUMMARY_SERIES : MAX_SERIES;
+  const kept = series.slice(0, seriesLimit);
+  let pointsOmitted = 0;
+
+  const shaped = kept.map((s) => {
+    const points = s[pointsKey] ?? [];
+    if (output === "summary") {
+      const { [pointsKey]: _points, ...rest } = s;
+      return { ...rest, ...summarizeSeries(points) };
+    }
+    if (output === "downsample") {
+      return {
+        ...s,
+        [pointsKey]: downsampleLttb(points, maxPoints),
+        originalPointCount: points.length,
+      };
+    }
+    pointsOmitted += Math.max(0, points.length - MAX_POINTS);
+    return { ...s, [pointsKey]: points.slice(-MAX_POINTS) };
+  });
+
+  const seriesOmitted = series.length - kept.length;
+  if (seriesOmitted === 0 && pointsOmitted === 0) return { series: shaped };
+  return {
+    series: shaped,
+    truncated: {
+      seriesOmitted,
+      pointsOmitted,
+      hint:
+        "Use output=summary for statistics over all points, output=downsample to keep the " +
+        "shape within maxPoints, or narrow the filter/groupBy",
+    },
+  };
+}
+
+/**
+ * Write series to an export file, one row per point with a column per tag key, and return
+ * only the file path, row count and schema.
+ * @param {Array<{label: string, tags: Array<string>, points: Array<[number, number|null]>}>}
+ *   series - Series with their tags ("key:value")
+ * @param {{dir: string, format: string}} target - Export directory and file format
+ * @returns {Promise<Object>} Tool result describing the written file
+ * @private
+ */
+async function exportSeries(series, { dir, format }) {
+  // Tag keys become columns; keys clashing with the fixed columns get a tag_ prefix
+  const fixed = new Set(["series", "timestamp", "value"]);
+  const tagColumns = new Set();
+  const tagged = series.map((s) => {
+    const tags = {};
+    for (const tag of s.tags ?? []) {
+      const separator = tag.indexOf(":");
+      if (separator === -1) continue;
+      const key = tag.slice(0, separator);
+      const column = fixed.has(key) ? `tag_${key}` : key;
+      const value = tag.slice(separator + 1);
+      tags[column] = column in tags ? `${tags[column]},${value}` : value;
+      tagColumns.add(column);
+    }
+    return { label: s.label, tags, points: s.points };
+  });
+
+  const written = await writeExport({
+    dir,
+    name: "query_metrics",
+    format,
+    columns: ["series", ...[...tagColumns].sort(), "timestamp", "value"],
+    pages: tagged.map((s) =>
+      s.points.map(([timestamp, value]) => ({
+        series: s.label,
+        ...s.tags,
+        timestamp: new Date(timestamp).toISOString(),
+        value: value ?? null,
+      }))
+    ),
+  });
+
+  return {
+    isError: false,
+    content: [{ type: "text", text: JSON.stringify({ ...written, seriesCount: series.length }) }],
+  };
+}
+
+/**
+ * Label a formula-mode series by its formula (or alias) and group tags.
+ * @param {string} name - Formula alias or expression
+ * @param {Array<string>} [groupTags] - Group tags such as ["host:web-1"]
+ * @returns {string} Series label, e.g. "errors {host:web-1}"
+ * @private
+ */
+function seriesLabel(name, groupTags) {
+  return groupTags?.length ? `${name} {${groupTags.join(",")}}` : name;
+}
+
+/**
+ * Handle query_metrics in formula mode (several named queries combined by formulas).
+ * @param {Object} input - Tool input (see handleQueryMetrics)
+ * @param {{from: number, to: number, timeRange: Object}} range - Resolved time range (ms)
+ * @param {MetricsClient} client - Metrics API client
+ * @param {{output: string, maxPoints: number, format: string, exportDir?: string}} shape -
+ *   Output mode, point budget, rendering format and export directory
+ * @returns {Promise<Object>} Tool result with labeled series or error
+ * @private
+ */
+async function handleFormulaQuery(input, range, client, { output, maxPoints, format, exportDir }) {
+  let queries;
+  let formulas;
+  try {
+    if (!Array.isArray(input.queries) || input.queries.length === 0) {
+      throw new Error("queries must be a non-empty array");
+    }
+    queries = input.queries.map((spec) => ({ name: spec?.name, query: buildMetricQuery(spec) }));
+
+    // Without formulas, return each query as its own series
+    formulas = (input.formulas ?? queries.map((q) => q.name)).map((f) =>
+      typeof f === "string" ? { formula: f } : { formula: f?.formula, alias: f?.alias }
+    );
+    const expressions = formulas.map((f) => f.formula);
+    validateFormulas(queries, expressions);
+
+    if (input.interval != null && !(Number.isFinite(input.interval) && input.interval > 0)) {
+      throw new Error("interval must be a positive number of seconds");
+    }
+  } catch (error) {
+    return {
+      isError: true,
+      content: [{ type: "text", text: `Error: ${error.message}` }],
+    };
+  }
+
+  const { data, error } = await client.queryTimeseries(queries, formulas, range.from, range.to, {
+    interval: input.interval != null ? Math.round(input.interval * 1000) : undefined,
+  });
+
+  if (error) {
+    console.error("Metrics formula query error:", error);
+    return {
+      isError: true,
+      content: [
+        {
+          type: "text",
+          text: `Error querying metrics: ${formatToolError(error.message, error?.statusCode)}`,
+        },
+      ],
+    };
+  }
+
+  const attributes = data?.data?.attributes ?? {};
+  const times = attributes.times ?? [];
+  const series = (attributes.series ?? []).map((s, i) => {
+    const formula = formulas[s.queryIndex ?? i] ?? {};
+    const values = attributes.values?.[i] ?? [];
+    return {
+      label: seriesLabel(formula.alias || formula.formula, s.groupTags),
+      formula: formula.formula,
+      groupTags: s.groupTags ?? [],
+      unit: s.unit?.find(Boolean)?.name ?? null,
+      points: times.map((t, j) => [t, values[j] ?? null]),
+    };
+  });
+
+  if (input.export) {
+    return await exportSeries(
+      series.map((s) => ({ label: s.label, tags: s.groupTags, points: s.points })),
+      { dir: exportDir, format: input.export }
+    );
+  }
+
+  if (format !== "json") {
+    return {
+      isError: false,
+      content: [
+        {
+          type: "text",
+          text: renderSeries(series, format, {
+            title: formulas.map((f) => f.alias || f.formula).join(", "),
+            details: [
+              queries.map((q) => `${q.name} = ${q.query}`).join("; "),
+              describeTimeRange(range.timeRange),
+            ],
+            notes: data?.errors ? [data.errors] : [],
+          }),
+        },
+      ],
+    };
+  }
+
+  const shaped = shapeSeries(series, "points", output, maxPoints);
+
+  return {
+    isError: false,
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify({
+          mode: "formula",
+          queries,
+          formulas: formulas.map((f) => f.formula),
+          timeRange: range.timeRange,
+          ...(input.interval != null && { interval: input.interval }),
+          output,
+          seriesCount: series.length,
+          ...(shaped.truncated && { truncated: shaped.truncated }),
+          series: shaped.series,
+          ...(data?.errors && { warnings: data.errors }),
+        }),
+      },
+    ],
+  };
+}
+
+/**
+ * Handle get_metric_metadata tool request.
+ * @param {Object} input - Tool input
+ * @param {string} input.metricName - Metric name
+ * @param {MetricsClient} client - Metrics API client
+ * @returns {Promise<Object>} Tool result with metadata or error
+ */
+async function handleGetMetricMetadata(input, client) {
+  try {
+    if (!input.metricName || typeof input.metricName !== "string") {
+      return {
+        isError: true,
+        content: [
+          {
+            type: "text",
+            text: "Error: metricName must be a non-empty string",
+          },
+        ],
+      };
+    }
+
+    const { data, error } = await client.getMetricMetadata(input.metricName);
+
+    if (error) {
+      console.error("Get metric metadata error:", error);
+      return {
+        isError: true,
         content: [
           {
             type: "text",
@@ -346,8 +1051,8 @@ async function handleListMetrics(input, client) {
       };
     }
 
-    // Apply limit to results if needed
-    const metrics = data.results || [];
+    // Apply limit to results if needed (the search API nests names under results.metrics)
+    const metrics = Array.isArray(data.results) ? data.results : data.results?.metrics || [];
     const limited = metrics.slice(0, limit);
     const hasMore = metrics.length > limit;
 
@@ -386,23 +1091,1005 @@ async function handleListMetrics(input, client) {
 }
 
 /**
- * Get all metrics tools.
- * @param {MetricsClient} client - Metrics API client instance
- * @returns {Array<Object>} Array of tool definitions with handlers
+ * Handle compare_metrics tool request.
+ * Runs the same query over the current window and each shifted baseline, then aligns the
+ * series by scope.
+ * @param {Object} input - Tool input
+ * @param {string} input.metricName - Metric name to compare
+ * @param {number | string} [input.from] - Start time (default: 1 hour before to)
+ * @param {number | string} [input.to] - End time (default: now)
+ * @param {string} [input.timezone] - IANA timezone for relative expressions
+ * @param {string} [input.filter] - Optional filter expression
+ * @param {Array<string>} [input.baselines] - Baseline shifts (default: 1d and 1w)
+ * @param {number} [input.significanceThreshold] - |t| for a significant change (default: 2)
+ * @param {MetricsClient} client - Metrics API client
+ * @returns {Promise<Object>} Tool result with per-series comparisons or error
  */
-export function getMetricsTools(client) {
-  return [
-    {
-      ...queryMetricsTool,
-      handler: (input) => handleQueryMetrics(input, client),
-    },
-    {
-      ...getMetricMetadataTool,
-      handler: (input) => handleGetMetricMetadata(input, client),
-    },
-    {
-      ...listMetricsTool,
-      handler: (input) => handleListMetrics(input, client),
+async function handleCompareMetrics(input, client) {
+  try {
+    const range = resolveTimeRange(input.from, input.to, { timezone: input.timezone });
+    if (range.from >= range.to) {
+      return {
+        isError: true,
+        content: [{ type: "text", text: "Error: Start time (from) must be before end time (to)" }],
+      };
+    }
+
+    const baselines = input.baselines ?? ["1d", "1w"];
+    if (
+      !Array.isArray(baselines) ||
+      baselines.length === 0 ||
+      baselines.some((b) => !Object.hasOwn(BASELINE_SHIFTS_MS, b))
+    ) {
+      return {
+        isError: true,
+        content: [
+          {
+            type: "text",
+            text: `Error: baselines must be a non-empty list of ${Object.keys(BASELINE_SHIFTS_MS).join(", ")}`,
+          },
+        ],
+      };
+    }
+    const threshold = input.significanceThreshold ?? 2;
+    if (!(Number.isFinite(threshold) && threshold > 0)) {
+      return {
+        isError: true,
+        content: [{ type: "text", text: "Error: significanceThreshold must be a positive number" }],
+      };
+    }
+
+    let metricName, filter, query;
+    try {
+      ({ metricName, filter, query } = buildSingleQuery(input));
+    } catch (error) {
+      return {
+        isError: true,
+        content: [{ type: "text", text: `Error: ${error.message}` }],
+      };
+    }
+
+    const windows = [
+      { name: "current", from: range.from, to: range.to },
+      ...baselines.map((name) => ({
+        name,
+        from: range.from - BASELINE_SHIFTS_MS[name],
+        to: range.to - BASELINE_SHIFTS_MS[name],
+      })),
+    ];
+    const results = await Promise.all(
+      windows.map((w) =>
+        client.queryMetrics(query, Math.floor(w.from / 1000), Math.floor(w.to / 1000))
+      )
+    );
+
+    const [current, ...baselineResults] = results;
+    if (current.error) {
+      console.error("Compare metrics error:", current.error);
+      return {
+        isError: true,
+        content: [
+          {
+            type: "text",
+            text: `Error querying metrics: ${formatToolError(current.error.message, current.error?.statusCode)}`,
+          },
+        ],
+      };
+    }
+
+    // Summaries of each baseline's series, keyed by scope
+    const summarizeByScope = (data) =>
+      new Map(
+        (data?.series ?? []).map((s) => [s.scope ?? s.expression, summarizeSeries(s.pointlist)])
+      );
+    const baselineSummaries = baselineResults.map((r) =>
+      r.error ? null : summarizeByScope(r.data)
+    );
+
+    const currentSeries = current.data?.series ?? [];
+    const series = currentSeries.slice(0, MAX_SERIES).map((s) => {
+      const scope = s.scope ?? s.expression;
+      const summary = summarizeSeries(s.pointlist);
+      return {
+        scope,
+        current: {
+          count: summary.count,
+          mean: summary.mean,
+          last: summary.last,
+          min: summary.min,
+          max: summary.max,
+        },
+        comparisons: baselines.map((name, i) => {
+          if (!baselineSummaries[i]) {
+            return { baseline: name, error: baselineResults[i].error.message };
+          }
+          const baseline = baselineSummaries[i].get(scope);
+          if (!baseline || baseline.count === 0) {
+            return { baseline: name, missing: true };
+          }
+          return {
+            baseline: name,
+            mean: baseline.mean,
+            last: baseline.last,
+            ...compareSummaries(summary, baseline, threshold),
+          };
+        }),
+      };
+    });
+
+    return {
+      isError: false,
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({
+            metric: metricName,
+            filter: filter || "none",
+            timeRange: range.timeRange,
+            baselines: windows.slice(1).map((w) => ({
+              baseline: w.name,
+              timeRange: { from: new Date(w.from).toISOString(), to: new Date(w.to).toISOString() },
+            })),
+            significanceThreshold: threshold,
+            seriesCount: currentSeries.length,
+            significantCount: series.filter((s) => s.comparisons.some((c) => c.significant)).length,
+            series,
+          }),
+        },
+      ],
+    };
+  } catch (error) {
+    console.error("Error handling compare_metrics:", error);
+    return {
+      isError: true,
+      content: [
+        {
+          type: "text",
+          text: `Error: ${formatToolError(error?.message ?? String(error), error?.statusCode)}`,
+        },
+      ],
+    };
+  }
+}
+
+/**
+ * Validate submit_metrics series and convert them to the intake format.
+ * @param {Array<Object>} series - Series from the tool input
+ * @param {number} now - Reference time (ms) for default and relative timestamps
+ * @returns {Array<Object>} Intake series (timestamps in seconds, numeric types)
+ * @throws {Error} Naming the first invalid field, e.g. "series[0].points[1].value ..."
+ * @private
+ */
+function buildSubmitSeries(series, now) {
+  if (!Array.isArray(series) || series.length === 0 || series.length > MAX_SUBMIT_SERIES) {
+    throw new Error(`series must be a list of 1 to ${MAX_SUBMIT_SERIES} series`);
+  }
+
+  return series.map((s, i) => {
+    const at = `series[${i}]`;
+    const metric = typeof s?.metric === "string" ? s.metric.trim() : "";
+    if (!/^[A-Za-z][\w.]*$/.test(metric) || metric.length > 200) {
+      throw new Error(
+        `${at}.metric must start with a letter and contain only letters, digits, "_" and "." ` +
+          "(at most 200 characters)"
+      );
+    }
+
+    const type = s.type ?? "gauge";
+    if (!Object.hasOwn(METRIC_INTAKE_TYPES, type)) {
+      throw new Error(`${at}.type must be one of ${Object.keys(METRIC_INTAKE_TYPES).join(", ")}`);
+    }
+    if (s.interval != null && !(Number.isInteger(s.interval) && s.interval > 0)) {
+      throw new Error(`${at}.interval must be a positive integer (seconds)`);
+    }
+    if (type === "rate" && s.interval == null) {
+      throw new Error(`${at}.interval is required for rate metrics`);
+    }
+
+    const tags = s.tags ?? [];
+    if (!Array.isArray(tags) || tags.some((t) => typeof t !== "string" || !t.trim())) {
+      throw new Error(`${at}.tags must be a list of non-empty strings`);
+    }
+    if (s.unit != null && (typeof s.unit !== "string" || !s.unit.trim())) {
+      throw new Error(`${at}.unit must be a non-empty string`);
+    }
+
+    if (!Array.isArray(s.points) || s.points.length === 0 || s.points.length > MAX_SUBMIT_POINTS) {
+      throw new Error(`${at}.points must be a list of 1 to ${MAX_SUBMIT_POINTS} points`);
+    }
+    const points = s.points.map((p, j) => {
+      if (!Number.isFinite(p?.value)) {
+        throw new Error(`${at}.points[${j}].value must be a finite number`);
+      }
+      let timestamp;
+      try {
+        timestamp = p.timestamp == null ? now : parseTime(p.timestamp, { now });
+      } catch (error) {
+        throw new Error(`${at}.points[${j}].timestamp: ${error.message}`);
+      }
+      if (timestamp > now + SUBMIT_MAX_FUTURE_MS || timestamp < now - SUBMIT_MAX_AGE_MS) {
+        throw new Error(
+          `${at}.points[${j}].timestamp ${new Date(timestamp).toISOString()} is outside what ` +
+            "Datadog accepts (from 1 hour ago to 10 minutes ahead)"
+        );
+      }
+      return { timestamp: Math.floor(timestamp / 1000), value: p.value };
+    });
+
+    return {
+      metric,
+      type: METRIC_INTAKE_TYPES[type],
+      points,
+      ...(tags.length > 0 && { tags: tags.map((t) => t.trim()) }),
+      ...(s.unit != null && { unit: s.unit.trim() }),
+      ...(s.interval != null && { interval: s.interval }),
+    };
+  });
+}
+
+/**
+ * Handle submit_metrics tool request.
+ * @param {Object} input - Tool input
+ * @param {Array<Object>} input.series - Series to submit
+ * @param {boolean} [input.dryRun] - Validate and return the payload without sending it
+ * @param {MetricsClient} client - Metrics API client
+ * @returns {Promise<Object>} Tool result with the payload or submission status, or error
+ */
+async function handleSubmitMetrics(input, client) {
+  try {
+    let series;
+    try {
+      series = buildSubmitSeries(input.series, Date.now());
+    } catch (error) {
+      return {
+        isError: true,
+        content: [{ type: "text", text: `Error: ${error.message}` }],
+      };
+    }
+
+    const summary = {
+      seriesCount: series.length,
+      pointCount: series.reduce((sum, s) => sum + s.points.length, 0),
+    };
+
+    if (input.dryRun) {
+      return {
+        isError: false,
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify({ dryRun: true, valid: true, ...summary, payload: { series } }),
+          },
+        ],
+      };
+    }
+
+    const { data, error } = await client.submitMetrics(series);
+
+    if (error) {
+      console.error("Submit metrics error:", error);
+      return {
+        isError: true,
+        content: [
+          {
+            type: "text",
+            text: `Error submitting metrics: ${formatToolError(error.message, error?.statusCode)}`,
+          },
+        ],
+      };
+    }
+
+    const errors = data?.errors ?? [];
+    return {
+      isError: errors.length > 0,
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({
+            submitted: errors.length === 0,
+            ...summary,
+            metrics: [...new Set(series.map((s) => s.metric))],
+            ...(errors.length > 0 && { errors }),
+          }),
+        },
+      ],
+    };
+  } catch (error) {
+    console.error("Error handling submit_metrics:", error);
+    return {
+      isError: true,
+      content: [
+        {
+          type: "text",
+          text: `Error: ${formatToolError(error?.message ?? String(error), error?.statusCode)}`,
+        },
+      ],
+    };
+  }
+}
+
+/**
+ * Gather the cardinality of one metric. Only the reported tags are required; volumes, the tag
+ * configuration and actively queried keys refine the estimate and add a warning when missing.
+ * @param {string} metricName - Metric name
+ * @param {number} topTagKeys - Tag keys to report
+ * @param {MetricsClient} client - Metrics API client
+ * @returns {Promise<Object>} Metric report, or {metric, error} when tags are unavailable
+ * @private
+ */
+async function metricCardinality(metricName, topTagKeys, client) {
+  const [tagsResult, volumesResult, configurationResult, activeResult] = await Promise.all([
+    client.listMetricTags(metricName),
+    client.getMetricVolumes(metricName),
+    client.getMetricTagConfiguration(metricName),
+    client.listActiveMetricConfigurations(metricName),
+  ]);
+
+  if (tagsResult.error) return { metric: metricName, error: tagsResult.error };
+
+  // 404 only means the metric has no tag configuration
+  const configurationMissing = configurationResult.error?.statusCode === 404;
+  const warnings = [];
+  if (volumesResult.error) {
+    warnings.push(`Volumes unavailable, estimated from tag values: ${volumesResult.error.message}`);
+  }
+  if (configurationResult.error && !configurationMissing) {
+    warnings.push(`Tag configuration unavailable: ${configurationResult.error.message}`);
+  }
+  if (activeResult.error) {
+    warnings.push(`Actively queried tags unavailable: ${activeResult.error.message}`);
+  }
+
+  const attributes = configurationResult.data?.data?.attributes;
+  const configuration = attributes
+    ? { tags: attributes.tags ?? [], excludeTagsMode: Boolean(attributes.excludeTagsMode) }
+    : null;
+  const volumes = volumesResult.error ? {} : volumesFrom(volumesResult.data);
+  const estimate = estimateCardinality({
+    tags: tagsResult.data?.data?.attributes?.tags,
+    volumes,
+    activeTags: activeResult.error ? null : (activeResult.data?.data?.attributes?.activeTags ?? []),
+    configuration,
+  });
+
+  return {
+    metric: metricName,
+    estimatedSeries: estimate.estimatedSeries,
+    estimateSource: estimate.estimateSource,
+    volumes,
+    tagCombinationBound: estimate.tagCombinationBound,
+    tagKeyCount: estimate.tagKeys.length,
+    tagConfiguration: configuration && {
+      ...configuration,
+      ...(attributes.metricType && { metricType: attributes.metricType }),
+    },
+    topTagKeys: estimate.tagKeys.slice(0, topTagKeys),
+    reductionCandidates: estimate.tagKeys.filter((k) => k.reductionCandidate).map((k) => k.key),
+    ...(warnings.length > 0 && { warnings }),
+  };
+}
+
+/**
+ * Handle metric_cardinality_report tool request.
+ * Resolves a prefix through list_metrics, analyzes metrics in small batches and ranks them by
+ * estimated series count.
+ * @param {Object} input - Tool input
+ * @param {string} [input.metricName] - Metric name
+ * @param {string} [input.prefix] - Metric name prefix
+ * @param {number} [input.limit] - Maximum metrics to analyze for a prefix
+ * @param {number} [input.topTagKeys] - Tag keys to report per metric
+ * @param {MetricsClient} client - Metrics API client
+ * @returns {Promise<Object>} Tool result with the ranked report or error
+ */
+async function handleMetricCardinalityReport(input, client) {
+  try {
+    const metricName = metricNameFrom(input);
+    const prefix = typeof input.prefix === "string" ? input.prefix.trim() : "";
+    const limit = input.limit ?? DEFAULT_CARDINALITY_METRICS;
+    const topTagKeys = input.topTagKeys ?? DEFAULT_TOP_TAG_KEYS;
+
+    if (!metricName === !prefix) {
+      return {
+        isError: true,
+        content: [{ type: "text", text: "Error: provide exactly one of metricName or prefix" }],
+      };
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_CARDINALITY_METRICS) {
+      return {
+        isError: true,
+        content: [
+          {
+            type: "text",
+            text: `Error: limit must be an integer between 1 and ${MAX_CARDINALITY_METRICS}`,
+          },
+        ],
+      };
+    }
+    if (!Number.isInteger(topTagKeys) || topTagKeys < 1 || topTagKeys > MAX_TOP_TAG_KEYS) {
+      return {
+        isError: true,
+        content: [
+          {
+            type: "text",
+            text: `Error: topTagKeys must be an integer between 1 and ${MAX_TOP_TAG_KEYS}`,
+          },
+        ],
+      };
+    }
+
+    let names = [metricName];
+    let matchedCount = 1;
+    if (prefix) {
+      const { data, error } = await client.listMetrics(prefix);
+      if (error) {
+        console.error("List metrics error:", error);
+        return {
+          isError: true,
+          content: [
+            {
+              type: "text",
+              text: `Error listing metrics: ${formatToolError(error.message, error?.statusCode)}`,
+            },
+          ],
+        };
+      }
+      // The search API matches anywhere in the name and nests names under results.metrics
+      const metrics = Array.isArray(data.results) ? data.results : data.results?.metrics || [];
+      const matched = [...new Set(metrics)]
+        .filter((name) => typeof name === "string" && name.startsWith(prefix))
+        .sort();
+      matchedCount = matched.length;
+      names = matched.slice(0, limit);
+    }
+
+    const reports = [];
+    for (let i = 0; i < names.length; i += CARDINALITY_BATCH_SIZE) {
+      const batch = names.slice(i, i + CARDINALITY_BATCH_SIZE);
+      reports.push(
+        ...(await Promise.all(batch.map((name) => metricCardinality(name, topTagKeys, client))))
+      );
+    }
+
+    if (metricName && reports[0].error) {
+      const { error } = reports[0];
+      console.error("List metric tags error:", error);
+      return {
+        isError: true,
+        content: [
+          {
+            type: "text",
+            text: `Error listing metric tags: ${formatToolError(error.message, error?.statusCode)}`,
+          },
+        ],
+      };
+    }
+
+    const failed = reports.filter((r) => r.error);
+    const ranked = reports
+      .filter((r) => !r.error)
+      .sort((a, b) => b.estimatedSeries - a.estimatedSeries || a.metric.localeCompare(b.metric));
+    const totalEstimatedSeries = ranked.reduce((sum, r) => sum + r.estimatedSeries, 0);
+
+    let hint;
+    if (prefix && matchedCount === 0) {
+      hint = `No metrics start with "${prefix}"; use list_metrics to find metric names`;
+    } else if (matchedCount > names.length) {
+      hint =
+        `Analyzed the first ${names.length} of ${matchedCount} matching metrics (alphabetically); ` +
+        `use a longer prefix or raise limit (max ${MAX_CARDINALITY_METRICS}) to rank the rest`;
+    }
+
+    return {
+      isError: false,
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({
+            ...(metricName ? { metric: metricName } : { prefix, matchedMetrics: matchedCount }),
+            metricCount: ranked.length,
+            totalEstimatedSeries,
+            metrics: ranked.map((r) => ({
+              ...r,
+              percentOfTotal:
+                totalEstimatedSeries > 0
+                  ? Number(((r.estimatedSeries / totalEstimatedSeries) * 100).toFixed(1))
+                  : 0,
+            })),
+            ...(failed.length > 0 && {
+              failed: failed.map((r) => ({ metric: r.metric, error: r.error.message })),
+            }),
+            ...(hint && { hint }),
+          }),
+        },
+      ],
+    };
+  } catch (error) {
+    console.error("Error handling metric_cardinality_report:", error);
+    return {
+      isError: true,
+      content: [
+        {
+          type: "text",
+          text: `Error: ${formatToolError(error?.message ?? String(error), error?.statusCode)}`,
+        },
+      ],
+    };
+  }
+}
+
+/**
+ * Handle validate_metric_query tool request.
+ * The API is only asked when the local check finds no errors.
+ * @param {Object} input - Tool input
+ * @param {string} input.query - Metric query
+ * @param {boolean} [input.checkApi] - Confirm with the API (default: false)
+ * @param {MetricsClient} client - Metrics API client
+ * @returns {Promise<Object>} Tool result with issues and the API verdict, or error
+ */
+async function handleValidateMetricQuery(input, client) {
+  try {
+    if (typeof input.query !== "string" || !input.query.trim()) {
+      return {
+        isError: true,
+        content: [{ type: "text", text: "Error: query must be a non-empty string" }],
+      };
+    }
+
+    const query = input.query.trim();
+    const lint = lintMetricQuery(query);
+
+    let api;
+    if (input.checkApi && !lint.valid) {
+      api = { checked: false, reason: "Skipped: fix the local errors first" };
+    } else if (input.checkApi) {
+      const { data, error } = await client.validateQuery(query);
+      if (error?.statusCode === 400) {
+        api = { checked: true, valid: false, error: error.message };
+      } else if (error) {
+        api = { checked: false, error: formatToolError(error.message, error.statusCode) };
+      } else if (data.result?.status === "error") {
+        api = { checked: true, valid: false, error: data.result.error };
+      } else {
+        api = { checked: true, valid: true };
+      }
+    }
+
+    return {
+      isError: false,
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({
+            query,
+            valid: lint.valid && api?.valid !== false,
+            errors: lint.errors,
+            warnings: lint.warnings,
+            ...(lint.suggestedQuery && { suggestedQuery: lint.suggestedQuery }),
+            ...(api && { api }),
+          }),
+        },
+      ],
+    };
+  } catch (error) {
+    console.error("Error handling validate_metric_query:", error);
+    return {
+      isError: true,
+      content: [
+        {
+          type: "text",
+          text: `Error: ${formatToolError(error?.message ?? String(error), error?.statusCode)}`,
+        },
+      ],
+    };
+  }
+}
+
+/**
+ * Trimmed metric name from tool input.
+ * @param {Object} input - Tool input
+ * @returns {string} Metric name, empty when missing
+ * @private
+ */
+function metricNameFrom(input) {
+  return typeof input.metricName === "string" ? input.metricName.trim() : "";
+}
+
+/**
+ * Handle list_metric_tag_keys tool request.
+ * Reads all reported tags and the actively queried keys in parallel; the latter is optional.
+ * @param {Object} input - Tool input
+ * @param {string} input.metricName - Metric name
+ * @param {string} [input.search] - Partial tag to filter keys by
+ * @param {MetricsClient} client - Metrics API client
+ * @returns {Promise<Object>} Tool result with tag keys or error
+ */
+async function handleListMetricTagKeys(input, client) {
+  try {
+    const metricName = metricNameFrom(input);
+    if (!metricName) {
+      return {
+        isError: true,
+        content: [{ type: "text", text: "Error: metricName must be a non-empty string" }],
+      };
+    }
+
+    const [tagsResult, activeResult] = await Promise.all([
+      client.listMetricTags(metricName),
+      client.listActiveMetricConfigurations(metricName),
+    ]);
+
+    if (tagsResult.error) {
+      console.error("List metric tags error:", tagsResult.error);
+      return {
+        isError: true,
+        content: [
+          {
+            type: "text",
+            text: `Error listing metric tags: ${formatToolError(tagsResult.error.message, tagsResult.error?.statusCode)}`,
+          },
+        ],
+      };
+    }
+
+    const groups = groupTagsByKey(tagsResult.data?.data?.attributes?.tags);
+    const activeTags = new Set(activeResult.data?.data?.attributes?.activeTags ?? []);
+    const search = typeof input.search === "string" ? input.search.trim().toLowerCase() : "";
+
+    const tagKeys = [...groups]
+      .filter(
+        ([key, values]) =>
+          !search ||
+          key.toLowerCase().includes(search) ||
+          values.some((v) => `${key}:${v}`.toLowerCase().includes(search))
+      )
+      .map(([key, values]) => ({
+        key,
+        valueCount: values.length,
+        sampleValues: values.slice(0, MAX_SAMPLE_VALUES),
+        ...(!activeResult.error && { activelyQueried: activeTags.has(key) }),
+      }));
+
+    return {
+      isError: false,
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({
+            metric: metricName,
+            ...(search && { search }),
+            tagKeyCount: tagKeys.length,
+            tagKeys,
+            ...(activeResult.error && {
+              warnings: [`Actively queried tags unavailable: ${activeResult.error.message}`],
+            }),
+          }),
+        },
+      ],
+    };
+  } catch (error) {
+    console.error("Error handling list_metric_tag_keys:", error);
+    return {
+      isError: true,
+      content: [
+        {
+          type: "text",
+          text: `Error: ${formatToolError(error?.message ?? String(error), error?.statusCode)}`,
+        },
+      ],
+    };
+  }
+}
+
+/**
+ * Handle list_metric_tag_values tool request.
+ * @param {Object} input - Tool input
+ * @param {string} input.metricName - Metric name
+ * @param {string} input.tagKey - Tag key
+ * @param {string} [input.search] - Partial value to filter by
+ * @param {number} [input.limit] - Maximum values to return
+ * @param {MetricsClient} client - Metrics API client
+ * @returns {Promise<Object>} Tool result with tag values or error
+ */
+async function handleListMetricTagValues(input, client) {
+  try {
+    const metricName = metricNameFrom(input);
+    const tagKey = typeof input.tagKey === "string" ? input.tagKey.trim() : "";
+    const limit = input.limit ?? DEFAULT_TAG_VALUES_LIMIT;
+
+    let invalid = null;
+    if (!metricName) {
+      invalid = "metricName must be a non-empty string";
+    } else if (!tagKey || tagKey.includes(":")) {
+      invalid = 'tagKey must be a tag key without ":" (e.g., "env")';
+    } else if (!Number.isInteger(limit) || limit < 1 || limit > MAX_TAG_VALUES_LIMIT) {
+      invalid = `limit must be an integer between 1 and ${MAX_TAG_VALUES_LIMIT}`;
+    }
+    if (invalid) {
+      return { isError: true, content: [{ type: "text", text: `Error: ${invalid}` }] };
+    }
+
+    const { data, error } = await client.listMetricTags(metricName);
+
+    if (error) {
+      console.error("List metric tags error:", error);
+      return {
+        isError: true,
+        content: [
+          {
+            type: "text",
+            text: `Error listing metric tags: ${formatToolError(error.message, error?.statusCode)}`,
+          },
+        ],
+      };
+    }
+
+    const groups = groupTagsByKey(data?.data?.attributes?.tags);
+    const search = typeof input.search === "string" ? input.search.trim().toLowerCase() : "";
+    const values = (groups.get(tagKey) ?? []).filter(
+      (v) => !search || v.toLowerCase().includes(search)
+    );
+
+    return {
+      isError: false,
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({
+            metric: metricName,
+            tagKey,
+            ...(search && { search }),
+            valueCount: values.length,
+            values: values.slice(0, limit),
+            ...(values.length > limit && { truncated: true }),
+            ...(!groups.has(tagKey) && {
+              hint: `Tag key "${tagKey}" is not reported for this metric`,
+              suggestions: closestMatches(tagKey, [...groups.keys()]),
+            }),
+          }),
+        },
+      ],
+    };
+  } catch (error) {
+    console.error("Error handling list_metric_tag_values:", error);
+    return {
+      isError: true,
+      content: [
+        {
+          type: "text",
+          text: `Error: ${formatToolError(error?.message ?? String(error), error?.statusCode)}`,
+        },
+      ],
+    };
+  }
+}
+
+/**
+ * Handle detect_metric_anomalies tool request.
+ * Fetches the window (and, for seasonal detection, the history before it) and runs each
+ * detection method on every series locally.
+ * @param {Object} input - Tool input
+ * @param {string} input.metricName - Metric name to analyze
+ * @param {number | string} [input.from] - Start time (default: 1 hour before to)
+ * @param {number | string} [input.to] - End time (default: now)
+ * @param {string} [input.timezone] - IANA timezone for relative expressions and seasonal buckets
+ * @param {string} [input.filter] - Optional filter expression
+ * @param {Array<string>} [input.methods] - zscore, seasonal and/or changepoint (default: all)
+ * @param {number} [input.threshold] - |z-score| for an anomalous point (default: 3)
+ * @param {number} [input.window] - Rolling z-score baseline in points (default: 30)
+ * @param {string} [input.seasonality] - hour_of_day or day_of_week (default: hour_of_day)
+ * @param {number} [input.historyDays] - Days of seasonal history before the window
+ * @param {MetricsClient} client - Metrics API client
+ * @returns {Promise<Object>} Tool result with anomalous intervals per series or error
+ */
+async function handleDetectMetricAnomalies(input, client) {
+  try {
+    const range = resolveTimeRange(input.from, input.to, { timezone: input.timezone });
+    if (range.from >= range.to) {
+      return {
+        isError: true,
+        content: [{ type: "text", text: "Error: Start time (from) must be before end time (to)" }],
+      };
+    }
+
+    const methods = input.methods ?? ANOMALY_METHODS;
+    const threshold = input.threshold ?? 3;
+    const window = input.window ?? 30;
+    const seasonality = input.seasonality ?? "hour_of_day";
+    const historyDays = input.historyDays ?? DEFAULT_HISTORY_DAYS[seasonality];
+
+    let invalid = null;
+    if (
+      !Array.isArray(methods) ||
+      methods.length === 0 ||
+      methods.some((m) => !ANOMALY_METHODS.includes(m))
+    ) {
+      invalid = `methods must be a non-empty list of ${ANOMALY_METHODS.join(", ")}`;
+    } else if (!(Number.isFinite(threshold) && threshold > 0)) {
+      invalid = "threshold must be a positive number";
+    } else if (!Number.isInteger(window) || window < 5) {
+      invalid = "window must be an integer of at least 5";
+    } else if (!SEASONALITIES.includes(seasonality)) {
+      invalid = `seasonality must be one of ${SEASONALITIES.join(", ")}`;
+    } else if (
+      !Number.isInteger(historyDays) ||
+      historyDays < 1 ||
+      historyDays > MAX_HISTORY_DAYS
+    ) {
+      invalid = `historyDays must be an integer between 1 and ${MAX_HISTORY_DAYS}`;
+    }
+    if (invalid) {
+      return { isError: true, content: [{ type: "text", text: `Error: ${invalid}` }] };
+    }
+
+    let metricName, filter, query;
+    try {
+      ({ metricName, filter, query } = buildSingleQuery(input));
+    } catch (error) {
+      return {
+        isError: true,
+        content: [{ type: "text", text: `Error: ${error.message}` }],
+      };
+    }
+
+    const seasonal = methods.includes("seasonal");
+    const historyFrom = range.from - historyDays * MS_PER_DAY;
+    const [current, history] = await Promise.all([
+      client.queryMetrics(query, Math.floor(range.from / 1000), Math.floor(range.to / 1000)),
+      seasonal
+        ? client.queryMetrics(query, Math.floor(historyFrom / 1000), Math.floor(range.from / 1000))
+        : null,
+    ]);
+
+    if (current.error) {
+      console.error("Detect anomalies error:", current.error);
+      return {
+        isError: true,
+        content: [
+          {
+            type: "text",
+            text: `Error querying metrics: ${formatToolError(current.error.message, current.error?.statusCode)}`,
+          },
+        ],
+      };
+    }
+
+    const warnings = [];
+    if (history?.error) {
+      warnings.push(`Seasonal history could not be fetched: ${history.error.message}`);
+    }
+    const historyByScope = new Map(
+      (history?.data?.series ?? []).map((s) => [s.scope ?? s.expression, s.pointlist])
+    );
+
+    const timezone = input.timezone ?? "UTC";
+    const currentSeries = current.data?.series ?? [];
+    const series = currentSeries.slice(0, MAX_SERIES).map((s) => {
+      const scope = s.scope ?? s.expression;
+      const points = s.pointlist ?? [];
+      const anomalies = [];
+      if (methods.includes("zscore")) {
+        anomalies.push(...detectRollingZScore(points, { window, threshold }));
+      }
+      if (seasonal && historyByScope.has(scope)) {
+        anomalies.push(
+          ...detectSeasonal(points, historyByScope.get(scope), { seasonality, timezone, threshold })
+        );
+      }
+      anomalies.sort((a, b) => a.start.localeCompare(b.start));
+      const changePoints = methods.includes("changepoint") ? detectChangePoints(points) : [];
+
+      const starts = [...anomalies.map((a) => a.start), ...changePoints.map((c) => c.timestamp)];
+      return {
+        scope,
+        pointCount: points.length,
+        firstAnomalyAt: starts.length > 0 ? starts.sort()[0] : null,
+        anomalies,
+        changePoints,
+      };
+    });
+
+    if (seasonal && !history?.error && series.some((s) => !historyByScope.has(s.scope))) {
+      warnings.push("Some series have no seasonal history; only other methods were applied");
+    }
+    if (currentSeries.length > MAX_SERIES) {
+      warnings.push(`Only the first ${MAX_SERIES} of ${currentSeries.length} series were analyzed`);
+    }
+
+    const anomalous = series.filter((s) => s.firstAnomalyAt);
+    const first = anomalous.reduce(
+      (earliest, s) => (!earliest || s.firstAnomalyAt < earliest.firstAnomalyAt ? s : earliest),
+      null
+    );
+
+    return {
+      isError: false,
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({
+            metric: metricName,
+            filter: filter || "none",
+            timeRange: range.timeRange,
+            methods,
+            threshold,
+            ...(seasonal && {
+              seasonality,
+              history: {
+                from: new Date(historyFrom).toISOString(),
+                to: new Date(range.from).toISOString(),
+              },
+            }),
+            seriesCount: currentSeries.length,
+            anomalousSeriesCount: anomalous.length,
+            firstAnomaly: first ? { scope: first.scope, at: first.firstAnomalyAt } : null,
+            series,
+            ...(warnings.length > 0 && { warnings }),
+          }),
+        },
+      ],
+    };
+  } catch (error) {
+    console.error("Error handling detect_metric_anomalies:", error);
+    return {
+      isError: true,
+      content: [
+        {
+          type: "text",
+          text: `Error: ${formatToolError(error?.message ?? String(error), error?.statusCode)}`,
+        },
+      ],
+    };
+  }
+}
+
+/**
+ * Get all metrics tools.
+ * @param {MetricsClient} client - Metrics API client instance
+ * @param {Object} [options] - Tool options
+ * @param {string} [options.exportDir] - Directory for query_metrics exports (default: disabled)
+ * @returns {Array<Object>} Array of tool definitions with handlers
+ */
+export function getMetricsTools(client, options = {}) {
+  return [
+    {
+      ...queryMetricsTool,
+      handler: (input) => handleQueryMetrics(input, client, options),
+    },
+    {
+      ...getMetricMetadataTool,
+      handler: (input) => handleGetMetricMetadata(input, client),
+    },
+    {
+      ...listMetricsTool,
+      handler: (input) => handleListMetrics(input, client),
+    },
+    {
+      ...compareMetricsTool,
+      handler: (input) => handleCompareMetrics(input, client),
+    },
+    {
+      ...detectMetricAnomaliesTool,
+      handler: (input) => handleDetectMetricAnomalies(input, client),
+    },
+    {
+      ...listMetricTagKeysTool,
+      handler: (input) => handleListMetricTagKeys(input, client),
+    },
+    {
+      ...listMetricTagValuesTool,
+      handler: (input) => handleListMetricTagValues(input, client),
+    },
+    {
+      ...metricCardinalityReportTool,
+      handler: (input) => handleMetricCardinalityReport(input, client),
+    },
+    {
+      ...validateMetricQueryTool,
+      handler: (input) => handleValidateMetricQuery(input, client),
+    },
+    {
+      ...submitMetricsTool,
+      handler: (input) => handleSubmitMetrics(input, client),
     },
   ];
 }
@@ -0,0 +1,62 @@
+/**
+ * Tool definitions and handlers for Datadog org profiles.
+ * Provides a tool to discover which orgs (credential profiles) tools can target.
+ */
+
+/**
+ * List Orgs tool definition.
+ * Lists the configured org profiles and their sites.
+ * @type {Object}
+ */
+const listOrgsTool = {
+  name: "list_orgs",
+  description:
+    "List the Datadog orgs this server can query, with their site and which one is the default. " +
+    "Pass an org name as the `org` argument of any other tool to target that org.",
+  readOnlyHint: true,
+  destructiveHint: false,
+  idempotentHint: true,
+  openWorldHint: false,
+  inputSchema: {
+    type: "object",
+    properties: {},
+  },
+};
+
+/**
+ * Handle list_orgs tool request.
+ * @param {Object} _input - Tool input (unused)
+ * @param {OrgClients} orgs - Per-org client pool
+ * @returns {Promise<Object>} Tool result with the org list
+ */
+async function handleListOrgs(_input, orgs) {
+  const list = orgs.list();
+
+  return {
+    isError: false,
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify({
+          defaultOrg: orgs.defaultOrg,
+          orgCount: list.length,
+          orgs: list,
+        }),
+      },
+    ],
+  };
+}
+
+/**
+ * Get all org tools.
+ * @param {OrgClients} orgs - Per-org client pool
+ * @returns {Array<Object>} Array of tool definitions with handlers
+ */
+export function getOrgsTools(orgs) {
+  return [
+    {
+      ...listOrgsTool,
+      handler: (input) => handleListOrgs(input, orgs),
+    },
+  ];
+}
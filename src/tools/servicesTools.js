@@ -12,8 +12,9 @@ import { formatToolError } from "#utils/toolErrors.js";
 const getServiceDependenciesTool = {
   name: "get_service_dependencies",
   description:
-    "Get service dependencies for a given environment. Returns all services and their relationships in the specified environment. " +
-    "Useful for understanding service architecture and dependencies.",
+    "Get the APM service map for a given environment. Returns all services and their relationships in the specified environment. " +
+    "Useful for understanding service architecture and dependencies. " +
+    "For the trace metrics of a single service over a time range, use get_trace_dependencies.",
   readOnlyHint: true,
   destructiveHint: false,
   idempotentHint: true,
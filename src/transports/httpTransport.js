@@ -0,0 +1,205 @@
+/**
+ * HTTP transport for the MCP server.
+ * Serves the MCP Streamable HTTP protocol at /mcp and the legacy SSE protocol at
+ * /sse + /messages so one shared instance can sit behind an internal gateway.
+ */
+
+import http from "node:http";
+import { randomUUID } from "node:crypto";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+
+/** Maximum accepted JSON-RPC request body size in bytes. */
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+/**
+ * Write a JSON-RPC error response (used before a transport takes over the request).
+ * @param {http.ServerResponse} res - HTTP response
+ * @param {number} status - HTTP status code
+ * @param {number} code - JSON-RPC error code
+ * @param {string} message - Error message
+ * @private
+ */
+function sendJsonRpcError(res, status, code, message) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify({ jsonrpc: "2.0", error: { code, message }, id: null }));
+}
+
+/**
+ * Read and parse a JSON request body.
+ * @param {http.IncomingMessage} req - HTTP request
+ * @returns {Promise<*>} Parsed body (undefined when empty)
+ * @throws {Error} If the body is too large or not valid JSON
+ * @private
+ */
+async function readJsonBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw new Error(`Request body exceeds ${MAX_BODY_BYTES} bytes`);
+    }
+    chunks.push(chunk);
+  }
+  const raw = Buffer.concat(chunks).toString("utf8");
+  return raw ? JSON.parse(raw) : undefined;
+}
+
+/**
+ * Start an HTTP server exposing the MCP Streamable HTTP and legacy SSE transports.
+ * Every session gets its own MCP server from createSessionServer; all of them share
+ * the same tool registry.
+ *
+ * @param {() => import("@modelcontextprotocol/sdk/server/index.js").Server} createSessionServer -
+ *   Factory returning a new, unconnected MCP server
+ * @param {Object} [options] - Listen options
+ * @param {number} [options.port] - Port to listen on (default: 3000; 0 picks a free port)
+ * @param {string} [options.host] - Interface to bind (default: 127.0.0.1)
+ * @returns {Promise<{httpServer: http.Server, port: number, sessionCount: () => number,
+ *   close: () => Promise<void>}>} Handle for the running server
+ */
+export async function startHttpTransport(createSessionServer, options = {}) {
+  const host = options.host || "127.0.0.1";
+  const port = options.port ?? 3000;
+
+  /** @type {Map<string, StreamableHTTPServerTransport>} */
+  const streamableSessions = new Map();
+  /** @type {Map<string, SSEServerTransport>} */
+  const sseSessions = new Map();
+
+  /**
+   * Handle a request on the Streamable HTTP endpoint (POST, GET and DELETE).
+   * @private
+   */
+  async function handleStreamable(req, res) {
+    let body;
+    if (req.method === "POST") {
+      try {
+        body = await readJsonBody(req);
+      } catch (error) {
+        sendJsonRpcError(res, 400, -32700, `Parse error: ${error.message}`);
+        return;
+      }
+    }
+
+    const sessionIdHeader = req.headers["mcp-session-id"];
+    const sessionId = Array.isArray(sessionIdHeader) ? sessionIdHeader[0] : sessionIdHeader;
+
+    let transport = sessionId ? streamableSessions.get(sessionId) : undefined;
+
+    if (!transport) {
+      if (sessionId) {
+        sendJsonRpcError(res, 404, -32001, "Session not found");
+        return;
+      }
+      if (req.method !== "POST" || !isInitializeRequest(body)) {
+        sendJsonRpcError(res, 400, -32000, "Bad Request: No valid session ID provided");
+        return;
+      }
+
+      const newTransport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => randomUUID(),
+        onsessioninitialized: (id) => {
+          streamableSessions.set(id, newTransport);
+        },
+      });
+      newTransport.onclose = () => {
+        if (newTransport.sessionId) {
+          streamableSessions.delete(newTransport.sessionId);
+        }
+      };
+      await createSessionServer().connect(newTransport);
+      transport = newTransport;
+    }
+
+    await transport.handleRequest(req, res, body);
+  }
+
+  /**
+   * Open a legacy SSE stream (GET /sse).
+   * @private
+   */
+  async function handleSseStream(_req, res) {
+    const transport = new SSEServerTransport("/messages", res);
+    sseSessions.set(transport.sessionId, transport);
+    res.on("close", () => {
+      sseSessions.delete(transport.sessionId);
+    });
+    await createSessionServer().connect(transport);
+  }
+
+  /**
+   * Receive a client message for a legacy SSE session (POST /messages?sessionId=...).
+   * @private
+   */
+  async function handleSseMessage(req, res, url) {
+    const transport = sseSessions.get(url.searchParams.get("sessionId") || "");
+    if (!transport) {
+      sendJsonRpcError(res, 404, -32001, "Session not found");
+      return;
+    }
+    let body;
+    try {
+      body = await readJsonBody(req);
+    } catch (error) {
+      sendJsonRpcError(res, 400, -32700, `Parse error: ${error.message}`);
+      return;
+    }
+    await transport.handlePostMessage(req, res, body);
+  }
+
+  const httpServer = http.createServer(async (req, res) => {
+    const url = new URL(req.url || "/", "http://localhost");
+    try {
+      if (url.pathname === "/mcp" && ["POST", "GET", "DELETE"].includes(req.method)) {
+        await handleStreamable(req, res);
+      } else if (url.pathname === "/sse" && req.method === "GET") {
+        await handleSseStream(req, res);
+      } else if (url.pathname === "/messages" && req.method === "POST") {
+        await handleSseMessage(req, res, url);
+      } else if (url.pathname === "/health" && req.method === "GET") {
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(
+          JSON.stringify({ status: "ok", sessions: streamableSessions.size + sseSessions.size })
+        );
+      } else {
+        res.writeHead(404, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ error: "Not found" }));
+      }
+    } catch (error) {
+      console.error("HTTP transport error:", error?.message ?? String(error));
+      if (!res.headersSent) {
+        sendJsonRpcError(res, 500, -32603, "Internal server error");
+      } else {
+        res.end();
+      }
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once("error", reject);
+    httpServer.listen(port, host, () => {
+      httpServer.off("error", reject);
+      resolve();
+    });
+  });
+
+  const address = httpServer.address();
+  const boundPort = typeof address === "object" && address ? address.port : port;
+
+  return {
+    httpServer,
+    port: boundPort,
+    sessionCount: () => streamableSessions.size + sseSessions.size,
+    close: async () => {
+      const transports = [...streamableSessions.values(), ...sseSessions.values()];
+      streamableSessions.clear();
+      sseSessions.clear();
+      await Promise.allSettled(transports.map((t) => t.close()));
+      httpServer.closeAllConnections();
+      await new Promise((resolve) => httpServer.close(() => resolve()));
+    },
+  };
+}
@@ -0,0 +1,285 @@
+/**
+ * Local anomaly and change-point detection over metric series.
+ * Works on [timestamp (ms), value] points already fetched from Datadog, so results depend
+ * only on the data passed in. Null values (gaps) are ignored.
+ *
+ * - Rolling z-score: each point against the mean/stdDev of the points before it.
+ * - Seasonal: each point against the median/MAD of a history baseline for the same hour of
+ *   day (or day of week).
+ * - Change points: binary segmentation on shifts in the mean.
+ */
+
+import { validPoints } from "./seriesStats.js";
+
+const MAD_TO_STDDEV = 1.4826;
+
+// Change points must be both statistically clear and large relative to the noise
+const CHANGE_POINT_MIN_T = 5;
+const CHANGE_POINT_MIN_EFFECT = 1;
+
+/** Seasonality buckets for the seasonal baseline. */
+export const SEASONALITIES = ["hour_of_day", "day_of_week"];
+
+/**
+ * Mean and population standard deviation.
+ * @param {Array<number>} values - Values (non-empty)
+ * @returns {{mean: number, stdDev: number}}
+ * @private
+ */
+function meanStdDev(values) {
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+  return { mean, stdDev: Math.sqrt(variance) };
+}
+
+/**
+ * Median of values.
+ * @param {Array<number>} values - Values (non-empty)
+ * @returns {number}
+ * @private
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Score a deviation against a spread. A deviation from a perfectly flat baseline scores
+ * Infinity (reported as high severity).
+ * @param {number} deviation - Value minus the expected value
+ * @param {number} spread - Standard deviation (or robust equivalent)
+ * @returns {number} Signed score
+ * @private
+ */
+function score(deviation, spread) {
+  if (spread > 0) return deviation / spread;
+  return deviation === 0 ? 0 : Math.sign(deviation) * Infinity;
+}
+
+/**
+ * Severity of a score relative to the detection threshold.
+ * @param {number} absScore - Absolute score
+ * @param {number} threshold - Detection threshold
+ * @returns {"low"|"medium"|"high"}
+ */
+export function severityFor(absScore, threshold) {
+  if (absScore >= 2 * threshold) return "high";
+  if (absScore >= 1.5 * threshold) return "medium";
+  return "low";
+}
+
+/**
+ * Round a score for output (Infinity becomes null; severity already says "high").
+ * @param {number} value - Score
+ * @returns {number|null}
+ * @private
+ */
+function roundScore(value) {
+  return Number.isFinite(value) ? Number(value.toFixed(2)) : null;
+}
+
+/**
+ * Merge flagged points into intervals. Points in the same direction separated by at most one
+ * unflagged point belong to the same interval.
+ * @param {Array<{index: number, timestamp: number, value: number, score: number}>} flagged -
+ *   Flagged points in time order
+ * @param {string} method - Detection method name
+ * @param {number} threshold - Detection threshold (for severity)
+ * @returns {Array<Object>} Anomalous intervals
+ */
+export function groupIntervals(flagged, method, threshold) {
+  const intervals = [];
+  let current = null;
+
+  for (const point of flagged) {
+    const direction = point.score > 0 ? "above" : "below";
+    if (current && current.direction === direction && point.index - current.lastIndex <= 2) {
+      current.end = point.timestamp;
+      current.lastIndex = point.index;
+      current.pointCount += 1;
+      if (Math.abs(point.score) > Math.abs(current.peak.score)) current.peak = point;
+      continue;
+    }
+    current = {
+      direction,
+      start: point.timestamp,
+      end: point.timestamp,
+      lastIndex: point.index,
+      pointCount: 1,
+      peak: point,
+    };
+    intervals.push(current);
+  }
+
+  return intervals.map((i) => ({
+    method,
+    start: new Date(i.start).toISOString(),
+    end: new Date(i.end).toISOString(),
+    direction: i.direction,
+    pointCount: i.pointCount,
+    peak: { timestamp: new Date(i.peak.timestamp).toISOString(), value: i.peak.value },
+    score: roundScore(i.peak.score),
+    severity: severityFor(Math.abs(i.peak.score), threshold),
+  }));
+}
+
+/**
+ * Flag points far from the mean of the points before them.
+ * @param {Array<[number, number|null]>} points - Series points in time order
+ * @param {Object} [options] - Detection options
+ * @param {number} [options.window] - Trailing points used as the baseline (default: 30)
+ * @param {number} [options.threshold] - |z| at or above which a point is anomalous (default: 3)
+ * @returns {Array<Object>} Anomalous intervals
+ */
+export function detectRollingZScore(points, options = {}) {
+  const { window = 30, threshold = 3 } = options;
+  const data = validPoints(points);
+  const minHistory = Math.min(window, 5);
+  const flagged = [];
+
+  for (let i = minHistory; i < data.length; i++) {
+    const history = data.slice(Math.max(0, i - window), i).map((p) => p[1]);
+    const { mean, stdDev } = meanStdDev(history);
+    const z = score(data[i][1] - mean, stdDev);
+    if (Math.abs(z) >= threshold) {
+      flagged.push({ index: i, timestamp: data[i][0], value: data[i][1], score: z });
+    }
+  }
+
+  return groupIntervals(flagged, "zscore", threshold);
+}
+
+/**
+ * Seasonal bucketing of timestamps. The formatter is built once, since building one per
+ * point dominates the run time over weeks of history.
+ * @param {string} seasonality - hour_of_day or day_of_week
+ * @param {string} timezone - IANA timezone
+ * @returns {(timestamp: number) => string} Bucket key of a Unix timestamp (ms)
+ * @private
+ */
+function seasonalBucketer(seasonality, timezone) {
+  const formatter = new Intl.DateTimeFormat("en-US", {
+    timeZone: timezone,
+    hour: "numeric",
+    hourCycle: "h23",
+    weekday: "short",
+  });
+  const type = seasonality === "day_of_week" ? "weekday" : "hour";
+  return (timestamp) =>
+    formatter.formatToParts(new Date(timestamp)).find((p) => p.type === type).value;
+}
+
+/**
+ * Flag points far from a seasonal baseline built from history: the median and MAD of the
+ * history values in the same hour of day (or day of week).
+ * @param {Array<[number, number|null]>} points - Series points to check
+ * @param {Array<[number, number|null]>} history - Earlier points forming the baseline
+ * @param {Object} [options] - Detection options
+ * @param {string} [options.seasonality] - hour_of_day or day_of_week (default: hour_of_day)
+ * @param {string} [options.timezone] - IANA timezone for buckets (default: UTC)
+ * @param {number} [options.threshold] - |robust z| for an anomaly (default: 3)
+ * @param {number} [options.minSamples] - History points needed per bucket (default: 3)
+ * @returns {Array<Object>} Anomalous intervals
+ */
+export function detectSeasonal(points, history, options = {}) {
+  const { seasonality = "hour_of_day", timezone = "UTC", threshold = 3, minSamples = 3 } = options;
+
+  const bucketOf = seasonalBucketer(seasonality, timezone);
+  const buckets = new Map();
+  for (const [t, v] of validPoints(history)) {
+    const key = bucketOf(t);
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(v);
+  }
+
+  const baselines = new Map();
+  for (const [key, values] of buckets) {
+    if (values.length < minSamples) continue;
+    const center = median(values);
+    const mad = median(values.map((v) => Math.abs(v - center)));
+    baselines.set(key, { center, spread: MAD_TO_STDDEV * mad || meanStdDev(values).stdDev });
+  }
+
+  const flagged = [];
+  validPoints(points).forEach(([t, v], index) => {
+    const baseline = baselines.get(bucketOf(t));
+    if (!baseline) return;
+    const z = score(v - baseline.center, baseline.spread);
+    if (Math.abs(z) >= threshold) flagged.push({ index, timestamp: t, value: v, score: z });
+  });
+
+  return groupIntervals(flagged, "seasonal", threshold);
+}
+
+/**
+ * Find shifts in the mean by binary segmentation. A split is kept when the two sides differ
+ * by a clear t statistic and by at least one pooled standard deviation.
+ * @param {Array<[number, number|null]>} points - Series points in time order
+ * @param {Object} [options] - Detection options
+ * @param {number} [options.minSegment] - Minimum points on each side of a change (default: 5)
+ * @returns {Array<{timestamp: string, before: number, after: number, shift: number,
+ *   percentChange: number|null, effectSize: number|null, severity: string}>} Change points
+ *   in time order
+ */
+export function detectChangePoints(points, options = {}) {
+  const { minSegment = 5 } = options;
+  const data = validPoints(points);
+  const values = data.map((p) => p[1]);
+
+  // Prefix sums make each candidate split O(1)
+  const sum = [0];
+  const sumSq = [0];
+  for (const v of values) {
+    sum.push(sum.at(-1) + v);
+    sumSq.push(sumSq.at(-1) + v * v);
+  }
+  const segment = (from, to) => {
+    const n = to - from;
+    const mean = (sum[to] - sum[from]) / n;
+    const ss = Math.max(0, sumSq[to] - sumSq[from] - n * mean * mean);
+    return { n, mean, ss };
+  };
+
+  const changes = [];
+  const split = (from, to) => {
+    let best = null;
+    for (let k = from + minSegment; k <= to - minSegment; k++) {
+      const a = segment(from, k);
+      const b = segment(k, to);
+      const pooled = Math.sqrt((a.ss + b.ss) / Math.max(1, a.n + b.n - 2));
+      const shift = b.mean - a.mean;
+      const t = score(shift, pooled * Math.sqrt(1 / a.n + 1 / b.n));
+      if (!best || Math.abs(t) > Math.abs(best.t)) best = { k, a, b, shift, pooled, t };
+    }
+    if (!best) return;
+
+    const effect = Math.abs(score(best.shift, best.pooled));
+    if (Math.abs(best.t) < CHANGE_POINT_MIN_T || effect < CHANGE_POINT_MIN_EFFECT) return;
+
+    changes.push({
+      index: best.k,
+      before: best.a.mean,
+      after: best.b.mean,
+      shift: best.shift,
+      effect,
+    });
+    split(from, best.k);
+    split(best.k, to);
+  };
+  split(0, values.length);
+
+  const round = (v) => Number(v.toPrecision(6));
+  return changes
+    .sort((x, y) => x.index - y.index)
+    .map((c) => ({
+      timestamp: new Date(data[c.index][0]).toISOString(),
+      before: round(c.before),
+      after: round(c.after),
+      shift: round(c.shift),
+      percentChange: c.before !== 0 ? round((c.shift / Math.abs(c.before)) * 100) : null,
+      effectSize: roundScore(c.effect),
+      // Medium from 2.25 and high from 3 pooled standard deviations
+      severity: severityFor(c.effect, 1.5),
+    }));
+}
@@ -1,4 +1,5 @@
 import { DatadogClientError } from "./errors.js";
+import { getRetryAfterMs, withRetry } from "./retry.js";
 
 /**
  * Generic HTTP API client for making requests to external APIs.
@@ -10,11 +11,13 @@ export class ApiClient {
    * @param {string} config.baseUrl - Base URL for all requests
    * @param {Object} config.headers - Default headers to include
    * @param {number} config.timeout - Request timeout in milliseconds
+   * @param {Object} [config.retry] - Retry policy overrides (see utils/retry.js)
    */
   constructor(config = {}) {
     this.baseUrl = config.baseUrl || "";
     this.headers = config.headers || {};
     this.timeout = config.timeout || 30000;
+    this.retry = config.retry;
   }
 
   /**
@@ -66,6 +69,7 @@ export class ApiClient {
 
   /**
    * Internal method to make HTTP requests using fetch.
+   * Rate limits, server errors and timeouts are retried according to the retry policy.
    * @private
    * @param {string} method - HTTP method
    * @param {string} path - API path
@@ -75,6 +79,20 @@ export class ApiClient {
    * @throws {DatadogClientError} If the request fails
    */
   async _request(method, path, body, config = {}) {
+    return withRetry(() => this._send(method, path, body, config), this.retry);
+  }
+
+  /**
+   * Make a single HTTP request attempt.
+   * @private
+   * @param {string} method - HTTP method
+   * @param {string} path - API path
+   * @param {Object} body - Request body (null for GET)
+   * @param {Object} config - Request configuration
+   * @returns {Promise<Object>} Response data
+   * @throws {DatadogClientError} If the request fails
+   */
+  async _send(method, path, body, config = {}) {
     const url = `${this.baseUrl}${path}`;
     const headers = {
       ...this.headers,
@@ -97,11 +115,13 @@ export class ApiClient {
 
       if (!response.ok) {
         const errorData = await response.json().catch(() => ({}));
-        throw new DatadogClientError(
+        const error = new DatadogClientError(
           errorData.error?.message || `HTTP ${response.status}: ${response.statusText}`,
           response.status,
           new Error(JSON.stringify(errorData))
         );
+        error.retryAfterMs = getRetryAfterMs(response.headers);
+        throw error;
       }
 
       return await response.json();
@@ -110,7 +130,7 @@ export class ApiClient {
         throw error;
       }
 
-      if (error.name === "AbortError") {
+      if (error.name === "AbortError" || error.name === "TimeoutError") {
         throw new DatadogClientError(`Request timeout after ${this.timeout}ms`, null, error);
       }
 
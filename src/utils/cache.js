@@ -0,0 +1,251 @@
+import { isAbsoluteTime, parseTime } from "./time.js";
+
+/**
+ * In-memory LRU cache for read-only tool responses.
+ * Entries are keyed by tool name plus normalized arguments and expire after a per-tool TTL.
+ * Calls over an absolute time range that has already ended are cached for longer, since
+ * the data they return no longer changes.
+ */
+
+/**
+ * Default cache options.
+ * @type {{maxEntries: number, defaultTtlMs: number, absoluteTtlMs: number, toolTtls: Object}}
+ */
+export const DEFAULT_CACHE_OPTIONS = Object.freeze({
+  maxEntries: 500,
+  defaultTtlMs: 60 * 1000,
+  absoluteTtlMs: 60 * 60 * 1000,
+  // Metadata changes rarely; listings are worth a few minutes
+  toolTtls: Object.freeze({
+    list_metrics: 5 * 60 * 1000,
+    get_metric_metadata: 60 * 60 * 1000,
+    list_monitors: 2 * 60 * 1000,
+  }),
+});
+
+// Data newer than this may still be ingesting, so ranges ending later are treated as relative
+const INGESTION_DELAY_MS = 5 * 60 * 1000;
+
+/**
+ * Input property added to every cached tool.
+ * @type {Object}
+ */
+export const noCacheInputProperty = {
+  noCache: {
+    type: "boolean",
+    description: "Bypass the response cache and fetch fresh data (default: false)",
+  },
+};
+
+/**
+ * Recursively sort object keys and drop null/undefined values so equivalent
+ * arguments produce the same cache key.
+ * @param {*} value - Arguments (or part of them)
+ * @returns {*} Normalized copy
+ */
+export function normalizeArgs(value) {
+  if (Array.isArray(value)) {
+    return value.map(normalizeArgs);
+  }
+  if (value == null || typeof value !== "object") {
+    return value;
+  }
+  const out = {};
+  for (const key of Object.keys(value).sort()) {
+    if (value[key] != null) {
+      out[key] = normalizeArgs(value[key]);
+    }
+  }
+  return out;
+}
+
+/**
+ * Parse a "tool=seconds,tool=seconds" list into per-tool TTLs in milliseconds.
+ * @param {string} [spec] - TTL list (e.g. "list_metrics=600,query_metrics=0")
+ * @returns {Object<string, number>} Map of tool name to TTL (ms)
+ * @throws {Error} If an entry is malformed
+ */
+export function parseToolTtls(spec) {
+  const ttls = {};
+  for (const entry of (spec || "").split(",")) {
+    if (!entry.trim()) continue;
+    const match = /^\s*([\w.-]+)\s*=\s*(\d+)\s*$/.exec(entry);
+    if (!match) {
+      throw new Error(`Invalid cache TTL entry "${entry.trim()}". Use tool_name=seconds`);
+    }
+    ttls[match[1]] = Number(match[2]) * 1000;
+  }
+  return ttls;
+}
+
+/**
+ * LRU cache of tool responses with per-entry expiry.
+ */
+export class ResponseCache {
+  /**
+   * @param {Object} [options] - Cache options (see DEFAULT_CACHE_OPTIONS)
+   * @param {number} [options.maxEntries] - Maximum number of cached responses
+   * @param {number} [options.defaultTtlMs] - TTL for tools without an override
+   * @param {number} [options.absoluteTtlMs] - TTL for calls over a finished absolute time range
+   * @param {Object<string, number>} [options.toolTtls] - Per-tool TTL overrides (0 disables)
+   * @param {() => number} [options.now] - Clock (for tests)
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries ?? DEFAULT_CACHE_OPTIONS.maxEntries;
+    this.defaultTtlMs = options.defaultTtlMs ?? DEFAULT_CACHE_OPTIONS.defaultTtlMs;
+    this.absoluteTtlMs = options.absoluteTtlMs ?? DEFAULT_CACHE_OPTIONS.absoluteTtlMs;
+    this.toolTtls = { ...DEFAULT_CACHE_OPTIONS.toolTtls, ...options.toolTtls };
+    this.now = options.now ?? Date.now;
+    this.entries = new Map();
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * Build the cache key for a tool call.
+   * @param {string} toolName - Tool name
+   * @param {Object} [args] - Tool arguments (noCache is ignored)
+   * @returns {string} Cache key
+   */
+  key(toolName, args = {}) {
+    const { noCache: _noCache, ...rest } = args ?? {};
+    return `${toolName}:${JSON.stringify(normalizeArgs(rest))}`;
+  }
+
+  /**
+   * TTL for a tool call: the tool's TTL, or the longer absolute TTL when the call
+   * covers an absolute time range that ended before the ingestion delay. Calls that export
+   * to a file are never cached: each must write its file.
+   * @param {string} toolName - Tool name
+   * @param {Object} [args] - Tool arguments
+   * @returns {number} TTL in milliseconds (0 means do not cache)
+   */
+  ttlFor(toolName, args = {}) {
+    if (args?.export) {
+      return 0;
+    }
+    const toolTtl = this.toolTtls[toolName] ?? this.defaultTtlMs;
+    if (toolTtl <= 0) {
+      return 0;
+    }
+    const { from, to } = args ?? {};
+    if (isAbsoluteTime(from) && isAbsoluteTime(to)) {
+      try {
+        if (parseTime(to, { timezone: args.timezone }) <= this.now() - INGESTION_DELAY_MS) {
+          return Math.max(toolTtl, this.absoluteTtlMs);
+        }
+      } catch {
+        // Invalid input: the tool reports it; fall back to the tool TTL
+      }
+    }
+    return toolTtl;
+  }
+
+  /**
+   * Get a cached value, refreshing its LRU position.
+   * @param {string} key - Cache key
+   * @returns {*} Cached value, or undefined on a miss or expired entry
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry || entry.expiresAt <= this.now()) {
+      if (entry) this.entries.delete(key);
+      this.misses += 1;
+      return undefined;
+    }
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.hits += 1;
+    return entry.value;
+  }
+
+  /**
+   * Store a value, evicting the least recently used entry when full.
+   * @param {string} key - Cache key
+   * @param {*} value - Value to cache
+   * @param {number} ttlMs - Time to live in milliseconds
+   */
+  set(key, value, ttlMs) {
+    if (ttlMs <= 0 || this.maxEntries <= 0) {
+      return;
+    }
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: this.now() + ttlMs });
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Remove cached entries.
+   * @param {string} [toolName] - Only remove entries for this tool
+   * @returns {number} Number of entries removed
+   */
+  clear(toolName) {
+    if (!toolName) {
+      const removed = this.entries.size;
+      this.entries.clear();
+      return removed;
+    }
+    let removed = 0;
+    for (const key of [...this.entries.keys()]) {
+      if (key.startsWith(`${toolName}:`)) {
+        this.entries.delete(key);
+        removed += 1;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Cache statistics.
+   * @returns {{size: number, maxEntries: number, hits: number, misses: number}}
+   */
+  stats() {
+    return {
+      size: this.entries.size,
+      maxEntries: this.maxEntries,
+      hits: this.hits,
+      misses: this.misses,
+    };
+  }
+}
+
+/**
+ * Wrap a tool definition so successful responses are served from the cache.
+ * Adds the noCache input; error results are never cached.
+ * @param {Object} tool - Tool definition with handler
+ * @param {ResponseCache} cache - Response cache
+ * @returns {Object} Tool definition with a caching handler
+ */
+export function withResponseCache(tool, cache) {
+  const { handler } = tool;
+  return {
+    ...tool,
+    inputSchema: {
+      ...tool.inputSchema,
+      properties: { ...tool.inputSchema.properties, ...noCacheInputProperty },
+    },
+    handler: async (input = {}, context) => {
+      const { noCache, ...args } = input ?? {};
+      const ttlMs = cache.ttlFor(tool.name, args);
+      if (ttlMs <= 0) {
+        return handler(args, context);
+      }
+
+      const key = cache.key(tool.name, args);
+      if (!noCache) {
+        const cached = cache.get(key);
+        if (cached !== undefined) {
+          return cached;
+        }
+      }
+
+      const result = await handler(args, context);
+      if (!result?.isError) {
+        cache.set(key, result, ttlMs);
+      }
+      return result;
+    },
+  };
+}
@@ -31,16 +31,50 @@ export function loadOptionalEnvironmentVariable(key, defaultValue) {
 /**
  * Load and validate all required Datadog configuration.
  * @returns {Object} Configuration object with all required and optional variables
- * @throws {MissingEnvironmentVariable} If required variables are missing
+ * @throws {MissingEnvironmentVariable} If required variables are missing (API/app keys are
+ *   only required when no profiles are configured)
  */
 export function getConfiguration() {
+  // With named profiles the single-org keys become optional (see utils/profiles.js)
+  const hasProfiles = Boolean(process.env.DATADOG_PROFILES || process.env.DATADOG_PROFILES_FILE);
+  const loadKey = (key) =>
+    hasProfiles ? loadOptionalEnvironmentVariable(key, "") : loadEnvironmentVariable(key);
+
   return {
-    datadogApiKey: loadEnvironmentVariable("DATADOG_API_KEY"),
-    datadogAppKey: loadEnvironmentVariable("DATADOG_APP_KEY"),
+    datadogApiKey: loadKey("DATADOG_API_KEY"),
+    datadogAppKey: loadKey("DATADOG_APP_KEY"),
     datadogSite: loadOptionalEnvironmentVariable("DATADOG_SITE", "datadoghq.com"),
+    datadogApiUrl: loadOptionalEnvironmentVariable("DATADOG_API_URL", ""),
+    datadogProfiles: loadOptionalEnvironmentVariable("DATADOG_PROFILES", ""),
+    datadogProfilesFile: loadOptionalEnvironmentVariable("DATADOG_PROFILES_FILE", ""),
+    datadogDefaultOrg: loadOptionalEnvironmentVariable("DATADOG_DEFAULT_ORG", ""),
     datadogRegion: loadOptionalEnvironmentVariable("DATADOG_REGION", "us1"),
     nodeEnv: loadOptionalEnvironmentVariable("NODE_ENV", "local"),
     mcpServerName: loadOptionalEnvironmentVariable("MCP_SERVER_NAME", "datadog"),
     mcpServerVersion: loadOptionalEnvironmentVariable("MCP_SERVER_VERSION", "1.0.0"),
+    mcpTransport: loadOptionalEnvironmentVariable("MCP_TRANSPORT", "stdio"),
+    mcpHttpHost: loadOptionalEnvironmentVariable("MCP_HTTP_HOST", "127.0.0.1"),
+    mcpHttpPort: loadOptionalEnvironmentVariable("MCP_HTTP_PORT", "3000"),
+    mcpExportDir: loadOptionalEnvironmentVariable("MCP_EXPORT_DIR", ""),
+    tools: {
+      configFile: loadOptionalEnvironmentVariable("MCP_TOOLS_CONFIG", ""),
+      domains: loadOptionalEnvironmentVariable("MCP_ENABLED_DOMAINS", ""),
+      allow: loadOptionalEnvironmentVariable("MCP_TOOLS_ALLOW", ""),
+      deny: loadOptionalEnvironmentVariable("MCP_TOOLS_DENY", ""),
+      writesEnabled: loadOptionalEnvironmentVariable("MCP_WRITES_ENABLED", "false"),
+    },
+    cache: {
+      enabled: loadOptionalEnvironmentVariable("MCP_CACHE_ENABLED", "true"),
+      maxEntries: loadOptionalEnvironmentVariable("MCP_CACHE_MAX_ENTRIES", "500"),
+      ttlSeconds: loadOptionalEnvironmentVariable("MCP_CACHE_TTL_SECONDS", "60"),
+      absoluteTtlSeconds: loadOptionalEnvironmentVariable("MCP_CACHE_ABSOLUTE_TTL_SECONDS", "3600"),
+      toolTtls: loadOptionalEnvironmentVariable("MCP_CACHE_TOOL_TTLS", ""),
+    },
+    retry: {
+      maxRetries: loadOptionalEnvironmentVariable("DATADOG_RETRY_MAX_RETRIES", "3"),
+      baseDelayMs: loadOptionalEnvironmentVariable("DATADOG_RETRY_BASE_DELAY_MS", "500"),
+      maxDelayMs: loadOptionalEnvironmentVariable("DATADOG_RETRY_MAX_DELAY_MS", "10000"),
+      deadlineMs: loadOptionalEnvironmentVariable("DATADOG_RETRY_DEADLINE_MS", "30000"),
+    },
   };
 }
@@ -0,0 +1,139 @@
+/**
+ * Export of tool results to local CSV or NDJSON files, for notebooks and spreadsheets.
+ * Rows are written page by page as they arrive, so a large export never sits in memory, and
+ * the tool response carries only the file path, row count and inferred schema.
+ */
+
+import { mkdir, open, unlink } from "node:fs/promises";
+import { randomUUID } from "node:crypto";
+import path from "node:path";
+
+/** File formats accepted by the `export` option. */
+export const EXPORT_FORMATS = ["csv", "ndjson"];
+
+/**
+ * Input schema property for the `export` option, shared by the exporting tools.
+ * @type {Object}
+ */
+export const exportInputProperties = {
+  export: {
+    type: "string",
+    enum: EXPORT_FORMATS,
+    description:
+      "Write the full, untruncated results to a CSV or NDJSON file in the export directory " +
+      "(MCP_EXPORT_DIR) and return only the file path, row count and schema",
+  },
+};
+
+/**
+ * Check the export option of a tool call.
+ * @param {*} format - Requested export format
+ * @param {string} [exportDir] - Configured export directory
+ * @returns {string|null} Error message, or null when the export can run
+ */
+export function exportOptionError(format, exportDir) {
+  if (!EXPORT_FORMATS.includes(format)) {
+    return `export must be one of ${EXPORT_FORMATS.join(", ")}`;
+  }
+  if (!exportDir) {
+    return "export is disabled; set MCP_EXPORT_DIR to a writable directory";
+  }
+  return null;
+}
+
+/**
+ * Encode a value as a CSV field (RFC 4180). Objects and arrays are written as JSON.
+ * @param {*} value - Field value
+ * @returns {string}
+ * @private
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return "";
+  const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * JSON type name of a value, as reported in the schema.
+ * @param {*} value - Value
+ * @returns {string} null, array, object, string, number or boolean
+ * @private
+ */
+function typeName(value) {
+  if (value === null || value === undefined) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+/**
+ * Export file name: the tool name, a UTC timestamp and a random suffix so concurrent
+ * exports never collide.
+ * @param {string} name - File name prefix
+ * @param {string} format - csv or ndjson
+ * @returns {string} e.g. "search_logs-20260108T100000Z-1a2b3c4d.csv"
+ * @private
+ */
+function exportFileName(name, format) {
+  const stamp = new Date()
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d+Z$/, "Z");
+  return `${name}-${stamp}-${randomUUID().slice(0, 8)}.${format}`;
+}
+
+/**
+ * Write pages of rows to a new file in the export directory (created if missing).
+ * The file is removed again if writing fails.
+ * @param {Object} params - Export parameters
+ * @param {string} params.dir - Export directory
+ * @param {string} params.name - File name prefix (e.g. the tool name)
+ * @param {string} params.format - csv or ndjson
+ * @param {Array<string>} params.columns - Columns, in order; other row properties are dropped
+ * @param {Iterable<Array<Object>>|AsyncIterable<Array<Object>>} params.pages - Pages of rows
+ * @returns {Promise<{path: string, format: string, rowCount: number,
+ *   schema: Array<{name: string, type: string, nullable: boolean}>}>} Written file; a column's
+ *   type joins every non-null type seen (e.g. "number|string")
+ */
+export async function writeExport({ dir, name, format, columns, pages }) {
+  await mkdir(dir, { recursive: true });
+  const filePath = path.resolve(dir, exportFileName(name, format));
+  const types = new Map(columns.map((column) => [column, new Set()]));
+  let rowCount = 0;
+
+  // "wx" never overwrites an existing file
+  const file = await open(filePath, "wx");
+  try {
+    if (format === "csv") await file.write(`${columns.map(csvField).join(",")}\n`);
+    for await (const rows of pages) {
+      if (rows.length === 0) continue;
+      const lines = rows.map((row) => {
+        for (const column of columns) types.get(column).add(typeName(row[column]));
+        return format === "csv"
+          ? columns.map((column) => csvField(row[column])).join(",")
+          : JSON.stringify(Object.fromEntries(columns.map((c) => [c, row[c] ?? null])));
+      });
+      await file.write(`${lines.join("\n")}\n`);
+      rowCount += rows.length;
+    }
+    await file.close();
+  } catch (error) {
+    await file.close().catch(() => {});
+    await unlink(filePath).catch(() => {});
+    throw error;
+  }
+
+  return {
+    path: filePath,
+    format,
+    rowCount,
+    schema: columns.map((column) => {
+      const seen = types.get(column);
+      const valueTypes = [...seen].filter((t) => t !== "null").sort();
+      return {
+        name: column,
+        type: valueTypes.length ? valueTypes.join("|") : "null",
+        nullable: seen.has("null") || rowCount === 0,
+      };
+    }),
+  };
+}
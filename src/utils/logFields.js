@@ -0,0 +1,109 @@
+/**
+ * Field access for logs returned by the search API.
+ * A log carries reserved attributes (message, status, service, host, timestamp, tags) and
+ * custom attributes nested under `attributes`. Paths follow the Datadog query syntax:
+ * `@http.status_code` names a custom attribute, `service` a reserved one. Nested objects are
+ * flattened into dotted paths so every value can be addressed and projected on its own.
+ */
+
+/** Reserved log attributes, addressed without the @ prefix. */
+const RESERVED_FIELDS = ["id", "timestamp", "status", "service", "host", "message", "tags"];
+
+/**
+ * Flatten nested objects into dotted paths; arrays and other values are leaves.
+ * @param {Object} value - Object to flatten
+ * @param {string} [prefix] - Path prefix for the keys
+ * @returns {Object<string, *>} Leaf values by dotted path (e.g. {"http.status_code": 500})
+ */
+export function flattenAttributes(value, prefix = "") {
+  const flat = {};
+  for (const [key, child] of Object.entries(value ?? {})) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(child) && Object.keys(child).length > 0) {
+      Object.assign(flat, flattenAttributes(child, path));
+    } else {
+      flat[path] = child;
+    }
+  }
+  return flat;
+}
+
+/**
+ * Whether a value is a plain object (not an array, Date or null).
+ * @param {*} value - Value
+ * @returns {boolean}
+ * @private
+ */
+function isPlainObject(value) {
+  return (
+    value !== null && typeof value === "object" && !Array.isArray(value) && !(value instanceof Date)
+  );
+}
+
+/**
+ * Read a dotted path from an object.
+ * @param {Object} value - Object to read
+ * @param {string} path - Dotted path (e.g. "http.status_code")
+ * @returns {*} Value, or undefined when missing
+ * @private
+ */
+function readPath(value, path) {
+  // Keys may themselves contain dots (e.g. "http.url" sent as one key)
+  if (value && Object.hasOwn(value, path)) return value[path];
+  const separator = path.indexOf(".");
+  if (separator === -1 || !isPlainObject(value)) return undefined;
+  return readPath(value[path.slice(0, separator)], path.slice(separator + 1));
+}
+
+/**
+ * Value of a field of a log. `@path` reads custom attributes first and falls back to reserved
+ * ones; a bare path reads reserved attributes first (so `@service` and `service` both work).
+ * @param {Object} log - Log from the search API ({id, attributes})
+ * @param {string} field - Field path (e.g. "@http.status_code", "message")
+ * @returns {*} Value (possibly an object), or undefined when the log does not have it
+ */
+export function logFieldValue(log, field) {
+  const attributes = log?.attributes ?? {};
+  const custom = field.startsWith("@");
+  const path = custom ? field.slice(1) : field;
+  const reserved = () => {
+    if (path === "id") return log?.id;
+    if (path === "timestamp") return attributes.timestamp ?? log?.timestamp;
+    return RESERVED_FIELDS.includes(path) ? attributes[path] : undefined;
+  };
+  const customValue = () => readPath(attributes.attributes, path);
+
+  return custom ? (customValue() ?? reserved()) : (reserved() ?? customValue());
+}
+
+/**
+ * Project a log onto the requested fields. Object values expand into one key per nested
+ * leaf (`@http` gives `@http.method`, `@http.status_code`, ...); missing fields are null.
+ * @param {Object} log - Log from the search API
+ * @param {Array<string>} fields - Field paths, in order
+ * @param {Object} [options] - Projection options
+ * @param {number} [options.maxMessageLength] - Cut `message` to this many characters
+ *   (0: keep it whole)
+ * @returns {Object<string, *>} Values keyed by field path
+ */
+export function projectLog(log, fields, { maxMessageLength = 0 } = {}) {
+  const row = {};
+  for (const field of fields) {
+    let value = logFieldValue(log, field);
+    if (isPlainObject(value)) {
+      for (const [path, leaf] of Object.entries(flattenAttributes(value, field))) {
+        row[path] = leaf;
+      }
+      continue;
+    }
+    if (
+      maxMessageLength > 0 &&
+      typeof value === "string" &&
+      (field === "message" || field === "@message")
+    ) {
+      value = value.substring(0, maxMessageLength);
+    }
+    row[field] = value instanceof Date ? value.toISOString() : (value ?? null);
+  }
+  return row;
+}
@@ -0,0 +1,119 @@
+/**
+ * Log pattern clustering.
+ * Messages are reduced to templates by masking variable tokens (quoted strings, UUIDs, IP
+ * addresses, hex identifiers and numbers); logs sharing a template form one pattern. A
+ * hundred "Timeout after 3021ms for order 8812" lines become one pattern with a count.
+ */
+
+/** Only the start of long messages (e.g. stack traces) is used for the template. */
+const MAX_TEMPLATE_INPUT = 1000;
+
+/** Services and hosts listed per pattern, most frequent first. */
+const MAX_AFFECTED = 10;
+
+// Applied in order: quoted strings first so their contents are masked as a whole. Single
+// quotes next to a letter are apostrophes ("can't", "isn't"), not string delimiters
+const MASKS = [
+  [/"(?:[^"\\]|\\.)*"|(?<!\w)'(?:[^'\\]|\\.)*'(?!\w)/g, "<STR>"],
+  [/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, "<UUID>"],
+  [/\b(?:\d{1,3}\.){3}\d{1,3}(?::\d+)?\b/g, "<IP>"],
+  // IPv6: compressed (::) or all eight groups, so clock times like 12:30:45 are left alone
+  [
+    /(?<![\w:])(?:[0-9a-f]{0,4}:){2,7}[0-9a-f]{0,4}(?![\w:])/gi,
+    (match) => (match.includes("::") || match.split(":").length === 8 ? "<IP>" : match),
+  ],
+  [/\b0x[0-9a-f]+\b|\b(?=[0-9a-f]*\d)(?=[0-9a-f]*[a-f])[0-9a-f]{8,}\b/gi, "<HEX>"],
+  [/(?<![\w.])\d+(?:\.\d+)*/g, "<NUM>"],
+];
+
+/**
+ * Reduce a log message to its template.
+ * @param {string} [message] - Log message
+ * @returns {string} Template, e.g. "Timeout after <NUM>ms for order <NUM>"
+ */
+export function maskMessage(message) {
+  let template = String(message ?? "").slice(0, MAX_TEMPLATE_INPUT);
+  for (const [pattern, replacement] of MASKS) {
+    template = template.replace(pattern, replacement);
+  }
+  return template.replace(/\s+/g, " ").trim() || "(empty message)";
+}
+
+/**
+ * Most frequent values of a count map.
+ * @param {Map<string, number>} counts - Value counts
+ * @returns {Array<string>} Up to MAX_AFFECTED values, most frequent first
+ * @private
+ */
+function topValues(counts) {
+  return [...counts]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, MAX_AFFECTED)
+    .map(([value]) => value);
+}
+
+/**
+ * Group logs by message template.
+ * @param {Array<Object>} logs - Logs from the search API ({id, attributes: {message,
+ *   timestamp, service, host, status}})
+ * @returns {Array<{pattern: string, count: number, firstSeen: string|null,
+ *   lastSeen: string|null, statuses: Object<string, number>, services: Array<string>,
+ *   serviceCount: number, hosts: Array<string>, hostCount: number, sampleLogId: string|null,
+ *   sampleMessage: string}>} Patterns, most frequent first; services and hosts list the ten
+ *   most frequent, with the number of distinct values in serviceCount and hostCount
+ */
+export function clusterLogPatterns(logs) {
+  const groups = new Map();
+
+  for (const log of logs) {
+    const attributes = log.attributes ?? {};
+    const pattern = maskMessage(attributes.message);
+    let group = groups.get(pattern);
+    if (!group) {
+      group = {
+        pattern,
+        count: 0,
+        first: Infinity,
+        last: -Infinity,
+        statuses: {},
+        services: new Map(),
+        hosts: new Map(),
+        sampleLogId: log.id ?? null,
+        sampleMessage: String(attributes.message ?? ""),
+      };
+      groups.set(pattern, group);
+    }
+
+    group.count += 1;
+    const time = new Date(attributes.timestamp ?? log.timestamp).getTime();
+    if (Number.isFinite(time)) {
+      group.first = Math.min(group.first, time);
+      group.last = Math.max(group.last, time);
+    }
+    if (attributes.status) {
+      group.statuses[attributes.status] = (group.statuses[attributes.status] ?? 0) + 1;
+    }
+    if (attributes.service) {
+      group.services.set(attributes.service, (group.services.get(attributes.service) ?? 0) + 1);
+    }
+    if (attributes.host) {
+      group.hosts.set(attributes.host, (group.hosts.get(attributes.host) ?? 0) + 1);
+    }
+  }
+
+  return [...groups.values()]
+    .sort((a, b) => b.count - a.count || b.last - a.last)
+    .map((group) => ({
+      pattern: group.pattern,
+      count: group.count,
+      firstSeen: Number.isFinite(group.first) ? new Date(group.first).toISOString() : null,
+      lastSeen: Number.isFinite(group.last) ? new Date(group.last).toISOString() : null,
+      statuses: group.statuses,
+      services: topValues(group.services),
+      serviceCount: group.services.size,
+      hosts: topValues(group.hosts),
+      hostCount: group.hosts.size,
+      sampleLogId: group.sampleLogId,
+      sampleMessage: group.sampleMessage,
+    }));
+}
@@ -0,0 +1,101 @@
+/**
+ * Cardinality estimates for metrics.
+ * Datadog reports how many distinct series a metric has (its volume) but not which tag keys
+ * drive that number. Each key's contribution is estimated from the number of values reported
+ * for it, assuming values of different keys combine independently: dropping a key with 40
+ * values divides the series count by about 40. Real tags are correlated (a host belongs to
+ * one availability zone), so the estimates are upper bounds meant for ranking.
+ */
+
+import { groupTagsByKey } from "./metricTags.js";
+
+/**
+ * Volumes from a listVolumesByMetricName response. Metrics with a tag configuration report
+ * ingested and indexed volumes; others report a distinct volume.
+ * @param {Object} [response] - Volumes response ({data: {type, attributes}})
+ * @returns {{distinct?: number, ingested?: number, indexed?: number}} Reported volumes
+ */
+export function volumesFrom(response) {
+  const attributes = response?.data?.attributes ?? {};
+  const volumes = {};
+  if (Number.isFinite(attributes.distinctVolume)) volumes.distinct = attributes.distinctVolume;
+  if (Number.isFinite(attributes.ingestedVolume)) volumes.ingested = attributes.ingestedVolume;
+  if (Number.isFinite(attributes.indexedVolume)) volumes.indexed = attributes.indexedVolume;
+  return volumes;
+}
+
+/**
+ * Whether a tag key is indexed under a tag configuration.
+ * @param {string} key - Tag key
+ * @param {{tags: Array<string>, excludeTagsMode?: boolean}|null} configuration - Tag
+ *   configuration, null when the metric has none (all keys indexed)
+ * @returns {boolean}
+ * @private
+ */
+function isIndexed(key, configuration) {
+  if (!configuration) return true;
+  const listed = (configuration.tags ?? []).includes(key);
+  return configuration.excludeTagsMode ? !listed : listed;
+}
+
+/**
+ * Estimate a metric's series count and rank its tag keys by how much they contribute.
+ * @param {Object} params - Metric data
+ * @param {Array<string>} params.tags - Tags reported for the metric ("key:value")
+ * @param {{distinct?: number, ingested?: number, indexed?: number}} [params.volumes] - Volumes
+ *   reported by Datadog
+ * @param {Array<string>|null} [params.activeTags] - Actively queried tag keys; null when unknown
+ * @param {{tags: Array<string>, excludeTagsMode?: boolean}|null} [params.configuration] - Tag
+ *   configuration; null when the metric has none
+ * @returns {{estimatedSeries: number, estimateSource: string, tagCombinationBound: number,
+ *   tagKeys: Array<Object>}} Estimate; tagKeys are ranked by estimated reduction
+ */
+export function estimateCardinality({
+  tags,
+  volumes = {},
+  activeTags = null,
+  configuration = null,
+}) {
+  const groups = groupTagsByKey(tags);
+
+  // Every combination of reported values, capped so huge products stay finite
+  let tagCombinationBound = 1;
+  for (const values of groups.values()) {
+    tagCombinationBound = Math.min(
+      tagCombinationBound * Math.max(1, values.length),
+      Number.MAX_SAFE_INTEGER
+    );
+  }
+
+  let estimatedSeries = tagCombinationBound;
+  let estimateSource = "tag_values";
+  if (volumes.indexed != null) {
+    estimatedSeries = volumes.indexed;
+    estimateSource = "indexed_volume";
+  } else if (volumes.distinct != null) {
+    estimatedSeries = volumes.distinct;
+    estimateSource = "distinct_volume";
+  }
+
+  const active = activeTags ? new Set(activeTags) : null;
+  const tagKeys = [...groups]
+    .map(([key, values]) => {
+      const valueCount = Math.max(1, values.length);
+      const indexed = isIndexed(key, configuration);
+      // Keys that are not indexed no longer multiply the indexed series count
+      const withoutKey = indexed ? Math.max(1, Math.round(estimatedSeries / valueCount)) : null;
+      const activelyQueried = active ? active.has(key) : null;
+      return {
+        key,
+        valueCount: values.length,
+        indexed,
+        activelyQueried,
+        estimatedSeriesWithoutKey: withoutKey,
+        estimatedReduction: withoutKey == null ? 0 : estimatedSeries - withoutKey,
+        reductionCandidate: indexed && valueCount > 1 && activelyQueried === false,
+      };
+    })
+    .sort((a, b) => b.estimatedReduction - a.estimatedReduction || a.key.localeCompare(b.key));
+
+  return { estimatedSeries, estimateSource, tagCombinationBound, tagKeys };
+}
@@ -0,0 +1,165 @@
+/**
+ * Structured metric queries for the v2 timeseries formula API.
+ * Builds Datadog metric query strings such as
+ * `sum:trace.http.request.errors{service:api} by {host}.rollup(sum, 60)` from explicit fields,
+ * and checks that formulas only reference the named queries they are sent with.
+ */
+
+/** Space aggregators accepted before the metric name (percentiles apply to distributions). */
+export const METRIC_AGGREGATORS = ["avg", "sum", "min", "max", "p50", "p75", "p90", "p95", "p99"];
+
+/** Time aggregation methods accepted by .rollup(). */
+export const ROLLUP_METHODS = ["avg", "sum", "min", "max", "count"];
+
+/** Query names are referenced from formulas, so they must be plain identifiers. */
+const QUERY_NAME_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+/** Metric names: letters, digits, underscores and dots, starting with a letter. */
+const METRIC_NAME_PATTERN = /^[A-Za-z][\w.]*$/;
+
+/** Characters that would break out of a scope or group-by clause. */
+const QUERY_SYNTAX_CHARS = /[{}()]/;
+
+/**
+ * Input schema for one structured metric query.
+ * @type {Object}
+ */
+export const metricQueryInputSchema = {
+  type: "object",
+  properties: {
+    name: {
+      type: "string",
+      description: 'Query name referenced from formulas (e.g., "a", "errors")',
+    },
+    metric: {
+      type: "string",
+      description: 'Metric name (e.g., "trace.http.request.errors")',
+    },
+    aggregator: {
+      type: "string",
+      enum: METRIC_AGGREGATORS,
+      description: "Space aggregator across the scope (default: avg)",
+    },
+    filter: {
+      type: "string",
+      description: "Optional scope, e.g. 'service:api,env:prod' (default: *)",
+    },
+    groupBy: {
+      type: "array",
+      items: { type: "string" },
+      description: 'Tag keys to group by, e.g. ["host"]; each group becomes a series',
+    },
+    rollup: {
+      type: "object",
+      properties: {
+        method: { type: "string", enum: ROLLUP_METHODS },
+        seconds: { type: "number", description: "Rollup interval in seconds" },
+      },
+      required: ["method"],
+      description: "Optional time aggregation, e.g. {method: 'sum', seconds: 60}",
+    },
+  },
+  required: ["name", "metric"],
+};
+
+/**
+ * Build a metric query string from structured fields.
+ * @param {Object} spec - Query fields
+ * @param {string} spec.metric - Metric name
+ * @param {string} [spec.aggregator] - Space aggregator (default: avg)
+ * @param {string} [spec.filter] - Scope (default: *)
+ * @param {Array<string>} [spec.groupBy] - Tag keys to group by
+ * @param {{method: string, seconds?: number}} [spec.rollup] - Time aggregation
+ * @returns {string} Datadog metric query
+ * @throws {Error} If a field is invalid
+ */
+export function buildMetricQuery({ metric, aggregator = "avg", filter, groupBy, rollup }) {
+  if (typeof metric !== "string" || !METRIC_NAME_PATTERN.test(metric.trim())) {
+    throw new Error(`Invalid metric name: ${JSON.stringify(metric)}`);
+  }
+  if (!METRIC_AGGREGATORS.includes(aggregator)) {
+    throw new Error(
+      `Invalid aggregator "${aggregator}". Use one of: ${METRIC_AGGREGATORS.join(", ")}`
+    );
+  }
+
+  const scope = typeof filter === "string" && filter.trim() ? filter.trim() : "*";
+  if (QUERY_SYNTAX_CHARS.test(scope)) {
+    throw new Error("filter must not contain {, }, ( or ) (invalid for metric query syntax)");
+  }
+
+  let query = `${aggregator}:${metric.trim()}{${scope}}`;
+
+  if (groupBy != null) {
+    const tags = Array.isArray(groupBy) ? groupBy : [groupBy];
+    if (tags.some((tag) => typeof tag !== "string" || !tag.trim() || /[{}(),\s]/.test(tag))) {
+      throw new Error("groupBy must be a list of tag keys without spaces, commas or braces");
+    }
+    if (tags.length > 0) query += ` by {${tags.join(",")}}`;
+  }
+
+  if (rollup != null) {
+    if (!ROLLUP_METHODS.includes(rollup.method)) {
+      throw new Error(
+        `Invalid rollup method "${rollup.method}". Use one of: ${ROLLUP_METHODS.join(", ")}`
+      );
+    }
+    if (rollup.seconds != null && !(Number.isInteger(rollup.seconds) && rollup.seconds > 0)) {
+      throw new Error("rollup.seconds must be a positive integer");
+    }
+    query +=
+      rollup.seconds != null
+        ? `.rollup(${rollup.method}, ${rollup.seconds})`
+        : `.rollup(${rollup.method})`;
+  }
+
+  return query;
+}
+
+/**
+ * Names a formula refers to (identifiers that are not function calls).
+ * @param {string} formula - Formula such as "a / b * 100" or "abs(a - b)"
+ * @returns {Array<string>} Referenced query names
+ */
+export function formulaReferences(formula) {
+  const names = new Set();
+  for (const match of formula.matchAll(/\b([A-Za-z_]\w*)\b(\s*\()?/g)) {
+    if (!match[2]) names.add(match[1]);
+  }
+  return [...names];
+}
+
+/**
+ * Validate named queries and the formulas over them.
+ * @param {Array<{name: string}>} queries - Named queries
+ * @param {Array<string>} formulas - Formula expressions
+ * @throws {Error} If a name is invalid or duplicated, or a formula references an unknown query
+ */
+export function validateFormulas(queries, formulas) {
+  const names = new Set();
+  for (const { name } of queries) {
+    if (typeof name !== "string" || !QUERY_NAME_PATTERN.test(name)) {
+      throw new Error(
+        `Invalid query name ${JSON.stringify(name)}: use lowercase letters, digits and "_", ` +
+          "starting with a letter"
+      );
+    }
+    if (names.has(name)) {
+      throw new Error(`Duplicate query name "${name}"`);
+    }
+    names.add(name);
+  }
+
+  for (const formula of formulas) {
+    if (typeof formula !== "string" || !formula.trim()) {
+      throw new Error("Formulas must be non-empty strings");
+    }
+    const unknown = formulaReferences(formula).filter((ref) => !names.has(ref));
+    if (unknown.length > 0) {
+      throw new Error(
+        `Formula "${formula}" references unknown quer${unknown.length > 1 ? "ies" : "y"} ` +
+          `${unknown.join(", ")}. Defined queries: ${[...names].join(", ")}`
+      );
+    }
+  }
+}
@@ -0,0 +1,583 @@
+/**
+ * Local syntax check for Datadog metric query strings.
+ * Parses queries such as `top(sum:trace.hits{env:prod,service:api} by {host}.rollup(sum, 60),
+ * 5, 'mean', 'desc') / 2` and reports problems with their position (0-based character offset)
+ * and, where the intent is clear, a replacement that fixes them.
+ *
+ * Grammar (simplified):
+ *   expression := term (("+" | "-" | "*" | "/") term)*
+ *   term       := number | "(" expression ")" | function "(" args ")" | metric query
+ *   query      := [aggregator ":"] metric "{" scope "}" ["by {" tag keys "}"]
+ *                 ("." method "(" args ")")*
+ */
+
+import { METRIC_AGGREGATORS, ROLLUP_METHODS } from "./metricQuery.js";
+import { closestMatches } from "./metricTags.js";
+
+/** Functions applied around queries; unknown names are reported as warnings. */
+export const METRIC_FUNCTIONS = [
+  "abs",
+  "anomalies",
+  "clamp_max",
+  "clamp_min",
+  "count_nonzero",
+  "count_not_null",
+  "cumsum",
+  "cutoff_max",
+  "cutoff_min",
+  "day_before",
+  "default_zero",
+  "derivative",
+  "diff",
+  "dt",
+  "ewma_3",
+  "ewma_5",
+  "ewma_7",
+  "ewma_10",
+  "ewma_20",
+  "forecast",
+  "hour_before",
+  "integral",
+  "log10",
+  "log2",
+  "median_3",
+  "median_5",
+  "median_7",
+  "median_9",
+  "monotonic_diff",
+  "month_before",
+  "moving_rollup",
+  "outliers",
+  "per_hour",
+  "per_minute",
+  "per_second",
+  "piecewise_constant",
+  "robust_trend",
+  "timeshift",
+  "top",
+  "top_offset",
+  "trend_line",
+  "week_before",
+];
+
+/** Methods chained after a query's scope, e.g. `.rollup(sum, 60)`. */
+export const METRIC_METHODS = ["rollup", "as_count", "as_rate", "fill", "weighted"];
+
+const FILL_MODES = ["null", "zero", "linear", "last"];
+
+/** Common spellings of aggregators that Datadog does not accept. */
+const AGGREGATOR_ALIASES = {
+  average: "avg",
+  mean: "avg",
+  total: "sum",
+  minimum: "min",
+  maximum: "max",
+  median: "p50",
+};
+
+const SCOPE_OPERATORS = new Set(["AND", "OR", "NOT", "IN"]);
+const IDENTIFIER = /[A-Za-z_][\w.]*/y;
+const NUMBER = /\d+(\.\d+)?/y;
+const SIGNED_NUMBER = /-?\d+(\.\d+)?/y;
+const STRING = /'[^']*'|"[^"]*"/y;
+
+/**
+ * Parser state: the query, the read position and the issues found.
+ * @private
+ */
+class QueryLinter {
+  /**
+   * @param {string} query - Query to check
+   */
+  constructor(query) {
+    this.query = query;
+    this.pos = 0;
+    this.errors = [];
+    this.warnings = [];
+  }
+
+  /**
+   * Record a problem.
+   * @param {"error"|"warning"} level - Issue level
+   * @param {number} position - Start offset
+   * @param {number} end - End offset (exclusive) of the text the fix replaces
+   * @param {string} message - What is wrong
+   * @param {string} [fix] - Replacement for query.slice(position, end)
+   */
+  report(level, position, end, message, fix) {
+    const issue = { position, message };
+    if (fix !== undefined) Object.assign(issue, { end, fix });
+    (level === "error" ? this.errors : this.warnings).push(issue);
+  }
+
+  /** Skip whitespace. */
+  skipSpaces() {
+    while (/\s/.test(this.query[this.pos] ?? "")) this.pos++;
+  }
+
+  /**
+   * Read a sticky regex at the current position.
+   * @param {RegExp} pattern - Sticky pattern
+   * @returns {string|null} Matched text
+   */
+  read(pattern) {
+    pattern.lastIndex = this.pos;
+    const match = pattern.exec(this.query);
+    if (!match) return null;
+    this.pos += match[0].length;
+    return match[0];
+  }
+
+  /**
+   * Consume an expected character or stop with an error.
+   * @param {string} char - Expected character
+   * @param {string} context - What was being parsed, for the message
+   */
+  expect(char, context) {
+    this.skipSpaces();
+    if (this.query[this.pos] === char) {
+      this.pos++;
+      return;
+    }
+    const found = this.pos < this.query.length ? `"${this.query[this.pos]}"` : "end of query";
+    this.fail(`Expected "${char}" ${context}, found ${found}`, char);
+  }
+
+  /**
+   * Stop parsing with an error at the current position.
+   * @param {string} message - What is wrong
+   * @param {string} [insert] - Text to insert at the position to fix it
+   * @throws {Error} Always, to unwind the parser
+   */
+  fail(message, insert) {
+    this.report("error", this.pos, this.pos, message, insert);
+    throw new StopParsing();
+  }
+
+  /** expression := term (op term)* */
+  parseExpression() {
+    this.parseTerm();
+    for (;;) {
+      this.skipSpaces();
+      if (!"+-*/".includes(this.query[this.pos] ?? "x")) return;
+      this.pos++;
+      this.parseTerm();
+    }
+  }
+
+  /** term := number | (expression) | function(args) | query */
+  parseTerm() {
+    this.skipSpaces();
+    if (this.pos >= this.query.length) this.fail("Expected a metric query, found end of query");
+    if (this.read(NUMBER)) return;
+    if (this.query[this.pos] === "(") {
+      this.pos++;
+      this.parseExpression();
+      this.expect(")", "to close the parenthesis");
+      return;
+    }
+
+    const start = this.pos;
+    const name = this.read(IDENTIFIER);
+    if (!name) {
+      this.fail(`Unexpected "${this.query[this.pos]}": expected a metric query`);
+    }
+    this.skipSpaces();
+    if (this.query[this.pos] === "(" && !name.includes(".")) {
+      this.parseFunction(name, start);
+      return;
+    }
+    this.pos = start;
+    this.parseMetricQuery();
+  }
+
+  /**
+   * function(args) around queries.
+   * @param {string} name - Function name
+   * @param {number} start - Offset of the name
+   */
+  parseFunction(name, start) {
+    if (!METRIC_FUNCTIONS.includes(name)) {
+      const [suggestion] = closestMatches(name, METRIC_FUNCTIONS, 1);
+      this.report(
+        "warning",
+        start,
+        start + name.length,
+        `Unknown function "${name}"${suggestion ? `; did you mean "${suggestion}"?` : ""}`,
+        suggestion
+      );
+    }
+    this.pos++; // (
+    this.parseArguments(() => this.parseExpression(), `to close ${name}(`);
+  }
+
+  /**
+   * Comma-separated arguments up to the closing parenthesis. The first argument is parsed by
+   * `first`; later ones may also be numbers, quoted strings or bare words.
+   * @param {Function} first - Parser for the first argument
+   * @param {string} context - Message context for a missing ")"
+   */
+  parseArguments(first, context) {
+    this.skipSpaces();
+    if (this.query[this.pos] === ")") {
+      this.pos++;
+      return;
+    }
+    first();
+    for (;;) {
+      this.skipSpaces();
+      if (this.query[this.pos] !== ",") break;
+      this.pos++;
+      this.skipSpaces();
+      if (this.read(STRING) || this.read(SIGNED_NUMBER)) continue;
+      const start = this.pos;
+      const word = this.read(/[A-Za-z_]\w*/y);
+      this.skipSpaces();
+      // A bare word followed by an operator, "(" or "{" starts a nested expression
+      if (!word || /^[({:.+*/-]/.test(this.query[this.pos] ?? "")) {
+        this.pos = start;
+        this.parseExpression();
+      }
+    }
+    this.expect(")", context);
+  }
+
+  /** [aggregator:]metric{scope} [by {keys}] (.method(args))* */
+  parseMetricQuery() {
+    let start = this.pos;
+    let name = this.readMetricName();
+
+    // "avg :metric{*}": the colon belongs to the aggregator, not to a new query
+    const spaceStart = this.pos;
+    this.skipSpaces();
+    if (this.pos > spaceStart && this.query[this.pos] === ":") {
+      this.report("error", spaceStart, this.pos, 'Unexpected space before ":"', "");
+    } else {
+      this.pos = spaceStart;
+    }
+
+    if (this.query[this.pos] === ":") {
+      if (!METRIC_AGGREGATORS.includes(name)) {
+        const suggestion = suggestKeyword(name, METRIC_AGGREGATORS);
+        this.report(
+          "error",
+          start,
+          start + name.length,
+          `Unknown aggregator "${name}". Use one of: ${METRIC_AGGREGATORS.join(", ")}`,
+          suggestion
+        );
+      }
+      this.pos++;
+      const colonEnd = this.pos;
+      this.skipSpaces();
+      if (this.pos > colonEnd) {
+        this.report("error", colonEnd, this.pos, 'Unexpected space after ":"', "");
+      }
+      start = this.pos;
+      name = this.readMetricName();
+      if (!name) this.fail("Expected a metric name after the aggregator");
+    } else {
+      this.report(
+        "warning",
+        start,
+        start,
+        "No space aggregator; Datadog defaults to avg. Prefix one such as avg: or sum:",
+        "avg:"
+      );
+    }
+
+    if (!/^[A-Za-z]/.test(name) || /\.\.|\.$/.test(name)) {
+      this.report("error", start, start + name.length, `Invalid metric name "${name}"`);
+    }
+
+    if (this.query[this.pos] !== "{") {
+      const spaceStart = this.pos;
+      this.skipSpaces();
+      if (this.pos > spaceStart && this.query[this.pos] === "{") {
+        this.report("error", spaceStart, this.pos, "Unexpected space before the scope", "");
+      } else {
+        this.pos = spaceStart;
+        this.fail(`Missing scope after metric name "${name}"; use {*} for all sources`, "{*}");
+      }
+    }
+    this.parseScope();
+    this.parseGroupBy();
+    this.parseMethods();
+  }
+
+  /**
+   * Read a metric name, stopping before a chained method such as ".rollup(".
+   * @returns {string} Metric name (possibly empty)
+   */
+  readMetricName() {
+    const start = this.pos;
+    const name = this.read(IDENTIFIER) ?? "";
+    const method = name.match(new RegExp(`\\.(${METRIC_METHODS.join("|")})$`));
+    if (method && this.query[this.pos] === "(") {
+      this.pos = start + method.index;
+      return name.slice(0, method.index);
+    }
+    return name;
+  }
+
+  /** {scope}: tags joined by commas or boolean operators. */
+  parseScope() {
+    const open = this.pos;
+    const close = this.query.indexOf("}", open);
+    if (close === -1) {
+      this.pos = this.query.length;
+      this.fail(`Unclosed scope opened at position ${open}`, "}");
+    }
+    const scope = this.query.slice(open + 1, close);
+    this.pos = close + 1;
+
+    if (!scope.trim()) {
+      this.report("error", open, close + 1, "Empty scope; use {*} for all sources", "{*}");
+      return;
+    }
+    if (scope.includes("{")) {
+      this.report("error", open + 1 + scope.indexOf("{"), close, 'Nested "{" in scope');
+      return;
+    }
+
+    for (const term of scope.matchAll(/[^,\s()]+|,(?=\s*(,|$))|^\s*,/g)) {
+      const text = term[0];
+      const position = open + 1 + term.index;
+      if (text.includes(",")) {
+        this.report("error", position, position + 1, "Empty tag in scope", "");
+      } else if (!SCOPE_OPERATORS.has(text.toUpperCase()) && text.includes("=")) {
+        this.report(
+          "error",
+          position,
+          position + text.length,
+          `Tags use "key:value", not "key=value"`,
+          text.replace("=", ":")
+        );
+      } else if (text.endsWith(":")) {
+        // "env: prod" splits into "env:" and "prod"; the fix removes the space
+        const after = scope.slice(term.index + text.length).match(/^\s+(?=[^\s,()])/);
+        const end = position + text.length;
+        if (after) {
+          this.report("error", end, end + after[0].length, `Unexpected space after "${text}"`, "");
+        } else {
+          this.report("error", position, end, `Tag "${text}" has no value`);
+        }
+      }
+    }
+  }
+
+  /** by {key,...} */
+  parseGroupBy() {
+    const start = this.pos;
+    this.skipSpaces();
+    if (!/^by\b/.test(this.query.slice(this.pos))) {
+      this.pos = start;
+      return;
+    }
+    this.pos += 2;
+    this.skipSpaces();
+
+    if (this.query[this.pos] !== "{") {
+      const keyStart = this.pos;
+      const keys = this.read(/[\w.\-/]+(\s*,\s*[\w.\-/]+)*/y);
+      if (keys) {
+        this.report(
+          "error",
+          keyStart,
+          this.pos,
+          'Group-by tag keys must be wrapped in braces, e.g. "by {host}"',
+          `{${keys.replace(/\s+/g, "")}}`
+        );
+        return;
+      }
+      this.fail('Expected "{" after "by"', "{");
+    }
+
+    const open = this.pos;
+    const close = this.query.indexOf("}", open);
+    if (close === -1) {
+      this.pos = this.query.length;
+      this.fail(`Unclosed group-by opened at position ${open}`, "}");
+    }
+    this.pos = close + 1;
+
+    const body = this.query.slice(open + 1, close);
+    if (!body.trim()) {
+      this.report("error", open, close + 1, "Empty group-by; list tag keys such as {host}");
+      return;
+    }
+    for (const key of body.matchAll(/[^,]+/g)) {
+      const text = key[0].trim();
+      const position = open + 1 + key.index + key[0].indexOf(text);
+      if (text.includes(":")) {
+        this.report(
+          "error",
+          position,
+          position + text.length,
+          `Group by tag keys, not tags: "${text}"`,
+          text.slice(0, text.indexOf(":"))
+        );
+      } else if (!/^[\w.\-/]+$/.test(text)) {
+        this.report("error", position, position + text.length, `Invalid tag key "${text}"`);
+      }
+    }
+  }
+
+  /** (.method(args))* */
+  parseMethods() {
+    while (this.query[this.pos] === ".") {
+      this.pos++;
+      const start = this.pos;
+      const name = this.read(/[A-Za-z_]\w*/y);
+      if (!name) this.fail('Expected a method name after "."');
+
+      if (!METRIC_METHODS.includes(name)) {
+        const [suggestion] = closestMatches(name, METRIC_METHODS, 1);
+        this.report(
+          "error",
+          start,
+          this.pos,
+          `Unknown method ".${name}()". Use one of: ${METRIC_METHODS.join(", ")}`,
+          suggestion
+        );
+      }
+      this.expect("(", `after .${name}`);
+
+      const argsStart = this.pos;
+      const close = this.query.indexOf(")", argsStart);
+      if (close === -1) {
+        this.pos = this.query.length;
+        this.fail(`Unclosed .${name}(`, ")");
+      }
+      this.pos = close + 1;
+      this.checkMethodArguments(name, argsStart, this.query.slice(argsStart, close));
+    }
+  }
+
+  /**
+   * Check the arguments of a chained method.
+   * @param {string} name - Method name
+   * @param {number} start - Offset of the first argument
+   * @param {string} text - Argument text
+   */
+  checkMethodArguments(name, start, text) {
+    const args = text.split(",").map((a) => a.trim());
+    const argStart = (i) => start + text.split(",").slice(0, i).join(",").length + (i > 0 ? 1 : 0);
+
+    if (name === "rollup" || name === "fill") {
+      const allowed = name === "rollup" ? ROLLUP_METHODS : FILL_MODES;
+      if (!args[0]) {
+        this.report("error", start, start, `.${name}() needs one of: ${allowed.join(", ")}`);
+        return;
+      }
+      if (!allowed.includes(args[0])) {
+        const position = argStart(0) + text.split(",")[0].indexOf(args[0]);
+        const suggestion = suggestKeyword(args[0], allowed);
+        this.report(
+          "error",
+          position,
+          position + args[0].length,
+          `Invalid .${name}() argument "${args[0]}". Use one of: ${allowed.join(", ")}`,
+          suggestion
+        );
+      }
+      if (args.length > 2 || (args[1] !== undefined && !/^[1-9]\d*$/.test(args[1]))) {
+        this.report(
+          "error",
+          argStart(1),
+          start + text.length,
+          `.${name}() takes an optional interval in seconds as its second argument`
+        );
+      }
+    } else if (METRIC_METHODS.includes(name) && text.trim()) {
+      this.report("error", start, start + text.length, `.${name}() takes no arguments`, "");
+    }
+  }
+}
+
+/**
+ * Closest accepted keyword for a misspelled aggregator or method argument.
+ * @param {string} word - Word that is not accepted
+ * @param {Array<string>} allowed - Accepted keywords
+ * @returns {string|undefined} Suggested keyword
+ * @private
+ */
+function suggestKeyword(word, allowed) {
+  const alias = AGGREGATOR_ALIASES[word.toLowerCase()];
+  if (allowed.includes(alias)) return alias;
+  return closestMatches(word, allowed, 1)[0];
+}
+
+/** Thrown to unwind the parser after a fatal error (already recorded). */
+class StopParsing extends Error {}
+
+/**
+ * Apply non-overlapping fixes to a query.
+ * @param {string} query - Original query
+ * @param {Array<{position: number, end?: number, fix?: string}>} issues - Issues with fixes
+ * @returns {string} Query with every fix applied
+ * @private
+ */
+function applyFixes(query, issues) {
+  const fixes = issues
+    .filter((i) => i.fix !== undefined)
+    .sort((a, b) => b.position - a.position || b.end - a.end);
+  let fixed = query;
+  let limit = Infinity;
+  for (const { position, end, fix } of fixes) {
+    if (end > limit) continue;
+    fixed = fixed.slice(0, position) + fix + fixed.slice(end);
+    limit = position;
+  }
+  return fixed;
+}
+
+/**
+ * Parse a query and collect its issues.
+ * @param {string} query - Metric query
+ * @returns {{errors: Array<Object>, warnings: Array<Object>}} Issues sorted by position
+ * @private
+ */
+function collectIssues(query) {
+  const linter = new QueryLinter(query);
+  try {
+    linter.parseExpression();
+    linter.skipSpaces();
+    if (linter.pos < query.length) {
+      const char = query[linter.pos];
+      linter.fail(
+        char === ")"
+          ? 'Unmatched ")"'
+          : `Unexpected "${char}"; join queries with +, -, * or / or wrap them in a function`
+      );
+    }
+  } catch (error) {
+    if (!(error instanceof StopParsing)) throw error;
+  }
+
+  const byPosition = (a, b) => a.position - b.position;
+  return { errors: linter.errors.sort(byPosition), warnings: linter.warnings.sort(byPosition) };
+}
+
+/**
+ * Check a metric query string locally.
+ * @param {string} query - Metric query
+ * @returns {{valid: boolean, errors: Array<{position: number, message: string, end?: number,
+ *   fix?: string}>, warnings: Array<Object>, suggestedQuery?: string}} Issues sorted by
+ *   position; suggestedQuery applies every fix (errors and warnings), and is only returned
+ *   when the fixed query passes the check itself
+ */
+export function lintMetricQuery(query) {
+  const { errors, warnings } = collectIssues(query);
+  const suggestedQuery = applyFixes(query, [...errors, ...warnings]);
+  // Fixes are local; one that leaves the query broken (e.g. "by" + "{") is not worth offering
+  const suggestionValid =
+    suggestedQuery !== query && collectIssues(suggestedQuery).errors.length === 0;
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings,
+    ...(suggestionValid && { suggestedQuery }),
+  };
+}
@@ -0,0 +1,127 @@
+/**
+ * Tag discovery for metrics.
+ * Groups the tags reported for a metric ("key:value" strings) by key, and suggests close
+ * matches for filter tags that match nothing (e.g. env:production when only env:prod exists).
+ */
+
+/** Words joining terms in a metric filter, not tags themselves. */
+const FILTER_OPERATORS = new Set(["AND", "OR", "NOT", "IN"]);
+
+/**
+ * Group tags by key. Tags without a colon are keys without values.
+ * @param {Array<string>} tags - Reported tags such as "env:prod"
+ * @returns {Map<string, Array<string>>} Sorted values per key, keys in sorted order
+ */
+export function groupTagsByKey(tags) {
+  const groups = new Map();
+  for (const tag of [...new Set(tags ?? [])].sort()) {
+    const separator = tag.indexOf(":");
+    const key = separator === -1 ? tag : tag.slice(0, separator);
+    if (!groups.has(key)) groups.set(key, []);
+    if (separator !== -1) groups.get(key).push(tag.slice(separator + 1));
+  }
+  return groups;
+}
+
+/**
+ * Edit distance between two strings.
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Levenshtein distance
+ * @private
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Candidates close to a target, best first. A candidate is close when one contains the other
+ * (prod / production) or it is within a few edits (a third of the target's length, at least 2).
+ * Comparison ignores case.
+ * @param {string} target - String that matched nothing
+ * @param {Array<string>} candidates - Known strings
+ * @param {number} [limit] - Maximum suggestions (default: 3)
+ * @returns {Array<string>} Close candidates
+ */
+export function closestMatches(target, candidates, limit = 3) {
+  const needle = target.toLowerCase();
+  const maxDistance = Math.max(2, Math.floor(needle.length / 3));
+
+  return candidates
+    .map((candidate) => {
+      const value = candidate.toLowerCase();
+      const contains = value.includes(needle) || needle.includes(value);
+      return { candidate, contains, distance: editDistance(needle, value) };
+    })
+    .filter((m) => m.distance > 0 && (m.contains || m.distance <= maxDistance))
+    .sort((a, b) => Number(b.contains) - Number(a.contains) || a.distance - b.distance)
+    .slice(0, limit)
+    .map((m) => m.candidate);
+}
+
+/**
+ * Tags a metric filter requires, e.g. "env:prod,!host:a" or "env:prod AND service:api".
+ * Negated terms and wildcards are skipped: they cannot explain an empty result by themselves.
+ * @param {string} filter - Metric filter (scope)
+ * @returns {Array<string>} Required tags
+ */
+export function requiredFilterTags(filter) {
+  return (filter ?? "")
+    .split(/[\s,()]+/)
+    .filter(
+      (term) =>
+        term &&
+        !FILTER_OPERATORS.has(term.toUpperCase()) &&
+        !/^[!-]/.test(term) &&
+        !/[*?]/.test(term)
+    );
+}
+
+/**
+ * Suggest replacements for filter tags that the metric never reported.
+ * @param {string} filter - Metric filter (scope)
+ * @param {Array<string>} tags - Tags reported for the metric
+ * @returns {Array<{tag: string, reason: string, suggestions: Array<string>}>} One entry per
+ *   unknown tag; reason is unknown_key or unknown_value
+ */
+export function suggestFilterTags(filter, tags) {
+  const known = new Set(tags);
+  const groups = groupTagsByKey(tags);
+
+  return requiredFilterTags(filter)
+    .filter((tag) => !known.has(tag))
+    .map((tag) => {
+      const separator = tag.indexOf(":");
+      const key = separator === -1 ? tag : tag.slice(0, separator);
+      const value = tag.slice(separator + 1);
+
+      if (separator !== -1 && groups.has(key)) {
+        return {
+          tag,
+          reason: "unknown_value",
+          suggestions: closestMatches(value, groups.get(key)).map((v) => `${key}:${v}`),
+        };
+      }
+
+      // Unknown key: suggest close keys, keeping the value when that tag exists
+      const suggestions =
+        separator === -1
+          ? closestMatches(tag, [...known])
+          : closestMatches(key, [...groups.keys()]).map((k) =>
+              known.has(`${k}:${value}`) ? `${k}:${value}` : k
+            );
+      return { tag, reason: "unknown_key", suggestions };
+    });
+}
@@ -0,0 +1,145 @@
+import fs from "node:fs";
+import { InvalidConfigurationError } from "./errors.js";
+
+/**
+ * Named Datadog credential profiles (one per org/site).
+ * Profiles come from DATADOG_PROFILES (JSON) and/or a JSON file at DATADOG_PROFILES_FILE,
+ * shaped as {"<org>": {"apiKey": "...", "appKey": "...", "site": "datadoghq.eu"}}; a profile may
+ * also set "apiUrl" to send its requests to another host (e.g. a local fake API).
+ * The DATADOG_API_KEY/DATADOG_APP_KEY/DATADOG_SITE/DATADOG_API_URL variables, when set, form an
+ * extra profile named "default". DATADOG_DEFAULT_ORG picks the org used when a call names none
+ * (default: the first profile).
+ */
+
+const DEFAULT_ORG_NAME = "default";
+const ORG_NAME_PATTERN = /^[\w.-]+$/;
+
+/**
+ * Parse a profiles JSON document.
+ * @param {string} json - JSON text
+ * @param {string} source - Where the JSON came from (for error messages)
+ * @returns {Object} Parsed profiles object
+ * @throws {InvalidConfigurationError} If the JSON is invalid or not an object
+ * @private
+ */
+function parseProfilesJson(json, source) {
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch (error) {
+    throw new InvalidConfigurationError(`Invalid JSON in ${source}: ${error.message}`);
+  }
+  if (parsed == null || typeof parsed !== "object" || Array.isArray(parsed)) {
+    throw new InvalidConfigurationError(`${source} must be an object keyed by org name`);
+  }
+  return parsed;
+}
+
+/**
+ * Validate one profile and fill in the default site.
+ * @param {string} name - Org name
+ * @param {Object} profile - Raw profile
+ * @param {string} source - Where the profile came from (for error messages)
+ * @returns {{name: string, apiKey: string, appKey: string, site: string, apiUrl?: string}} Profile
+ * @throws {InvalidConfigurationError} If the profile is invalid
+ * @private
+ */
+function normalizeProfile(name, profile, source) {
+  if (!ORG_NAME_PATTERN.test(name)) {
+    throw new InvalidConfigurationError(
+      `Invalid org name "${name}" in ${source}: use letters, digits, "_", "-" or "."`
+    );
+  }
+  for (const key of ["apiKey", "appKey"]) {
+    if (typeof profile?.[key] !== "string" || profile[key] === "") {
+      throw new InvalidConfigurationError(`Profile "${name}" in ${source} is missing "${key}"`);
+    }
+  }
+  if (profile.apiUrl && !/^https?:\/\/[^/]/.test(profile.apiUrl)) {
+    throw new InvalidConfigurationError(
+      `Profile "${name}" in ${source} has an invalid "apiUrl": expected an http(s) URL`
+    );
+  }
+  return {
+    name,
+    apiKey: profile.apiKey,
+    appKey: profile.appKey,
+    site: profile.site || "datadoghq.com",
+    apiUrl: profile.apiUrl ? profile.apiUrl.replace(/\/+$/, "") : undefined,
+  };
+}
+
+/**
+ * Load credential profiles from configuration.
+ * @param {Object} config - Configuration from getConfiguration
+ * @param {string} [config.datadogApiKey] - API key for the environment profile
+ * @param {string} [config.datadogAppKey] - App key for the environment profile
+ * @param {string} [config.datadogSite] - Site for the environment profile
+ * @param {string} [config.datadogApiUrl] - API base URL for the environment profile
+ * @param {string} [config.datadogProfiles] - Profiles JSON
+ * @param {string} [config.datadogProfilesFile] - Path to a profiles JSON file
+ * @param {string} [config.datadogDefaultOrg] - Org used when a tool call has no org
+ * @returns {{profiles: Map<string, Object>, defaultOrg: string}} Profiles by org name
+ * @throws {InvalidConfigurationError} If no profile is configured or a profile is invalid
+ */
+export function loadProfiles(config) {
+  const profiles = new Map();
+  const add = (name, profile, source) => {
+    if (profiles.has(name)) {
+      throw new InvalidConfigurationError(`Org "${name}" is defined more than once (${source})`);
+    }
+    profiles.set(name, normalizeProfile(name, profile, source));
+  };
+
+  if (config.datadogApiKey && config.datadogAppKey) {
+    add(
+      DEFAULT_ORG_NAME,
+      {
+        apiKey: config.datadogApiKey,
+        appKey: config.datadogAppKey,
+        site: config.datadogSite,
+        apiUrl: config.datadogApiUrl,
+      },
+      "DATADOG_API_KEY/DATADOG_APP_KEY"
+    );
+  }
+
+  if (config.datadogProfilesFile) {
+    let text;
+    try {
+      text = fs.readFileSync(config.datadogProfilesFile, "utf8");
+    } catch (error) {
+      throw new InvalidConfigurationError(
+        `Could not read DATADOG_PROFILES_FILE "${config.datadogProfilesFile}": ${error.message}`
+      );
+    }
+    const source = `DATADOG_PROFILES_FILE (${config.datadogProfilesFile})`;
+    for (const [name, profile] of Object.entries(parseProfilesJson(text, source))) {
+      add(name, profile, source);
+    }
+  }
+
+  if (config.datadogProfiles) {
+    const parsed = parseProfilesJson(config.datadogProfiles, "DATADOG_PROFILES");
+    for (const [name, profile] of Object.entries(parsed)) {
+      add(name, profile, "DATADOG_PROFILES");
+    }
+  }
+
+  if (profiles.size === 0) {
+    throw new InvalidConfigurationError(
+      "No Datadog credentials configured. Set DATADOG_API_KEY and DATADOG_APP_KEY, " +
+        "or define profiles with DATADOG_PROFILES or DATADOG_PROFILES_FILE"
+    );
+  }
+
+  const defaultOrg = config.datadogDefaultOrg || profiles.keys().next().value;
+  if (!profiles.has(defaultOrg)) {
+    throw new InvalidConfigurationError(
+      `DATADOG_DEFAULT_ORG "${defaultOrg}" does not match a profile. ` +
+        `Available orgs: ${[...profiles.keys()].join(", ")}`
+    );
+  }
+
+  return { profiles, defaultOrg };
+}
@@ -0,0 +1,304 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+
+/**
+ * Shared retry policy for Datadog API calls.
+ * Retries rate limits (429), server errors (5xx) and timeouts with jittered exponential
+ * backoff, honouring Datadog's X-RateLimit-Reset and Retry-After headers when present,
+ * and gives up once the overall deadline would be exceeded.
+ */
+
+/**
+ * Default retry policy.
+ * @type {{maxRetries: number, baseDelayMs: number, maxDelayMs: number, deadlineMs: number}}
+ */
+export const DEFAULT_RETRY_POLICY = Object.freeze({
+  maxRetries: 3,
+  baseDelayMs: 500,
+  maxDelayMs: 10000,
+  deadlineMs: 30000,
+});
+
+const TIMEOUT_ERROR_NAMES = ["AbortError", "TimeoutError"];
+const TIMEOUT_ERROR_CODES = ["ETIMEDOUT", "ESOCKETTIMEDOUT", "UND_ERR_CONNECT_TIMEOUT"];
+
+// Per-tool-call retry counters (see trackRetries)
+const retryStats = new AsyncLocalStorage();
+
+/**
+ * Error used internally to route a retryable HTTP response through withRetry.
+ * @private
+ */
+class RetryableResponseError extends Error {
+  /**
+   * @param {Response} response - Fetch response with a retryable status
+   */
+  constructor(response) {
+    super(`HTTP ${response.status}`);
+    this.name = "RetryableResponseError";
+    this.statusCode = response.status;
+    this.headers = response.headers;
+    this.response = response;
+  }
+}
+
+/**
+ * Merge a partial policy with the defaults, ignoring invalid values.
+ * @param {Object} [policy] - Partial retry policy
+ * @returns {{maxRetries: number, baseDelayMs: number, maxDelayMs: number, deadlineMs: number}}
+ */
+export function resolveRetryPolicy(policy = {}) {
+  const resolved = { ...DEFAULT_RETRY_POLICY };
+  for (const key of Object.keys(DEFAULT_RETRY_POLICY)) {
+    const value = Number(policy?.[key]);
+    if (policy?.[key] != null && Number.isFinite(value) && value >= 0) {
+      resolved[key] = value;
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Whether an HTTP status code should be retried.
+ * @param {number} status - HTTP status code
+ * @returns {boolean}
+ */
+export function isRetryableStatus(status) {
+  return status === 429 || (status >= 500 && status <= 599);
+}
+
+/**
+ * Read a header from a Headers instance or a plain object (case-insensitive).
+ * @private
+ */
+function readHeader(headers, name) {
+  if (!headers) return undefined;
+  if (typeof headers.get === "function") {
+    return headers.get(name) ?? undefined;
+  }
+  const key = Object.keys(headers).find((k) => k.toLowerCase() === name);
+  return key ? headers[key] : undefined;
+}
+
+/**
+ * Delay requested by the server through rate-limit headers.
+ * X-RateLimit-Reset is the number of seconds until the current window resets;
+ * Retry-After is either a number of seconds or an HTTP date.
+ * @param {Headers | Object} headers - Response headers
+ * @param {number} [now] - Current time in ms (for HTTP-date values)
+ * @returns {number | null} Delay in milliseconds, or null if no usable header
+ */
+export function getRetryAfterMs(headers, now = Date.now()) {
+  const reset = readHeader(headers, "x-ratelimit-reset");
+  if (reset != null && /^\d+(\.\d+)?$/.test(String(reset).trim())) {
+    return Math.round(Number(reset) * 1000);
+  }
+
+  const retryAfter = readHeader(headers, "retry-after");
+  if (retryAfter != null) {
+    const value = String(retryAfter).trim();
+    if (/^\d+(\.\d+)?$/.test(value)) {
+      return Math.round(Number(value) * 1000);
+    }
+    const date = Date.parse(value);
+    if (!Number.isNaN(date)) {
+      return Math.max(0, date - now);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Jittered exponential backoff ("full jitter"): a random delay between 0 and
+ * min(maxDelayMs, baseDelayMs * 2^attempt).
+ * @param {number} attempt - Zero-based retry attempt
+ * @param {Object} policy - Resolved retry policy
+ * @param {() => number} [random] - Random source in [0, 1)
+ * @returns {number} Delay in milliseconds
+ */
+export function computeBackoffMs(attempt, policy, random = Math.random) {
+  const cap = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** attempt);
+  return Math.round(cap * random());
+}
+
+/**
+ * Whether an error represents a request timeout.
+ * @param {Error} error - Error thrown by fetch, the SDK or a client
+ * @returns {boolean}
+ */
+export function isTimeoutError(error) {
+  for (let current = error, depth = 0; current && depth < 3; depth++) {
+    if (TIMEOUT_ERROR_NAMES.includes(current.name) || TIMEOUT_ERROR_CODES.includes(current.code)) {
+      return true;
+    }
+    current = current.originalError ?? current.cause;
+  }
+  return false;
+}
+
+/**
+ * Status code carried by an SDK, fetch or client error, if any.
+ * The Datadog SDK's ApiException uses `code`; our clients use `statusCode`.
+ * (DOMException also has a numeric `code`, hence the HTTP range check.)
+ * @private
+ */
+function getErrorStatus(error) {
+  const status = error?.statusCode ?? error?.code;
+  return typeof status === "number" && status >= 100 && status <= 599 ? status : null;
+}
+
+/**
+ * Whether an error should be retried.
+ * @param {Error} error - Error thrown by the operation
+ * @returns {boolean}
+ */
+export function isRetryableError(error) {
+  if (isTimeoutError(error)) {
+    return true;
+  }
+  const status = getErrorStatus(error);
+  return status != null && isRetryableStatus(status);
+}
+
+/**
+ * Wait for a delay, returning early when the signal is aborted.
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Cuts the wait short
+ * @returns {Promise<void>}
+ * @private
+ */
+function abortableSleep(ms, signal) {
+  return new Promise((resolve) => {
+    if (signal?.aborted) {
+      resolve();
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * Run an operation, retrying retryable failures according to the policy.
+ * The delay before each retry is the server-requested delay when rate-limit headers
+ * are available (error.headers or error.retryAfterMs), otherwise jittered backoff.
+ * Gives up (rethrowing the last error) when retries are exhausted, the next attempt
+ * would start after the deadline or the signal is aborted while waiting.
+ *
+ * @template T
+ * @param {(attempt: number) => Promise<T>} operation - Operation to run; receives the attempt number
+ * @param {Object} [policy] - Partial retry policy (see DEFAULT_RETRY_POLICY)
+ * @param {Object} [options] - Retry options and test hooks
+ * @param {(error: Error) => boolean} [options.isRetryable] - Which errors to retry
+ *   (default: isRetryableError)
+ * @param {AbortSignal} [options.signal] - Stops waiting for the next attempt when aborted
+ * @param {(ms: number) => Promise<void>} [options.sleep] - Sleep implementation
+ * @param {() => number} [options.random] - Random source for jitter
+ * @returns {Promise<T>} Result of the first successful attempt
+ */
+export async function withRetry(operation, policy, options = {}) {
+  const resolved = resolveRetryPolicy(policy);
+  const sleep = options.sleep ?? ((ms) => abortableSleep(ms, options.signal));
+  const random = options.random ?? Math.random;
+  const isRetryable = options.isRetryable ?? isRetryableError;
+  const start = Date.now();
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      if (attempt >= resolved.maxRetries || !isRetryable(error)) {
+        throw error;
+      }
+
+      const requested = error.retryAfterMs ?? getRetryAfterMs(error.headers);
+      const delay = requested ?? computeBackoffMs(attempt, resolved, random);
+      if (Date.now() - start + delay > resolved.deadlineMs) {
+        throw error;
+      }
+
+      const stats = retryStats.getStore();
+      if (stats) stats.retries += 1;
+
+      await sleep(delay);
+      if (options.signal?.aborted) {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * Wrap a fetch implementation so retryable responses and timeouts are retried.
+ * Used both by ApiClient and, through the SDK's `fetch` configuration option, by the
+ * SDK-based clients. When retries are exhausted the last response is returned as-is
+ * so the caller's normal error handling applies.
+ *
+ * Requests that must not be sent twice (e.g. metric submissions, where a 5xx or a timeout
+ * may follow an accepted payload) set `rateLimitOnly`: only 429 responses, which the server
+ * rejected, are retried. Requests whose `init.signal` is aborted are not retried, and an
+ * abort during a backoff ends the wait.
+ *
+ * @param {Function} [fetchImpl] - Fetch implementation (default: global fetch at call time)
+ * @param {Object} [policy] - Partial retry policy
+ * @param {Object} [options] - Passed to withRetry
+ * @param {boolean} [options.rateLimitOnly] - Retry 429 responses only
+ * @returns {(url: string, init?: Object) => Promise<Response>} Retrying fetch
+ */
+export function createRetryingFetch(fetchImpl, policy, options = {}) {
+  const { rateLimitOnly = false, ...retryOptions } = options;
+  const shouldRetry = rateLimitOnly ? (status) => status === 429 : isRetryableStatus;
+  const isRetryable = rateLimitOnly
+    ? (error) => getErrorStatus(error) === 429
+    : (retryOptions.isRetryable ?? isRetryableError);
+
+  return async (url, init) => {
+    try {
+      return await withRetry(
+        async () => {
+          const response = await (fetchImpl ?? globalThis.fetch)(url, init);
+          if (shouldRetry(response.status)) {
+            throw new RetryableResponseError(response);
+          }
+          return response;
+        },
+        policy,
+        // A request aborted by its caller (e.g. a cancelled tool call) is never retried
+        {
+          ...retryOptions,
+          isRetryable: (error) => !init?.signal?.aborted && isRetryable(error),
+          signal: init?.signal,
+        }
+      );
+    } catch (error) {
+      if (error instanceof RetryableResponseError) {
+        return error.response;
+      }
+      throw error;
+    }
+  };
+}
+
+/**
+ * Run a function while counting the retries performed by withRetry inside it.
+ * @template T
+ * @param {() => Promise<T>} fn - Function to run (e.g. a tool handler)
+ * @returns {Promise<{result?: T, error?: Error, retries: number}>} Outcome and retry count
+ */
+export async function trackRetries(fn) {
+  const stats = { retries: 0 };
+  return retryStats.run(stats, async () => {
+    try {
+      return { result: await fn(), retries: stats.retries };
+    } catch (error) {
+      return { error, retries: stats.retries };
+    }
+  });
+}
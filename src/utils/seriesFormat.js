@@ -0,0 +1,196 @@
+/**
+ * Human-readable renderings of tool results, for people reading an agent transcript.
+ * markdown renders a table of per-series statistics with a Unicode sparkline per series;
+ * sparkline renders just one sparkline line per series. Time-series tools (metrics, APM,
+ * aggregated logs) offer these through their `format` option; json keeps the structured
+ * response and stays the default.
+ */
+
+import { summarizeSeries } from "./seriesStats.js";
+
+/** Output formats accepted by the `format` option. */
+export const FORMATS = ["json", "markdown", "sparkline"];
+
+const SPARK_BLOCKS = "▁▂▃▄▅▆▇█";
+const SPARKLINE_WIDTH = 40;
+const MAX_RENDERED_SERIES = 50;
+
+const numberFormat = new Intl.NumberFormat("en-US", {
+  notation: "compact",
+  maximumSignificantDigits: 4,
+});
+
+/**
+ * Input schema property for the `format` option, shared by the time-series tools.
+ * @type {Object}
+ */
+export const formatInputProperties = {
+  format: {
+    type: "string",
+    enum: FORMATS,
+    description:
+      "json: structured response (default); markdown: table of per-series min, mean, max, " +
+      "last and a sparkline; sparkline: one sparkline line per series",
+  },
+};
+
+/**
+ * Compact display of a number (e.g. 1.235M, 0.0123); "-" for missing values.
+ * @param {number|null|undefined} value - Value
+ * @returns {string}
+ */
+export function formatNumber(value) {
+  return Number.isFinite(value) ? numberFormat.format(value) : "-";
+}
+
+/**
+ * One-line description of a resolved time range, for the details line.
+ * @param {{from: string, to: string, timezone?: string}} timeRange - ISO time range echo
+ * @returns {string} e.g. "2026-01-08T10:00:00.000Z → 2026-01-08T11:00:00.000Z"
+ */
+export function describeTimeRange(timeRange) {
+  const range = `${timeRange.from} → ${timeRange.to}`;
+  return timeRange.timezone ? `${range} (${timeRange.timezone})` : range;
+}
+
+/**
+ * Render values as a Unicode sparkline. Longer inputs are averaged into `width` buckets;
+ * gaps (null values or empty buckets) render as spaces, a flat series as a mid-height line.
+ * @param {Array<number|null|[number, number|null]>} values - Values, or [timestamp, value] points
+ * @param {number} [width] - Maximum characters (default: 40)
+ * @returns {string} Sparkline
+ */
+export function sparkline(values, width = SPARKLINE_WIDTH) {
+  const flat = (values ?? []).map((v) => (Array.isArray(v) ? v[1] : v));
+  const count = Math.min(width, flat.length);
+  const buckets = Array.from({ length: count }, (_, i) => {
+    const slice = flat
+      .slice(Math.floor((i * flat.length) / count), Math.floor(((i + 1) * flat.length) / count))
+      .filter((v) => Number.isFinite(v));
+    return slice.length ? slice.reduce((sum, v) => sum + v, 0) / slice.length : null;
+  });
+
+  const valid = buckets.filter((v) => v !== null);
+  const min = Math.min(...valid);
+  const range = Math.max(...valid) - min;
+  return buckets
+    .map((v) => {
+      if (v === null) return " ";
+      if (range === 0) return SPARK_BLOCKS[3];
+      return SPARK_BLOCKS[Math.round(((v - min) / range) * (SPARK_BLOCKS.length - 1))];
+    })
+    .join("");
+}
+
+/**
+ * Escape a value for a markdown table cell.
+ * @param {*} value - Cell value
+ * @returns {string}
+ * @private
+ */
+function cell(value) {
+  if (value === null || value === undefined) return "-";
+  if (typeof value === "number") return formatNumber(value);
+  return String(value)
+    .replace(/\|/g, "\\|")
+    .replace(/\s*\n\s*/g, " ");
+}
+
+/**
+ * Render rows as a markdown table.
+ * @param {Array<string>} columns - Column names, in order
+ * @param {Array<Object>} rows - Rows keyed by column name
+ * @returns {string} Markdown table, or "_No rows_" when empty
+ */
+export function renderTable(columns, rows) {
+  if (rows.length === 0) return "_No rows_";
+  return [
+    `| ${columns.map(cell).join(" | ")} |`,
+    `| ${columns.map(() => "---").join(" | ")} |`,
+    ...rows.map((row) => `| ${columns.map((c) => cell(row[c])).join(" | ")} |`),
+  ].join("\n");
+}
+
+/**
+ * Wrap a rendered body with a bold title, a details line and italic notes.
+ * @param {string} body - Rendered body
+ * @param {{title?: string, details?: Array<string>, notes?: Array<string>}} options - Framing
+ * @returns {string}
+ * @private
+ */
+function frame(body, { title, details = [], notes = [] }) {
+  return [
+    title && `**${title}**`,
+    details.length > 0 && details.join(" · "),
+    (title || details.length > 0) && "",
+    body,
+    ...notes.map((note) => `\n_${note}_`),
+  ]
+    .filter((line) => line !== false && line !== undefined)
+    .join("\n");
+}
+
+/**
+ * Render series for a non-json format: a markdown table of statistics (markdown) or one
+ * sparkline line per series (sparkline). At most 50 series are rendered.
+ * @param {Array<{label: string, points: Array<[number, number|null]>}>} series - Series in
+ *   display order
+ * @param {string} format - markdown or sparkline
+ * @param {Object} [options] - Framing
+ * @param {string} [options.title] - Bold first line (e.g. the metric query)
+ * @param {Array<string>} [options.details] - Context joined on one line (e.g. the time range)
+ * @param {Array<string>} [options.notes] - Italic lines after the body (e.g. truncation)
+ * @returns {string} Rendered text
+ */
+export function renderSeries(series, format, options = {}) {
+  const shown = series.slice(0, MAX_RENDERED_SERIES);
+  const notes = [...(options.notes ?? [])];
+  if (series.length > shown.length) {
+    notes.push(`${series.length - shown.length} more series not shown`);
+  }
+
+  let body;
+  if (shown.length === 0) {
+    body = "_No series_";
+  } else if (format === "sparkline") {
+    const sparks = shown.map((s) => sparkline(s.points));
+    const width = Math.max(...sparks.map((spark) => spark.length));
+    const lines = shown.map((s, i) => {
+      const stats = summarizeSeries(s.points);
+      return (
+        `${sparks[i].padEnd(width)}  ${s.label}  ` +
+        `min ${formatNumber(stats.min)} · max ${formatNumber(stats.max)} · ` +
+        `last ${formatNumber(stats.last)}`
+      );
+    });
+    body = ["```text", ...lines, "```"].join("\n");
+  } else {
+    const rows = shown.map((s) => {
+      const stats = summarizeSeries(s.points);
+      return {
+        Series: s.label,
+        Points: stats.count,
+        Min: stats.min,
+        Mean: stats.mean,
+        Max: stats.max,
+        Last: stats.last,
+        Trend: stats.count > 0 ? `\`${sparkline(s.points)}\`` : null,
+      };
+    });
+    body = renderTable(["Series", "Points", "Min", "Mean", "Max", "Last", "Trend"], rows);
+  }
+
+  return frame(body, { ...options, notes });
+}
+
+/**
+ * Render table rows (e.g. aggregate totals without a time dimension) with the same framing
+ * as renderSeries.
+ * @param {Array<string>} columns - Column names, in order
+ * @param {Array<Object>} rows - Rows keyed by column name
+ * @param {Object} [options] - Framing (see renderSeries)
+ * @returns {string} Rendered text
+ */
+export function renderRows(columns, rows, options = {}) {
+  return frame(renderTable(columns, rows), options);
+}
@@ -0,0 +1,210 @@
+/**
+ * Statistics and downsampling for metric time series.
+ * Series are arrays of [timestamp (ms), value] points; null values (gaps) are ignored.
+ */
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+/**
+ * Drop points without a numeric value.
+ * @param {Array<[number, number|null]>} points - Series points
+ * @returns {Array<[number, number]>} Points with finite values
+ */
+export function validPoints(points) {
+  return (points ?? []).filter(
+    (p) => Array.isArray(p) && Number.isFinite(p[0]) && Number.isFinite(p[1])
+  );
+}
+
+/**
+ * Percentile of sorted values, interpolating linearly between ranks.
+ * @param {Array<number>} sorted - Values in ascending order (non-empty)
+ * @param {number} p - Percentile between 0 and 100
+ * @returns {number}
+ * @private
+ */
+function percentile(sorted, p) {
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * Round for display without losing small magnitudes.
+ * @param {number} value - Value to round
+ * @returns {number} Value with at most 6 significant digits
+ * @private
+ */
+function round(value) {
+  return Number.isFinite(value) ? Number(value.toPrecision(6)) : value;
+}
+
+/**
+ * Summarize a series over all of its points.
+ * The slope is the least-squares trend per hour; the spike is the point furthest from the
+ * median, with its z-score against the series standard deviation.
+ * @param {Array<[number, number|null]>} points - Series points
+ * @returns {{count: number, min: number|null, max: number|null, mean: number|null,
+ *   last: number|null, lastTimestamp: number|null, p50: number|null, p95: number|null,
+ *   p99: number|null, stdDev: number|null, slopePerHour: number|null,
+ *   spike: {timestamp: number, value: number, deviation: number, zScore: number|null}|null}}
+ */
+export function summarizeSeries(points) {
+  const valid = validPoints(points);
+  if (valid.length === 0) {
+    return {
+      count: 0,
+      min: null,
+      max: null,
+      mean: null,
+      last: null,
+      lastTimestamp: null,
+      p50: null,
+      p95: null,
+      p99: null,
+      stdDev: null,
+      slopePerHour: null,
+      spike: null,
+    };
+  }
+
+  const values = valid.map((p) => p[1]);
+  const sorted = [...values].sort((a, b) => a - b);
+  const n = values.length;
+  const mean = values.reduce((sum, v) => sum + v, 0) / n;
+  const stdDev = Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / n);
+  const median = percentile(sorted, 50);
+
+  // Least-squares slope of value over time
+  const meanT = valid.reduce((sum, p) => sum + p[0], 0) / n;
+  let covariance = 0;
+  let varianceT = 0;
+  for (const [t, v] of valid) {
+    covariance += (t - meanT) * (v - mean);
+    varianceT += (t - meanT) ** 2;
+  }
+  const slopePerMs = varianceT > 0 ? covariance / varianceT : 0;
+
+  let spikePoint = valid[0];
+  for (const point of valid) {
+    if (Math.abs(point[1] - median) > Math.abs(spikePoint[1] - median)) spikePoint = point;
+  }
+  const deviation = spikePoint[1] - median;
+
+  const [lastTimestamp, last] = valid[n - 1];
+  return {
+    count: n,
+    min: sorted[0],
+    max: sorted[n - 1],
+    mean: round(mean),
+    last,
+    lastTimestamp,
+    p50: round(median),
+    p95: round(percentile(sorted, 95)),
+    p99: round(percentile(sorted, 99)),
+    stdDev: round(stdDev),
+    slopePerHour: n > 1 ? round(slopePerMs * MS_PER_HOUR) : null,
+    spike: {
+      timestamp: spikePoint[0],
+      value: spikePoint[1],
+      deviation: round(deviation),
+      zScore: stdDev > 0 ? round(deviation / stdDev) : null,
+    },
+  };
+}
+
+/**
+ * Downsample a series with Largest-Triangle-Three-Buckets, keeping its visual shape.
+ * The first and last points are always kept; gaps (null values) are dropped.
+ * @param {Array<[number, number|null]>} points - Series points in time order
+ * @param {number} maxPoints - Point budget (at least 3)
+ * @returns {Array<[number, number]>} At most maxPoints points
+ */
+export function downsampleLttb(points, maxPoints) {
+  const data = validPoints(points);
+  const threshold = Math.max(3, Math.floor(maxPoints));
+  if (data.length <= threshold) return data;
+
+  const sampled = [data[0]];
+  const bucketSize = (data.length - 2) / (threshold - 2);
+  let a = 0;
+
+  for (let i = 0; i < threshold - 2; i++) {
+    // Average of the next bucket is the third triangle vertex
+    const nextStart = Math.floor((i + 1) * bucketSize) + 1;
+    const nextEnd = Math.min(Math.floor((i + 2) * bucketSize) + 1, data.length);
+    let avgT = 0;
+    let avgV = 0;
+    for (let j = nextStart; j < nextEnd; j++) {
+      avgT += data[j][0];
+      avgV += data[j][1];
+    }
+    const nextCount = nextEnd - nextStart;
+    avgT /= nextCount;
+    avgV /= nextCount;
+
+    // Keep the point of this bucket forming the largest triangle with a and the average
+    const start = Math.floor(i * bucketSize) + 1;
+    const end = Math.floor((i + 1) * bucketSize) + 1;
+    const [aT, aV] = data[a];
+    let maxArea = -1;
+    let chosen = start;
+    for (let j = start; j < end; j++) {
+      const area = Math.abs((aT - avgT) * (data[j][1] - aV) - (aT - data[j][0]) * (avgV - aV));
+      if (area > maxArea) {
+        maxArea = area;
+        chosen = j;
+      }
+    }
+    sampled.push(data[chosen]);
+    a = chosen;
+  }
+
+  sampled.push(data[data.length - 1]);
+  return sampled;
+}
+
+/**
+ * Compare a series summary against a baseline summary.
+ * Significance uses Welch's t statistic on the two windows' values: the change is significant
+ * when |t| reaches the threshold and both windows have at least 3 points.
+ * @param {Object} current - Summary of the current window (from summarizeSeries)
+ * @param {Object} baseline - Summary of the baseline window (from summarizeSeries)
+ * @param {number} [threshold] - |t| at or above which the change is significant (default: 2)
+ * @returns {{delta: number|null, percentChange: number|null, tStat: number|null,
+ *   significant: boolean}}
+ */
+export function compareSummaries(current, baseline, threshold = 2) {
+  if (!current.count || !baseline.count) {
+    return { delta: null, percentChange: null, tStat: null, significant: false };
+  }
+
+  const delta = current.mean - baseline.mean;
+  const percentChange = baseline.mean !== 0 ? (delta / Math.abs(baseline.mean)) * 100 : null;
+
+  // Sample variances from the population standard deviations
+  const variance = ({ stdDev, count }) => (count > 1 ? (stdDev ** 2 * count) / (count - 1) : 0);
+  const standardError = Math.sqrt(
+    variance(current) / current.count + variance(baseline) / baseline.count
+  );
+  const enoughPoints = current.count >= 3 && baseline.count >= 3;
+
+  let tStat;
+  let significant;
+  if (standardError > 0) {
+    tStat = delta / standardError;
+    significant = enoughPoints && Math.abs(tStat) >= threshold;
+  } else {
+    // Both windows are flat: any difference is a real shift
+    tStat = null;
+    significant = enoughPoints && delta !== 0;
+  }
+
+  return {
+    delta: round(delta),
+    percentChange: percentChange === null ? null : round(percentChange),
+    tStat: tStat === null ? null : round(tStat),
+    significant,
+  };
+}
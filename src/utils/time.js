@@ -0,0 +1,398 @@
+/**
+ * Shared time parsing for tool inputs.
+ * Accepts Unix timestamps (seconds or milliseconds), ISO 8601 strings, Datadog-style
+ * relative expressions (now-15m, now-1d/d) and phrases (last 2 hours, yesterday), with an
+ * optional IANA timezone for calendar rounding and ISO strings without an offset.
+ */
+
+/** Default range when "from" is omitted: the last hour. */
+export const DEFAULT_RANGE_MS = 60 * 60 * 1000;
+
+/** Numbers below this are treated as Unix seconds, above as milliseconds. */
+const SECONDS_THRESHOLD = 10000000000;
+
+const FIXED_UNIT_MS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+};
+
+const PHRASE_UNITS = {
+  second: "s",
+  sec: "s",
+  minute: "m",
+  min: "m",
+  hour: "h",
+  hr: "h",
+  day: "d",
+  week: "w",
+  month: "M",
+  year: "y",
+};
+
+const RELATIVE_PATTERN = /^now((?:\s*[+-]\s*\d+\s*[smhdwMy])*)(?:\s*\/\s*([smhdwMy]))?$/;
+const NAIVE_ISO_PATTERN =
+  /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?)?$/;
+
+/**
+ * JSON Schema properties for the optional from/to/timezone inputs shared by time-range tools.
+ * @type {Object}
+ */
+export const timeRangeInputProperties = {
+  from: {
+    oneOf: [{ type: "number" }, { type: "string" }],
+    description:
+      "Start time (default: 1 hour before 'to'). Unix timestamp (seconds or ms), ISO 8601 " +
+      "string, relative expression (e.g. 'now-15m', 'now-1d/d') or phrase " +
+      "(e.g. 'last 2 hours', 'yesterday')",
+  },
+  to: {
+    oneOf: [{ type: "number" }, { type: "string" }],
+    description:
+      "End time (default: now, or the end of a bounded 'from' such as 'yesterday'). " +
+      "Same formats as 'from'; must be after 'from'",
+  },
+  timezone: {
+    type: "string",
+    description:
+      "Optional IANA timezone (e.g. 'Europe/Paris') used for day/week rounding and " +
+      "ISO strings without an offset (default: UTC)",
+  },
+};
+
+/**
+ * Validate an IANA timezone name.
+ * @param {string} timezone - Timezone name
+ * @returns {string} The canonical timezone name
+ * @throws {Error} If the timezone is unknown
+ * @private
+ */
+function assertTimezone(timezone) {
+  try {
+    return new Intl.DateTimeFormat("en-US", { timeZone: timezone }).resolvedOptions().timeZone;
+  } catch (_error) {
+    throw new Error(`Invalid timezone: ${timezone}. Use an IANA name such as "Europe/Paris"`);
+  }
+}
+
+/**
+ * Get the wall-clock components of an instant in a timezone.
+ * @param {number} ms - Unix timestamp (milliseconds)
+ * @param {string} timezone - IANA timezone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number,
+ *   second: number, weekday: number}} Components (month 1-12, weekday 0 = Sunday)
+ * @private
+ */
+function zonedParts(ms, timezone) {
+  const formatter = new Intl.DateTimeFormat("en-US", {
+    timeZone: timezone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "numeric",
+    day: "numeric",
+    hour: "numeric",
+    minute: "numeric",
+    second: "numeric",
+    weekday: "short",
+  });
+  const parts = Object.fromEntries(formatter.formatToParts(ms).map((p) => [p.type, p.value]));
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"].indexOf(parts.weekday),
+  };
+}
+
+/**
+ * Convert wall-clock components in a timezone to a Unix timestamp.
+ * Out-of-range components (e.g. day 0 or month 13) roll over like Date.UTC.
+ * @returns {number} Unix timestamp (milliseconds)
+ * @private
+ */
+function zonedToUtc(timezone, year, month, day, hour = 0, minute = 0, second = 0, millis = 0) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second, millis);
+  const offsetAt = (ms) => {
+    const p = zonedParts(ms, timezone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return asUtc - Math.floor(ms / 1000) * 1000;
+  };
+  const firstGuess = wallClock - offsetAt(wallClock);
+  // Re-check the offset at the guess to handle DST transitions between the two instants
+  return wallClock - offsetAt(firstGuess);
+}
+
+/**
+ * Round an instant down to the start of a calendar unit in a timezone.
+ * Weeks start on Monday.
+ * @param {number} ms - Unix timestamp (milliseconds)
+ * @param {string} unit - One of s, m, h, d, w, M, y
+ * @param {string} timezone - IANA timezone
+ * @returns {number} Unix timestamp (milliseconds)
+ * @private
+ */
+function startOfUnit(ms, unit, timezone) {
+  const p = zonedParts(ms, timezone);
+  switch (unit) {
+    case "s":
+      return Math.floor(ms / 1000) * 1000;
+    case "m":
+      return zonedToUtc(timezone, p.year, p.month, p.day, p.hour, p.minute);
+    case "h":
+      return zonedToUtc(timezone, p.year, p.month, p.day, p.hour);
+    case "d":
+      return zonedToUtc(timezone, p.year, p.month, p.day);
+    case "w":
+      return zonedToUtc(timezone, p.year, p.month, p.day - ((p.weekday + 6) % 7));
+    case "M":
+      return zonedToUtc(timezone, p.year, p.month, 1);
+    default:
+      return zonedToUtc(timezone, p.year, 1, 1);
+  }
+}
+
+/**
+ * Add a number of units to an instant. Days and larger follow the calendar in the timezone.
+ * @param {number} ms - Unix timestamp (milliseconds)
+ * @param {number} amount - Units to add (may be negative)
+ * @param {string} unit - One of s, m, h, d, w, M, y
+ * @param {string} timezone - IANA timezone
+ * @returns {number} Unix timestamp (milliseconds)
+ * @private
+ */
+function addUnits(ms, amount, unit, timezone) {
+  if (FIXED_UNIT_MS[unit]) {
+    return ms + amount * FIXED_UNIT_MS[unit];
+  }
+  const p = zonedParts(ms, timezone);
+  const millis = ms % 1000;
+  const days = unit === "d" ? amount : unit === "w" ? amount * 7 : 0;
+  const months = unit === "M" ? amount : unit === "y" ? amount * 12 : 0;
+  return zonedToUtc(
+    timezone,
+    p.year,
+    p.month + months,
+    p.day + days,
+    p.hour,
+    p.minute,
+    p.second,
+    millis
+  );
+}
+
+/**
+ * Parse a Datadog-style relative expression such as "now-15m" or "now-1d/d".
+ * @returns {{start: number, end: number} | null} Interval, or null if not a relative expression
+ * @private
+ */
+function parseRelative(expr, now, timezone) {
+  const match = RELATIVE_PATTERN.exec(expr);
+  if (!match) {
+    return null;
+  }
+
+  let ms = now;
+  for (const [, sign, amount, unit] of match[1].matchAll(/([+-])\s*(\d+)\s*([smhdwMy])/g)) {
+    ms = addUnits(ms, (sign === "-" ? -1 : 1) * Number(amount), unit, timezone);
+  }
+
+  const roundUnit = match[2];
+  if (!roundUnit) {
+    return { start: ms, end: ms };
+  }
+  const start = startOfUnit(ms, roundUnit, timezone);
+  return { start, end: addUnits(start, 1, roundUnit, timezone) };
+}
+
+/**
+ * Parse a natural-language phrase such as "last 2 hours", "15 minutes ago" or "yesterday".
+ * @returns {{start: number, end: number} | null} Interval, or null if not a known phrase
+ * @private
+ */
+function parsePhrase(expr, now, timezone) {
+  const text = expr.toLowerCase().replace(/\s+/g, " ");
+
+  if (text === "now") {
+    return { start: now, end: now };
+  }
+  if (text === "today") {
+    return { start: startOfUnit(now, "d", timezone), end: now };
+  }
+  if (text === "yesterday") {
+    const today = startOfUnit(now, "d", timezone);
+    return { start: addUnits(today, -1, "d", timezone), end: today };
+  }
+
+  const thisMatch = /^this (day|week|month|year)$/.exec(text);
+  if (thisMatch) {
+    return { start: startOfUnit(now, PHRASE_UNITS[thisMatch[1]], timezone), end: now };
+  }
+
+  const unitNames = Object.keys(PHRASE_UNITS).join("|");
+  const lastMatch = new RegExp(`^(?:last|past|previous) (?:(\\d+) ?)?(${unitNames})s?$`).exec(text);
+  if (lastMatch) {
+    const amount = lastMatch[1] ? Number(lastMatch[1]) : 1;
+    return { start: addUnits(now, -amount, PHRASE_UNITS[lastMatch[2]], timezone), end: now };
+  }
+
+  const shortLastMatch = /^(?:last|past) (\d+) ?([smhdw])$/.exec(text);
+  if (shortLastMatch) {
+    return {
+      start: addUnits(now, -Number(shortLastMatch[1]), shortLastMatch[2], timezone),
+      end: now,
+    };
+  }
+
+  const agoMatch = new RegExp(`^(\\d+) ?(${unitNames})s? ago$`).exec(text);
+  if (agoMatch) {
+    const ms = addUnits(now, -Number(agoMatch[1]), PHRASE_UNITS[agoMatch[2]], timezone);
+    return { start: ms, end: ms };
+  }
+
+  return null;
+}
+
+/**
+ * Parse a time input into an interval. Absolute times yield a zero-length interval;
+ * relative periods such as "yesterday" or "now-1d/d" yield their full span.
+ * @param {number | string} time - Time input
+ * @param {Object} options - Parse options
+ * @param {number} options.now - Reference "now" (milliseconds)
+ * @param {string} options.timezone - IANA timezone
+ * @returns {{start: number, end: number}} Interval in milliseconds
+ * @throws {Error} If the input cannot be parsed
+ * @private
+ */
+function parseTimeInterval(time, { now, timezone }) {
+  if (typeof time === "number" && Number.isFinite(time)) {
+    const ms = time < SECONDS_THRESHOLD ? time * 1000 : time;
+    return { start: ms, end: ms };
+  }
+
+  if (typeof time === "string") {
+    const text = time.trim();
+
+    if (/^\d+(\.\d+)?$/.test(text)) {
+      return parseTimeInterval(Number(text), { now, timezone });
+    }
+
+    const relative = parseRelative(text, now, timezone);
+    if (relative) {
+      return relative;
+    }
+
+    const phrase = parsePhrase(text, now, timezone);
+    if (phrase) {
+      return phrase;
+    }
+
+    // ISO 8601 without an offset is wall-clock time in the requested timezone
+    const naive = NAIVE_ISO_PATTERN.exec(text);
+    if (naive) {
+      const [, y, mo, d, h = 0, mi = 0, s = 0, frac = "0"] = naive;
+      const ms = zonedToUtc(
+        timezone,
+        Number(y),
+        Number(mo),
+        Number(d),
+        Number(h),
+        Number(mi),
+        Number(s),
+        Number(frac.padEnd(3, "0"))
+      );
+      return { start: ms, end: ms };
+    }
+
+    const isoTime = new Date(text).getTime();
+    if (!Number.isNaN(isoTime)) {
+      return { start: isoTime, end: isoTime };
+    }
+  }
+
+  throw new Error(`Invalid timestamp format: ${time}`);
+}
+
+/**
+ * Parse a single time input into a Unix timestamp in milliseconds.
+ * For periods ("yesterday", "now-1d/d") the start is returned.
+ * @param {number | string} time - Time input
+ * @param {Object} [options] - Parse options
+ * @param {number} [options.now] - Reference "now" in milliseconds (default: Date.now())
+ * @param {string} [options.timezone] - IANA timezone (default: UTC)
+ * @returns {number} Unix timestamp (milliseconds)
+ * @throws {Error} If the input or timezone is invalid
+ */
+export function parseTime(time, options = {}) {
+  const timezone = assertTimezone(options.timezone || "UTC");
+  return parseTimeInterval(time, { now: options.now ?? Date.now(), timezone }).start;
+}
+
+/**
+ * Whether a time input names a fixed instant (Unix timestamp or ISO 8601) rather than
+ * one relative to now ("now-15m", "yesterday"). Does not validate the input.
+ * @param {number | string} time - Time input
+ * @returns {boolean}
+ */
+export function isAbsoluteTime(time) {
+  if (typeof time === "number") {
+    return Number.isFinite(time);
+  }
+  if (typeof time !== "string") {
+    return false;
+  }
+  const text = time.trim();
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return true;
+  }
+  if (parseRelative(text, 0, "UTC") || parsePhrase(text, 0, "UTC")) {
+    return false;
+  }
+  return NAIVE_ISO_PATTERN.test(text) || !Number.isNaN(new Date(text).getTime());
+}
+
+/**
+ * Resolve optional from/to inputs into an absolute time range.
+ * - from omitted: one hour before "to"
+ * - to omitted: now, or the end of a bounded "from" period such as "yesterday"
+ * - a period used as "to" resolves to its end (e.g. to: "now-1d/d" is midnight today)
+ *
+ * @param {number | string} [from] - Start time input
+ * @param {number | string} [to] - End time input
+ * @param {Object} [options] - Resolve options
+ * @param {string} [options.timezone] - IANA timezone (default: UTC)
+ * @param {number} [options.now] - Reference "now" in milliseconds (default: Date.now())
+ * @returns {{from: number, to: number, timeRange: {from: string, to: string, timezone?: string}}}
+ *   Range in milliseconds plus an ISO echo suitable for tool responses
+ * @throws {Error} If an input or the timezone is invalid
+ */
+export function resolveTimeRange(from, to, options = {}) {
+  const now = options.now ?? Date.now();
+  const timezone = assertTimezone(options.timezone || "UTC");
+  const isSet = (value) => value != null && value !== "";
+
+  const fromInterval = isSet(from) ? parseTimeInterval(from, { now, timezone }) : null;
+
+  let toMs;
+  if (isSet(to)) {
+    toMs = parseTimeInterval(to, { now, timezone }).end;
+  } else if (fromInterval && fromInterval.end > fromInterval.start && fromInterval.end < now) {
+    toMs = fromInterval.end;
+  } else {
+    toMs = now;
+  }
+
+  const fromMs = fromInterval ? fromInterval.start : toMs - DEFAULT_RANGE_MS;
+
+  return {
+    from: fromMs,
+    to: toMs,
+    timeRange: {
+      from: new Date(fromMs).toISOString(),
+      to: new Date(toMs).toISOString(),
+      ...(options.timezone && { timezone }),
+    },
+  };
+}
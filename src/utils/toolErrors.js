@@ -29,7 +29,10 @@ function getActionableHint(message, statusCode) {
     return "No resource found. Check the ID or query and try again.";
   }
   if (statusCode === 429) {
-    return "Datadog rate limit hit. Retry after a short delay or reduce request frequency.";
+    return "Datadog rate limit still exceeded after automatic retries. Wait before retrying or reduce request frequency.";
+  }
+  if (message && message.includes("Unknown org")) {
+    return "Call list_orgs to see the configured orgs.";
   }
   if (
     message &&
@@ -40,7 +43,10 @@ function getActionableHint(message, statusCode) {
     return "Ensure 'from' is before 'to'.";
   }
   if (message && message.includes("Invalid") && message.includes("format")) {
-    return "Use Unix timestamp (seconds or ms) or ISO 8601 (e.g. 2021-01-01T00:00:00Z).";
+    return (
+      "Use Unix timestamp (seconds or ms), ISO 8601 (e.g. 2021-01-01T00:00:00Z), " +
+      "a relative expression (e.g. now-15m, now-1d/d) or a phrase (e.g. last 2 hours)."
+    );
   }
   return "";
 }
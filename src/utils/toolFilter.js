@@ -0,0 +1,140 @@
+import fs from "node:fs";
+import { InvalidConfigurationError } from "./errors.js";
+
+/**
+ * Tool enablement by domain and by name/glob.
+ *
+ * Precedence for each tool:
+ *   1. a deny pattern matches → disabled
+ *   2. an allow pattern matches → enabled
+ *   3. domains are configured → enabled only if the tool's domain is listed
+ *   4. allow patterns are configured → disabled (not allowlisted)
+ *   5. otherwise → enabled
+ */
+
+/**
+ * Split a comma-separated list, trimming entries and dropping empty ones.
+ * @param {string | Array<string>} [value] - List string or array
+ * @returns {Array<string>} Entries
+ */
+export function parseList(value) {
+  const items = Array.isArray(value) ? value : String(value ?? "").split(",");
+  return items.map((item) => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Compile a name glob (`*` and `?` wildcards) into a regular expression.
+ * @param {string} pattern - Glob pattern, e.g. "search_*"
+ * @returns {RegExp} Anchored regular expression
+ * @private
+ */
+function globToRegExp(pattern) {
+  const source = pattern
+    .split("")
+    .map((char) => {
+      if (char === "*") return ".*";
+      if (char === "?") return ".";
+      return char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Read the optional JSON config file: {"domains": [...], "allow": [...], "deny": [...]}.
+ * @param {string} filePath - Path to the config file
+ * @returns {{domains?: Array<string>, allow?: Array<string>, deny?: Array<string>}}
+ * @throws {InvalidConfigurationError} If the file cannot be read or parsed
+ * @private
+ */
+function readConfigFile(filePath) {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new InvalidConfigurationError(
+      `Could not load tools config file "${filePath}": ${error.message}`
+    );
+  }
+
+  if (parsed == null || typeof parsed !== "object" || Array.isArray(parsed)) {
+    throw new InvalidConfigurationError(`Tools config file "${filePath}" must contain an object`);
+  }
+  for (const key of ["domains", "allow", "deny"]) {
+    if (parsed[key] != null && !Array.isArray(parsed[key])) {
+      throw new InvalidConfigurationError(
+        `"${key}" in tools config file "${filePath}" must be an array of strings`
+      );
+    }
+  }
+  return parsed;
+}
+
+/**
+ * Load tool filter settings from the optional config file and environment values.
+ * Each environment value, when set, replaces the same setting from the file.
+ * @param {Object} [settings] - Raw settings (see getConfiguration().tools)
+ * @param {string} [settings.configFile] - Path to a JSON config file
+ * @param {string} [settings.domains] - Comma-separated enabled domains
+ * @param {string} [settings.allow] - Comma-separated tool names/globs to enable
+ * @param {string} [settings.deny] - Comma-separated tool names/globs to disable
+ * @returns {{domains: Array<string>, allow: Array<string>, deny: Array<string>, source: string}}
+ * @throws {InvalidConfigurationError} If the config file is invalid
+ */
+export function loadToolFilterConfig(settings = {}) {
+  const file = settings.configFile ? readConfigFile(settings.configFile) : {};
+  const pick = (key) => parseList(settings[key] ? settings[key] : file[key]);
+
+  return {
+    domains: pick("domains"),
+    allow: pick("allow"),
+    deny: pick("deny"),
+    source: settings.configFile ? `env + ${settings.configFile}` : "env",
+  };
+}
+
+/**
+ * Create a tool filter.
+ * @param {Object} [options] - Filter settings
+ * @param {Array<string>} [options.domains] - Enabled domains (empty: all)
+ * @param {Array<string>} [options.allow] - Names/globs to enable
+ * @param {Array<string>} [options.deny] - Names/globs to disable
+ * @param {Array<string>} [options.knownDomains] - Valid domain names, used to reject typos
+ * @returns {(toolName: string, domain: string) => {enabled: boolean, reason: string}} Filter
+ * @throws {InvalidConfigurationError} If a domain is unknown
+ */
+export function createToolFilter(options = {}) {
+  const domains = parseList(options.domains).map((d) => d.toLowerCase());
+  const allow = parseList(options.allow).map((p) => ({ pattern: p, regex: globToRegExp(p) }));
+  const deny = parseList(options.deny).map((p) => ({ pattern: p, regex: globToRegExp(p) }));
+
+  if (options.knownDomains) {
+    const unknown = domains.filter((d) => !options.knownDomains.includes(d));
+    if (unknown.length > 0) {
+      throw new InvalidConfigurationError(
+        `Unknown tool domain(s): ${unknown.join(", ")}. ` +
+          `Valid domains: ${options.knownDomains.join(", ")}`
+      );
+    }
+  }
+
+  return (toolName, domain) => {
+    const denied = deny.find(({ regex }) => regex.test(toolName));
+    if (denied) {
+      return { enabled: false, reason: `denied by "${denied.pattern}"` };
+    }
+    const allowed = allow.find(({ regex }) => regex.test(toolName));
+    if (allowed) {
+      return { enabled: true, reason: `allowed by "${allowed.pattern}"` };
+    }
+    if (domains.length > 0) {
+      return domains.includes(domain)
+        ? { enabled: true, reason: `domain "${domain}" enabled` }
+        : { enabled: false, reason: `domain "${domain}" not enabled` };
+    }
+    if (allow.length > 0) {
+      return { enabled: false, reason: "not in allowlist" };
+    }
+    return { enabled: true, reason: "enabled by default" };
+  };
+}
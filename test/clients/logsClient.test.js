@@ -199,6 +199,25 @@ describe("LogsClient", () => {
       );
     });
 
+    it("should sort newest first on request and reject other orders", async () => {
+      await client.searchLogs("service:api", timestamps.fromMs, timestamps.toMs, 10, {
+        sort: "-timestamp",
+      });
+      expect(logsApi.listLogs.mock.calls.at(-1)[0].body.sort).toBe("-timestamp");
+
+      logsApi.listLogs.mockClear();
+      const { data, error } = await client.searchLogs(
+        "service:api",
+        timestamps.fromMs,
+        timestamps.toMs,
+        10,
+        { sort: "desc" }
+      );
+      expect(data).toBeNull();
+      expect(error.message).toContain("Invalid sort");
+      expect(logsApi.listLogs).not.toHaveBeenCalled();
+    });
+
     it("should floor timestamps", async () => {
       logsApi.listLogs.mockResolvedValue(logsSearchResponse);
       const fromFloat = timestamps.fromMs + 0.5;
@@ -210,6 +229,30 @@ describe("LogsClient", () => {
       expect(call.body.filter.from).toBe(new Date(Math.floor(fromFloat)).toISOString());
       expect(call.body.filter.to).toBe(new Date(Math.floor(toFloat)).toISOString());
     });
+
+    it("should scope the search to indexes and a storage tier", async () => {
+      await client.searchLogs("source:audit", timestamps.fromMs, timestamps.toMs, 10, {
+        indexes: ["audit"],
+        storageTier: "flex",
+      });
+
+      const { filter } = logsApi.listLogs.mock.calls[0][0].body;
+      expect(filter.indexes).toEqual(["audit"]);
+      expect(filter.storageTier).toBe("flex");
+    });
+
+    it("should reject invalid indexes and storage tiers", async () => {
+      const indexes = await client.searchLogs("", timestamps.fromMs, timestamps.toMs, 10, {
+        indexes: [""],
+      });
+      const tier = await client.searchLogs("", timestamps.fromMs, timestamps.toMs, 10, {
+        storageTier: "cold",
+      });
+
+      expect(indexes.error.message).toContain("Indexes must be a non-empty array");
+      expect(tier.error.message).toContain("indexes, online-archives, flex");
+      expect(logsApi.listLogs).not.toHaveBeenCalled();
+    });
   });
 
   describe("getLogDetails", () => {
@@ -452,6 +495,111 @@ describe("LogsClient", () => {
       assertValidResponse({ data, error }, false);
     });
 
+    it("should send count without a metric as a total compute", async () => {
+      await client.aggregateLogs("status:error", timestamps.fromMs, timestamps.toMs, "count");
+
+      const { body } = logsApi.aggregateLogs.mock.calls[0][0];
+      expect(body.compute).toEqual([{ aggregation: "count", type: "total" }]);
+      expect(body).not.toHaveProperty("groupBy");
+    });
+
+    it("should map percentile to the pcNN aggregation", async () => {
+      await client.aggregateLogs("", timestamps.fromMs, timestamps.toMs, "percentile", {
+        metric: "@duration",
+        percentile: 90,
+      });
+
+      const { body } = logsApi.aggregateLogs.mock.calls[0][0];
+      expect(body.compute[0]).toEqual(
+        expect.objectContaining({ aggregation: "pc90", metric: "@duration" })
+      );
+    });
+
+    it("should build groupBy rules sorted by the computed measure", async () => {
+      await client.aggregateLogs("", timestamps.fromMs, timestamps.toMs, "avg", {
+        metric: "@duration",
+        groupBy: [{ facet: "service" }, { facet: "host", limit: 3, sort: "asc" }],
+      });
+
+      const { body } = logsApi.aggregateLogs.mock.calls[0][0];
+      expect(body.groupBy).toEqual([
+        {
+          facet: "service",
+          limit: 10,
+          sort: { aggregation: "avg", order: "desc", type: "measure", metric: "@duration" },
+        },
+        {
+          facet: "host",
+          limit: 3,
+          sort: { aggregation: "avg", order: "asc", type: "measure", metric: "@duration" },
+        },
+      ]);
+    });
+
+    it("should request a timeseries when an interval is given", async () => {
+      await client.aggregateLogs("", timestamps.fromMs, timestamps.toMs, "count", {
+        interval: "1h",
+      });
+
+      const { body } = logsApi.aggregateLogs.mock.calls[0][0];
+      expect(body.compute[0]).toEqual({ aggregation: "count", type: "timeseries", interval: "1h" });
+    });
+
+    it("should reject unsupported percentiles", async () => {
+      const { data, error } = await client.aggregateLogs(
+        "",
+        timestamps.fromMs,
+        timestamps.toMs,
+        "percentile",
+        { metric: "@duration", percentile: 50 }
+      );
+
+      assertValidResponse({ data, error }, true);
+      expect(error.message).toContain("Invalid percentile");
+    });
+
+    it("should reject malformed intervals", async () => {
+      const { error } = await client.aggregateLogs(
+        "",
+        timestamps.fromMs,
+        timestamps.toMs,
+        "count",
+        {
+          interval: "five minutes",
+        }
+      );
+
+      expect(error.message).toContain("Invalid interval");
+    });
+
+    it("should reject groupBy entries without a facet or with a bad sort", async () => {
+      const missing = await client.aggregateLogs("", timestamps.fromMs, timestamps.toMs, "count", {
+        groupBy: [{ limit: 5 }],
+      });
+      const badSort = await client.aggregateLogs("", timestamps.fromMs, timestamps.toMs, "count", {
+        groupBy: [{ facet: "service", sort: "up" }],
+      });
+
+      expect(missing.error.message).toContain("facet");
+      expect(badSort.error.message).toContain("sort");
+      expect(logsApi.aggregateLogs).not.toHaveBeenCalled();
+    });
+
+    it("should scope the aggregation to indexes and a storage tier", async () => {
+      await client.aggregateLogs("", timestamps.fromMs, timestamps.toMs, "count", {
+        indexes: ["audit", "main"],
+        storageTier: "online-archives",
+      });
+      const invalid = await client.aggregateLogs("", timestamps.fromMs, timestamps.toMs, "count", {
+        storageTier: "cold",
+      });
+
+      const { filter } = logsApi.aggregateLogs.mock.calls[0][0].body;
+      expect(filter).toMatchObject({ indexes: ["audit", "main"], storageTier: "online-archives" });
+      expect(invalid.error.message).toContain("Invalid storage tier");
+      expect(logsApi.aggregateLogs).toHaveBeenCalledTimes(1);
+    });
+
     it("should handle API errors during aggregation", async () => {
       const err = new Error("Bad Request");
       err.statusCode = 400;
@@ -470,35 +618,33 @@ describe("LogsClient", () => {
   });
 
   describe("listIndexes", () => {
-    // listIndexes uses require() for v1.LogsIndexesApi; in ESM the mock may not apply
-    it.skip("should list log indexes successfully", async () => {
+    it("should list log indexes successfully", async () => {
       const indexesData = [
-        { name: "main", daily_storage_gb: 100 },
-        { name: "analytics", daily_storage_gb: 50 },
+        { name: "main", numRetentionDays: 15 },
+        { name: "analytics", numRetentionDays: 30 },
       ];
       const { logsIndexesApi } = mockDatadogApi;
       vi.mocked(logsIndexesApi.listLogIndexes).mockResolvedValue({
-        data: indexesData,
+        indexes: indexesData,
       });
 
       const { data, error } = await client.listIndexes();
 
       assertValidResponse({ data, error }, false);
-      expect(data.data).toBeDefined();
-      expect(Array.isArray(data.data)).toBe(true);
+      expect(data.indexes).toEqual(indexesData);
     });
 
-    it.skip("should handle empty index list", async () => {
+    it("should handle empty index list", async () => {
       const { logsIndexesApi } = mockDatadogApi;
-      vi.mocked(logsIndexesApi.listLogIndexes).mockResolvedValue({ data: [] });
+      vi.mocked(logsIndexesApi.listLogIndexes).mockResolvedValue({ indexes: [] });
 
       const { data, error } = await client.listIndexes();
 
       assertValidResponse({ data, error }, false);
-      expect(data.data).toHaveLength(0);
+      expect(data.indexes).toHaveLength(0);
     });
 
-    it.skip("should handle API errors", async () => {
+    it("should handle API errors", async () => {
       const err = new Error("Unauthorized");
       err.statusCode = 401;
       const { logsIndexesApi } = mockDatadogApi;
@@ -622,6 +768,40 @@ describe("LogsClient", () => {
       expect(data.links).toBeDefined();
       expect(data.links.next).toBeDefined();
     });
+
+    it("should send cursor as page.cursor", async () => {
+      logsApi.listLogs.mockResolvedValue(logsSearchResponse);
+
+      await client.searchLogs("service:api", timestamps.fromMs, timestamps.toMs, 10, {
+        cursor: "page-token-123",
+      });
+
+      const { body } = logsApi.listLogs.mock.calls[0][0];
+      expect(body.page).toEqual({ limit: 10, cursor: "page-token-123" });
+    });
+
+    it("should omit page.cursor when no cursor is given", async () => {
+      logsApi.listLogs.mockResolvedValue(logsSearchResponse);
+
+      await client.searchLogs("service:api", timestamps.fromMs, timestamps.toMs, 10);
+
+      const { body } = logsApi.listLogs.mock.calls[0][0];
+      expect(body.page).not.toHaveProperty("cursor");
+    });
+
+    it("should reject an empty cursor", async () => {
+      const { data, error } = await client.searchLogs(
+        "service:api",
+        timestamps.fromMs,
+        timestamps.toMs,
+        10,
+        { cursor: "" }
+      );
+
+      expect(data).toBeNull();
+      expect(error.message).toContain("Cursor");
+      expect(logsApi.listLogs).not.toHaveBeenCalled();
+    });
   });
 
   describe("edge cases", () => {
@@ -4,6 +4,7 @@
 
 import { mockDatadogApi } from "#test/mocks/datadogApi.js";
 import { describe, it, expect, beforeEach, vi } from "vitest";
+import { client as datadogClient } from "@datadog/datadog-api-client";
 import { MetricsClient } from "#clients/metricsClient.js";
 import { DatadogClientError } from "#utils/errors.js";
 import { createMockConfig, createTestTimestamps, assertValidResponse } from "#test/helpers.js";
@@ -12,9 +13,15 @@ import { metricsQueryResponse, metricMetadataResponse } from "#test/fixtures/dat
 describe("MetricsClient", () => {
   let client;
   let timestamps;
-  const { metricsApi } = mockDatadogApi;
+  const { metricsApi, metricsApiV2 } = mockDatadogApi;
 
   beforeEach(() => {
+    vi.mocked(metricsApiV2.queryTimeseriesData).mockReset();
+    vi.mocked(metricsApiV2.listTagsByMetricName).mockReset();
+    vi.mocked(metricsApiV2.listActiveMetricConfigurations).mockReset();
+    vi.mocked(metricsApiV2.submitMetrics).mockReset();
+    vi.mocked(metricsApiV2.listVolumesByMetricName).mockReset();
+    vi.mocked(metricsApiV2.listTagConfigurationByName).mockReset();
     vi.mocked(metricsApi.queryMetrics).mockReset();
     vi.mocked(metricsApi.getMetricMetadata).mockReset();
     vi.mocked(metricsApi.listMetrics).mockReset();
@@ -22,6 +29,14 @@ describe("MetricsClient", () => {
     timestamps = createTestTimestamps();
   });
 
+  it("should send requests to apiUrl instead of the site when set", () => {
+    const _client = new MetricsClient({ ...createMockConfig(), apiUrl: "http://127.0.0.1:4010" });
+
+    const options = vi.mocked(datadogClient.createConfiguration).mock.lastCall[0];
+    expect(options.baseServer).toBeInstanceOf(datadogClient.BaseServerConfiguration);
+    expect(options.baseServer.url).toBe("http://127.0.0.1:4010");
+  });
+
   describe("queryMetrics", () => {
     it("should query metrics successfully", async () => {
       metricsApi.queryMetrics.mockResolvedValue(metricsQueryResponse);
@@ -270,6 +285,172 @@ describe("MetricsClient", () => {
     });
   });
 
+  describe("queryTimeseries", () => {
+    const queries = [{ name: "a", query: "avg:system.cpu.user{*}" }];
+    const formulas = [{ formula: "a", alias: "cpu" }];
+
+    it("should build a v2 timeseries request", async () => {
+      metricsApiV2.queryTimeseriesData.mockResolvedValue({ data: {} });
+
+      const { data, error } = await client.queryTimeseries(queries, formulas, 1000.9, 2000, {
+        interval: 60000,
+      });
+
+      expect(error).toBeNull();
+      expect(data).toEqual({ data: {} });
+      expect(metricsApiV2.queryTimeseriesData).toHaveBeenCalledWith({
+        body: {
+          data: {
+            type: "timeseries_request",
+            attributes: {
+              from: 1000,
+              to: 2000,
+              interval: 60000,
+              queries: [{ dataSource: "metrics", name: "a", query: "avg:system.cpu.user{*}" }],
+              formulas: [{ formula: "a" }],
+            },
+          },
+        },
+      });
+    });
+
+    it("should reject missing queries and inverted ranges", async () => {
+      const empty = await client.queryTimeseries([], formulas, 1000, 2000);
+      const inverted = await client.queryTimeseries(queries, formulas, 2000, 1000);
+
+      expect(empty.error.message).toBe("At least one query is required");
+      expect(inverted.error.message).toBe("Start time must be before end time");
+      expect(metricsApiV2.queryTimeseriesData).not.toHaveBeenCalled();
+    });
+
+    it("should handle API errors", async () => {
+      metricsApiV2.queryTimeseriesData.mockRejectedValue(
+        Object.assign(new Error("Forbidden"), { statusCode: 403 })
+      );
+
+      const { data, error } = await client.queryTimeseries(queries, formulas, 1000, 2000);
+
+      expect(data).toBeNull();
+      expect(error).toBeInstanceOf(DatadogClientError);
+      expect(error.statusCode).toBe(403);
+    });
+  });
+
+  describe("listMetricTags", () => {
+    it("should request all tags for the metric", async () => {
+      metricsApiV2.listTagsByMetricName.mockResolvedValue({
+        data: { attributes: { tags: ["env:prod"] } },
+      });
+
+      const { data, error } = await client.listMetricTags("system.cpu.user");
+
+      expect(error).toBeNull();
+      expect(data.data.attributes.tags).toEqual(["env:prod"]);
+      expect(metricsApiV2.listTagsByMetricName).toHaveBeenCalledWith({
+        metricName: "system.cpu.user",
+      });
+    });
+
+    it("should require a metric name and wrap API errors", async () => {
+      metricsApiV2.listTagsByMetricName.mockRejectedValue(
+        Object.assign(new Error("Not found"), { statusCode: 404 })
+      );
+
+      const missing = await client.listMetricTags("");
+      const failed = await client.listMetricTags("nope");
+
+      expect(missing.error.message).toBe("Metric name is required");
+      expect(failed.error).toBeInstanceOf(DatadogClientError);
+      expect(failed.error.statusCode).toBe(404);
+    });
+  });
+
+  describe("listActiveMetricConfigurations", () => {
+    it("should pass the window only when set", async () => {
+      metricsApiV2.listActiveMetricConfigurations.mockResolvedValue({ data: {} });
+
+      await client.listActiveMetricConfigurations("system.cpu.user");
+      await client.listActiveMetricConfigurations("system.cpu.user", 3600);
+
+      expect(metricsApiV2.listActiveMetricConfigurations.mock.calls).toEqual([
+        [{ metricName: "system.cpu.user" }],
+        [{ metricName: "system.cpu.user", windowSeconds: 3600 }],
+      ]);
+    });
+
+    it("should wrap API errors", async () => {
+      metricsApiV2.listActiveMetricConfigurations.mockRejectedValue(
+        Object.assign(new Error("Forbidden"), { statusCode: 403 })
+      );
+
+      const { data, error } = await client.listActiveMetricConfigurations("system.cpu.user");
+
+      expect(data).toBeNull();
+      expect(error.statusCode).toBe(403);
+    });
+  });
+
+  describe("getMetricVolumes and getMetricTagConfiguration", () => {
+    it("should fetch volumes and the tag configuration by metric name", async () => {
+      const volumes = { data: { attributes: { distinctVolume: 12 } } };
+      const configuration = { data: { attributes: { tags: ["env"] } } };
+      metricsApiV2.listVolumesByMetricName.mockResolvedValue(volumes);
+      metricsApiV2.listTagConfigurationByName.mockResolvedValue(configuration);
+
+      const volumesResult = await client.getMetricVolumes("app.hits");
+      const configurationResult = await client.getMetricTagConfiguration("app.hits");
+
+      expect(volumesResult).toEqual({ data: volumes, error: null });
+      expect(configurationResult).toEqual({ data: configuration, error: null });
+      expect(metricsApiV2.listVolumesByMetricName).toHaveBeenCalledWith({ metricName: "app.hits" });
+      expect(metricsApiV2.listTagConfigurationByName).toHaveBeenCalledWith({
+        metricName: "app.hits",
+      });
+    });
+
+    it("should require a metric name and keep the status of API errors", async () => {
+      metricsApiV2.listTagConfigurationByName.mockRejectedValue(
+        Object.assign(new Error("Not found"), { statusCode: 404 })
+      );
+
+      const missing = await client.getMetricVolumes("");
+      const notConfigured = await client.getMetricTagConfiguration("app.hits");
+
+      expect(missing.error.message).toBe("Metric name is required");
+      expect(notConfigured.error).toBeInstanceOf(DatadogClientError);
+      expect(notConfigured.error.statusCode).toBe(404);
+    });
+  });
+
+  describe("submitMetrics", () => {
+    const series = [
+      { metric: "deploy.canary.score", type: 3, points: [{ timestamp: 1, value: 2 }] },
+    ];
+
+    it("should send series to the v2 intake", async () => {
+      metricsApiV2.submitMetrics.mockResolvedValue({ errors: [] });
+
+      const { data, error } = await client.submitMetrics(series);
+
+      expect(error).toBeNull();
+      expect(data).toEqual({ errors: [] });
+      expect(metricsApiV2.submitMetrics).toHaveBeenCalledWith({ body: { series } });
+    });
+
+    it("should require series and wrap API errors", async () => {
+      metricsApiV2.submitMetrics.mockRejectedValue(
+        Object.assign(new Error("Payload too large"), { statusCode: 413 })
+      );
+
+      const empty = await client.submitMetrics([]);
+      const failed = await client.submitMetrics(series);
+
+      expect(empty.error.message).toBe("At least one series is required");
+      expect(failed.error).toBeInstanceOf(DatadogClientError);
+      expect(failed.error.statusCode).toBe(413);
+    });
+  });
+
   describe("listMetrics", () => {
     it("should list all metrics without query", async () => {
       metricsApi.listMetrics.mockResolvedValue({
@@ -0,0 +1,69 @@
+/**
+ * Tests for the per-org client pool.
+ */
+
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import { OrgClients } from "#clients/orgClients.js";
+import { MetricsClient } from "#clients/metricsClient.js";
+import { ServicesClient } from "#clients/servicesClient.js";
+
+const profiles = new Map([
+  ["us", { name: "us", apiKey: "us-api", appKey: "us-app", site: "datadoghq.com" }],
+  ["eu", { name: "eu", apiKey: "eu-api", appKey: "eu-app", site: "datadoghq.eu" }],
+]);
+
+describe("OrgClients", () => {
+  let createClients;
+  let orgs;
+
+  beforeEach(() => {
+    createClients = vi.fn((profile) => ({ profile }));
+    orgs = new OrgClients({ profiles, defaultOrg: "us", createClients });
+  });
+
+  it("should create clients lazily, once per org", () => {
+    expect(createClients).not.toHaveBeenCalled();
+
+    const first = orgs.get("eu");
+    const second = orgs.get("eu");
+
+    expect(first).toBe(second);
+    expect(first.profile.site).toBe("datadoghq.eu");
+    expect(createClients).toHaveBeenCalledTimes(1);
+  });
+
+  it("should use the default org when none is given", () => {
+    expect(orgs.resolve()).toBe("us");
+    expect(orgs.get(undefined).profile.name).toBe("us");
+  });
+
+  it("should reject unknown orgs", () => {
+    expect(orgs.has("ap")).toBe(false);
+    expect(() => orgs.get("ap")).toThrow('Unknown org "ap". Available orgs: us, eu');
+  });
+
+  it("should list orgs without credentials", () => {
+    orgs.get("eu");
+
+    expect(orgs.list()).toEqual([
+      { name: "us", site: "datadoghq.com", default: true, initialized: false },
+      { name: "eu", site: "datadoghq.eu", default: false, initialized: true },
+    ]);
+  });
+
+  it("should build a full client bundle per profile", () => {
+    const clients = OrgClients.createClients(profiles.get("eu"), { maxRetries: 1 });
+
+    expect(clients.metricsClient).toBeInstanceOf(MetricsClient);
+    expect(clients.servicesClient).toBeInstanceOf(ServicesClient);
+    expect(clients.servicesClient.baseUrl).toBe("https://api.datadoghq.eu/api/v1");
+    expect(Object.keys(clients)).toEqual([
+      "metricsClient",
+      "logsClient",
+      "eventsClient",
+      "monitorsClient",
+      "apmClient",
+      "servicesClient",
+    ]);
+  });
+});
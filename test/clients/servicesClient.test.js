@@ -27,6 +27,16 @@ describe("ServicesClient", () => {
     expect(testClient.site).toBe("datadoghq.com");
   });
 
+  it("should use apiUrl as the base URL when set", () => {
+    const testClient = new ServicesClient({
+      apiKey: "test-key",
+      appKey: "test-app-key",
+      apiUrl: "http://127.0.0.1:4010",
+    });
+
+    expect(testClient.baseUrl).toBe("http://127.0.0.1:4010/api/v1");
+  });
+
   it("should return error when env is missing", async () => {
     const testClient = new ServicesClient({
       apiKey: "test-key",
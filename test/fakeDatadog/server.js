@@ -0,0 +1,278 @@
+/**
+ * Fixture-driven fake Datadog API for offline end-to-end tests.
+ * Serves the endpoints used by every client from JSON files in test/fixtures/fakeDatadog
+ * (one file per route, named after the route), so the real SDK and MCP server can run
+ * against it by setting DATADOG_API_URL to the server's URL.
+ *
+ * Run standalone with: npm run fake-datadog -- --port 4010
+ */
+
+import fs from "fs";
+import http from "http";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import { parseArgs } from "node:util";
+
+const DEFAULT_FIXTURES_DIR = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "../fixtures/fakeDatadog"
+);
+
+/**
+ * Find one item of a list fixture by its `id`.
+ * @param {string} fixture - Fixture (route) name
+ * @param {(body: Object) => Array<Object>} items - Extracts the list from the fixture body
+ * @param {(item: Object) => Object} [wrap] - Shapes the found item into the response body
+ * @returns {Function} Route responder
+ * @private
+ */
+function findById(fixture, items, wrap = (item) => item) {
+  return ({ params, load }) => {
+    const item = items(load(fixture)).find((i) => String(i.id) === params.id);
+    return item ? { body: wrap(item) } : notFound();
+  };
+}
+
+/**
+ * Answer with the entry of a fixture keyed by metric name.
+ * @param {string} fixture - Fixture (route) name
+ * @returns {Function} Route responder
+ * @private
+ */
+function byMetricName(fixture) {
+  return ({ params, load }) => {
+    const body = load(fixture)[params.name];
+    return body ? { body } : notFound();
+  };
+}
+
+/**
+ * 404 response in the Datadog error format.
+ * @returns {{status: number, body: Object}}
+ * @private
+ */
+function notFound() {
+  return { status: 404, body: { errors: ["Not found"] } };
+}
+
+/**
+ * Routes served by the fake API. Each route answers with the fixture named after it unless it
+ * has a `respond` function (used for lookups by id or name).
+ * @type {Array<{name: string, method: string, path: string, respond?: Function}>}
+ */
+export const FAKE_DATADOG_ROUTES = [
+  { name: "metrics-query", method: "GET", path: "/api/v1/query" },
+  { name: "metrics-search", method: "GET", path: "/api/v1/search" },
+  { name: "metrics-timeseries", method: "POST", path: "/api/v2/query/timeseries" },
+  {
+    name: "metric-metadata",
+    method: "GET",
+    path: "/api/v1/metrics/:name",
+    respond: byMetricName("metric-metadata"),
+  },
+  {
+    name: "metric-tags",
+    method: "GET",
+    path: "/api/v2/metrics/:name/all-tags",
+    respond: byMetricName("metric-tags"),
+  },
+  {
+    name: "metric-active-configurations",
+    method: "GET",
+    path: "/api/v2/metrics/:name/active-configurations",
+    respond: byMetricName("metric-active-configurations"),
+  },
+  {
+    name: "metric-volumes",
+    method: "GET",
+    path: "/api/v2/metrics/:name/volumes",
+    respond: byMetricName("metric-volumes"),
+  },
+  {
+    name: "metric-tag-configuration",
+    method: "GET",
+    path: "/api/v2/metrics/:name/tags",
+    respond: byMetricName("metric-tag-configuration"),
+  },
+  { name: "logs-list", method: "POST", path: "/api/v2/logs/events/search" },
+  { name: "logs-aggregate", method: "POST", path: "/api/v2/logs/analytics/aggregate" },
+  { name: "logs-indexes", method: "GET", path: "/api/v1/logs/config/indexes" },
+  { name: "spans-list", method: "GET", path: "/api/v2/spans/events" },
+  { name: "monitors", method: "GET", path: "/api/v1/monitor" },
+  { name: "monitors-search", method: "GET", path: "/api/v1/monitor/search" },
+  { name: "monitor-groups-search", method: "GET", path: "/api/v1/monitor/groups/search" },
+  {
+    name: "monitor",
+    method: "GET",
+    path: "/api/v1/monitor/:id",
+    respond: findById("monitors", (body) => body),
+  },
+  { name: "events", method: "GET", path: "/api/v1/events" },
+  {
+    name: "event",
+    method: "GET",
+    path: "/api/v1/events/:id",
+    respond: findById(
+      "events",
+      (body) => body.events,
+      (event) => ({ status: "ok", event })
+    ),
+  },
+  { name: "service-dependencies", method: "GET", path: "/api/v1/service_dependencies" },
+  {
+    name: "service-dependency",
+    method: "GET",
+    path: "/api/v1/service_dependencies/:service",
+    respond: ({ params, load }) => {
+      const map = load("service-dependencies");
+      if (!map[params.service]) return notFound();
+      const calledBy = Object.keys(map).filter((name) => map[name].calls.includes(params.service));
+      return {
+        body: { name: params.service, calls: map[params.service].calls, called_by: calledBy },
+      };
+    },
+  },
+];
+
+/**
+ * Match a request path against a route path with `:param` segments.
+ * @param {string} pattern - Route path
+ * @param {string} pathname - Request path
+ * @returns {Object|null} Decoded params, or null if the path does not match
+ * @private
+ */
+function matchPath(pattern, pathname) {
+  const expected = pattern.split("/");
+  const actual = pathname.split("/");
+  if (expected.length !== actual.length) return null;
+
+  const params = {};
+  for (let i = 0; i < expected.length; i++) {
+    if (expected[i].startsWith(":")) {
+      params[expected[i].slice(1)] = decodeURIComponent(actual[i]);
+    } else if (expected[i] !== actual[i]) {
+      return null;
+    }
+  }
+  return params;
+}
+
+/**
+ * Read a request body as JSON (undefined when empty or not JSON).
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object|undefined>}
+ * @private
+ */
+async function readJsonBody(req) {
+  let text = "";
+  for await (const chunk of req) text += chunk;
+  if (!text) return undefined;
+  try {
+    return JSON.parse(text);
+  } catch (_error) {
+    return undefined;
+  }
+}
+
+/**
+ * Start the fake Datadog API.
+ *
+ * Every request is recorded in `requests`. Requests without DD-API-KEY and
+ * DD-APPLICATION-KEY headers get a 403, unknown paths a 404. `respondWith` queues one-off
+ * responses for a route (e.g. a 429 before the fixture) to exercise error handling.
+ *
+ * @param {Object} [options] - Server options
+ * @param {number} [options.port] - Port to listen on (default: 0, a free port)
+ * @param {string} [options.host] - Host to bind (default: 127.0.0.1)
+ * @param {string} [options.fixturesDir] - Directory of `<route>.json` fixtures
+ * @returns {Promise<{url: string, requests: Array<Object>,
+ *   respondWith: (route: string, response: {status?: number, body?: Object,
+ *     headers?: Object}) => void, reset: () => void, close: () => Promise<void>}>}
+ */
+export async function startFakeDatadog(options = {}) {
+  const { port = 0, host = "127.0.0.1", fixturesDir = DEFAULT_FIXTURES_DIR } = options;
+  const requests = [];
+  const queued = new Map();
+
+  const load = (name) =>
+    JSON.parse(fs.readFileSync(path.join(fixturesDir, `${name}.json`), "utf8"));
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://fake-datadog");
+    const body = await readJsonBody(req);
+
+    let route;
+    let params;
+    for (const candidate of FAKE_DATADOG_ROUTES) {
+      if (candidate.method !== req.method) continue;
+      params = matchPath(candidate.path, url.pathname);
+      if (params) {
+        route = candidate;
+        break;
+      }
+    }
+
+    requests.push({
+      route: route?.name ?? null,
+      method: req.method,
+      path: url.pathname,
+      query: Object.fromEntries(url.searchParams),
+      body,
+    });
+
+    let response;
+    if (!req.headers["dd-api-key"] || !req.headers["dd-application-key"]) {
+      response = { status: 403, body: { errors: ["Forbidden"] } };
+    } else if (!route) {
+      response = notFound();
+    } else if (queued.get(route.name)?.length) {
+      response = queued.get(route.name).shift();
+    } else {
+      response = route.respond ? route.respond({ params, load }) : { body: load(route.name) };
+    }
+
+    res.writeHead(response.status ?? 200, {
+      "Content-Type": "application/json",
+      ...response.headers,
+    });
+    res.end(JSON.stringify(response.body ?? {}));
+  });
+
+  await new Promise((resolve) => server.listen(port, host, resolve));
+  const address = server.address();
+
+  return {
+    url: `http://${host}:${address.port}`,
+    requests,
+    respondWith(routeName, response) {
+      if (!FAKE_DATADOG_ROUTES.some((r) => r.name === routeName)) {
+        throw new Error(`Unknown fake Datadog route: ${routeName}`);
+      }
+      if (!queued.has(routeName)) queued.set(routeName, []);
+      queued.get(routeName).push(response);
+    },
+    reset() {
+      requests.length = 0;
+      queued.clear();
+    },
+    close() {
+      return new Promise((resolve) => server.close(() => resolve()));
+    },
+  };
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const { values } = parseArgs({
+    options: {
+      port: { type: "string", default: "4010" },
+      host: { type: "string", default: "127.0.0.1" },
+      fixtures: { type: "string" },
+    },
+  });
+  const fake = await startFakeDatadog({
+    port: Number(values.port),
+    host: values.host,
+    fixturesDir: values.fixtures ? path.resolve(values.fixtures) : undefined,
+  });
+  console.error(`Fake Datadog API listening on ${fake.url} (set DATADOG_API_URL=${fake.url})`);
+}
@@ -30,6 +30,53 @@ export const metricsQueryResponse = {
   ],
 };
 
+const ANOMALY_START_MS = Date.parse("2026-01-08T10:00:00Z");
+const ANOMALY_NOISE = [0, 2, -2, 1, -1];
+
+/**
+ * Sample metric series for anomaly detection: one-minute points from 2026-01-08T10:00:00Z for
+ * an hour. host:web-01 spikes at 10:05 and shifts from ~100 to ~150 at 10:40; host:web-02 is
+ * steady.
+ */
+export const metricsAnomalyResponse = {
+  status: "ok",
+  query: "app.latency{*} by {host}",
+  series: [
+    {
+      scope: "host:web-01",
+      expression: "app.latency{host:web-01}",
+      pointlist: Array.from({ length: 60 }, (_, i) => [
+        ANOMALY_START_MS + i * 60000,
+        i === 5 ? 200 : (i >= 40 ? 150 : 100) + ANOMALY_NOISE[i % 5],
+      ]),
+    },
+    {
+      scope: "host:web-02",
+      expression: "app.latency{host:web-02}",
+      pointlist: Array.from({ length: 60 }, (_, i) => [
+        ANOMALY_START_MS + i * 60000,
+        100 + ANOMALY_NOISE[i % 5],
+      ]),
+    },
+  ],
+};
+
+/**
+ * Sample seasonal history for metricsAnomalyResponse: hourly points for the 7 days before
+ */
+export const metricsAnomalyHistoryResponse = {
+  status: "ok",
+  query: "app.latency{*} by {host}",
+  series: ["host:web-01", "host:web-02"].map((scope) => ({
+    scope,
+    expression: `app.latency{${scope}}`,
+    pointlist: Array.from({ length: 7 * 24 }, (_, i) => [
+      ANOMALY_START_MS - (7 * 24 - i) * 60 * 60000,
+      100 + ANOMALY_NOISE[i % 5],
+    ]),
+  })),
+};
+
 /**
  * Sample metric metadata response
  */
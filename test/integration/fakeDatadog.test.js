@@ -0,0 +1,299 @@
+/**
+ * Offline end-to-end tests: the real server (src/index.js) and Datadog SDK over stdio,
+ * pointed at the fixture-driven fake Datadog API with DATADOG_API_URL.
+ */
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from "vitest";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import {
+  StdioClientTransport,
+  getDefaultEnvironment,
+} from "@modelcontextprotocol/sdk/client/stdio.js";
+import { startFakeDatadog } from "#test/fakeDatadog/server.js";
+
+describe("MCP server against the fake Datadog API", () => {
+  let fake;
+  let client;
+
+  beforeAll(async () => {
+    fake = await startFakeDatadog();
+    client = new Client({ name: "fake-datadog-test", version: "1.0.0" });
+    await client.connect(
+      new StdioClientTransport({
+        command: process.execPath,
+        args: ["src/index.js"],
+        env: {
+          ...getDefaultEnvironment(),
+          DATADOG_API_KEY: "fake-api-key",
+          DATADOG_APP_KEY: "fake-app-key",
+          DATADOG_API_URL: fake.url,
+          DATADOG_RETRY_BASE_DELAY_MS: "1",
+          MCP_CACHE_ENABLED: "false",
+        },
+        stderr: "ignore",
+      })
+    );
+  }, 20000);
+
+  afterAll(async () => {
+    await client?.close();
+    await fake?.close();
+  });
+
+  beforeEach(() => {
+    fake.reset();
+  });
+
+  /**
+   * Call a tool and parse its JSON text result.
+   * @param {string} name - Tool name
+   * @param {Object} args - Tool arguments
+   * @returns {Promise<{result: Object, content: Object}>}
+   */
+  async function callTool(name, args) {
+    const result = await client.callTool({ name, arguments: args });
+    expect(result.isError, result.content[0].text).toBe(false);
+    return { result, content: JSON.parse(result.content[0].text) };
+  }
+
+  it("should list tools from the spawned server", async () => {
+    const { tools } = await client.listTools();
+
+    expect(tools.map((t) => t.name)).toEqual(
+      expect.arrayContaining(["query_metrics", "search_logs", "list_monitors", "list_orgs"])
+    );
+    expect(tools.map((t) => t.name)).not.toContain("submit_metrics");
+  });
+
+  it("should report the fake API as the default org", async () => {
+    const { content } = await callTool("list_orgs", {});
+
+    expect(content.orgs).toEqual([
+      expect.objectContaining({ name: "default", apiUrl: fake.url, default: true }),
+    ]);
+  });
+
+  it("should query metrics", async () => {
+    const { content } = await callTool("query_metrics", {
+      metricName: "system.cpu.user",
+      from: "now-1h",
+    });
+
+    expect(content.seriesCount).toBe(2);
+    expect(content.data.series[1].scope).toBe("host:web-2");
+    expect(fake.requests[0]).toMatchObject({ route: "metrics-query", method: "GET" });
+    expect(fake.requests[0].query.query).toContain("system.cpu.user");
+  });
+
+  it("should query metric formulas", async () => {
+    const { content } = await callTool("query_metrics", {
+      queries: [
+        {
+          name: "errors",
+          metric: "trace.http.request.errors",
+          aggregator: "sum",
+          groupBy: ["host"],
+        },
+        { name: "hits", metric: "trace.http.request.hits", aggregator: "sum", groupBy: ["host"] },
+      ],
+      formulas: [{ formula: "errors / hits * 100", alias: "error_rate" }],
+      interval: 60,
+    });
+
+    expect(content.series.map((s) => s.label)).toEqual([
+      "error_rate {host:web-1}",
+      "error_rate {host:web-2}",
+    ]);
+    expect(content.series[0].unit).toBe("percent");
+    expect(content.series[0].points[2]).toEqual([1767225720000, null]);
+
+    const { attributes } = fake.requests[0].body.data;
+    expect(attributes.interval).toBe(60000);
+    expect(attributes.queries[0]).toEqual({
+      data_source: "metrics",
+      name: "errors",
+      query: "sum:trace.http.request.errors{*} by {host}",
+    });
+    expect(attributes.formulas).toEqual([{ formula: "errors / hits * 100" }]);
+  });
+
+  it("should list metrics and fetch metadata", async () => {
+    const list = await callTool("list_metrics", {});
+    const metadata = await callTool("get_metric_metadata", { metricName: "system.cpu.user" });
+
+    expect(list.result.content[0].text).toContain("system.mem.used");
+    expect(metadata.result.content[0].text).toContain("percent");
+  });
+
+  it("should list metric tag keys and values", async () => {
+    const keys = await callTool("list_metric_tag_keys", { metricName: "system.cpu.user" });
+    const values = await callTool("list_metric_tag_values", {
+      metricName: "system.cpu.user",
+      tagKey: "host",
+    });
+
+    expect(keys.content.tagKeys[0]).toEqual({
+      key: "env",
+      valueCount: 2,
+      sampleValues: ["prod", "staging"],
+      activelyQueried: true,
+    });
+    expect(values.content.values).toEqual(["web-1", "web-2"]);
+    expect(fake.requests.map((r) => r.path)).toEqual([
+      "/api/v2/metrics/system.cpu.user/all-tags",
+      "/api/v2/metrics/system.cpu.user/active-configurations",
+      "/api/v2/metrics/system.cpu.user/all-tags",
+    ]);
+  });
+
+  it("should report metric cardinality", async () => {
+    const { content } = await callTool("metric_cardinality_report", {
+      metricName: "system.cpu.user",
+    });
+
+    expect(content.metrics[0]).toMatchObject({
+      metric: "system.cpu.user",
+      estimatedSeries: 4,
+      estimateSource: "indexed_volume",
+      volumes: { ingested: 5, indexed: 4 },
+      tagConfiguration: { tags: ["env", "host"], excludeTagsMode: false, metricType: "gauge" },
+      reductionCandidates: [],
+    });
+    expect(content.metrics[0].topTagKeys.map((k) => [k.key, k.estimatedReduction])).toEqual([
+      ["env", 2],
+      ["host", 2],
+      ["service", 0],
+    ]);
+  });
+
+  it("should suggest reported tags when a filtered query is empty", async () => {
+    fake.respondWith("metrics-query", { body: { status: "ok", series: [] } });
+
+    const { content } = await callTool("query_metrics", {
+      metricName: "system.cpu.user",
+      filter: "env:production",
+    });
+
+    expect(content.seriesCount).toBe(0);
+    expect(content.suggestions).toEqual([
+      { tag: "env:production", reason: "unknown_value", suggestions: ["env:prod"] },
+    ]);
+  });
+
+  it("should search and aggregate logs", async () => {
+    const search = await callTool("search_logs", { filter: "service:checkout" });
+    const aggregate = await callTool("aggregate_logs", {
+      filter: "status:error",
+      aggregationType: "count",
+      groupBy: [{ facet: "service" }],
+    });
+
+    expect(search.result.content[0].text).toContain("Payment provider timeout");
+    expect(aggregate.result.content[0].text).toContain("checkout");
+    expect(fake.requests.map((r) => r.route)).toEqual(["logs-list", "logs-aggregate"]);
+    expect(fake.requests[0].body.filter.query).toContain("service:checkout");
+  });
+
+  it("should project nested log attributes", async () => {
+    const { content } = await callTool("search_logs", {
+      filter: "service:checkout",
+      fields: ["id", "@http", "@duration"],
+    });
+
+    expect(content.logs[0]).toEqual({
+      id: "AQAAAZfakelog0001",
+      "@http.status_code": 504,
+      "@http.method": "POST",
+      "@http.url": "/api/pay",
+      "@duration": 30000000000,
+    });
+  });
+
+  it("should list log indexes and search one of them", async () => {
+    const { content } = await callTool("list_log_indexes", {});
+    await callTool("search_logs", { filter: "*", indexes: ["audit"], storageTier: "flex" });
+
+    expect(content.indexes.map((i) => [i.name, i.filter, i.retentionDays])).toEqual([
+      ["main", "*", 15],
+      ["audit", "source:audit", 90],
+    ]);
+    expect(content.indexes[0].dailyLimit).toBe(200000000);
+    expect(fake.requests.map((r) => r.route)).toEqual(["logs-indexes", "logs-list"]);
+    expect(fake.requests[1].body.filter).toMatchObject({
+      indexes: ["audit"],
+      storage_tier: "flex",
+    });
+  });
+
+  it("should cluster log patterns", async () => {
+    const { content } = await callTool("cluster_log_patterns", { filter: "service:checkout" });
+
+    expect(content.patterns.map((p) => p.pattern)).toEqual([
+      "Payment provider timeout after <NUM>ms",
+      "Retrying payment request (attempt <NUM>)",
+    ]);
+    expect(content.patterns[0].sampleLogId).toBe("AQAAAZfakelog0001");
+  });
+
+  it("should query traces from spans", async () => {
+    const { content } = await callTool("query_traces", { serviceName: "checkout" });
+
+    expect(JSON.stringify(content)).toContain("5138792131548271045");
+    expect(fake.requests[0].route).toBe("spans-list");
+  });
+
+  it("should list, get and search monitors", async () => {
+    const list = await callTool("list_monitors", {});
+    const status = await callTool("get_monitor_status", { monitorId: 1001 });
+    const search = await callTool("search_monitors", { query: "cpu" });
+
+    expect(list.result.content[0].text).toContain("Checkout error rate");
+    expect(status.result.content[0].text).toContain("High CPU on web hosts");
+    expect(search.result.content[0].text).toContain("1001");
+  });
+
+  it("should search events and get one by id", async () => {
+    const search = await callTool("search_events", { query: "deploy" });
+    const details = await callTool("get_event_details", { eventId: 7001 });
+
+    expect(search.result.content[0].text).toContain("Deployed checkout");
+    expect(details.result.content[0].text).toContain("Rolling deploy finished");
+  });
+
+  it("should get service dependencies", async () => {
+    const all = await callTool("get_service_dependencies", { env: "production" });
+    const one = await callTool("get_service_dependencies", {
+      env: "production",
+      serviceName: "payments",
+    });
+
+    expect(all.result.content[0].text).toContain("stripe-api");
+    expect(one.result.content[0].text).toContain("checkout");
+    expect(fake.requests.map((r) => r.path)).toEqual([
+      "/api/v1/service_dependencies",
+      "/api/v1/service_dependencies/payments",
+    ]);
+  });
+
+  it("should retry rate-limited requests", async () => {
+    fake.respondWith("monitors", {
+      status: 429,
+      headers: { "Retry-After": "0" },
+      body: { errors: ["Rate limit exceeded"] },
+    });
+
+    const { result } = await callTool("list_monitors", {});
+
+    expect(result.content[0].text).toContain("High CPU on web hosts");
+    expect(fake.requests.map((r) => r.route)).toEqual(["monitors", "monitors"]);
+  });
+
+  it("should surface API errors as tool errors", async () => {
+    fake.respondWith("events", { status: 403, body: { errors: ["Forbidden"] } });
+
+    const result = await client.callTool({ name: "search_events", arguments: { query: "x" } });
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toContain("403");
+  });
+});
@@ -54,10 +54,17 @@ describe("MCP Server Integration", () => {
       const client = new MetricsClient(config);
       const tools = getMetricsTools(client);
 
-      expect(tools).toHaveLength(3);
+      expect(tools).toHaveLength(10);
       expect(tools.map((t) => t.name)).toContain("query_metrics");
       expect(tools.map((t) => t.name)).toContain("get_metric_metadata");
       expect(tools.map((t) => t.name)).toContain("list_metrics");
+      expect(tools.map((t) => t.name)).toContain("compare_metrics");
+      expect(tools.map((t) => t.name)).toContain("detect_metric_anomalies");
+      expect(tools.map((t) => t.name)).toContain("list_metric_tag_keys");
+      expect(tools.map((t) => t.name)).toContain("list_metric_tag_values");
+      expect(tools.map((t) => t.name)).toContain("validate_metric_query");
+      expect(tools.map((t) => t.name)).toContain("submit_metrics");
+      expect(tools.map((t) => t.name)).toContain("metric_cardinality_report");
     });
 
     it("should invoke metrics tool through client", async () => {
@@ -87,10 +94,14 @@ describe("MCP Server Integration", () => {
       const client = new LogsClient(config);
       const tools = getLogsTools(client);
 
-      expect(tools).toHaveLength(3);
+      expect(tools).toHaveLength(7);
       expect(tools.map((t) => t.name)).toContain("search_logs");
       expect(tools.map((t) => t.name)).toContain("get_log_details");
       expect(tools.map((t) => t.name)).toContain("aggregate_logs");
+      expect(tools.map((t) => t.name)).toContain("log_histogram");
+      expect(tools.map((t) => t.name)).toContain("cluster_log_patterns");
+      expect(tools.map((t) => t.name)).toContain("tail_logs");
+      expect(tools.map((t) => t.name)).toContain("list_log_indexes");
     });
 
     it("should invoke logs tool through client", async () => {
@@ -181,7 +192,7 @@ describe("MCP Server Integration", () => {
       expect(tools).toHaveLength(3);
       expect(tools.map((t) => t.name)).toContain("query_traces");
       expect(tools.map((t) => t.name)).toContain("get_service_health");
-      expect(tools.map((t) => t.name)).toContain("get_service_dependencies");
+      expect(tools.map((t) => t.name)).toContain("get_trace_dependencies");
     });
 
     it("should invoke APM tool through client", async () => {
@@ -351,9 +362,10 @@ describe("MCP Server Integration", () => {
       const queryTool = metricsTools.find((t) => t.name === "query_metrics");
       const schema = queryTool.inputSchema;
 
-      expect(schema.required).toContain("metricName");
-      expect(schema.required).toContain("from");
-      expect(schema.required).toContain("to");
+      expect(schema.required ?? []).not.toContain("from");
+      expect(schema.required ?? []).not.toContain("to");
+      expect(schema.properties.metricName).toBeDefined();
+      expect(schema.properties.queries).toBeDefined();
     });
 
     it("should have property descriptions for all inputs", () => {
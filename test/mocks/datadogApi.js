@@ -12,6 +12,14 @@ const instances = vi.hoisted(() => ({
     getMetricMetadata: vi.fn(),
     listMetrics: vi.fn(),
   },
+  metricsApiV2: {
+    queryTimeseriesData: vi.fn(),
+    listTagsByMetricName: vi.fn(),
+    listActiveMetricConfigurations: vi.fn(),
+    submitMetrics: vi.fn(),
+    listVolumesByMetricName: vi.fn(),
+    listTagConfigurationByName: vi.fn(),
+  },
   monitorsApi: {
     listMonitors: vi.fn(),
     getMonitor: vi.fn(),
@@ -40,6 +48,9 @@ vi.mock("@datadog/datadog-api-client", () => ({
     createConfiguration: vi.fn(() => ({
       setServerVariables: vi.fn(),
     })),
+    BaseServerConfiguration: vi.fn(function BaseServerConfiguration(url) {
+      this.url = url;
+    }),
   },
   v1: {
     MetricsApi: vi.fn(function MetricsApi() {
@@ -56,6 +67,9 @@ vi.mock("@datadog/datadog-api-client", () => ({
     }),
   },
   v2: {
+    MetricsApi: vi.fn(function MetricsApi() {
+      return instances.metricsApiV2;
+    }),
     LogsApi: vi.fn(function LogsApi() {
       return instances.logsApi;
     }),
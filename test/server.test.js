@@ -0,0 +1,180 @@
+/**
+ * Tests for the tool registry and MCP server.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { InMemoryTransport } from "@modelcontextprotocol/sdk/inMemory.js";
+import { LoggingMessageNotificationSchema } from "@modelcontextprotocol/sdk/types.js";
+import { registerTools, createServer } from "../src/server.js";
+import { OrgClients } from "../src/clients/orgClients.js";
+
+const extraServicesTools = vi.hoisted(() => []);
+
+vi.mock("../src/tools/servicesTools.js", async (importOriginal) => {
+  const original = await importOriginal();
+  return {
+    ...original,
+    getServicesTools: (client) => [...original.getServicesTools(client), ...extraServicesTools],
+  };
+});
+
+describe("registerTools", () => {
+  const clients = {
+    metricsClient: {},
+    logsClient: {},
+    eventsClient: {},
+    monitorsClient: {},
+    apmClient: {},
+    servicesClient: {},
+  };
+
+  beforeEach(() => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    extraServicesTools.length = 0;
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("should register every tool under a unique name", () => {
+    const { toolMap, allTools } = registerTools(clients);
+
+    expect(toolMap.size).toBe(allTools.length);
+    expect(toolMap.has("get_trace_dependencies")).toBe(true);
+    expect(toolMap.has("get_service_dependencies")).toBe(true);
+  });
+
+  it("should fail on duplicate tool names", () => {
+    extraServicesTools.push({
+      name: "query_traces",
+      inputSchema: { type: "object", properties: {} },
+      handler: vi.fn(),
+    });
+
+    expect(() => registerTools(clients)).toThrow(
+      'Duplicate tool name "query_traces" registered by domains "apm" and "services"'
+    );
+  });
+
+  it("should disable Datadog write tools unless writes are enabled", () => {
+    const readOnly = registerTools(clients, {
+      toolFilter: () => ({ enabled: true, reason: 'allowed by "submit_*"' }),
+    });
+    const writable = registerTools(clients, { writesEnabled: true });
+
+    expect(readOnly.toolMap.has("submit_metrics")).toBe(false);
+    expect(readOnly.disabledTools.get("submit_metrics")).toBe(
+      "writes disabled; set MCP_WRITES_ENABLED=true"
+    );
+    expect(writable.toolMap.has("submit_metrics")).toBe(true);
+  });
+
+  it("should keep local tools that are not read-only, such as clear_cache", () => {
+    const cache = { clear: vi.fn(), stats: vi.fn(), get: vi.fn(), set: vi.fn() };
+
+    const { toolMap } = registerTools(clients, { cache });
+
+    expect(toolMap.has("clear_cache")).toBe(true);
+  });
+
+  describe("with org profiles", () => {
+    const profiles = new Map([
+      ["us", { name: "us", apiKey: "us-api", appKey: "us-app", site: "datadoghq.com" }],
+      ["eu", { name: "eu", apiKey: "eu-api", appKey: "eu-app", site: "datadoghq.eu" }],
+    ]);
+    let createClients;
+    let orgs;
+
+    beforeEach(() => {
+      createClients = vi.fn((profile) => ({
+        ...clients,
+        monitorsClient: {
+          listMonitors: vi.fn().mockResolvedValue({ data: [{ id: profile.site }], error: null }),
+        },
+      }));
+      orgs = new OrgClients({ profiles, defaultOrg: "us", createClients });
+    });
+
+    it("should add an org argument to Datadog tools and register list_orgs", () => {
+      const { toolMap, allTools } = registerTools(orgs);
+
+      const listMonitors = allTools.find((t) => t.name === "list_monitors");
+      expect(listMonitors.inputSchema.properties.org.type).toBe("string");
+      expect(toolMap.has("list_orgs")).toBe(true);
+      expect(createClients).not.toHaveBeenCalled();
+    });
+
+    it("should route calls to the requested org", async () => {
+      const { toolMap } = registerTools(orgs);
+
+      const eu = await toolMap.get("list_monitors")({ org: "eu" });
+      const us = await toolMap.get("list_monitors")({});
+
+      expect(eu.content[0].text).toContain("datadoghq.eu");
+      expect(us.content[0].text).toContain("datadoghq.com");
+      expect(createClients).toHaveBeenCalledTimes(2);
+    });
+
+    it("should return an error for an unknown org", async () => {
+      const { toolMap } = registerTools(orgs);
+
+      const result = await toolMap.get("list_monitors")({ org: "ap" });
+
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toContain('Unknown org "ap"');
+      expect(result.content[0].text).toContain("list_orgs");
+    });
+  });
+});
+
+describe("createServer", () => {
+  beforeEach(() => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("should give handlers a request context for progress, log notifications and cancellation", async () => {
+    const handler = vi.fn(async (_args, context) => {
+      await context.sendLoggingMessage({ level: "debug", logger: "watch", data: { step: 0 } });
+      await context.sendLoggingMessage({ level: "info", logger: "watch", data: { step: 1 } });
+      await context.sendNotification({
+        method: "notifications/progress",
+        params: { progressToken: context.progressToken, progress: 1, total: 2 },
+      });
+      return {
+        isError: false,
+        content: [{ type: "text", text: String(context.signal instanceof AbortSignal) }],
+      };
+    });
+    const registry = {
+      toolMap: new Map([["watch", handler]]),
+      allTools: [{ name: "watch", inputSchema: { type: "object", properties: {} }, handler }],
+    };
+    const server = createServer({ name: "test", version: "0.0.0", registry });
+    const client = new Client({ name: "test-client", version: "0.0.0" });
+    const messages = [];
+    client.setNotificationHandler(LoggingMessageNotificationSchema, (n) => messages.push(n.params));
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await server.connect(serverTransport);
+    await client.connect(clientTransport);
+    await client.setLoggingLevel("info");
+
+    const onprogress = vi.fn();
+    const result = await client.callTool({ name: "watch", arguments: {} }, undefined, {
+      onprogress,
+    });
+
+    expect(client.getServerCapabilities().logging).toEqual({});
+    expect(result.content[0].text).toBe("true");
+    // The debug message is below the level the client set
+    expect(messages).toEqual([{ level: "info", logger: "watch", data: { step: 1 } }]);
+    expect(onprogress).toHaveBeenCalledWith({ progress: 1, total: 2 });
+
+    await client.close();
+  });
+});
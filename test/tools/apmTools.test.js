@@ -162,15 +162,57 @@ describe("APM Tools", () => {
     });
   });
 
-  describe("get_service_dependencies tool", () => {
-    it("should have get_service_dependencies tool", () => {
-      const depsTool = tools.find((t) => t.name === "get_service_dependencies");
+  describe("get_service_health format option", () => {
+    it("should render one row per signal series", async () => {
+      metricsApi.queryMetrics.mockImplementation(async ({ query }) => {
+        if (!query.includes("trace.http.")) return { series: [] };
+        const metric = query.replace(/^avg:/, "").replace(/\{.*$/, "");
+        const values = metric.endsWith("duration") ? [0.2, 0.4] : [10, 20];
+        return { series: [{ metric, pointlist: values.map((v, i) => [i * 60000, v]) }] };
+      });
+      const healthTool = tools.find((t) => t.name === "get_service_health");
+
+      const result = await healthTool.handler({
+        serviceName: "api",
+        env: "prod",
+        from: "2024-01-01T00:00:00Z",
+        to: "2024-01-01T01:00:00Z",
+        format: "markdown",
+      });
+
+      expect(result.isError).toBe(false);
+      const lines = result.content[0].text.split("\n");
+      expect(lines.slice(0, 2)).toEqual([
+        "**Service health: api**",
+        "env:prod · 2024-01-01T00:00:00.000Z → 2024-01-01T01:00:00.000Z",
+      ]);
+      expect(lines).toContain(
+        "| requests trace.http.request.hits | 2 | 10 | 15 | 20 | 20 | `▁█` |"
+      );
+      expect(lines).toContain(
+        "| latency trace.http.request.duration | 2 | 0.2 | 0.3 | 0.4 | 0.4 | `▁█` |"
+      );
+    });
+
+    it("should reject an unknown format", async () => {
+      const healthTool = tools.find((t) => t.name === "get_service_health");
+
+      const result = await healthTool.handler({ serviceName: "api", format: "table" });
+
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toContain("format must be one of json, markdown, sparkline");
+    });
+  });
+
+  describe("get_trace_dependencies tool", () => {
+    it("should have get_trace_dependencies tool", () => {
+      const depsTool = tools.find((t) => t.name === "get_trace_dependencies");
       expect(depsTool).toBeDefined();
     });
 
-    it("should get service dependencies successfully", async () => {
+    it("should get trace dependencies successfully", async () => {
       metricsApi.queryMetrics.mockResolvedValue({ series: [] });
-      const depsTool = tools.find((t) => t.name === "get_service_dependencies");
+      const depsTool = tools.find((t) => t.name === "get_trace_dependencies");
 
       const result = await depsTool.handler({
         serviceName: "api",
@@ -185,7 +227,7 @@ describe("APM Tools", () => {
     });
 
     it("should reject empty service name", async () => {
-      const depsTool = tools.find((t) => t.name === "get_service_dependencies");
+      const depsTool = tools.find((t) => t.name === "get_trace_dependencies");
 
       const result = await depsTool.handler({
         serviceName: "",
@@ -197,7 +239,7 @@ describe("APM Tools", () => {
     });
 
     it("should reject null service name", async () => {
-      const depsTool = tools.find((t) => t.name === "get_service_dependencies");
+      const depsTool = tools.find((t) => t.name === "get_trace_dependencies");
 
       const result = await depsTool.handler({
         serviceName: null,
@@ -209,7 +251,7 @@ describe("APM Tools", () => {
     });
 
     it("should reject when from >= to", async () => {
-      const depsTool = tools.find((t) => t.name === "get_service_dependencies");
+      const depsTool = tools.find((t) => t.name === "get_trace_dependencies");
 
       const result = await depsTool.handler({
         serviceName: "api",
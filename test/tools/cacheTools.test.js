@@ -0,0 +1,112 @@
+/**
+ * Tests for the response cache MCP tools and registry wiring.
+ */
+
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import { getCacheTools } from "#tools/cacheTools.js";
+import { ResponseCache } from "#utils/cache.js";
+import { registerTools } from "../../src/server.js";
+import { monitorsListResponse } from "#test/fixtures/datadogResponses.js";
+
+describe("Cache Tools", () => {
+  let cache;
+  let tools;
+
+  beforeEach(() => {
+    cache = new ResponseCache();
+    tools = getCacheTools(cache);
+  });
+
+  describe("clear_cache tool", () => {
+    it("should have clear_cache tool", () => {
+      const clearTool = tools.find((t) => t.name === "clear_cache");
+      expect(clearTool).toBeDefined();
+      expect(clearTool.readOnlyHint).toBe(false);
+      expect(clearTool.inputSchema.properties.toolName).toBeDefined();
+    });
+
+    it("should clear every entry", async () => {
+      cache.set(cache.key("list_metrics", {}), "a", 1000);
+      cache.set(cache.key("list_monitors", {}), "b", 1000);
+      const clearTool = tools.find((t) => t.name === "clear_cache");
+
+      const result = await clearTool.handler({});
+
+      expect(result.isError).toBe(false);
+      const content = JSON.parse(result.content[0].text);
+      expect(content.cleared).toBe(2);
+      expect(content.toolName).toBe("all");
+      expect(content.cache.size).toBe(0);
+    });
+
+    it("should clear a single tool's entries", async () => {
+      cache.set(cache.key("list_metrics", {}), "a", 1000);
+      cache.set(cache.key("list_monitors", {}), "b", 1000);
+      const clearTool = tools.find((t) => t.name === "clear_cache");
+
+      const result = await clearTool.handler({ toolName: "list_metrics" });
+
+      const content = JSON.parse(result.content[0].text);
+      expect(content.cleared).toBe(1);
+      expect(content.cache.size).toBe(1);
+    });
+
+    it("should reject a non-string toolName", async () => {
+      const clearTool = tools.find((t) => t.name === "clear_cache");
+
+      const result = await clearTool.handler({ toolName: 42 });
+
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toContain("toolName must be a string");
+    });
+  });
+
+  describe("registry wiring", () => {
+    let clients;
+
+    beforeEach(() => {
+      vi.spyOn(console, "error").mockImplementation(() => {});
+      clients = {
+        metricsClient: {},
+        logsClient: {},
+        eventsClient: {},
+        monitorsClient: {
+          listMonitors: vi.fn().mockResolvedValue({ data: monitorsListResponse, error: null }),
+        },
+        apmClient: {},
+        servicesClient: {},
+      };
+    });
+
+    it("should not register clear_cache without a cache", () => {
+      const { allTools } = registerTools(clients);
+
+      expect(allTools.find((t) => t.name === "clear_cache")).toBeUndefined();
+      expect(allTools[0].inputSchema.properties.noCache).toBeUndefined();
+    });
+
+    it("should cache read-only tools and flush them with clear_cache", async () => {
+      const { toolMap, allTools } = registerTools(clients, { cache });
+      const listMonitors = toolMap.get("list_monitors");
+
+      // Every read-only, idempotent Datadog tool is cached; live tools such as tail_logs are not
+      expect(
+        allTools.every(
+          (t) => t.name === "clear_cache" || !t.idempotentHint || t.inputSchema.properties.noCache
+        )
+      ).toBe(true);
+      expect(toolMap.has("tail_logs")).toBe(true);
+      expect(allTools.find((t) => t.name === "tail_logs").inputSchema.properties.noCache).toBe(
+        undefined
+      );
+
+      await listMonitors({ status: "triggered" });
+      await listMonitors({ status: "triggered" });
+      expect(clients.monitorsClient.listMonitors).toHaveBeenCalledTimes(1);
+
+      await toolMap.get("clear_cache")({});
+      await listMonitors({ status: "triggered" });
+      expect(clients.monitorsClient.listMonitors).toHaveBeenCalledTimes(2);
+    });
+  });
+});
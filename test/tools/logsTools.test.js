@@ -2,7 +2,10 @@
  * Tests for Datadog Logs MCP tools.
  */
 
-import { describe, it, expect, beforeEach } from "vitest";
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { mkdtemp, readFile, rm } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
 import { LogsClient } from "#clients/logsClient.js";
 import { getLogsTools } from "#tools/logsTools.js";
 import { mockDatadogApi } from "#test/mocks/datadogApi.js";
@@ -13,7 +16,7 @@ describe("Logs Tools", () => {
   let tools;
   let client;
   let timestamps;
-  const { logsApi } = mockDatadogApi;
+  const { logsApi, logsIndexesApi } = mockDatadogApi;
 
   beforeEach(() => {
     clearMocks();
@@ -85,6 +88,32 @@ describe("Logs Tools", () => {
       expect(result.isError).toBe(false);
     });
 
+    it("should sort oldest first by default and newest first on request", async () => {
+      logsApi.listLogs.mockClear();
+      const searchTool = tools.find((t) => t.name === "search_logs");
+
+      const oldest = await searchTool.handler({ filter: "status:error" });
+      const newest = await searchTool.handler({ filter: "status:error", sort: "desc" });
+
+      expect(JSON.parse(oldest.content[0].text).sort).toBe("asc");
+      expect(JSON.parse(newest.content[0].text).sort).toBe("desc");
+      expect(logsApi.listLogs.mock.calls.map(([params]) => params.body.sort)).toEqual([
+        "timestamp",
+        "-timestamp",
+      ]);
+    });
+
+    it("should reject an unknown sort", async () => {
+      logsApi.listLogs.mockClear();
+      const searchTool = tools.find((t) => t.name === "search_logs");
+
+      const result = await searchTool.handler({ filter: "status:error", sort: "newest" });
+
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toBe('Error: sort must be "asc" or "desc"');
+      expect(logsApi.listLogs).not.toHaveBeenCalled();
+    });
+
     it("should handle client errors", async () => {
       logsApi.listLogs.mockRejectedValue(new Error("API Error"));
       const searchTool = tools.find((t) => t.name === "search_logs");
@@ -99,6 +128,323 @@ describe("Logs Tools", () => {
     });
   });
 
+  describe("search_logs fields", () => {
+    it("should return exactly the requested fields", async () => {
+      const searchTool = tools.find((t) => t.name === "search_logs");
+
+      const result = await searchTool.handler({
+        filter: "service:api",
+        fields: ["id", "@user_id", "@request_id", "@missing", "message"],
+        maxMessageLength: 6,
+      });
+
+      expect(result.isError).toBe(false);
+      const { logs } = JSON.parse(result.content[0].text);
+      expect(logs[0]).toEqual({
+        id: "AXvj0ZDn5d08oxCb7t9q",
+        "@user_id": "12345",
+        "@request_id": "req-abc-123",
+        "@missing": null,
+        message: "Failed",
+      });
+    });
+
+    it("should keep messages whole with maxMessageLength 0", async () => {
+      const long = "x".repeat(500);
+      logsApi.listLogs.mockResolvedValue({
+        data: [{ id: "a", type: "logs", attributes: { message: long } }],
+      });
+      const searchTool = tools.find((t) => t.name === "search_logs");
+
+      const whole = await searchTool.handler({ filter: "*", maxMessageLength: 0 });
+      const cut = await searchTool.handler({ filter: "*" });
+
+      expect(JSON.parse(whole.content[0].text).logs[0].message).toHaveLength(500);
+      expect(JSON.parse(cut.content[0].text).logs[0].message).toHaveLength(200);
+    });
+
+    it("should reject invalid fields and lengths", async () => {
+      const searchTool = tools.find((t) => t.name === "search_logs");
+
+      const empty = await searchTool.handler({ filter: "*", fields: [] });
+      const bare = await searchTool.handler({ filter: "*", fields: ["@"] });
+      const length = await searchTool.handler({ filter: "*", maxMessageLength: -1 });
+
+      expect(empty.content[0].text).toContain("fields must be an array of 1 to 50");
+      expect(bare.isError).toBe(true);
+      expect(length.content[0].text).toContain("maxMessageLength must be a non-negative integer");
+    });
+  });
+
+  describe("search_logs pagination", () => {
+    const page = (ids, after) => ({
+      data: ids.map((id) => ({ id, type: "logs", attributes: { message: id, service: "api" } })),
+      meta: after ? { page: { after } } : {},
+    });
+
+    beforeEach(() => {
+      logsApi.listLogs.mockReset();
+    });
+
+    it("should forward cursor to the client", async () => {
+      logsApi.listLogs.mockResolvedValue(page(["a"], null));
+      const searchTool = tools.find((t) => t.name === "search_logs");
+
+      const result = await searchTool.handler({
+        filter: "service:api",
+        from: timestamps.fromMs,
+        to: timestamps.toMs,
+        cursor: "page-token-123",
+      });
+
+      expect(result.isError).toBe(false);
+      expect(logsApi.listLogs.mock.calls[0][0].body.page.cursor).toBe("page-token-123");
+      const content = JSON.parse(result.content[0].text);
+      expect(content.has_more).toBe(false);
+      expect(content.next_cursor).toBeNull();
+    });
+
+    it("should walk and merge pages with maxPages", async () => {
+      logsApi.listLogs
+        .mockResolvedValueOnce(page(["a", "b"], "c1"))
+        .mockResolvedValueOnce(page(["c", "d"], "c2"))
+        .mockResolvedValueOnce(page(["e"], "c3"));
+      const searchTool = tools.find((t) => t.name === "search_logs");
+
+      const result = await searchTool.handler({
+        filter: "service:api",
+        from: timestamps.fromMs,
+        to: timestamps.toMs,
+        maxPages: 3,
+      });
+
+      const content = JSON.parse(result.content[0].text);
+      expect(content.logsCount).toBe(5);
+      expect(content.pagesFetched).toBe(3);
+      expect(content.has_more).toBe(true);
+      expect(content.next_cursor).toBe("c3");
+      expect(logsApi.listLogs.mock.calls[1][0].body.page.cursor).toBe("c1");
+      expect(logsApi.listLogs.mock.calls[2][0].body.page.cursor).toBe("c2");
+    });
+
+    it("should stop early when there are no more pages", async () => {
+      logsApi.listLogs
+        .mockResolvedValueOnce(page(["a"], "c1"))
+        .mockResolvedValueOnce(page(["b"], null));
+      const searchTool = tools.find((t) => t.name === "search_logs");
+
+      const result = await searchTool.handler({
+        filter: "service:api",
+        from: timestamps.fromMs,
+        to: timestamps.toMs,
+        maxPages: 5,
+      });
+
+      const content = JSON.parse(result.content[0].text);
+      expect(content.pagesFetched).toBe(2);
+      expect(content.has_more).toBe(false);
+      expect(logsApi.listLogs).toHaveBeenCalledTimes(2);
+    });
+
+    it("should cap maxPages at 10", async () => {
+      logsApi.listLogs.mockResolvedValue(page(["a"], "more"));
+      const searchTool = tools.find((t) => t.name === "search_logs");
+
+      const result = await searchTool.handler({
+        filter: "service:api",
+        from: timestamps.fromMs,
+        to: timestamps.toMs,
+        maxPages: 50,
+      });
+
+      expect(JSON.parse(result.content[0].text).pagesFetched).toBe(10);
+      expect(logsApi.listLogs).toHaveBeenCalledTimes(10);
+    });
+
+    it("should return partial results with a warning when a later page fails", async () => {
+      logsApi.listLogs
+        .mockResolvedValueOnce(page(["a"], "c1"))
+        .mockRejectedValueOnce(Object.assign(new Error("Too many requests"), { statusCode: 429 }));
+      const searchTool = tools.find((t) => t.name === "search_logs");
+
+      const result = await searchTool.handler({
+        filter: "service:api",
+        from: timestamps.fromMs,
+        to: timestamps.toMs,
+        maxPages: 3,
+      });
+
+      expect(result.isError).toBe(false);
+      const content = JSON.parse(result.content[0].text);
+      expect(content.logsCount).toBe(1);
+      expect(content.next_cursor).toBe("c1");
+      expect(content.warning).toContain("Stopped after 1 page(s)");
+    });
+  });
+
+  describe("export option", () => {
+    const page = (ids, after) => ({
+      data: ids.map((id) => ({
+        id,
+        type: "logs",
+        attributes: { timestamp: new Date(1767866400000), message: `${id}, "quoted"`, tags: [] },
+      })),
+      meta: after ? { page: { after } } : {},
+    });
+    let exportDir;
+    let exportTools;
+
+    beforeEach(async () => {
+      logsApi.listLogs.mockReset();
+      logsApi.aggregateLogs.mockReset();
+      exportDir = await mkdtemp(path.join(os.tmpdir(), "mcp-export-"));
+      exportTools = getLogsTools(client, { exportDir });
+    });
+
+    afterEach(async () => {
+      await rm(exportDir, { recursive: true, force: true });
+    });
+
+    it("should export every page of a search with full messages", async () => {
+      logsApi.listLogs
+        .mockResolvedValueOnce(page(["a", "b"], "c1"))
+        .mockResolvedValueOnce(page(["c"], null));
+      const searchTool = exportTools.find((t) => t.name === "search_logs");
+
+      const result = await searchTool.handler({
+        filter: "service:api",
+        from: timestamps.fromMs,
+        to: timestamps.toMs,
+        export: "ndjson",
+      });
+
+      expect(result.isError).toBe(false);
+      const content = JSON.parse(result.content[0].text);
+      expect(content).toMatchObject({ format: "ndjson", rowCount: 3, pagesFetched: 2 });
+      expect(content.truncated).toBeUndefined();
+      expect(logsApi.listLogs.mock.calls[0][0].body.page.limit).toBe(100);
+      expect(logsApi.listLogs.mock.calls[1][0].body.page.cursor).toBe("c1");
+      const rows = (await readFile(content.path, "utf8")).trim().split("\n").map(JSON.parse);
+      expect(rows.map((r) => r.id)).toEqual(["a", "b", "c"]);
+      expect(rows[0]).toEqual({
+        id: "a",
+        timestamp: "2026-01-08T10:00:00.000Z",
+        status: null,
+        service: null,
+        host: null,
+        message: 'a, "quoted"',
+        tags: [],
+        attributes: {},
+      });
+    });
+
+    it("should keep written rows and report the cursor when a later page fails", async () => {
+      logsApi.listLogs
+        .mockResolvedValueOnce(page(["a"], "c1"))
+        .mockRejectedValueOnce(Object.assign(new Error("Too many requests"), { statusCode: 429 }));
+      const searchTool = exportTools.find((t) => t.name === "search_logs");
+
+      const result = await searchTool.handler({ filter: "*", export: "csv" });
+
+      expect(result.isError).toBe(false);
+      const content = JSON.parse(result.content[0].text);
+      expect(content).toMatchObject({ rowCount: 1, truncated: true, next_cursor: "c1" });
+      expect(content.warning).toContain("Stopped after 1 page(s)");
+      expect(await readFile(content.path, "utf8")).toContain(
+        'a,2026-01-08T10:00:00.000Z,,,,"a, ""quoted""",[],{}'
+      );
+    });
+
+    it("should write projected fields as columns", async () => {
+      logsApi.listLogs.mockResolvedValueOnce({
+        data: [
+          {
+            id: "a",
+            attributes: { message: "boom", attributes: { http: { status_code: 500 } } },
+          },
+        ],
+      });
+      const searchTool = exportTools.find((t) => t.name === "search_logs");
+
+      const result = await searchTool.handler({
+        filter: "*",
+        fields: ["id", "@http", "@http.status_code"],
+        export: "csv",
+      });
+
+      const content = JSON.parse(result.content[0].text);
+      expect(content.schema.map((c) => c.name)).toEqual(["id", "@http", "@http.status_code"]);
+      expect(await readFile(content.path, "utf8")).toBe(
+        'id,@http,@http.status_code\na,"{""status_code"":500}",500\n'
+      );
+    });
+
+    it("should export aggregate buckets across pages", async () => {
+      logsApi.aggregateLogs
+        .mockResolvedValueOnce({
+          data: { buckets: [{ by: { service: "api" }, computes: { c0: 12 } }] },
+          meta: { page: { after: "b1" } },
+        })
+        .mockResolvedValueOnce({
+          data: { buckets: [{ by: { service: "web" }, computes: { c0: 3 } }] },
+        });
+      const aggregateTool = exportTools.find((t) => t.name === "aggregate_logs");
+
+      const result = await aggregateTool.handler({
+        filter: "*",
+        aggregationType: "count",
+        groupBy: ["service"],
+        export: "csv",
+      });
+
+      const content = JSON.parse(result.content[0].text);
+      expect(content).toMatchObject({ rowCount: 2, pagesFetched: 2 });
+      expect(logsApi.aggregateLogs.mock.calls[1][0].body.page).toEqual({ cursor: "b1" });
+      expect(await readFile(content.path, "utf8")).toBe("service,value\napi,12\nweb,3\n");
+    });
+
+    it("should resume a truncated aggregate export from next_cursor", async () => {
+      let page = 0;
+      logsApi.aggregateLogs.mockReset();
+      logsApi.aggregateLogs.mockImplementation(async () => {
+        page += 1;
+        return {
+          data: { buckets: [{ by: { service: `svc-${page}` }, computes: { c0: page } }] },
+          meta: { page: { after: page < 25 ? `b${page}` : undefined } },
+        };
+      });
+      const aggregateTool = exportTools.find((t) => t.name === "aggregate_logs");
+      const args = { filter: "*", aggregationType: "count", groupBy: ["service"], export: "csv" };
+
+      const first = JSON.parse((await aggregateTool.handler(args)).content[0].text);
+      expect(first).toMatchObject({
+        rowCount: 20,
+        pagesFetched: 20,
+        truncated: true,
+        next_cursor: "b20",
+        hint: "Pass next_cursor as cursor to export the rest",
+      });
+
+      const rest = JSON.parse(
+        (await aggregateTool.handler({ ...args, cursor: first.next_cursor })).content[0].text
+      );
+      expect(logsApi.aggregateLogs.mock.calls[20][0].body.page).toEqual({ cursor: "b20" });
+      expect(rest).toMatchObject({ rowCount: 5, pagesFetched: 5 });
+      expect(rest.truncated).toBeUndefined();
+      expect((await readFile(rest.path, "utf8")).split("\n")[1]).toBe("svc-21,21");
+    });
+
+    it("should refuse to export without an export directory", async () => {
+      const searchTool = tools.find((t) => t.name === "search_logs");
+
+      const result = await searchTool.handler({ filter: "*", export: "ndjson" });
+
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toContain("set MCP_EXPORT_DIR");
+      expect(logsApi.listLogs).not.toHaveBeenCalled();
+    });
+  });
+
   describe("get_log_details tool", () => {
     it("should have get_log_details tool", () => {
       const detailsTool = tools.find((t) => t.name === "get_log_details");
@@ -125,6 +471,46 @@ describe("Logs Tools", () => {
       expect(result.isError).toBe(false);
     });
 
+    it("should return every attribute as a dotted path, untruncated", async () => {
+      const attributes = Object.fromEntries(
+        Array.from({ length: 20 }, (_, i) => [`key${i}`, `value ${i}`])
+      );
+      logsApi.listLogs.mockResolvedValue({
+        data: [
+          {
+            id: "abc",
+            type: "logs",
+            attributes: {
+              timestamp: new Date("2026-01-08T10:00:00Z"),
+              message: "m".repeat(300),
+              tags: Array.from({ length: 12 }, (_, i) => `tag:${i}`),
+              attributes: { ...attributes, error: { stack: "s".repeat(300) } },
+            },
+          },
+        ],
+      });
+      const detailsTool = tools.find((t) => t.name === "get_log_details");
+
+      const result = await detailsTool.handler({ logId: "abc" });
+
+      const content = JSON.parse(result.content[0].text);
+      expect(content.timestamp).toBe("2026-01-08T10:00:00.000Z");
+      expect(content.message).toHaveLength(300);
+      expect(content.tags).toHaveLength(12);
+      expect(Object.keys(content.attributes)).toHaveLength(21);
+      expect(content.attributes["error.stack"]).toHaveLength(300);
+    });
+
+    it("should report a missing log", async () => {
+      logsApi.listLogs.mockResolvedValue({ data: [] });
+      const detailsTool = tools.find((t) => t.name === "get_log_details");
+
+      const result = await detailsTool.handler({ logId: "gone" });
+
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toContain("Log gone not found");
+    });
+
     it("should reject empty log ID", async () => {
       const detailsTool = tools.find((t) => t.name === "get_log_details");
 
@@ -163,6 +549,7 @@ describe("Logs Tools", () => {
         from: timestamps.fromMs,
         to: timestamps.toMs,
         aggregationType: "avg",
+        metric: "@duration",
       });
 
       expect(result.isError).toBe(false);
@@ -177,6 +564,7 @@ describe("Logs Tools", () => {
         from: timestamps.fromMs,
         to: timestamps.toMs,
         aggregationType: "max",
+        metric: "@duration",
       });
 
       expect(result.isError).toBe(false);
@@ -218,15 +606,862 @@ describe("Logs Tools", () => {
         from: timestamps.fromMs,
         to: timestamps.toMs,
         aggregationType: "avg",
+        metric: "@duration",
+      });
+
+      expect(result.isError).toBe(true);
+    });
+
+    it("should require a metric for measure aggregations", async () => {
+      const aggTool = tools.find((t) => t.name === "aggregate_logs");
+
+      const result = await aggTool.handler({
+        filter: "service:api",
+        from: timestamps.fromMs,
+        to: timestamps.toMs,
+        aggregationType: "percentile",
+      });
+
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toContain("metric is required");
+    });
+
+    it("should return error count by service as a flat table", async () => {
+      logsApi.aggregateLogs.mockResolvedValue({
+        data: {
+          buckets: [
+            { by: { service: "api" }, computes: { c0: 120 } },
+            { by: { service: "web" }, computes: { c0: 30 } },
+          ],
+        },
+        meta: { status: "done" },
+      });
+      const aggTool = tools.find((t) => t.name === "aggregate_logs");
+
+      const result = await aggTool.handler({
+        filter: "status:error",
+        from: timestamps.fromMs,
+        to: timestamps.toMs,
+        aggregationType: "count",
+        groupBy: ["service"],
+      });
+
+      expect(result.isError).toBe(false);
+      const content = JSON.parse(result.content[0].text);
+      expect(content.columns).toEqual(["service", "value"]);
+      expect(content.rows).toEqual([
+        { service: "api", value: 120 },
+        { service: "web", value: 30 },
+      ]);
+      expect(content.rowCount).toBe(2);
+      expect(content.status).toBeUndefined();
+    });
+
+    it("should flatten timeseries buckets into one row per point", async () => {
+      logsApi.aggregateLogs.mockResolvedValue({
+        data: {
+          buckets: [
+            {
+              by: { service: "api", "@http.status_code": 500 },
+              computes: {
+                c0: [
+                  { time: "2024-01-01T00:00:00Z", value: 250 },
+                  { time: "2024-01-01T00:05:00Z", value: 300 },
+                ],
+              },
+            },
+          ],
+        },
+      });
+      const aggTool = tools.find((t) => t.name === "aggregate_logs");
+
+      const result = await aggTool.handler({
+        filter: "service:api",
+        from: timestamps.fromMs,
+        to: timestamps.toMs,
+        aggregationType: "percentile",
+        metric: "@duration",
+        percentile: 99,
+        groupBy: ["service", { facet: "@http.status_code", limit: 5, sort: "asc" }],
+        interval: "5m",
+      });
+
+      const content = JSON.parse(result.content[0].text);
+      expect(content.percentile).toBe(99);
+      expect(content.interval).toBe("5m");
+      expect(content.columns).toEqual(["service", "@http.status_code", "time", "value"]);
+      expect(content.rows).toHaveLength(2);
+      expect(content.rows[1]).toEqual({
+        service: "api",
+        "@http.status_code": 500,
+        time: "2024-01-01T00:05:00Z",
+        value: 300,
+      });
+
+      const { body } = logsApi.aggregateLogs.mock.calls.at(-1)[0];
+      expect(body.compute[0]).toEqual({
+        aggregation: "pc99",
+        type: "timeseries",
+        metric: "@duration",
+        interval: "5m",
+      });
+      expect(body.groupBy[1]).toEqual(
+        expect.objectContaining({ facet: "@http.status_code", limit: 5 })
+      );
+      expect(body.groupBy[1].sort.order).toBe("asc");
+    });
+
+    it("should render timeseries buckets as one sparkline per group", async () => {
+      logsApi.aggregateLogs.mockResolvedValue({
+        data: {
+          buckets: [
+            {
+              by: { service: "web" },
+              computes: {
+                c0: [
+                  { time: "2024-01-01T00:05:00Z", value: 1 },
+                  { time: "2024-01-01T00:00:00Z", value: 9 },
+                ],
+              },
+            },
+            {
+              by: { service: "api" },
+              computes: {
+                c0: [
+                  { time: "2024-01-01T00:00:00Z", value: 2 },
+                  { time: "2024-01-01T00:05:00Z", value: 4 },
+                ],
+              },
+            },
+          ],
+        },
+        meta: { status: "timeout" },
+      });
+      const aggTool = tools.find((t) => t.name === "aggregate_logs");
+
+      const result = await aggTool.handler({
+        filter: "status:error",
+        from: "2024-01-01T00:00:00Z",
+        to: "2024-01-01T00:10:00Z",
+        aggregationType: "percentile",
+        metric: "@duration",
+        groupBy: ["service"],
+        interval: "5m",
+        format: "sparkline",
+      });
+
+      expect(result.content[0].text).toBe(
+        [
+          "**p95(@duration)**",
+          "filter: status:error · by service · every 5m · " +
+            "2024-01-01T00:00:00.000Z → 2024-01-01T00:10:00.000Z",
+          "",
+          "```text",
+          "█▁  service:web  min 1 · max 9 · last 1",
+          "▁█  service:api  min 2 · max 4 · last 4",
+          "```",
+          "",
+          "_Aggregation status: timeout (results may be partial)_",
+        ].join("\n")
+      );
+    });
+
+    it("should render totals as a markdown table", async () => {
+      logsApi.aggregateLogs.mockResolvedValue({
+        data: { buckets: [{ by: { service: "api" }, computes: { c0: 1200 } }] },
+      });
+      const aggTool = tools.find((t) => t.name === "aggregate_logs");
+
+      const result = await aggTool.handler({
+        filter: "",
+        from: timestamps.fromMs,
+        to: timestamps.toMs,
+        aggregationType: "count",
+        groupBy: ["service"],
+        format: "markdown",
+      });
+
+      const text = result.content[0].text;
+      expect(text.startsWith("**count**\nfilter: * · by service · ")).toBe(true);
+      expect(text).toContain("| service | value |\n| --- | --- |\n| api | 1.2K |");
+    });
+
+    it("should reject an unknown format", async () => {
+      logsApi.aggregateLogs.mockClear();
+      const aggTool = tools.find((t) => t.name === "aggregate_logs");
+
+      const result = await aggTool.handler({
+        filter: "*",
+        aggregationType: "count",
+        format: "csv",
+      });
+
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toContain("format must be one of json, markdown, sparkline");
+      expect(logsApi.aggregateLogs).not.toHaveBeenCalled();
+    });
+
+    it("should reject too many group-by facets", async () => {
+      const aggTool = tools.find((t) => t.name === "aggregate_logs");
+
+      const result = await aggTool.handler({
+        filter: "service:api",
+        from: timestamps.fromMs,
+        to: timestamps.toMs,
+        aggregationType: "count",
+        groupBy: ["a", "b", "c", "d", "e"],
+      });
+
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toContain("at most 4 facets");
+    });
+  });
+
+  describe("log_histogram tool", () => {
+    const range = { from: "2024-01-01T00:00:00Z", to: "2024-01-01T00:10:00Z" };
+
+    it("should count logs in evenly sized buckets and fill empty ones", async () => {
+      logsApi.aggregateLogs.mockReset();
+      logsApi.aggregateLogs.mockResolvedValue({
+        data: {
+          buckets: [
+            {
+              by: {},
+              computes: {
+                c0: [
+                  { time: "2024-01-01T00:00:00Z", value: 3 },
+                  { time: "2024-01-01T00:04:00Z", value: 5 },
+                ],
+              },
+            },
+          ],
+        },
+      });
+      const histogramTool = tools.find((t) => t.name === "log_histogram");
+
+      const result = await histogramTool.handler({ filter: "service:api", buckets: 5, ...range });
+
+      expect(result.isError).toBe(false);
+      const content = JSON.parse(result.content[0].text);
+      expect(content).toMatchObject({
+        filter: "service:api",
+        groupBy: null,
+        interval: "2m",
+        bucketCount: 5,
+        total: 8,
+      });
+      expect(content.times).toEqual([
+        "2024-01-01T00:00:00.000Z",
+        "2024-01-01T00:02:00.000Z",
+        "2024-01-01T00:04:00.000Z",
+        "2024-01-01T00:06:00.000Z",
+        "2024-01-01T00:08:00.000Z",
+      ]);
+      expect(content.series).toEqual([
+        {
+          label: "all",
+          total: 8,
+          peak: { time: "2024-01-01T00:04:00.000Z", count: 5 },
+          largestIncrease: { time: "2024-01-01T00:04:00.000Z", count: 5, previous: 0 },
+          counts: [3, 0, 5, 0, 0],
+        },
+      ]);
+
+      const { body } = logsApi.aggregateLogs.mock.calls[0][0];
+      expect(body.compute[0]).toEqual({ aggregation: "count", type: "timeseries", interval: "2m" });
+      expect(body.groupBy ?? []).toEqual([]);
+    });
+
+    it("should split counts by status and find where a burst began", async () => {
+      logsApi.aggregateLogs.mockReset();
+      logsApi.aggregateLogs.mockResolvedValue({
+        data: {
+          buckets: [
+            {
+              by: { status: "info" },
+              computes: {
+                c0: [0, 1, 2, 3, 4].map((minute) => ({
+                  time: `2024-01-01T00:0${minute * 2}:00Z`,
+                  value: 40,
+                })),
+              },
+            },
+            {
+              by: { status: "error" },
+              computes: {
+                c0: [
+                  { time: "2024-01-01T00:02:00Z", value: 2 },
+                  { time: "2024-01-01T00:04:00Z", value: 3 },
+                  { time: "2024-01-01T00:06:00Z", value: 90 },
+                  { time: "2024-01-01T00:08:00Z", value: 120 },
+                ],
+              },
+            },
+          ],
+        },
+      });
+      const histogramTool = tools.find((t) => t.name === "log_histogram");
+
+      const result = await histogramTool.handler({
+        filter: "service:checkout",
+        buckets: 5,
+        groupBy: "status",
+        limit: 3,
+        indexes: ["main"],
+        ...range,
+      });
+
+      const content = JSON.parse(result.content[0].text);
+      expect(content.indexes).toEqual(["main"]);
+      expect(content.total).toBe(415);
+      expect(content.series.map((s) => s.label)).toEqual(["status:error", "status:info"]);
+      expect(content.series[0]).toMatchObject({
+        total: 215,
+        counts: [0, 2, 3, 90, 120],
+        peak: { time: "2024-01-01T00:08:00.000Z", count: 120 },
+        largestIncrease: { time: "2024-01-01T00:06:00.000Z", count: 90, previous: 3 },
+      });
+      // A steady series never rises within the range
+      expect(content.series[1].largestIncrease).toBeNull();
+
+      const { body } = logsApi.aggregateLogs.mock.calls[0][0];
+      expect(body.groupBy).toEqual([expect.objectContaining({ facet: "status", limit: 3 })]);
+      expect(body.filter.indexes).toEqual(["main"]);
+    });
+
+    it("should not report a rise at the start of the range", async () => {
+      logsApi.aggregateLogs.mockResolvedValue({
+        data: {
+          buckets: [
+            {
+              by: { status: "error" },
+              computes: {
+                c0: [
+                  { time: "2024-01-01T00:00:00Z", value: 90 },
+                  { time: "2024-01-01T00:02:00Z", value: 80 },
+                  { time: "2024-01-01T00:04:00Z", value: 85 },
+                  { time: "2024-01-01T00:06:00Z", value: 60 },
+                  { time: "2024-01-01T00:08:00Z", value: 60 },
+                ],
+              },
+            },
+            {
+              by: { status: "warn" },
+              computes: {
+                c0: [0, 2, 4, 6, 8].map((minute) => ({
+                  time: `2024-01-01T00:0${minute}:00Z`,
+                  value: 20,
+                })),
+              },
+            },
+          ],
+        },
+      });
+      const histogramTool = tools.find((t) => t.name === "log_histogram");
+
+      const result = await histogramTool.handler({
+        filter: "*",
+        buckets: 5,
+        groupBy: "status",
+        format: "markdown",
+        ...range,
+      });
+      const json = await histogramTool.handler({
+        filter: "*",
+        buckets: 5,
+        groupBy: "status",
+        ...range,
+      });
+
+      const [started, flat] = JSON.parse(json.content[0].text).series;
+      expect(started.peak).toEqual({ time: "2024-01-01T00:00:00.000Z", count: 90 });
+      expect(started.largestIncrease).toEqual({
+        time: "2024-01-01T00:04:00.000Z",
+        count: 85,
+        previous: 80,
+      });
+      expect(flat.largestIncrease).toBeNull();
+      expect(result.content[0].text).not.toContain("status:warn: largest increase");
+      expect(result.content[0].text).not.toContain("at 2024-01-01T00:00:00.000Z");
+    });
+
+    it("should return an empty series when nothing matches", async () => {
+      logsApi.aggregateLogs.mockResolvedValue({ data: { buckets: [] } });
+      const histogramTool = tools.find((t) => t.name === "log_histogram");
+
+      const result = await histogramTool.handler({ filter: "status:critical", ...range });
+
+      const content = JSON.parse(result.content[0].text);
+      expect(content.interval).toBe("20s");
+      expect(content.bucketCount).toBe(30);
+      expect(content.total).toBe(0);
+      expect(content.series).toHaveLength(1);
+      expect(content.series[0]).toMatchObject({ label: "all", peak: null, largestIncrease: null });
+      expect(content.series[0].counts.every((count) => count === 0)).toBe(true);
+    });
+
+    it("should render a sparkline with the largest increase", async () => {
+      logsApi.aggregateLogs.mockResolvedValue({
+        data: {
+          buckets: [
+            {
+              by: { service: "api" },
+              computes: {
+                c0: [
+                  { time: "2024-01-01T00:00:00Z", value: 1 },
+                  { time: "2024-01-01T00:05:00Z", value: 9 },
+                ],
+              },
+            },
+          ],
+        },
+      });
+      const histogramTool = tools.find((t) => t.name === "log_histogram");
+
+      const result = await histogramTool.handler({
+        filter: "status:error",
+        buckets: 2,
+        groupBy: "service",
+        format: "sparkline",
+        ...range,
+      });
+
+      expect(result.content[0].text).toBe(
+        [
+          "**count**",
+          "filter: status:error · by service · every 5m · " +
+            "2024-01-01T00:00:00.000Z → 2024-01-01T00:10:00.000Z",
+          "",
+          "```text",
+          "▁█  service:api  min 1 · max 9 · last 9",
+          "```",
+          "",
+          "_service:api: largest increase at 2024-01-01T00:05:00.000Z (1 → 9)_",
+        ].join("\n")
+      );
+    });
+
+    it("should reject invalid buckets, groupBy and limit", async () => {
+      logsApi.aggregateLogs.mockClear();
+      const histogramTool = tools.find((t) => t.name === "log_histogram");
+
+      const tooMany = await histogramTool.handler({ filter: "*", buckets: 301 });
+      const badGroup = await histogramTool.handler({ filter: "*", groupBy: "host" });
+      const badLimits = await Promise.all(
+        [0, -5, "abc", 2.5, 51].map((limit) =>
+          histogramTool.handler({ filter: "*", groupBy: "status", limit })
+        )
+      );
+
+      expect(tooMany.content[0].text).toBe("Error: buckets must be an integer from 1 to 300");
+      expect(badGroup.content[0].text).toBe("Error: groupBy must be one of status, service");
+      for (const result of badLimits) {
+        expect(result.isError).toBe(true);
+        expect(result.content[0].text).toBe("Error: limit must be an integer from 1 to 50");
+      }
+      expect(logsApi.aggregateLogs).not.toHaveBeenCalled();
+    });
+
+    it("should report aggregate API errors", async () => {
+      logsApi.aggregateLogs.mockRejectedValue(new Error("API Error"));
+      const histogramTool = tools.find((t) => t.name === "log_histogram");
+
+      const result = await histogramTool.handler({ filter: "*" });
+
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toContain("Error aggregating logs");
+    });
+  });
+
+  describe("cluster_log_patterns tool", () => {
+    const page = (messages, after) => ({
+      data: messages.map((message, i) => ({
+        id: `${message}-${i}`,
+        type: "logs",
+        attributes: { message, service: "checkout", timestamp: 1767866400000 + i * 1000 },
+      })),
+      meta: after ? { page: { after } } : {},
+    });
+
+    beforeEach(() => {
+      logsApi.listLogs.mockReset();
+    });
+
+    it("should group logs across pages into patterns", async () => {
+      logsApi.listLogs
+        .mockResolvedValueOnce(page(["Timeout after 30ms", "Cache warmed"], "c1"))
+        .mockResolvedValueOnce(page(["Timeout after 45ms", "Timeout after 12ms"], null));
+      const patternsTool = tools.find((t) => t.name === "cluster_log_patterns");
+
+      const result = await patternsTool.handler({
+        filter: "service:checkout",
+        from: timestamps.fromMs,
+        to: timestamps.toMs,
+      });
+
+      expect(result.isError).toBe(false);
+      const content = JSON.parse(result.content[0].text);
+      expect(content).toMatchObject({ logsAnalyzed: 4, pagesFetched: 2, patternCount: 2 });
+      expect(content.patterns[0]).toMatchObject({
+        pattern: "Timeout after <NUM>ms",
+        count: 3,
+        percentOfLogs: 75,
+        services: ["checkout"],
+        sampleLogId: "Timeout after 30ms-0",
       });
+      expect(content.hint).toBeUndefined();
+      expect(logsApi.listLogs.mock.calls[0][0].body.page.limit).toBe(100);
+      expect(logsApi.listLogs.mock.calls[1][0].body.page.cursor).toBe("c1");
+    });
+
+    it("should stop at maxPages and limit the returned patterns", async () => {
+      logsApi.listLogs.mockResolvedValue(page(["a", "b", "c"], "more"));
+      const patternsTool = tools.find((t) => t.name === "cluster_log_patterns");
+
+      const result = await patternsTool.handler({ filter: "*", maxPages: 2, limit: 1 });
+
+      const content = JSON.parse(result.content[0].text);
+      expect(logsApi.listLogs).toHaveBeenCalledTimes(2);
+      expect(content.patterns).toHaveLength(1);
+      expect(content.truncated).toEqual({ patterns: 2 });
+      expect(content.hint).toContain("Only the first 6 matching logs were analyzed");
+    });
+
+    it("should reject out-of-range options", async () => {
+      const patternsTool = tools.find((t) => t.name === "cluster_log_patterns");
+
+      const pages = await patternsTool.handler({ filter: "*", maxPages: 21 });
+      const limit = await patternsTool.handler({ filter: "*", limit: 0 });
+
+      expect(pages.content[0].text).toContain("maxPages must be an integer between 1 and 20");
+      expect(limit.content[0].text).toContain("limit must be an integer between 1 and 100");
+      expect(logsApi.listLogs).not.toHaveBeenCalled();
+    });
+
+    it("should report search errors", async () => {
+      logsApi.listLogs.mockRejectedValue(
+        Object.assign(new Error("Forbidden"), { statusCode: 403 })
+      );
+      const patternsTool = tools.find((t) => t.name === "cluster_log_patterns");
+
+      const result = await patternsTool.handler({ filter: "*" });
+
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toContain("Error searching logs");
+    });
+  });
+
+  describe("tail_logs tool", () => {
+    const NOW = Date.parse("2026-01-08T10:00:00Z");
+    const logsAt = (...entries) => ({
+      data: entries.map(([id, offsetMs]) => ({
+        id,
+        type: "logs",
+        attributes: {
+          timestamp: new Date(NOW + offsetMs),
+          service: "checkout",
+          status: "error",
+          message: `failure ${id}`,
+        },
+      })),
+      meta: {},
+    });
+    let tailTool;
+    let context;
+
+    beforeEach(() => {
+      vi.useFakeTimers({ now: NOW, toFake: ["Date", "setTimeout", "clearTimeout"] });
+      logsApi.listLogs.mockReset();
+      tailTool = tools.find((t) => t.name === "tail_logs");
+      context = {
+        progressToken: "tail-1",
+        sendNotification: vi.fn().mockResolvedValue(),
+        sendLoggingMessage: vi.fn().mockResolvedValue(),
+      };
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it("should poll a moving window and stream only new logs", async () => {
+      logsApi.listLogs
+        .mockResolvedValueOnce(logsAt(["b", 4000], ["a", 2000]))
+        .mockResolvedValueOnce(logsAt(["a", 2000], ["b", 4000], ["c", 15000]));
+
+      const pending = tailTool.handler(
+        { filter: "service:checkout status:error", durationSeconds: 20 },
+        context
+      );
+      await vi.advanceTimersByTimeAsync(20000);
+      const result = await pending;
+
+      expect(result.isError).toBe(false);
+      const content = JSON.parse(result.content[0].text);
+      expect(content).toMatchObject({ stoppedBy: "duration", polls: 2, logsCount: 3 });
+      expect(content.logs.map((l) => l.id)).toEqual(["a", "b", "c"]);
+      expect(content.logs[0]).toEqual({
+        id: "a",
+        timestamp: "2026-01-08T10:00:02.000Z",
+        status: "error",
+        service: "checkout",
+        message: "failure a",
+      });
+
+      const windows = logsApi.listLogs.mock.calls.map(([{ body }]) => body.filter);
+      expect(windows).toEqual([
+        {
+          from: "2026-01-08T10:00:00.000Z",
+          to: "2026-01-08T10:00:10.000Z",
+          query: expect.any(String),
+        },
+        {
+          from: "2026-01-08T10:00:00.000Z",
+          to: "2026-01-08T10:00:20.000Z",
+          query: expect.any(String),
+        },
+      ]);
+
+      const messages = context.sendLoggingMessage.mock.calls.map(([params]) => params);
+      expect(messages).toHaveLength(2);
+      expect(messages[1]).toMatchObject({ level: "info", logger: "tail_logs" });
+      expect(messages[1].data.logs.map((l) => l.id)).toEqual(["c"]);
+      const progress = context.sendNotification.mock.calls.map(([n]) => n);
+      expect(progress.map((n) => n.method)).toEqual([
+        "notifications/progress",
+        "notifications/progress",
+      ]);
+      expect(progress[1].params).toEqual({
+        progressToken: "tail-1",
+        progress: 2,
+        total: 3,
+        message: "Poll 2: 1 new log(s), 3 in total",
+      });
+    });
+
+    it("should report progress after polls that find nothing", async () => {
+      logsApi.listLogs.mockResolvedValue({ data: [], meta: {} });
+
+      const pending = tailTool.handler({ filter: "*", durationSeconds: 20 }, context);
+      await vi.advanceTimersByTimeAsync(20000);
+      await pending;
+
+      expect(context.sendLoggingMessage).not.toHaveBeenCalled();
+      expect(context.sendNotification.mock.calls.map(([n]) => n.params.progress)).toEqual([1, 2]);
+    });
+
+    it("should stop within the default duration", async () => {
+      logsApi.listLogs.mockResolvedValue({ data: [], meta: {} });
+
+      const pending = tailTool.handler({ filter: "*" }, context);
+      await vi.advanceTimersByTimeAsync(50000);
+      const content = JSON.parse((await pending).content[0].text);
+
+      expect(content).toMatchObject({ stoppedBy: "duration", polls: 5 });
+      expect(Date.now() - NOW).toBeLessThan(60000);
+    });
+
+    it("should stop at maxLogs and include the lookback", async () => {
+      logsApi.listLogs.mockResolvedValue(logsAt(["a", -3000], ["b", -2000], ["c", -1000]));
+
+      const result = await tailTool.handler(
+        { filter: "*", maxLogs: 2, lookbackSeconds: 60 },
+        { ...context, progressToken: undefined }
+      );
+
+      const content = JSON.parse(result.content[0].text);
+      expect(content).toMatchObject({ stoppedBy: "maxLogs", polls: 1, logsCount: 2 });
+      expect(content.timeRange.from).toBe("2026-01-08T09:59:00.000Z");
+      // No progress token: log notifications only
+      expect(context.sendLoggingMessage).toHaveBeenCalledTimes(1);
+      expect(context.sendNotification).not.toHaveBeenCalled();
+    });
+
+    it("should stop when the call is cancelled", async () => {
+      logsApi.listLogs.mockResolvedValue(logsAt(["a", 1000]));
+      const controller = new AbortController();
+
+      const pending = tailTool.handler(
+        { filter: "*", durationSeconds: 600 },
+        { ...context, signal: controller.signal }
+      );
+      await vi.advanceTimersByTimeAsync(10000);
+      controller.abort();
+      const result = await pending;
+
+      const content = JSON.parse(result.content[0].text);
+      expect(content).toMatchObject({ stoppedBy: "cancelled", polls: 1, logsCount: 1 });
+      expect(vi.getTimerCount()).toBe(0);
+    });
+
+    it("should abort a search in flight when the call is cancelled", async () => {
+      logsApi.listLogs.mockImplementation(
+        (_params, configuration) =>
+          new Promise((_resolve, reject) => {
+            configuration.httpConfig.signal.addEventListener("abort", () =>
+              reject(Object.assign(new Error("The operation was aborted"), { name: "AbortError" }))
+            );
+          })
+      );
+      const controller = new AbortController();
+
+      const pending = tailTool.handler(
+        { filter: "*", durationSeconds: 600 },
+        { ...context, signal: controller.signal }
+      );
+      await vi.advanceTimersByTimeAsync(10000);
+      expect(logsApi.listLogs).toHaveBeenCalledTimes(1);
+      controller.abort();
+      const result = await pending;
+
+      expect(result.isError).toBe(false);
+      expect(JSON.parse(result.content[0].text)).toMatchObject({
+        stoppedBy: "cancelled",
+        polls: 0,
+      });
+    });
+
+    it("should keep collected logs when a later poll fails", async () => {
+      logsApi.listLogs
+        .mockResolvedValueOnce(logsAt(["a", 1000]))
+        .mockRejectedValueOnce(Object.assign(new Error("Forbidden"), { statusCode: 403 }));
+
+      const pending = tailTool.handler({ filter: "*", durationSeconds: 30 }, context);
+      await vi.advanceTimersByTimeAsync(20000);
+      const result = await pending;
+
+      expect(result.isError).toBe(false);
+      const content = JSON.parse(result.content[0].text);
+      expect(content).toMatchObject({ stoppedBy: "error", polls: 1, logsCount: 1 });
+      expect(content.warning).toContain("Stopped after 1 poll(s)");
+    });
+
+    it("should reject invalid limits", async () => {
+      const duration = await tailTool.handler({ filter: "*", durationSeconds: 601 });
+      const interval = await tailTool.handler({ filter: "*", pollIntervalSeconds: 1 });
+
+      expect(duration.content[0].text).toContain("durationSeconds must be an integer between 1");
+      expect(interval.content[0].text).toContain(
+        "pollIntervalSeconds must be an integer between 5"
+      );
+      expect(logsApi.listLogs).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("index and storage tier scope", () => {
+    it("should search flex-tier logs in the given indexes across pages", async () => {
+      logsApi.listLogs.mockReset();
+      logsApi.listLogs
+        .mockResolvedValueOnce({ ...logsSearchResponse, meta: { page: { after: "c1" } } })
+        .mockResolvedValueOnce({ data: [] });
+      const searchTool = tools.find((t) => t.name === "search_logs");
+
+      const result = await searchTool.handler({
+        filter: "source:audit",
+        indexes: ["audit"],
+        storageTier: "flex",
+        maxPages: 2,
+      });
+
+      const content = JSON.parse(result.content[0].text);
+      expect(content).toMatchObject({ indexes: ["audit"], storageTier: "flex" });
+      for (const [{ body }] of logsApi.listLogs.mock.calls) {
+        expect(body.filter).toMatchObject({ indexes: ["audit"], storageTier: "flex" });
+      }
+      expect(logsApi.listLogs).toHaveBeenCalledTimes(2);
+    });
+
+    it("should aggregate over the given indexes", async () => {
+      logsApi.aggregateLogs.mockClear();
+      const aggregateTool = tools.find((t) => t.name === "aggregate_logs");
+
+      const result = await aggregateTool.handler({
+        filter: "*",
+        aggregationType: "count",
+        indexes: ["main"],
+        storageTier: "online-archives",
+      });
+
+      expect(JSON.parse(result.content[0].text).storageTier).toBe("online-archives");
+      expect(logsApi.aggregateLogs.mock.calls[0][0].body.filter).toMatchObject({
+        indexes: ["main"],
+        storageTier: "online-archives",
+      });
+    });
+
+    it("should report an invalid storage tier", async () => {
+      const searchTool = tools.find((t) => t.name === "search_logs");
+
+      const result = await searchTool.handler({ filter: "*", storageTier: "cold" });
+
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toContain("Invalid storage tier");
+    });
+  });
+
+  describe("list_log_indexes tool", () => {
+    it("should list indexes with filters, retention and limits", async () => {
+      logsIndexesApi.listLogIndexes.mockResolvedValue({
+        indexes: [
+          {
+            name: "audit",
+            filter: { query: "source:audit" },
+            numRetentionDays: 15,
+            numFlexLogsRetentionDays: 360,
+            dailyLimit: 1000000,
+            dailyLimitReset: { resetTime: "14:00", resetUtcOffset: "+00:00" },
+            isRateLimited: false,
+            exclusionFilters: [
+              { name: "debug", isEnabled: true, filter: { query: "status:debug", sampleRate: 1 } },
+            ],
+          },
+          { name: "main", filter: { query: "*" } },
+        ],
+      });
+      const indexesTool = tools.find((t) => t.name === "list_log_indexes");
+
+      const result = await indexesTool.handler({});
+
+      expect(result.isError).toBe(false);
+      const content = JSON.parse(result.content[0].text);
+      expect(content.count).toBe(2);
+      expect(content.indexes[0]).toEqual({
+        name: "audit",
+        filter: "source:audit",
+        retentionDays: 15,
+        flexRetentionDays: 360,
+        dailyLimit: 1000000,
+        dailyLimitReset: { resetTime: "14:00", resetUtcOffset: "+00:00" },
+        rateLimited: false,
+        exclusionFilters: [{ name: "debug", enabled: true, query: "status:debug", sampleRate: 1 }],
+      });
+      expect(content.indexes[1]).toEqual({
+        name: "main",
+        filter: "*",
+        retentionDays: null,
+        flexRetentionDays: null,
+        dailyLimit: null,
+        rateLimited: false,
+        exclusionFilters: [],
+      });
+    });
+
+    it("should handle API errors", async () => {
+      logsIndexesApi.listLogIndexes.mockRejectedValue(
+        Object.assign(new Error("Forbidden"), { statusCode: 403 })
+      );
+      const indexesTool = tools.find((t) => t.name === "list_log_indexes");
+
+      const result = await indexesTool.handler({});
 
       expect(result.isError).toBe(true);
+      expect(result.content[0].text).toContain("Error listing log indexes");
     });
   });
 
   describe("tool validation", () => {
-    it("should have exactly 3 tools", () => {
-      expect(tools).toHaveLength(3);
+    it("should have exactly 7 tools", () => {
+      expect(tools).toHaveLength(7);
     });
 
     it("should have all required properties", () => {
@@ -2,20 +2,34 @@
  * Tests for Datadog Metrics MCP tools.
  */
 
-import { describe, it, expect, beforeEach, vi } from "vitest";
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { mkdtemp, readFile, rm } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
 import { MetricsClient } from "#clients/metricsClient.js";
 import { getMetricsTools } from "#tools/metricsTools.js";
 import { mockDatadogApi } from "#test/mocks/datadogApi.js";
 import { createMockConfig, createTestTimestamps } from "#test/helpers.js";
-import { metricsQueryResponse, metricMetadataResponse } from "#test/fixtures/datadogResponses.js";
+import {
+  metricsQueryResponse,
+  metricMetadataResponse,
+  metricsAnomalyResponse,
+  metricsAnomalyHistoryResponse,
+} from "#test/fixtures/datadogResponses.js";
 
 describe("Metrics Tools", () => {
   let tools;
   let client;
   let timestamps;
-  const { metricsApi } = mockDatadogApi;
+  const { metricsApi, metricsApiV2 } = mockDatadogApi;
 
   beforeEach(() => {
+    vi.mocked(metricsApiV2.queryTimeseriesData).mockReset();
+    vi.mocked(metricsApiV2.listTagsByMetricName).mockReset();
+    vi.mocked(metricsApiV2.listActiveMetricConfigurations).mockReset();
+    vi.mocked(metricsApiV2.submitMetrics).mockReset();
+    vi.mocked(metricsApiV2.listVolumesByMetricName).mockReset();
+    vi.mocked(metricsApiV2.listTagConfigurationByName).mockReset();
     vi.mocked(metricsApi.queryMetrics).mockReset();
     vi.mocked(metricsApi.getMetricMetadata).mockReset();
     vi.mocked(metricsApi.listMetrics).mockReset();
@@ -39,10 +53,14 @@ describe("Metrics Tools", () => {
       const queryTool = tools.find((t) => t.name === "query_metrics");
       const schema = queryTool.inputSchema;
 
-      expect(schema.required).toContain("metricName");
-      expect(schema.required).toContain("from");
-      expect(schema.required).toContain("to");
+      // metricName is optional because formula mode uses queries instead
+      expect(schema.required ?? []).not.toContain("metricName");
+      expect(schema.required ?? []).not.toContain("from");
+      expect(schema.required ?? []).not.toContain("to");
       expect(schema.properties.metricName).toBeDefined();
+      expect(schema.properties.queries.items.required).toEqual(["name", "metric"]);
+      expect(schema.properties.formulas).toBeDefined();
+      expect(schema.properties.interval).toBeDefined();
       expect(schema.properties.from).toBeDefined();
       expect(schema.properties.to).toBeDefined();
       expect(schema.properties.filter).toBeDefined();
@@ -188,6 +206,1182 @@ describe("Metrics Tools", () => {
     });
   });
 
+  describe("query_metrics output modes", () => {
+    const longSeries = {
+      ...metricsQueryResponse,
+      series: [
+        {
+          ...metricsQueryResponse.series[0],
+          pointlist: Array.from({ length: 500 }, (_, i) => [1000 * i, i === 250 ? 999 : i % 10]),
+        },
+      ],
+    };
+
+    it("should keep the latest points and report truncation in raw mode", async () => {
+      metricsApi.queryMetrics.mockResolvedValue(longSeries);
+      const queryTool = tools.find((t) => t.name === "query_metrics");
+
+      const result = await queryTool.handler({ metricName: "system.cpu" });
+
+      const content = JSON.parse(result.content[0].text);
+      expect(content.output).toBe("raw");
+      expect(content.data.series[0].pointlist).toHaveLength(100);
+      expect(content.data.series[0].pointlist.at(-1)).toEqual([499000, 9]);
+      expect(content.truncated).toMatchObject({ seriesOmitted: 0, pointsOmitted: 400 });
+    });
+
+    it("should summarize every point in summary mode", async () => {
+      metricsApi.queryMetrics.mockResolvedValue(longSeries);
+      const queryTool = tools.find((t) => t.name === "query_metrics");
+
+      const result = await queryTool.handler({ metricName: "system.cpu", output: "summary" });
+
+      const content = JSON.parse(result.content[0].text);
+      const [series] = content.data.series;
+      expect(series.pointlist).toBeUndefined();
+      expect(series.scope).toBe("host:web-01");
+      expect(series).toMatchObject({ count: 500, min: 0, max: 999, last: 9 });
+      expect(series.spike).toMatchObject({ timestamp: 250000, value: 999 });
+      expect(content.truncated).toBeUndefined();
+    });
+
+    it("should downsample within the point budget", async () => {
+      metricsApi.queryMetrics.mockResolvedValue(longSeries);
+      const queryTool = tools.find((t) => t.name === "query_metrics");
+
+      const result = await queryTool.handler({
+        metricName: "system.cpu",
+        output: "downsample",
+        maxPoints: 20,
+      });
+
+      const [series] = JSON.parse(result.content[0].text).data.series;
+      expect(series.pointlist).toHaveLength(20);
+      expect(series.pointlist).toContainEqual([250000, 999]);
+      expect(series.originalPointCount).toBe(500);
+    });
+
+    it("should summarize formula series", async () => {
+      metricsApiV2.queryTimeseriesData.mockResolvedValue({
+        data: {
+          attributes: {
+            series: [{ groupTags: [], queryIndex: 0 }],
+            times: [1000, 2000, 3000],
+            values: [[1, null, 3]],
+          },
+        },
+      });
+      const queryTool = tools.find((t) => t.name === "query_metrics");
+
+      const result = await queryTool.handler({
+        queries: [{ name: "a", metric: "system.cpu.user" }],
+        output: "summary",
+      });
+
+      const [series] = JSON.parse(result.content[0].text).series;
+      expect(series).toMatchObject({ label: "a", count: 2, mean: 2, last: 3 });
+      expect(series.points).toBeUndefined();
+    });
+
+    it("should reject an unknown output mode or a tiny point budget", async () => {
+      const queryTool = tools.find((t) => t.name === "query_metrics");
+
+      const badOutput = await queryTool.handler({ metricName: "system.cpu", output: "csv" });
+      const badBudget = await queryTool.handler({
+        metricName: "system.cpu",
+        output: "downsample",
+        maxPoints: 2,
+      });
+
+      expect(badOutput.content[0].text).toContain("output must be one of raw, summary, downsample");
+      expect(badBudget.content[0].text).toContain("maxPoints must be an integer of at least 3");
+    });
+  });
+
+  describe("query_metrics format option", () => {
+    it("should render a markdown table with a sparkline per series", async () => {
+      metricsApi.queryMetrics.mockResolvedValue(metricsQueryResponse);
+      const queryTool = tools.find((t) => t.name === "query_metrics");
+
+      const result = await queryTool.handler({
+        metricName: "system.cpu",
+        from: "2021-01-01T00:00:00Z",
+        to: "2021-01-01T03:00:00Z",
+        format: "markdown",
+      });
+
+      expect(result.isError).toBe(false);
+      expect(result.content[0].text).toBe(
+        [
+          "**system.cpu**",
+          "2021-01-01T00:00:00.000Z → 2021-01-01T03:00:00.000Z",
+          "",
+          "| Series | Points | Min | Mean | Max | Last | Trend |",
+          "| --- | --- | --- | --- | --- | --- | --- |",
+          "| avg:system.cpu{*} | 3 | 45.2 | 48.6 | 52.1 | 52.1 | `▁▄█` |",
+        ].join("\n")
+      );
+    });
+
+    it("should render formula series as sparklines", async () => {
+      metricsApiV2.queryTimeseriesData.mockResolvedValue({
+        data: {
+          attributes: {
+            series: [
+              { groupTags: ["host:a"], queryIndex: 0 },
+              { groupTags: ["host:b"], queryIndex: 0 },
+            ],
+            times: [1000, 2000, 3000],
+            values: [
+              [1, 2, 3],
+              [3, null, 1],
+            ],
+          },
+        },
+        errors: "Query a: partial data",
+      });
+      const queryTool = tools.find((t) => t.name === "query_metrics");
+
+      const result = await queryTool.handler({
+        queries: [{ name: "a", metric: "system.cpu.user", groupBy: ["host"] }],
+        format: "sparkline",
+      });
+
+      const text = result.content[0].text;
+      expect(text).toContain("**a**");
+      expect(text).toContain("a = avg:system.cpu.user{*} by {host}");
+      expect(text).toContain("▁▅█  a {host:a}  min 1 · max 3 · last 3");
+      expect(text).toContain("█ ▁  a {host:b}  min 1 · max 3 · last 1");
+      expect(text).toContain("_Query a: partial data_");
+    });
+
+    it("should list filter suggestions under an empty table", async () => {
+      metricsApi.queryMetrics.mockResolvedValue({ status: "ok", series: [] });
+      metricsApiV2.listTagsByMetricName.mockResolvedValue({
+        data: { attributes: { tags: ["env:prod"] } },
+      });
+      const queryTool = tools.find((t) => t.name === "query_metrics");
+
+      const result = await queryTool.handler({
+        metricName: "system.cpu",
+        filter: "env:production",
+        format: "markdown",
+      });
+
+      expect(result.content[0].text).toContain("**system.cpu{env:production}**");
+      expect(result.content[0].text).toContain("_No series_");
+      expect(result.content[0].text).toContain(
+        "_env:production is not reported for this metric; try env:prod_"
+      );
+    });
+
+    it("should reject an unknown format", async () => {
+      const queryTool = tools.find((t) => t.name === "query_metrics");
+
+      const result = await queryTool.handler({ metricName: "system.cpu", format: "html" });
+
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toContain("format must be one of json, markdown, sparkline");
+      expect(metricsApi.queryMetrics).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("query_metrics export option", () => {
+    let exportDir;
+    let exportTools;
+
+    beforeEach(async () => {
+      exportDir = await mkdtemp(path.join(os.tmpdir(), "mcp-export-"));
+      exportTools = getMetricsTools(client, { exportDir });
+    });
+
+    afterEach(async () => {
+      await rm(exportDir, { recursive: true, force: true });
+    });
+
+    it("should write one CSV row per point with tag columns", async () => {
+      const queryTool = exportTools.find((t) => t.name === "query_metrics");
+
+      const result = await queryTool.handler({
+        metricName: "system.cpu",
+        from: "2021-01-01T00:00:00Z",
+        to: "2021-01-01T03:00:00Z",
+        export: "csv",
+      });
+
+      expect(result.isError).toBe(false);
+      const content = JSON.parse(result.content[0].text);
+      expect(content).toMatchObject({ format: "csv", rowCount: 3, seriesCount: 1 });
+      expect(content.schema.map((c) => c.name)).toEqual(["series", "host", "timestamp", "value"]);
+      expect(await readFile(content.path, "utf8")).toBe(
+        [
+          "series,host,timestamp,value",
+          "avg:system.cpu{*},web-01,2021-01-01T00:00:00.000Z,45.2",
+          "avg:system.cpu{*},web-01,2021-01-01T01:00:00.000Z,48.5",
+          "avg:system.cpu{*},web-01,2021-01-01T02:00:00.000Z,52.1",
+          "",
+        ].join("\n")
+      );
+    });
+
+    it("should export formula series as NDJSON without truncation", async () => {
+      metricsApiV2.queryTimeseriesData.mockResolvedValue({
+        data: {
+          attributes: {
+            series: [{ groupTags: ["host:a", "value:x"], queryIndex: 0 }],
+            times: [1000, 2000, 3000, 4000, 5000],
+            values: [[1, null, 3, 2, 5]],
+          },
+        },
+      });
+      const queryTool = exportTools.find((t) => t.name === "query_metrics");
+
+      const result = await queryTool.handler({
+        queries: [{ name: "a", metric: "system.cpu.user", groupBy: ["host", "value"] }],
+        maxPoints: 3,
+        export: "ndjson",
+      });
+
+      const content = JSON.parse(result.content[0].text);
+      const rows = (await readFile(content.path, "utf8")).trim().split("\n").map(JSON.parse);
+      expect(rows).toHaveLength(5);
+      // A tag key clashing with a fixed column is prefixed
+      expect(rows[1]).toEqual({
+        series: "a {host:a,value:x}",
+        host: "a",
+        tag_value: "x",
+        timestamp: "1970-01-01T00:00:02.000Z",
+        value: null,
+      });
+    });
+
+    it("should refuse to export without an export directory", async () => {
+      const queryTool = tools.find((t) => t.name === "query_metrics");
+
+      const result = await queryTool.handler({ metricName: "system.cpu", export: "csv" });
+
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toContain("set MCP_EXPORT_DIR");
+      expect(metricsApi.queryMetrics).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("query_metrics formula mode", () => {
+    const timeseriesResponse = {
+      data: {
+        type: "timeseries_response",
+        attributes: {
+          series: [
+            { groupTags: ["host:web-1"], queryIndex: 0, unit: [{ name: "percent" }, null] },
+            { groupTags: ["host:web-2"], queryIndex: 0, unit: null },
+          ],
+          times: [1000, 2000],
+          values: [
+            [1.5, null],
+            [0.5, 0.75],
+          ],
+        },
+      },
+    };
+
+    it("should send named queries and formulas to the v2 timeseries API", async () => {
+      metricsApiV2.queryTimeseriesData.mockResolvedValue(timeseriesResponse);
+      const queryTool = tools.find((t) => t.name === "query_metrics");
+
+      const result = await queryTool.handler({
+        from: timestamps.from,
+        to: timestamps.to,
+        queries: [
+          {
+            name: "errors",
+            metric: "trace.http.request.errors",
+            aggregator: "sum",
+            filter: "service:api",
+            groupBy: ["host"],
+            rollup: { method: "sum", seconds: 60 },
+          },
+          { name: "hits", metric: "trace.http.request.hits", aggregator: "sum" },
+        ],
+        formulas: ["errors / hits * 100"],
+        interval: 60,
+      });
+
+      expect(result.isError).toBe(false);
+      const { attributes } = metricsApiV2.queryTimeseriesData.mock.calls[0][0].body.data;
+      expect(attributes).toEqual({
+        from: timestamps.from * 1000,
+        to: timestamps.to * 1000,
+        interval: 60000,
+        queries: [
+          {
+            dataSource: "metrics",
+            name: "errors",
+            query: "sum:trace.http.request.errors{service:api} by {host}.rollup(sum, 60)",
+          },
+          { dataSource: "metrics", name: "hits", query: "sum:trace.http.request.hits{*}" },
+        ],
+        formulas: [{ formula: "errors / hits * 100" }],
+      });
+    });
+
+    it("should label series by formula alias and group tags", async () => {
+      metricsApiV2.queryTimeseriesData.mockResolvedValue(timeseriesResponse);
+      const queryTool = tools.find((t) => t.name === "query_metrics");
+
+      const result = await queryTool.handler({
+        queries: [{ name: "a", metric: "system.cpu.user", groupBy: ["host"] }],
+        formulas: [{ formula: "a * 2", alias: "double_cpu" }],
+      });
+
+      const content = JSON.parse(result.content[0].text);
+      expect(content.mode).toBe("formula");
+      expect(content.seriesCount).toBe(2);
+      expect(content.series[0]).toEqual({
+        label: "double_cpu {host:web-1}",
+        formula: "a * 2",
+        groupTags: ["host:web-1"],
+        unit: "percent",
+        points: [
+          [1000, 1.5],
+          [2000, null],
+        ],
+      });
+      expect(content.series[1].unit).toBeNull();
+    });
+
+    it("should return one series per query when formulas are omitted", async () => {
+      metricsApiV2.queryTimeseriesData.mockResolvedValue(timeseriesResponse);
+      const queryTool = tools.find((t) => t.name === "query_metrics");
+
+      await queryTool.handler({
+        queries: [
+          { name: "a", metric: "system.cpu.user" },
+          { name: "b", metric: "system.cpu.system" },
+        ],
+      });
+
+      const { attributes } = metricsApiV2.queryTimeseriesData.mock.calls[0][0].body.data;
+      expect(attributes.formulas).toEqual([{ formula: "a" }, { formula: "b" }]);
+      expect(attributes.interval).toBeUndefined();
+    });
+
+    it("should reject formulas that reference unknown queries", async () => {
+      const queryTool = tools.find((t) => t.name === "query_metrics");
+
+      const result = await queryTool.handler({
+        queries: [{ name: "a", metric: "system.cpu.user" }],
+        formulas: ["a / b"],
+      });
+
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toContain("references unknown query b");
+      expect(metricsApiV2.queryTimeseriesData).not.toHaveBeenCalled();
+    });
+
+    it("should reject invalid query fields", async () => {
+      const queryTool = tools.find((t) => t.name === "query_metrics");
+
+      const badAggregator = await queryTool.handler({
+        queries: [{ name: "a", metric: "system.cpu.user", aggregator: "median" }],
+      });
+      const badFilter = await queryTool.handler({
+        queries: [{ name: "a", metric: "system.cpu.user", filter: "host:x} by {env" }],
+      });
+      const empty = await queryTool.handler({ queries: [] });
+
+      expect(badAggregator.content[0].text).toContain('Invalid aggregator "median"');
+      expect(badFilter.content[0].text).toContain("filter must not contain");
+      expect(empty.content[0].text).toContain("queries must be a non-empty array");
+    });
+
+    it("should handle API errors", async () => {
+      metricsApiV2.queryTimeseriesData.mockRejectedValue(
+        Object.assign(new Error("Bad query"), { statusCode: 400 })
+      );
+      const queryTool = tools.find((t) => t.name === "query_metrics");
+
+      const result = await queryTool.handler({
+        queries: [{ name: "a", metric: "system.cpu.user" }],
+      });
+
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toContain("Error querying metrics");
+    });
+  });
+
+  describe("compare_metrics tool", () => {
+    const HOUR = 60 * 60 * 1000;
+    const series = (scope, values) => ({
+      scope,
+      pointlist: values.map((v, i) => [i * 60000, v]),
+    });
+    const response = (...list) => ({ data: { series: list }, error: null });
+
+    it("should query the current window and each shifted baseline", async () => {
+      metricsApi.queryMetrics.mockResolvedValue({ series: [] });
+      const compareTool = tools.find((t) => t.name === "compare_metrics");
+
+      const result = await compareTool.handler({
+        metricName: "trace.http.request.errors",
+        filter: "service:api",
+        from: "2026-01-08T10:00:00Z",
+        to: "2026-01-08T11:00:00Z",
+        baselines: ["1h", "1w"],
+      });
+
+      expect(result.isError).toBe(false);
+      const calls = metricsApi.queryMetrics.mock.calls.map(([params]) => params);
+      const from = Date.parse("2026-01-08T10:00:00Z") / 1000;
+      expect(calls).toEqual([
+        { query: "trace.http.request.errors{service:api}", from, to: from + 3600 },
+        { query: "trace.http.request.errors{service:api}", from: from - 3600, to: from },
+        {
+          query: "trace.http.request.errors{service:api}",
+          from: from - (7 * 24 * HOUR) / 1000,
+          to: from + 3600 - (7 * 24 * HOUR) / 1000,
+        },
+      ]);
+      const content = JSON.parse(result.content[0].text);
+      expect(content.baselines[1]).toEqual({
+        baseline: "1w",
+        timeRange: { from: "2026-01-01T10:00:00.000Z", to: "2026-01-01T11:00:00.000Z" },
+      });
+    });
+
+    it("should align series by scope and flag significant changes", async () => {
+      const compareSpy = vi.spyOn(client, "queryMetrics");
+      compareSpy
+        .mockResolvedValueOnce(
+          response(series("host:a", [20, 21, 19, 20]), series("host:b", [5, 6, 5, 6]))
+        )
+        .mockResolvedValueOnce(
+          response(series("host:b", [5, 6, 6, 5]), series("host:a", [10, 11, 9, 10]))
+        );
+      const compareTool = tools.find((t) => t.name === "compare_metrics");
+
+      const result = await compareTool.handler({ metricName: "app.queue", baselines: ["1d"] });
+
+      const content = JSON.parse(result.content[0].text);
+      expect(content.seriesCount).toBe(2);
+      expect(content.significantCount).toBe(1);
+      expect(content.series[0]).toMatchObject({
+        scope: "host:a",
+        current: { count: 4, mean: 20, last: 20 },
+        comparisons: [
+          { baseline: "1d", mean: 10, delta: 10, percentChange: 100, significant: true },
+        ],
+      });
+      expect(content.series[1].comparisons[0]).toMatchObject({ delta: 0, significant: false });
+    });
+
+    it("should report baselines that have no matching series or failed", async () => {
+      const compareSpy = vi.spyOn(client, "queryMetrics");
+      compareSpy
+        .mockResolvedValueOnce(response(series("host:a", [1, 2, 3])))
+        .mockResolvedValueOnce(response(series("host:z", [1, 2, 3])))
+        .mockResolvedValueOnce({ data: null, error: new Error("HTTP 500: boom") });
+      const compareTool = tools.find((t) => t.name === "compare_metrics");
+
+      const result = await compareTool.handler({ metricName: "app.queue" });
+
+      const { comparisons } = JSON.parse(result.content[0].text).series[0];
+      expect(comparisons).toEqual([
+        { baseline: "1d", missing: true },
+        { baseline: "1w", error: "HTTP 500: boom" },
+      ]);
+    });
+
+    it("should fail when the current window query fails", async () => {
+      metricsApi.queryMetrics.mockRejectedValue(
+        Object.assign(new Error("Forbidden"), { statusCode: 403 })
+      );
+      const compareTool = tools.find((t) => t.name === "compare_metrics");
+
+      const result = await compareTool.handler({ metricName: "app.queue" });
+
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toContain("Error querying metrics");
+    });
+
+    it("should validate baselines, threshold and metric", async () => {
+      const compareTool = tools.find((t) => t.name === "compare_metrics");
+
+      const badBaseline = await compareTool.handler({ metricName: "a.b", baselines: ["2d"] });
+      const badThreshold = await compareTool.handler({
+        metricName: "a.b",
+        significanceThreshold: 0,
+      });
+      const noMetric = await compareTool.handler({ metricName: " " });
+
+      expect(badBaseline.content[0].text).toContain(
+        "baselines must be a non-empty list of 1h, 1d, 1w"
+      );
+      expect(badThreshold.content[0].text).toContain("significanceThreshold must be a positive");
+      expect(noMetric.content[0].text).toContain("metricName must be a non-empty string");
+      expect(metricsApi.queryMetrics).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("detect_metric_anomalies tool", () => {
+    const window = { from: "2026-01-08T10:00:00Z", to: "2026-01-08T11:00:00Z" };
+
+    it("should query the window and the seasonal history before it", async () => {
+      metricsApi.queryMetrics
+        .mockResolvedValueOnce(metricsAnomalyResponse)
+        .mockResolvedValueOnce(metricsAnomalyHistoryResponse);
+      const anomaliesTool = tools.find((t) => t.name === "detect_metric_anomalies");
+
+      const result = await anomaliesTool.handler({ metricName: "app.latency", ...window });
+
+      expect(result.isError).toBe(false);
+      const from = Date.parse(window.from) / 1000;
+      expect(metricsApi.queryMetrics.mock.calls.map(([params]) => params)).toEqual([
+        { query: "app.latency", from, to: from + 3600 },
+        { query: "app.latency", from: from - 7 * 24 * 3600, to: from },
+      ]);
+      const content = JSON.parse(result.content[0].text);
+      expect(content).toMatchObject({
+        methods: ["zscore", "seasonal", "changepoint"],
+        threshold: 3,
+        seasonality: "hour_of_day",
+        history: { from: "2026-01-01T10:00:00.000Z", to: "2026-01-08T10:00:00.000Z" },
+        seriesCount: 2,
+        anomalousSeriesCount: 1,
+        firstAnomaly: { scope: "host:web-01", at: "2026-01-08T10:05:00.000Z" },
+      });
+      expect(content.series[0].anomalies.map((a) => `${a.method}@${a.start}`)).toEqual([
+        "zscore@2026-01-08T10:05:00.000Z",
+        "seasonal@2026-01-08T10:05:00.000Z",
+        "zscore@2026-01-08T10:40:00.000Z",
+        "seasonal@2026-01-08T10:40:00.000Z",
+      ]);
+      expect(content.series[0].changePoints).toEqual([
+        expect.objectContaining({ timestamp: "2026-01-08T10:40:00.000Z", severity: "high" }),
+      ]);
+      expect(content.series[1]).toEqual({
+        scope: "host:web-02",
+        pointCount: 60,
+        firstAnomalyAt: null,
+        anomalies: [],
+        changePoints: [],
+      });
+      expect(content.warnings).toBeUndefined();
+    });
+
+    it("should skip the history query without seasonal detection", async () => {
+      metricsApi.queryMetrics.mockResolvedValue(metricsAnomalyResponse);
+      const anomaliesTool = tools.find((t) => t.name === "detect_metric_anomalies");
+
+      const result = await anomaliesTool.handler({
+        metricName: "app.latency",
+        ...window,
+        methods: ["changepoint"],
+      });
+
+      const content = JSON.parse(result.content[0].text);
+      expect(metricsApi.queryMetrics).toHaveBeenCalledTimes(1);
+      expect(content.seasonality).toBeUndefined();
+      expect(content.series[0].anomalies).toEqual([]);
+      expect(content.series[0].firstAnomalyAt).toBe("2026-01-08T10:40:00.000Z");
+    });
+
+    it("should use 28 days of history for day_of_week and warn when it fails", async () => {
+      metricsApi.queryMetrics
+        .mockResolvedValueOnce(metricsAnomalyResponse)
+        .mockRejectedValueOnce(Object.assign(new Error("Bad Gateway"), { statusCode: 502 }));
+      const anomaliesTool = tools.find((t) => t.name === "detect_metric_anomalies");
+
+      const result = await anomaliesTool.handler({
+        metricName: "app.latency",
+        ...window,
+        seasonality: "day_of_week",
+      });
+
+      const content = JSON.parse(result.content[0].text);
+      expect(result.isError).toBe(false);
+      expect(content.history.from).toBe("2025-12-11T10:00:00.000Z");
+      expect(content.warnings[0]).toContain("Seasonal history could not be fetched");
+      expect(content.series[0].anomalies.every((a) => a.method === "zscore")).toBe(true);
+    });
+
+    it("should fail when the window query fails", async () => {
+      metricsApi.queryMetrics.mockRejectedValue(
+        Object.assign(new Error("Forbidden"), { statusCode: 403 })
+      );
+      const anomaliesTool = tools.find((t) => t.name === "detect_metric_anomalies");
+
+      const result = await anomaliesTool.handler({ metricName: "app.latency" });
+
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toContain("Error querying metrics");
+    });
+
+    it("should validate methods, threshold, window, seasonality and history", async () => {
+      const anomaliesTool = tools.find((t) => t.name === "detect_metric_anomalies");
+      const errorFor = async (args) =>
+        (await anomaliesTool.handler({ metricName: "app.latency", ...args })).content[0].text;
+
+      expect(await errorFor({ methods: ["iforest"] })).toContain(
+        "methods must be a non-empty list of zscore, seasonal, changepoint"
+      );
+      expect(await errorFor({ threshold: -1 })).toContain("threshold must be a positive number");
+      expect(await errorFor({ window: 2 })).toContain("window must be an integer of at least 5");
+      expect(await errorFor({ seasonality: "monthly" })).toContain("seasonality must be one of");
+      expect(await errorFor({ historyDays: 365 })).toContain(
+        "historyDays must be an integer between 1 and 90"
+      );
+      expect(await errorFor({ metricName: "" })).toContain("metricName must be a non-empty");
+      expect(metricsApi.queryMetrics).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("metric tag discovery", () => {
+    const allTags = {
+      data: {
+        id: "trace.http.request.hits",
+        type: "metrics",
+        attributes: {
+          tags: ["env:prod", "env:staging", "service:api", "service:checkout", "host:web-1"],
+        },
+      },
+    };
+
+    it("should list tag keys with counts, samples and active keys", async () => {
+      metricsApiV2.listTagsByMetricName.mockResolvedValue(allTags);
+      metricsApiV2.listActiveMetricConfigurations.mockResolvedValue({
+        data: { attributes: { activeTags: ["env"], activeAggregations: [] } },
+      });
+      const keysTool = tools.find((t) => t.name === "list_metric_tag_keys");
+
+      const result = await keysTool.handler({ metricName: " trace.http.request.hits " });
+
+      expect(result.isError).toBe(false);
+      expect(metricsApiV2.listTagsByMetricName).toHaveBeenCalledWith({
+        metricName: "trace.http.request.hits",
+      });
+      const content = JSON.parse(result.content[0].text);
+      expect(content.tagKeyCount).toBe(3);
+      expect(content.tagKeys).toEqual([
+        { key: "env", valueCount: 2, sampleValues: ["prod", "staging"], activelyQueried: true },
+        { key: "host", valueCount: 1, sampleValues: ["web-1"], activelyQueried: false },
+        {
+          key: "service",
+          valueCount: 2,
+          sampleValues: ["api", "checkout"],
+          activelyQueried: false,
+        },
+      ]);
+    });
+
+    it("should filter keys by a partial tag and tolerate missing active configurations", async () => {
+      metricsApiV2.listTagsByMetricName.mockResolvedValue(allTags);
+      metricsApiV2.listActiveMetricConfigurations.mockRejectedValue(
+        Object.assign(new Error("Forbidden"), { statusCode: 403 })
+      );
+      const keysTool = tools.find((t) => t.name === "list_metric_tag_keys");
+
+      const result = await keysTool.handler({
+        metricName: "trace.http.request.hits",
+        search: "CHECK",
+      });
+
+      const content = JSON.parse(result.content[0].text);
+      expect(content.tagKeys).toEqual([
+        { key: "service", valueCount: 2, sampleValues: ["api", "checkout"] },
+      ]);
+      expect(content.warnings[0]).toContain("Actively queried tags unavailable: HTTP 403");
+    });
+
+    it("should fail when tags cannot be listed", async () => {
+      metricsApiV2.listTagsByMetricName.mockRejectedValue(
+        Object.assign(new Error("Not found"), { statusCode: 404 })
+      );
+      const keysTool = tools.find((t) => t.name === "list_metric_tag_keys");
+
+      const result = await keysTool.handler({ metricName: "nope" });
+      const noMetric = await keysTool.handler({ metricName: "" });
+
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toContain("Error listing metric tags: HTTP 404");
+      expect(noMetric.content[0].text).toContain("metricName must be a non-empty string");
+    });
+
+    it("should list and filter values of one key", async () => {
+      metricsApiV2.listTagsByMetricName.mockResolvedValue(allTags);
+      const valuesTool = tools.find((t) => t.name === "list_metric_tag_values");
+
+      const all = await valuesTool.handler({
+        metricName: "trace.http.request.hits",
+        tagKey: "env",
+      });
+      const limited = await valuesTool.handler({
+        metricName: "trace.http.request.hits",
+        tagKey: "service",
+        limit: 1,
+      });
+      const searched = await valuesTool.handler({
+        metricName: "trace.http.request.hits",
+        tagKey: "env",
+        search: "stag",
+      });
+
+      expect(JSON.parse(all.content[0].text)).toEqual({
+        metric: "trace.http.request.hits",
+        tagKey: "env",
+        valueCount: 2,
+        values: ["prod", "staging"],
+      });
+      expect(JSON.parse(limited.content[0].text)).toMatchObject({
+        valueCount: 2,
+        values: ["api"],
+        truncated: true,
+      });
+      expect(JSON.parse(searched.content[0].text).values).toEqual(["staging"]);
+    });
+
+    it("should suggest close keys for an unreported key", async () => {
+      metricsApiV2.listTagsByMetricName.mockResolvedValue(allTags);
+      const valuesTool = tools.find((t) => t.name === "list_metric_tag_values");
+
+      const result = await valuesTool.handler({
+        metricName: "trace.http.request.hits",
+        tagKey: "services",
+      });
+
+      const content = JSON.parse(result.content[0].text);
+      expect(content.values).toEqual([]);
+      expect(content.hint).toContain('"services" is not reported');
+      expect(content.suggestions).toEqual(["service"]);
+    });
+
+    it("should validate tag value inputs", async () => {
+      const valuesTool = tools.find((t) => t.name === "list_metric_tag_values");
+
+      const badKey = await valuesTool.handler({ metricName: "a.b", tagKey: "env:prod" });
+      const badLimit = await valuesTool.handler({ metricName: "a.b", tagKey: "env", limit: 0 });
+
+      expect(badKey.content[0].text).toContain('tagKey must be a tag key without ":"');
+      expect(badLimit.content[0].text).toContain("limit must be an integer between 1 and 1000");
+      expect(metricsApiV2.listTagsByMetricName).not.toHaveBeenCalled();
+    });
+
+    it("should suggest tags when a filtered query returns no series", async () => {
+      metricsApi.queryMetrics.mockResolvedValue({ status: "ok", series: [] });
+      metricsApiV2.listTagsByMetricName.mockResolvedValue(allTags);
+      const queryTool = tools.find((t) => t.name === "query_metrics");
+
+      const result = await queryTool.handler({
+        metricName: "sum:trace.http.request.hits",
+        filter: "env:production,service:api",
+      });
+
+      expect(result.isError).toBe(false);
+      expect(metricsApiV2.listTagsByMetricName).toHaveBeenCalledWith({
+        metricName: "trace.http.request.hits",
+      });
+      const content = JSON.parse(result.content[0].text);
+      expect(content.seriesCount).toBe(0);
+      expect(content.suggestions).toEqual([
+        { tag: "env:production", reason: "unknown_value", suggestions: ["env:prod"] },
+      ]);
+      expect(content.hint).toContain("list_metric_tag_values");
+    });
+
+    it("should not look up tags when series are returned or the lookup fails", async () => {
+      metricsApi.queryMetrics.mockResolvedValueOnce(metricsQueryResponse);
+      metricsApi.queryMetrics.mockResolvedValueOnce({ status: "ok", series: [] });
+      metricsApiV2.listTagsByMetricName.mockRejectedValue(new Error("boom"));
+      const queryTool = tools.find((t) => t.name === "query_metrics");
+
+      const found = await queryTool.handler({ metricName: "system.cpu", filter: "env:prod" });
+      const empty = await queryTool.handler({ metricName: "system.cpu", filter: "env:prod" });
+
+      expect(metricsApiV2.listTagsByMetricName).toHaveBeenCalledTimes(1);
+      expect(JSON.parse(found.content[0].text).suggestions).toBeUndefined();
+      expect(empty.isError).toBe(false);
+      expect(JSON.parse(empty.content[0].text).suggestions).toBeUndefined();
+    });
+  });
+
+  describe("validate_metric_query tool", () => {
+    const validate = async (args) => {
+      const tool = tools.find((t) => t.name === "validate_metric_query");
+      const result = await tool.handler(args);
+      return { result, content: JSON.parse(result.content[0].text) };
+    };
+
+    it("should check locally without calling the API by default", async () => {
+      const { content } = await validate({ query: " sum:x{env=prod} by host " });
+
+      expect(content).toMatchObject({
+        query: "sum:x{env=prod} by host",
+        valid: false,
+        suggestedQuery: "sum:x{env:prod} by {host}",
+      });
+      expect(content.errors).toHaveLength(2);
+      expect(content.api).toBeUndefined();
+      expect(metricsApi.queryMetrics).not.toHaveBeenCalled();
+    });
+
+    it("should confirm a valid query with the API", async () => {
+      metricsApi.queryMetrics.mockResolvedValue(metricsQueryResponse);
+
+      const { content } = await validate({ query: "avg:system.cpu{*}", checkApi: true });
+
+      expect(content).toEqual({
+        query: "avg:system.cpu{*}",
+        valid: true,
+        errors: [],
+        warnings: [],
+        api: { checked: true, valid: true },
+      });
+      expect(metricsApi.queryMetrics).toHaveBeenCalledWith(
+        expect.objectContaining({ query: "avg:system.cpu{*}" })
+      );
+    });
+
+    it("should skip the API when the local check fails", async () => {
+      const { content } = await validate({ query: "sum:x{}", checkApi: true });
+
+      expect(content.api).toEqual({
+        checked: false,
+        reason: "Skipped: fix the local errors first",
+      });
+      expect(metricsApi.queryMetrics).not.toHaveBeenCalled();
+    });
+
+    it("should report API rejections as invalid and other failures as unchecked", async () => {
+      metricsApi.queryMetrics
+        .mockRejectedValueOnce(Object.assign(new Error("Error parsing query"), { statusCode: 400 }))
+        .mockResolvedValueOnce({ status: "error", error: "Unknown metric" })
+        .mockRejectedValueOnce(Object.assign(new Error("Forbidden"), { statusCode: 403 }));
+
+      const rejected = await validate({ query: "avg:x{*}", checkApi: true });
+      const errorStatus = await validate({ query: "avg:x{*}", checkApi: true });
+      const unchecked = await validate({ query: "avg:x{*}", checkApi: true });
+
+      expect(rejected.content.valid).toBe(false);
+      expect(rejected.content.api).toEqual({
+        checked: true,
+        valid: false,
+        error: "HTTP 400: Error parsing query",
+      });
+      expect(errorStatus.content.api).toMatchObject({ valid: false, error: "Unknown metric" });
+      expect(unchecked.content.valid).toBe(true);
+      expect(unchecked.content.api.checked).toBe(false);
+      expect(unchecked.content.api.error).toContain("HTTP 403");
+    });
+
+    it("should require a query", async () => {
+      const tool = tools.find((t) => t.name === "validate_metric_query");
+
+      const result = await tool.handler({ query: "  " });
+
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toContain("query must be a non-empty string");
+    });
+  });
+
+  describe("metric_cardinality_report tool", () => {
+    const report = (args) =>
+      tools.find((t) => t.name === "metric_cardinality_report").handler(args);
+    const tagsFor = {
+      "app.checkout.latency": ["env:prod", "env:staging", "customer:a", "customer:b", "customer:c"],
+      "app.checkout.orders": ["env:prod", "region:eu"],
+    };
+    const notFound = Object.assign(new Error("Not found"), { statusCode: 404 });
+
+    beforeEach(() => {
+      metricsApiV2.listTagsByMetricName.mockImplementation(async ({ metricName }) => ({
+        data: { attributes: { tags: tagsFor[metricName] } },
+      }));
+      metricsApiV2.listVolumesByMetricName.mockImplementation(async ({ metricName }) => ({
+        data: {
+          type: "distinct_metric_volumes",
+          attributes: { distinctVolume: metricName === "app.checkout.orders" ? 2 : 6 },
+        },
+      }));
+      metricsApiV2.listTagConfigurationByName.mockRejectedValue(notFound);
+      metricsApiV2.listActiveMetricConfigurations.mockResolvedValue({
+        data: { attributes: { activeTags: ["env"] } },
+      });
+    });
+
+    it("should report one metric with ranked tag keys and reduction candidates", async () => {
+      const result = await report({ metricName: "app.checkout.latency", topTagKeys: 1 });
+
+      expect(result.isError).toBe(false);
+      expect(metricsApiV2.listVolumesByMetricName).toHaveBeenCalledWith({
+        metricName: "app.checkout.latency",
+      });
+      const content = JSON.parse(result.content[0].text);
+      expect(content).toMatchObject({ metric: "app.checkout.latency", totalEstimatedSeries: 6 });
+      expect(content.metrics).toEqual([
+        {
+          metric: "app.checkout.latency",
+          estimatedSeries: 6,
+          estimateSource: "distinct_volume",
+          volumes: { distinct: 6 },
+          tagCombinationBound: 6,
+          tagKeyCount: 2,
+          tagConfiguration: null,
+          topTagKeys: [
+            {
+              key: "customer",
+              valueCount: 3,
+              indexed: true,
+              activelyQueried: false,
+              estimatedSeriesWithoutKey: 2,
+              estimatedReduction: 4,
+              reductionCandidate: true,
+            },
+          ],
+          reductionCandidates: ["customer"],
+          percentOfTotal: 100,
+        },
+      ]);
+    });
+
+    it("should rank every metric matching a prefix", async () => {
+      metricsApi.listMetrics.mockResolvedValue({
+        results: {
+          metrics: ["app.checkout.orders", "app.checkout.latency", "web.app.checkout.hits"],
+        },
+      });
+
+      const result = await report({ prefix: "app.checkout." });
+
+      expect(metricsApi.listMetrics).toHaveBeenCalledWith({ q: "app.checkout." });
+      const content = JSON.parse(result.content[0].text);
+      expect(content).toMatchObject({
+        prefix: "app.checkout.",
+        matchedMetrics: 2,
+        metricCount: 2,
+        totalEstimatedSeries: 8,
+      });
+      expect(content.metrics.map((m) => [m.metric, m.percentOfTotal])).toEqual([
+        ["app.checkout.latency", 75],
+        ["app.checkout.orders", 25],
+      ]);
+      expect(content.hint).toBeUndefined();
+    });
+
+    it("should note truncated prefixes, failed metrics and missing data", async () => {
+      metricsApi.listMetrics.mockResolvedValue({
+        results: { metrics: ["app.checkout.gone", "app.checkout.latency", "app.checkout.orders"] },
+      });
+      metricsApiV2.listTagsByMetricName.mockImplementation(async ({ metricName }) => {
+        if (metricName === "app.checkout.gone") throw notFound;
+        return { data: { attributes: { tags: tagsFor[metricName] } } };
+      });
+      metricsApiV2.listVolumesByMetricName.mockRejectedValue(
+        Object.assign(new Error("Forbidden"), { statusCode: 403 })
+      );
+      metricsApiV2.listTagConfigurationByName.mockResolvedValue({
+        data: {
+          attributes: { tags: ["env"], excludeTagsMode: false, metricType: "distribution" },
+        },
+      });
+
+      const result = await report({ prefix: "app.checkout.", limit: 2 });
+
+      const content = JSON.parse(result.content[0].text);
+      expect(content.failed).toEqual([
+        { metric: "app.checkout.gone", error: "HTTP 404: Not found" },
+      ]);
+      expect(content.hint).toContain("Analyzed the first 2 of 3 matching metrics");
+      expect(content.metrics[0]).toMatchObject({
+        estimatedSeries: 6,
+        estimateSource: "tag_values",
+        tagConfiguration: { tags: ["env"], excludeTagsMode: false, metricType: "distribution" },
+        reductionCandidates: [],
+      });
+      expect(content.metrics[0].warnings[0]).toContain("Volumes unavailable");
+    });
+
+    it("should fail when the metric's tags or the metric list are unavailable", async () => {
+      metricsApiV2.listTagsByMetricName.mockRejectedValue(notFound);
+      metricsApi.listMetrics.mockRejectedValue(
+        Object.assign(new Error("Forbidden"), { statusCode: 403 })
+      );
+
+      const single = await report({ metricName: "app.unknown" });
+      const prefixed = await report({ prefix: "app." });
+
+      expect(single.isError).toBe(true);
+      expect(single.content[0].text).toContain("Error listing metric tags: HTTP 404");
+      expect(prefixed.isError).toBe(true);
+      expect(prefixed.content[0].text).toContain("Error listing metrics: HTTP 403");
+    });
+
+    it("should hint when no metric matches the prefix", async () => {
+      metricsApi.listMetrics.mockResolvedValue({ results: { metrics: [] } });
+
+      const content = JSON.parse((await report({ prefix: "nothing." })).content[0].text);
+
+      expect(content).toMatchObject({ matchedMetrics: 0, metricCount: 0, metrics: [] });
+      expect(content.hint).toContain('No metrics start with "nothing."');
+    });
+
+    it("should validate inputs", async () => {
+      const errorFor = async (args) => (await report(args)).content[0].text;
+
+      expect(await errorFor({})).toContain("provide exactly one of metricName or prefix");
+      expect(await errorFor({ metricName: "a", prefix: "b" })).toContain("exactly one of");
+      expect(await errorFor({ prefix: "a", limit: 51 })).toContain(
+        "limit must be an integer between 1 and 50"
+      );
+      expect(await errorFor({ metricName: "a", topTagKeys: 0 })).toContain(
+        "topTagKeys must be an integer between 1 and 50"
+      );
+      expect(metricsApiV2.listTagsByMetricName).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("submit_metrics tool", () => {
+    const NOW = Date.parse("2026-01-08T10:00:00Z");
+
+    beforeEach(() => {
+      vi.useFakeTimers({ now: NOW, toFake: ["Date"] });
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    const submit = (args) => tools.find((t) => t.name === "submit_metrics").handler(args);
+
+    it("should be marked as a write tool", () => {
+      const tool = tools.find((t) => t.name === "submit_metrics");
+
+      expect(tool.readOnlyHint).toBe(false);
+      expect(tool.idempotentHint).toBe(false);
+    });
+
+    it("should return the validated payload on dry run without sending", async () => {
+      const result = await submit({
+        dryRun: true,
+        series: [
+          {
+            metric: " deploy.canary.score ",
+            points: [{ value: 0.93 }, { timestamp: "now-5m", value: 0.9 }],
+            tags: ["env:prod", " service:checkout "],
+          },
+          { metric: "deploy.count", type: "count", points: [{ timestamp: NOW / 1000, value: 1 }] },
+        ],
+      });
+
+      expect(result.isError).toBe(false);
+      expect(JSON.parse(result.content[0].text)).toEqual({
+        dryRun: true,
+        valid: true,
+        seriesCount: 2,
+        pointCount: 3,
+        payload: {
+          series: [
+            {
+              metric: "deploy.canary.score",
+              type: 3,
+              points: [
+                { timestamp: NOW / 1000, value: 0.93 },
+                { timestamp: NOW / 1000 - 300, value: 0.9 },
+              ],
+              tags: ["env:prod", "service:checkout"],
+            },
+            { metric: "deploy.count", type: 1, points: [{ timestamp: NOW / 1000, value: 1 }] },
+          ],
+        },
+      });
+      expect(metricsApiV2.submitMetrics).not.toHaveBeenCalled();
+    });
+
+    it("should submit series and report accepted metrics", async () => {
+      metricsApiV2.submitMetrics.mockResolvedValue({ errors: [] });
+
+      const result = await submit({
+        series: [
+          {
+            metric: "queue.drain",
+            type: "rate",
+            interval: 60,
+            unit: "item",
+            points: [{ value: 4 }],
+          },
+        ],
+      });
+
+      expect(JSON.parse(result.content[0].text)).toEqual({
+        submitted: true,
+        seriesCount: 1,
+        pointCount: 1,
+        metrics: ["queue.drain"],
+      });
+      expect(metricsApiV2.submitMetrics).toHaveBeenCalledWith({
+        body: {
+          series: [
+            {
+              metric: "queue.drain",
+              type: 2,
+              interval: 60,
+              unit: "item",
+              points: [{ timestamp: NOW / 1000, value: 4 }],
+            },
+          ],
+        },
+      });
+    });
+
+    it("should surface intake errors and API failures", async () => {
+      metricsApiV2.submitMetrics
+        .mockResolvedValueOnce({ errors: ["Invalid tag"] })
+        .mockRejectedValueOnce(Object.assign(new Error("Forbidden"), { statusCode: 403 }));
+      const args = { series: [{ metric: "a.b", points: [{ value: 1 }] }] };
+
+      const rejected = await submit(args);
+      const failed = await submit(args);
+
+      expect(rejected.isError).toBe(true);
+      expect(JSON.parse(rejected.content[0].text).errors).toEqual(["Invalid tag"]);
+      expect(failed.isError).toBe(true);
+      expect(failed.content[0].text).toContain("Error submitting metrics: HTTP 403");
+    });
+
+    it.each([
+      [{ series: [] }, "series must be a list of 1 to 20 series"],
+      [{ series: [{ metric: "1bad", points: [{ value: 1 }] }] }, "series[0].metric must start"],
+      [
+        { series: [{ metric: "a", type: "histogram", points: [{ value: 1 }] }] },
+        "series[0].type must be one of count, rate, gauge",
+      ],
+      [
+        { series: [{ metric: "a", type: "rate", points: [{ value: 1 }] }] },
+        "series[0].interval is required for rate metrics",
+      ],
+      [{ series: [{ metric: "a", points: [] }] }, "series[0].points must be a list of 1 to 100"],
+      [
+        { series: [{ metric: "a", points: [{ value: 1 }, { value: "2" }] }] },
+        "series[0].points[1].value must be a finite number",
+      ],
+      [
+        { series: [{ metric: "a", points: [{ timestamp: "now-2h", value: 1 }] }] },
+        "is outside what Datadog accepts",
+      ],
+      [
+        { series: [{ metric: "a", points: [{ timestamp: "soon", value: 1 }] }] },
+        "series[0].points[0].timestamp: Invalid timestamp format: soon",
+      ],
+      [
+        { series: [{ metric: "a", tags: ["env:prod", ""], points: [{ value: 1 }] }] },
+        "series[0].tags must be a list of non-empty strings",
+      ],
+    ])("should reject invalid input %#", async (args, message) => {
+      const result = await submit({ ...args, dryRun: true });
+
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toContain(message);
+    });
+  });
+
   describe("get_metric_metadata tool", () => {
     it("should have get_metric_metadata tool", () => {
       const metaTool = tools.find((t) => t.name === "get_metric_metadata");
@@ -324,6 +1518,17 @@ describe("Metrics Tools", () => {
       expect(content.returned).toBe(1000);
     });
 
+    it("should read metric names nested under results.metrics", async () => {
+      metricsApi.listMetrics.mockResolvedValue({ results: { metrics: ["system.cpu.user"] } });
+
+      const listTool = tools.find((t) => t.name === "list_metrics");
+
+      const result = await listTool.handler({});
+
+      expect(result.isError).toBe(false);
+      expect(JSON.parse(result.content[0].text).metrics).toEqual(["system.cpu.user"]);
+    });
+
     it("should handle empty results", async () => {
       metricsApi.listMetrics.mockResolvedValue({ results: [] });
       const listTool = tools.find((t) => t.name === "list_metrics");
@@ -362,8 +1567,8 @@ describe("Metrics Tools", () => {
   });
 
   describe("tool definition validation", () => {
-    it("should have exactly 3 tools", () => {
-      expect(tools).toHaveLength(3);
+    it("should have exactly 10 tools", () => {
+      expect(tools).toHaveLength(10);
     });
 
     it("should have all required properties", () => {
@@ -444,6 +1649,48 @@ describe("Metrics Tools", () => {
       expect(result.isError).toBe(true);
       expect(result.content[0].text).toContain("Error");
     });
+
+    it("should accept relative expressions and echo the resolved range", async () => {
+      const queryTool = tools.find((t) => t.name === "query_metrics");
+
+      const result = await queryTool.handler({
+        metricName: "system.cpu",
+        from: "now-15m",
+        to: "now",
+      });
+
+      expect(result.isError).toBe(false);
+      const { query, from, to } = metricsApi.queryMetrics.mock.calls[0][0];
+      expect(query).toContain("system.cpu");
+      expect(to - from).toBe(15 * 60);
+      const response = JSON.parse(result.content[0].text);
+      expect(Date.parse(response.timeRange.to) - Date.parse(response.timeRange.from)).toBe(
+        15 * 60 * 1000
+      );
+    });
+
+    it("should default to the last hour when from and to are omitted", async () => {
+      const queryTool = tools.find((t) => t.name === "query_metrics");
+
+      const result = await queryTool.handler({ metricName: "system.cpu" });
+
+      expect(result.isError).toBe(false);
+      const { from, to } = metricsApi.queryMetrics.mock.calls[0][0];
+      expect(to - from).toBe(3600);
+    });
+
+    it("should report an unknown timezone", async () => {
+      const queryTool = tools.find((t) => t.name === "query_metrics");
+
+      const result = await queryTool.handler({
+        metricName: "system.cpu",
+        from: "yesterday",
+        timezone: "Nowhere/Special",
+      });
+
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toContain("Invalid timezone");
+    });
   });
 
   describe("error handling", () => {
@@ -0,0 +1,49 @@
+/**
+ * Tests for the org profile MCP tools.
+ */
+
+import { describe, it, expect, beforeEach } from "vitest";
+import { getOrgsTools } from "#tools/orgsTools.js";
+import { OrgClients } from "#clients/orgClients.js";
+
+describe("Orgs Tools", () => {
+  let tools;
+
+  beforeEach(() => {
+    const profiles = new Map([
+      ["us", { name: "us", apiKey: "us-api", appKey: "us-app", site: "datadoghq.com" }],
+      ["eu", { name: "eu", apiKey: "eu-api", appKey: "eu-app", site: "datadoghq.eu" }],
+    ]);
+    tools = getOrgsTools(new OrgClients({ profiles, defaultOrg: "eu", createClients: () => ({}) }));
+  });
+
+  describe("list_orgs tool", () => {
+    it("should have list_orgs tool", () => {
+      const listTool = tools.find((t) => t.name === "list_orgs");
+      expect(listTool).toBeDefined();
+      expect(listTool.readOnlyHint).toBe(true);
+    });
+
+    it("should list orgs with sites and the default", async () => {
+      const listTool = tools.find((t) => t.name === "list_orgs");
+
+      const result = await listTool.handler({});
+
+      expect(result.isError).toBe(false);
+      const content = JSON.parse(result.content[0].text);
+      expect(content.defaultOrg).toBe("eu");
+      expect(content.orgCount).toBe(2);
+      expect(content.orgs.map((o) => o.name)).toEqual(["us", "eu"]);
+      expect(content.orgs[1]).toMatchObject({ site: "datadoghq.eu", default: true });
+    });
+
+    it("should never expose credentials", async () => {
+      const listTool = tools.find((t) => t.name === "list_orgs");
+
+      const result = await listTool.handler({});
+
+      expect(result.content[0].text).not.toContain("us-api");
+      expect(result.content[0].text).not.toContain("eu-app");
+    });
+  });
+});
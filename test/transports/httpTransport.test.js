@@ -0,0 +1,279 @@
+/**
+ * Tests for the MCP HTTP transport (Streamable HTTP and legacy SSE).
+ * Uses node:http directly because test setup replaces global fetch with a mock.
+ */
+
+import http from "node:http";
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { createServer } from "../../src/server.js";
+import { startHttpTransport } from "../../src/transports/httpTransport.js";
+import { mockDatadogApi } from "#test/mocks/datadogApi.js";
+import { LogsClient } from "#clients/logsClient.js";
+import { getLogsTools } from "#tools/logsTools.js";
+import { createMockConfig } from "#test/helpers.js";
+
+const ACCEPT = "application/json, text/event-stream";
+
+/**
+ * Send an HTTP request to the test server.
+ * @returns {Promise<{status: number, headers: Object, body: string}>}
+ */
+function request(port, method, path, { body, headers = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(
+      {
+        host: "127.0.0.1",
+        port,
+        method,
+        path,
+        headers: { "Content-Type": "application/json", Accept: ACCEPT, ...headers },
+      },
+      (res) => {
+        let data = "";
+        res.setEncoding("utf8");
+        res.on("data", (chunk) => {
+          data += chunk;
+        });
+        res.on("end", () => resolve({ status: res.statusCode, headers: res.headers, body: data }));
+      }
+    );
+    req.on("error", reject);
+    if (body !== undefined) {
+      req.write(typeof body === "string" ? body : JSON.stringify(body));
+    }
+    req.end();
+  });
+}
+
+/**
+ * Extract the JSON-RPC message from a JSON or SSE response body.
+ */
+function parseRpc(body) {
+  const dataLine = body.split("\n").find((line) => line.startsWith("data: "));
+  return JSON.parse(dataLine ? dataLine.slice(6) : body);
+}
+
+const initializeRequest = {
+  jsonrpc: "2.0",
+  id: 1,
+  method: "initialize",
+  params: {
+    protocolVersion: "2025-03-26",
+    capabilities: {},
+    clientInfo: { name: "test-client", version: "1.0.0" },
+  },
+};
+
+describe("HTTP transport", () => {
+  let handle;
+  let echoHandler;
+
+  beforeEach(async () => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    echoHandler = vi.fn(async (args) => ({
+      isError: false,
+      content: [{ type: "text", text: JSON.stringify(args) }],
+    }));
+    const registry = {
+      toolMap: new Map([["echo", echoHandler]]),
+      allTools: [
+        {
+          name: "echo",
+          description: "Echo arguments",
+          inputSchema: { type: "object", properties: {} },
+          handler: echoHandler,
+        },
+      ],
+    };
+    handle = await startHttpTransport(
+      () => createServer({ name: "datadog-test", version: "0.0.0", registry }),
+      { port: 0 }
+    );
+  });
+
+  afterEach(async () => {
+    await handle.close();
+    vi.restoreAllMocks();
+  });
+
+  async function initializeSession() {
+    const res = await request(handle.port, "POST", "/mcp", { body: initializeRequest });
+    const sessionId = res.headers["mcp-session-id"];
+    await request(handle.port, "POST", "/mcp", {
+      body: { jsonrpc: "2.0", method: "notifications/initialized" },
+      headers: { "mcp-session-id": sessionId },
+    });
+    return { res, sessionId };
+  }
+
+  it("should report health", async () => {
+    const res = await request(handle.port, "GET", "/health");
+    expect(res.status).toBe(200);
+    expect(JSON.parse(res.body)).toEqual({ status: "ok", sessions: 0 });
+  });
+
+  it("should create a session on initialize", async () => {
+    const { res, sessionId } = await initializeSession();
+
+    expect(res.status).toBe(200);
+    expect(sessionId).toBeDefined();
+    expect(parseRpc(res.body).result.serverInfo.name).toBe("datadog-test");
+    expect(handle.sessionCount()).toBe(1);
+  });
+
+  it("should list and call tools from the shared registry", async () => {
+    const { sessionId } = await initializeSession();
+    const headers = { "mcp-session-id": sessionId };
+
+    const list = await request(handle.port, "POST", "/mcp", {
+      body: { jsonrpc: "2.0", id: 2, method: "tools/list" },
+      headers,
+    });
+    const tools = parseRpc(list.body).result.tools;
+    expect(tools.map((t) => t.name)).toEqual(["echo"]);
+    expect(tools[0].handler).toBeUndefined();
+
+    const call = await request(handle.port, "POST", "/mcp", {
+      body: {
+        jsonrpc: "2.0",
+        id: 3,
+        method: "tools/call",
+        params: { name: "echo", arguments: { value: 42 } },
+      },
+      headers,
+    });
+    const result = parseRpc(call.body).result;
+    expect(result.isError).toBe(false);
+    expect(JSON.parse(result.content[0].text)).toEqual({ value: 42 });
+    expect(echoHandler).toHaveBeenCalledTimes(1);
+
+    const logLine = console.error.mock.calls
+      .map(([line]) => line)
+      .find((line) => typeof line === "string" && line.includes('"tool_call"'));
+    expect(JSON.parse(logLine)).toMatchObject({ tool: "echo", slow: false, retries: 0 });
+  });
+
+  it("should stream tail_logs log notifications on the tool call's response", async () => {
+    await handle.close();
+    mockDatadogApi.logsApi.listLogs.mockReset();
+    mockDatadogApi.logsApi.listLogs.mockResolvedValue({
+      data: [
+        {
+          id: "log-1",
+          attributes: { timestamp: new Date(), status: "error", message: "payment failed" },
+        },
+      ],
+      meta: {},
+    });
+    const tailTool = getLogsTools(new LogsClient(createMockConfig())).find(
+      (t) => t.name === "tail_logs"
+    );
+    const registry = { toolMap: new Map([["tail_logs", tailTool.handler]]), allTools: [tailTool] };
+    handle = await startHttpTransport(
+      () => createServer({ name: "datadog-test", version: "0.0.0", registry }),
+      { port: 0 }
+    );
+    const { sessionId } = await initializeSession();
+
+    // No standalone GET stream is open: the notification must travel on the POST stream
+    const call = await request(handle.port, "POST", "/mcp", {
+      body: {
+        jsonrpc: "2.0",
+        id: 2,
+        method: "tools/call",
+        params: { name: "tail_logs", arguments: { filter: "*", maxLogs: 1, lookbackSeconds: 60 } },
+      },
+      headers: { "mcp-session-id": sessionId },
+    });
+
+    const messages = call.body
+      .split("\n")
+      .filter((line) => line.startsWith("data: "))
+      .map((line) => JSON.parse(line.slice(6)));
+    const notification = messages.find((m) => m.method === "notifications/message");
+    expect(notification.params).toMatchObject({ level: "info", logger: "tail_logs" });
+    expect(notification.params.data.logs.map((l) => l.id)).toEqual(["log-1"]);
+    expect(JSON.parse(messages.find((m) => m.id === 2).result.content[0].text)).toMatchObject({
+      stoppedBy: "maxLogs",
+      logsCount: 1,
+    });
+  });
+
+  it("should keep sessions isolated", async () => {
+    const first = await initializeSession();
+    const second = await initializeSession();
+
+    expect(first.sessionId).not.toBe(second.sessionId);
+    expect(handle.sessionCount()).toBe(2);
+  });
+
+  it("should reject requests without a session", async () => {
+    const res = await request(handle.port, "POST", "/mcp", {
+      body: { jsonrpc: "2.0", id: 2, method: "tools/list" },
+    });
+
+    expect(res.status).toBe(400);
+    expect(JSON.parse(res.body).error.message).toContain("No valid session ID");
+  });
+
+  it("should return 404 for unknown sessions", async () => {
+    const res = await request(handle.port, "POST", "/mcp", {
+      body: { jsonrpc: "2.0", id: 2, method: "tools/list" },
+      headers: { "mcp-session-id": "does-not-exist" },
+    });
+
+    expect(res.status).toBe(404);
+  });
+
+  it("should reject malformed JSON", async () => {
+    const res = await request(handle.port, "POST", "/mcp", { body: "{not json" });
+
+    expect(res.status).toBe(400);
+    expect(JSON.parse(res.body).error.code).toBe(-32700);
+  });
+
+  it("should end a session on DELETE", async () => {
+    const { sessionId } = await initializeSession();
+
+    const res = await request(handle.port, "DELETE", "/mcp", {
+      headers: { "mcp-session-id": sessionId },
+    });
+
+    expect(res.status).toBe(200);
+    expect(handle.sessionCount()).toBe(0);
+  });
+
+  it("should return 404 for legacy SSE messages without a stream", async () => {
+    const res = await request(handle.port, "POST", "/messages?sessionId=missing", {
+      body: { jsonrpc: "2.0", id: 1, method: "tools/list" },
+    });
+
+    expect(res.status).toBe(404);
+  });
+
+  it("should open a legacy SSE stream with an endpoint event", async () => {
+    const endpoint = await new Promise((resolve, reject) => {
+      const req = http.get(
+        { host: "127.0.0.1", port: handle.port, path: "/sse", headers: { Accept: ACCEPT } },
+        (res) => {
+          res.setEncoding("utf8");
+          res.on("data", (chunk) => {
+            const line = chunk.split("\n").find((l) => l.startsWith("data: "));
+            if (line) {
+              resolve(line.slice(6));
+              req.destroy();
+            }
+          });
+        }
+      );
+      req.on("error", reject);
+    });
+
+    expect(endpoint).toMatch(/^\/messages\?sessionId=/);
+  });
+
+  it("should return 404 for unknown paths", async () => {
+    const res = await request(handle.port, "GET", "/nope");
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * Tests for local anomaly and change-point detection.
+ */
+
+import { describe, it, expect } from "vitest";
+import {
+  detectRollingZScore,
+  detectSeasonal,
+  detectChangePoints,
+  groupIntervals,
+  severityFor,
+} from "#utils/anomalies.js";
+import {
+  metricsAnomalyResponse,
+  metricsAnomalyHistoryResponse,
+} from "#test/fixtures/datadogResponses.js";
+
+const [shifted, steady] = metricsAnomalyResponse.series.map((s) => s.pointlist);
+const [shiftedHistory, steadyHistory] = metricsAnomalyHistoryResponse.series.map(
+  (s) => s.pointlist
+);
+
+describe("anomalies utils", () => {
+  describe("detectRollingZScore", () => {
+    it("should flag the spike and the start of the level shift", () => {
+      const intervals = detectRollingZScore(shifted);
+
+      expect(intervals.map((i) => i.start)).toEqual([
+        "2026-01-08T10:05:00.000Z",
+        "2026-01-08T10:40:00.000Z",
+      ]);
+      expect(intervals[0]).toMatchObject({
+        method: "zscore",
+        direction: "above",
+        pointCount: 1,
+        peak: { timestamp: "2026-01-08T10:05:00.000Z", value: 200 },
+        severity: "high",
+      });
+      expect(intervals[1].pointCount).toBeGreaterThan(1);
+    });
+
+    it("should find nothing in a steady series", () => {
+      expect(detectRollingZScore(steady)).toEqual([]);
+    });
+
+    it("should ignore gaps and honor the threshold", () => {
+      const points = [...shifted.slice(0, 10), [shifted[10][0], null]];
+
+      expect(detectRollingZScore(points, { threshold: 100 })).toEqual([]);
+      expect(detectRollingZScore(points)).toHaveLength(1);
+    });
+
+    it("should treat any deviation from a flat window as high severity", () => {
+      const points = [0, 1, 2, 3, 4, 5].map((i) => [i * 1000, i === 5 ? 11 : 10]);
+
+      expect(detectRollingZScore(points)).toEqual([
+        expect.objectContaining({ score: null, severity: "high", direction: "above" }),
+      ]);
+    });
+  });
+
+  describe("detectSeasonal", () => {
+    it("should flag points far from the same hour in history", () => {
+      const intervals = detectSeasonal(shifted, shiftedHistory);
+
+      expect(intervals).toHaveLength(2);
+      expect(intervals[1]).toMatchObject({
+        method: "seasonal",
+        start: "2026-01-08T10:40:00.000Z",
+        end: "2026-01-08T10:59:00.000Z",
+        pointCount: 20,
+      });
+      expect(detectSeasonal(steady, steadyHistory)).toEqual([]);
+    });
+
+    it("should skip buckets without enough history", () => {
+      const otherHours = shiftedHistory.filter(([t]) => new Date(t).getUTCHours() !== 10);
+
+      expect(detectSeasonal(shifted, otherHours)).toEqual([]);
+    });
+
+    it("should bucket by weekday in the given timezone", () => {
+      // The window is Thursday in UTC but Friday in Kiritimati (UTC+14); history only has
+      // Thursday mornings (UTC), which stay on Thursday in both timezones
+      const thursdays = shiftedHistory.filter(
+        ([t]) => new Date(t).getUTCDay() === 4 && new Date(t).getUTCHours() < 10
+      );
+
+      expect(detectSeasonal(shifted, thursdays, { seasonality: "day_of_week" })).toHaveLength(2);
+      expect(
+        detectSeasonal(shifted, thursdays, {
+          seasonality: "day_of_week",
+          timezone: "Pacific/Kiritimati",
+        })
+      ).toEqual([]);
+    });
+  });
+
+  describe("detectChangePoints", () => {
+    it("should locate a shift in the mean", () => {
+      expect(detectChangePoints(shifted)).toEqual([
+        {
+          timestamp: "2026-01-08T10:40:00.000Z",
+          before: 102.5,
+          after: 150,
+          shift: 47.5,
+          percentChange: 46.3415,
+          effectSize: 3.64,
+          severity: "high",
+        },
+      ]);
+    });
+
+    it("should find no change in a steady or short series", () => {
+      expect(detectChangePoints(steady)).toEqual([]);
+      expect(detectChangePoints(shifted.slice(36, 44))).toEqual([]);
+    });
+
+    it("should find several shifts", () => {
+      const points = Array.from({ length: 60 }, (_, i) => [
+        i * 1000,
+        (i < 20 ? 10 : i < 40 ? 50 : 20) + (i % 3),
+      ]);
+
+      expect(detectChangePoints(points).map((c) => c.timestamp)).toEqual([
+        new Date(20000).toISOString(),
+        new Date(40000).toISOString(),
+      ]);
+    });
+  });
+
+  describe("groupIntervals", () => {
+    it("should merge nearby points in the same direction", () => {
+      const flagged = [
+        { index: 1, timestamp: 1000, value: 5, score: 4 },
+        { index: 3, timestamp: 3000, value: 9, score: 7 },
+        { index: 4, timestamp: 4000, value: -5, score: -4 },
+        { index: 8, timestamp: 8000, value: -6, score: -5 },
+      ];
+
+      const intervals = groupIntervals(flagged, "zscore", 3);
+
+      expect(intervals).toHaveLength(3);
+      expect(intervals[0]).toMatchObject({
+        start: new Date(1000).toISOString(),
+        end: new Date(3000).toISOString(),
+        pointCount: 2,
+        peak: { value: 9 },
+        score: 7,
+        severity: "high",
+      });
+      expect(intervals[1]).toMatchObject({ direction: "below", severity: "low" });
+      expect(intervals[2]).toMatchObject({ direction: "below", severity: "medium" });
+    });
+  });
+
+  describe("severityFor", () => {
+    it("should scale severity with the threshold", () => {
+      expect(severityFor(3, 3)).toBe("low");
+      expect(severityFor(4.5, 3)).toBe("medium");
+      expect(severityFor(6, 3)).toBe("high");
+      expect(severityFor(Infinity, 3)).toBe("high");
+    });
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * Tests for the tool response cache.
+ */
+
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import {
+  ResponseCache,
+  normalizeArgs,
+  parseToolTtls,
+  withResponseCache,
+  DEFAULT_CACHE_OPTIONS,
+} from "#utils/cache.js";
+
+const NOW = Date.UTC(2024, 2, 13, 12, 0, 0);
+
+function okResult(value) {
+  return { isError: false, content: [{ type: "text", text: JSON.stringify(value) }] };
+}
+
+describe("cache utils", () => {
+  let clock;
+  let cache;
+
+  beforeEach(() => {
+    clock = NOW;
+    cache = new ResponseCache({ now: () => clock, maxEntries: 3 });
+  });
+
+  describe("normalizeArgs", () => {
+    it("should sort keys recursively and drop empty values", () => {
+      expect(JSON.stringify(normalizeArgs({ b: 1, a: { d: null, c: [{ y: 2, x: 1 }] } }))).toBe(
+        '{"a":{"c":[{"x":1,"y":2}]},"b":1}'
+      );
+    });
+  });
+
+  describe("parseToolTtls", () => {
+    it("should parse tool=seconds lists", () => {
+      expect(parseToolTtls("list_metrics=600, query_metrics=0")).toEqual({
+        list_metrics: 600000,
+        query_metrics: 0,
+      });
+      expect(parseToolTtls("")).toEqual({});
+    });
+
+    it("should reject malformed entries", () => {
+      expect(() => parseToolTtls("list_metrics")).toThrow("Invalid cache TTL entry");
+    });
+  });
+
+  describe("ResponseCache", () => {
+    it("should build the same key regardless of argument order and noCache", () => {
+      expect(cache.key("t", { a: 1, b: 2 })).toBe(cache.key("t", { b: 2, a: 1, noCache: true }));
+      expect(cache.key("t", { a: 1 })).not.toBe(cache.key("u", { a: 1 }));
+    });
+
+    it("should expire entries after their TTL", () => {
+      cache.set("k", "v", 1000);
+      expect(cache.get("k")).toBe("v");
+
+      clock += 1000;
+      expect(cache.get("k")).toBeUndefined();
+      expect(cache.stats()).toMatchObject({ size: 0, hits: 1, misses: 1 });
+    });
+
+    it("should evict the least recently used entry", () => {
+      cache.set("a", 1, 1000);
+      cache.set("b", 2, 1000);
+      cache.set("c", 3, 1000);
+      cache.get("a");
+      cache.set("d", 4, 1000);
+
+      expect(cache.get("b")).toBeUndefined();
+      expect(cache.get("a")).toBe(1);
+      expect(cache.get("d")).toBe(4);
+    });
+
+    it("should clear all entries or one tool's entries", () => {
+      cache.set(cache.key("list_metrics", {}), 1, 1000);
+      cache.set(cache.key("list_monitors", {}), 2, 1000);
+
+      expect(cache.clear("list_metrics")).toBe(1);
+      expect(cache.stats().size).toBe(1);
+      expect(cache.clear()).toBe(1);
+      expect(cache.stats().size).toBe(0);
+    });
+
+    it("should use per-tool TTLs", () => {
+      expect(cache.ttlFor("get_metric_metadata", {})).toBe(
+        DEFAULT_CACHE_OPTIONS.toolTtls.get_metric_metadata
+      );
+      expect(cache.ttlFor("search_events", {})).toBe(DEFAULT_CACHE_OPTIONS.defaultTtlMs);
+
+      const custom = new ResponseCache({ toolTtls: { search_events: 0 } });
+      expect(custom.ttlFor("search_events", {})).toBe(0);
+    });
+
+    it("should never cache exports", () => {
+      expect(cache.ttlFor("search_logs", { filter: "*", export: "csv" })).toBe(0);
+    });
+
+    it("should cache finished absolute ranges longer than relative ones", () => {
+      const absolute = { from: "2024-03-12T00:00:00Z", to: "2024-03-13T00:00:00Z" };
+      const relative = { from: "now-1h", to: "now" };
+      const recent = { from: NOW - 60000, to: NOW };
+
+      expect(cache.ttlFor("query_metrics", absolute)).toBe(DEFAULT_CACHE_OPTIONS.absoluteTtlMs);
+      expect(cache.ttlFor("query_metrics", relative)).toBe(DEFAULT_CACHE_OPTIONS.defaultTtlMs);
+      expect(cache.ttlFor("query_metrics", recent)).toBe(DEFAULT_CACHE_OPTIONS.defaultTtlMs);
+      expect(cache.ttlFor("query_metrics", { from: absolute.from })).toBe(
+        DEFAULT_CACHE_OPTIONS.defaultTtlMs
+      );
+    });
+  });
+
+  describe("withResponseCache", () => {
+    let handler;
+    let tool;
+
+    beforeEach(() => {
+      handler = vi.fn(async (args) => okResult(args));
+      tool = withResponseCache(
+        {
+          name: "list_metrics",
+          inputSchema: { type: "object", properties: { query: { type: "string" } } },
+          handler,
+        },
+        cache
+      );
+    });
+
+    it("should add the noCache input", () => {
+      expect(tool.inputSchema.properties.query).toBeDefined();
+      expect(tool.inputSchema.properties.noCache.type).toBe("boolean");
+    });
+
+    it("should serve repeated calls from the cache", async () => {
+      const context = { signal: new AbortController().signal };
+      const first = await tool.handler({ query: "system" }, context);
+      const second = await tool.handler({ query: "system" }, context);
+
+      expect(second).toBe(first);
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(handler).toHaveBeenCalledWith({ query: "system" }, context);
+    });
+
+    it("should bypass and refresh the cache with noCache", async () => {
+      await tool.handler({ query: "system" });
+      await tool.handler({ query: "system", noCache: true });
+      await tool.handler({ query: "system" });
+
+      expect(handler).toHaveBeenCalledTimes(2);
+      expect(handler).toHaveBeenLastCalledWith({ query: "system" }, undefined);
+    });
+
+    it("should not cache error results", async () => {
+      handler.mockResolvedValueOnce({ isError: true, content: [{ type: "text", text: "Error" }] });
+
+      await tool.handler({ query: "system" });
+      const result = await tool.handler({ query: "system" });
+
+      expect(result.isError).toBe(false);
+      expect(handler).toHaveBeenCalledTimes(2);
+    });
+
+    it("should refetch after the TTL expires", async () => {
+      await tool.handler({ query: "system" });
+      clock += DEFAULT_CACHE_OPTIONS.toolTtls.list_metrics;
+      await tool.handler({ query: "system" });
+
+      expect(handler).toHaveBeenCalledTimes(2);
+    });
+  });
+});
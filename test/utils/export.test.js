@@ -0,0 +1,92 @@
+/**
+ * Tests for CSV and NDJSON exports.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { mkdtemp, readFile, readdir, rm } from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { exportOptionError, writeExport } from "#utils/export.js";
+
+describe("export utils", () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(path.join(os.tmpdir(), "mcp-export-"));
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  describe("exportOptionError", () => {
+    it("should reject unknown formats and a missing directory", () => {
+      expect(exportOptionError("xlsx", dir)).toBe("export must be one of csv, ndjson");
+      expect(exportOptionError("csv", undefined)).toContain("MCP_EXPORT_DIR");
+      expect(exportOptionError("ndjson", dir)).toBeNull();
+    });
+  });
+
+  describe("writeExport", () => {
+    it("should write escaped CSV and infer a schema", async () => {
+      const result = await writeExport({
+        dir,
+        name: "search_logs",
+        format: "csv",
+        columns: ["id", "message", "tags"],
+        pages: [
+          [{ id: 1, message: 'said "hi", then\nleft', tags: ["env:prod"] }],
+          [],
+          [{ id: "b", message: null, tags: [], extra: "dropped" }],
+        ],
+      });
+
+      expect(path.dirname(result.path)).toBe(dir);
+      expect(path.basename(result.path)).toMatch(/^search_logs-\d{8}T\d{6}Z-[0-9a-f]{8}\.csv$/);
+      expect(await readFile(result.path, "utf8")).toBe(
+        ["id,message,tags", '1,"said ""hi"", then\nleft","[""env:prod""]"', "b,,[]", ""].join("\n")
+      );
+      expect(result).toMatchObject({ format: "csv", rowCount: 2 });
+      expect(result.schema).toEqual([
+        { name: "id", type: "number|string", nullable: false },
+        { name: "message", type: "string", nullable: true },
+        { name: "tags", type: "array", nullable: false },
+      ]);
+    });
+
+    it("should write NDJSON from async pages into a new directory", async () => {
+      const target = path.join(dir, "nested");
+      async function* pages() {
+        yield [{ timestamp: "2026-01-08T10:00:00.000Z", value: 1.5 }];
+        yield [{ timestamp: "2026-01-08T10:01:00.000Z" }];
+      }
+
+      const result = await writeExport({
+        dir: target,
+        name: "query_metrics",
+        format: "ndjson",
+        columns: ["timestamp", "value"],
+        pages: pages(),
+      });
+
+      const lines = (await readFile(result.path, "utf8")).trim().split("\n").map(JSON.parse);
+      expect(lines).toEqual([
+        { timestamp: "2026-01-08T10:00:00.000Z", value: 1.5 },
+        { timestamp: "2026-01-08T10:01:00.000Z", value: null },
+      ]);
+      expect(result.schema[1]).toEqual({ name: "value", type: "number", nullable: true });
+    });
+
+    it("should remove the file when a page fails", async () => {
+      async function* pages() {
+        yield [{ value: 1 }];
+        throw new Error("page failed");
+      }
+
+      await expect(
+        writeExport({ dir, name: "x", format: "csv", columns: ["value"], pages: pages() })
+      ).rejects.toThrow("page failed");
+      expect(await readdir(dir)).toEqual([]);
+    });
+  });
+});
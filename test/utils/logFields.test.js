@@ -0,0 +1,70 @@
+/**
+ * Tests for log field access and projection.
+ */
+
+import { describe, it, expect } from "vitest";
+import { flattenAttributes, logFieldValue, projectLog } from "#utils/logFields.js";
+
+const log = {
+  id: "AXvj0ZDn5d08oxCb7t9q",
+  type: "logs",
+  attributes: {
+    timestamp: new Date("2026-01-08T10:00:00Z"),
+    service: "api",
+    status: "error",
+    message: "Failed to process request",
+    tags: ["env:prod"],
+    attributes: {
+      http: { method: "POST", status_code: 500 },
+      "error.stack": "Error: boom\n    at handler",
+      service: "custom-service",
+      retries: [1, 2],
+    },
+  },
+};
+
+describe("logFields utils", () => {
+  describe("flattenAttributes", () => {
+    it("should flatten nested objects into dotted paths", () => {
+      expect(flattenAttributes({ a: { b: { c: 1 }, d: [1] }, e: null, f: {} })).toEqual({
+        "a.b.c": 1,
+        "a.d": [1],
+        e: null,
+        f: {},
+      });
+      expect(flattenAttributes(undefined)).toEqual({});
+    });
+  });
+
+  describe("logFieldValue", () => {
+    it("should read custom attributes with @ and reserved ones by name", () => {
+      expect(logFieldValue(log, "@http.status_code")).toBe(500);
+      expect(logFieldValue(log, "@error.stack")).toContain("at handler");
+      expect(logFieldValue(log, "@service")).toBe("custom-service");
+      expect(logFieldValue(log, "service")).toBe("api");
+      expect(logFieldValue(log, "id")).toBe("AXvj0ZDn5d08oxCb7t9q");
+      // Falls back across the two namespaces
+      expect(logFieldValue(log, "@status")).toBe("error");
+      expect(logFieldValue(log, "http.method")).toBe("POST");
+      expect(logFieldValue(log, "@missing.path")).toBeUndefined();
+    });
+  });
+
+  describe("projectLog", () => {
+    it("should return exactly the requested fields, expanding objects", () => {
+      expect(
+        projectLog(log, ["timestamp", "@http", "message", "@missing"], { maxMessageLength: 6 })
+      ).toEqual({
+        timestamp: "2026-01-08T10:00:00.000Z",
+        "@http.method": "POST",
+        "@http.status_code": 500,
+        message: "Failed",
+        "@missing": null,
+      });
+    });
+
+    it("should keep messages whole by default", () => {
+      expect(projectLog(log, ["message"])).toEqual({ message: "Failed to process request" });
+    });
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Tests for log pattern clustering.
+ */
+
+import { describe, it, expect } from "vitest";
+import { clusterLogPatterns, maskMessage } from "#utils/logPatterns.js";
+
+const log = (id, message, attributes = {}) => ({
+  id,
+  type: "logs",
+  attributes: { message, ...attributes },
+});
+
+describe("logPatterns utils", () => {
+  describe("maskMessage", () => {
+    it("should mask variable tokens", () => {
+      expect(maskMessage("Timeout after 3021ms for order 8812")).toBe(
+        "Timeout after <NUM>ms for order <NUM>"
+      );
+      expect(
+        maskMessage(
+          'user "bob" from 10.0.0.12:443 req 3f2a9c1e-1b2c-4d5e-8f90-abcdefabcdef ptr 0x7ffd'
+        )
+      ).toBe("user <STR> from <IP> req <UUID> ptr <HEX>");
+      expect(maskMessage("commit 9fceb02d0ae598e95dc970b74767f19372d61af8 on fe80::1")).toBe(
+        "commit <HEX> on <IP>"
+      );
+    });
+
+    it("should keep identifiers, versions and clock separators", () => {
+      expect(maskMessage("http2 upgrade to v1.2.3 at 12:30:45 on web-01")).toBe(
+        "http2 upgrade to v1.2.3 at <NUM>:<NUM>:<NUM> on web-<NUM>"
+      );
+    });
+
+    it("should not read apostrophes in contractions as quotes", () => {
+      expect(maskMessage("Don't retry: order 881 isn't valid")).toBe(
+        "Don't retry: order <NUM> isn't valid"
+      );
+      expect(maskMessage("can't reach 'billing' because it doesn't resolve")).toBe(
+        "can't reach <STR> because it doesn't resolve"
+      );
+      expect(maskMessage("Don't retry: order 881 isn't valid")).not.toBe(
+        maskMessage("Don't panic: it isn't valid")
+      );
+    });
+
+    it("should collapse whitespace and name empty messages", () => {
+      expect(maskMessage("  line one\n  line two ")).toBe("line one line two");
+      expect(maskMessage(undefined)).toBe("(empty message)");
+    });
+  });
+
+  describe("clusterLogPatterns", () => {
+    it("should group logs by template, most frequent first", () => {
+      const patterns = clusterLogPatterns([
+        log("a", "Timeout after 30ms", {
+          timestamp: "2026-01-08T10:05:00Z",
+          service: "checkout",
+          host: "web-1",
+          status: "error",
+        }),
+        log("b", "Cache warmed", { timestamp: "2026-01-08T10:00:00Z", service: "cart" }),
+        log("c", "Timeout after 45ms", {
+          timestamp: new Date("2026-01-08T10:01:00Z"),
+          service: "checkout",
+          host: "web-2",
+          status: "error",
+        }),
+        log("d", "Timeout after 12ms", {
+          timestamp: 1767866520000,
+          service: "payments",
+          host: "web-2",
+          status: "warn",
+        }),
+      ]);
+
+      expect(patterns.map((p) => [p.pattern, p.count])).toEqual([
+        ["Timeout after <NUM>ms", 3],
+        ["Cache warmed", 1],
+      ]);
+      expect(patterns[0]).toEqual({
+        pattern: "Timeout after <NUM>ms",
+        count: 3,
+        firstSeen: "2026-01-08T10:01:00.000Z",
+        lastSeen: "2026-01-08T10:05:00.000Z",
+        statuses: { error: 2, warn: 1 },
+        services: ["checkout", "payments"],
+        serviceCount: 2,
+        hosts: ["web-2", "web-1"],
+        hostCount: 2,
+        sampleLogId: "a",
+        sampleMessage: "Timeout after 30ms",
+      });
+      expect(patterns[1]).toMatchObject({ hosts: [], hostCount: 0, statuses: {} });
+    });
+
+    it("should list at most ten services per pattern", () => {
+      const logs = Array.from({ length: 12 }, (_, i) =>
+        log(`l${i}`, "boom", { service: `svc-${String.fromCharCode(97 + i)}` })
+      );
+
+      const [pattern] = clusterLogPatterns(logs);
+
+      expect(pattern.services).toHaveLength(10);
+      expect(pattern.serviceCount).toBe(12);
+      expect(pattern.firstSeen).toBeNull();
+    });
+  });
+});
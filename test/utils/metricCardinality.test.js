@@ -0,0 +1,112 @@
+/**
+ * Tests for metric cardinality estimates.
+ */
+
+import { describe, it, expect } from "vitest";
+import { estimateCardinality, volumesFrom } from "#utils/metricCardinality.js";
+
+const tags = [
+  "env:prod",
+  "env:staging",
+  ...Array.from({ length: 40 }, (_, i) => `host:web-${i}`),
+  "service:checkout",
+  "customer_id:1",
+  "customer_id:2",
+  "customer_id:3",
+  "customer_id:4",
+];
+
+describe("metricCardinality utils", () => {
+  describe("volumesFrom", () => {
+    it("should read distinct or ingested/indexed volumes", () => {
+      expect(
+        volumesFrom({
+          data: { type: "distinct_metric_volumes", attributes: { distinctVolume: 9 } },
+        })
+      ).toEqual({ distinct: 9 });
+      expect(
+        volumesFrom({
+          data: { type: "metric_volumes", attributes: { ingestedVolume: 90, indexedVolume: 12 } },
+        })
+      ).toEqual({ ingested: 90, indexed: 12 });
+      expect(volumesFrom(undefined)).toEqual({});
+    });
+  });
+
+  describe("estimateCardinality", () => {
+    it("should rank keys by the series they are estimated to add", () => {
+      const estimate = estimateCardinality({
+        tags,
+        volumes: { distinct: 200 },
+        activeTags: ["env", "host"],
+      });
+
+      expect(estimate).toMatchObject({
+        estimatedSeries: 200,
+        estimateSource: "distinct_volume",
+        tagCombinationBound: 320,
+      });
+      expect(estimate.tagKeys.map((k) => k.key)).toEqual(["host", "customer_id", "env", "service"]);
+      expect(estimate.tagKeys[0]).toEqual({
+        key: "host",
+        valueCount: 40,
+        indexed: true,
+        activelyQueried: true,
+        estimatedSeriesWithoutKey: 5,
+        estimatedReduction: 195,
+        reductionCandidate: false,
+      });
+      expect(estimate.tagKeys[1]).toMatchObject({
+        estimatedSeriesWithoutKey: 50,
+        reductionCandidate: true,
+      });
+      // A single value adds nothing to drop
+      expect(estimate.tagKeys[3]).toMatchObject({
+        estimatedReduction: 0,
+        reductionCandidate: false,
+      });
+    });
+
+    it("should fall back to tag value combinations without volumes", () => {
+      const estimate = estimateCardinality({ tags });
+
+      expect(estimate.estimatedSeries).toBe(320);
+      expect(estimate.estimateSource).toBe("tag_values");
+      expect(estimate.tagKeys.every((k) => k.activelyQueried === null)).toBe(true);
+      expect(estimate.tagKeys.some((k) => k.reductionCandidate)).toBe(false);
+    });
+
+    it("should leave keys excluded by a tag configuration out of the reduction", () => {
+      const included = estimateCardinality({
+        tags,
+        volumes: { ingested: 200, indexed: 8 },
+        activeTags: [],
+        configuration: { tags: ["env", "customer_id"], excludeTagsMode: false },
+      });
+      const excluded = estimateCardinality({
+        tags,
+        volumes: { indexed: 8 },
+        configuration: { tags: ["host"], excludeTagsMode: true },
+      });
+
+      expect(included.estimateSource).toBe("indexed_volume");
+      expect(included.tagKeys[0]).toMatchObject({ key: "customer_id", estimatedReduction: 6 });
+      expect(included.tagKeys.find((k) => k.key === "host")).toMatchObject({
+        indexed: false,
+        estimatedSeriesWithoutKey: null,
+        estimatedReduction: 0,
+        reductionCandidate: false,
+      });
+      expect(excluded.tagKeys.find((k) => k.key === "host").indexed).toBe(false);
+      expect(excluded.tagKeys.find((k) => k.key === "env").indexed).toBe(true);
+    });
+
+    it("should cap the combination bound", () => {
+      const wide = Array.from({ length: 20 }, (_, k) =>
+        Array.from({ length: 100 }, (_, v) => `k${k}:v${v}`)
+      ).flat();
+
+      expect(estimateCardinality({ tags: wide }).tagCombinationBound).toBe(Number.MAX_SAFE_INTEGER);
+    });
+  });
+});
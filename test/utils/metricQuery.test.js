@@ -0,0 +1,81 @@
+/**
+ * Tests for structured metric query building.
+ */
+
+import { describe, it, expect } from "vitest";
+import { buildMetricQuery, formulaReferences, validateFormulas } from "#utils/metricQuery.js";
+
+describe("metricQuery utils", () => {
+  describe("buildMetricQuery", () => {
+    it("should default to avg over all scopes", () => {
+      expect(buildMetricQuery({ metric: "system.cpu.user" })).toBe("avg:system.cpu.user{*}");
+    });
+
+    it("should add aggregator, scope, grouping and rollup", () => {
+      expect(
+        buildMetricQuery({
+          metric: "trace.http.request.duration",
+          aggregator: "p95",
+          filter: "service:api,env:prod",
+          groupBy: ["host", "region"],
+          rollup: { method: "max", seconds: 300 },
+        })
+      ).toBe(
+        "p95:trace.http.request.duration{service:api,env:prod} by {host,region}.rollup(max, 300)"
+      );
+      expect(buildMetricQuery({ metric: "a.b", rollup: { method: "count" } })).toBe(
+        "avg:a.b{*}.rollup(count)"
+      );
+    });
+
+    it("should reject invalid fields", () => {
+      expect(() => buildMetricQuery({ metric: "avg:system.cpu{*}" })).toThrow(
+        "Invalid metric name"
+      );
+      expect(() => buildMetricQuery({ metric: "a.b", aggregator: "median" })).toThrow(
+        'Invalid aggregator "median"'
+      );
+      expect(() => buildMetricQuery({ metric: "a.b", filter: "host:x}" })).toThrow(
+        "filter must not contain"
+      );
+      expect(() => buildMetricQuery({ metric: "a.b", groupBy: ["host,env"] })).toThrow(
+        "groupBy must be a list of tag keys"
+      );
+      expect(() => buildMetricQuery({ metric: "a.b", rollup: { method: "p99" } })).toThrow(
+        'Invalid rollup method "p99"'
+      );
+      expect(() =>
+        buildMetricQuery({ metric: "a.b", rollup: { method: "sum", seconds: 0 } })
+      ).toThrow("rollup.seconds must be a positive integer");
+    });
+  });
+
+  describe("formulaReferences", () => {
+    it("should return query names but not function names", () => {
+      expect(formulaReferences("abs(a - b) / total * 100")).toEqual(["a", "b", "total"]);
+      expect(formulaReferences("per_minute(errors)")).toEqual(["errors"]);
+    });
+  });
+
+  describe("validateFormulas", () => {
+    const queries = [{ name: "a" }, { name: "b" }];
+
+    it("should accept formulas over defined queries", () => {
+      expect(() => validateFormulas(queries, ["a / b", "a"])).not.toThrow();
+    });
+
+    it("should reject invalid or duplicate query names", () => {
+      expect(() => validateFormulas([{ name: "A-1" }], ["x"])).toThrow('Invalid query name "A-1"');
+      expect(() => validateFormulas([{ name: "a" }, { name: "a" }], ["a"])).toThrow(
+        'Duplicate query name "a"'
+      );
+    });
+
+    it("should reject empty formulas and unknown references", () => {
+      expect(() => validateFormulas(queries, [""])).toThrow("Formulas must be non-empty strings");
+      expect(() => validateFormulas(queries, ["a + c + d"])).toThrow(
+        'Formula "a + c + d" references unknown queries c, d. Defined queries: a, b'
+      );
+    });
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Tests for the local metric query syntax check.
+ */
+
+import { describe, it, expect } from "vitest";
+import { lintMetricQuery } from "#utils/metricQueryLint.js";
+
+describe("metricQueryLint utils", () => {
+  describe("valid queries", () => {
+    it.each([
+      "avg:system.cpu.user{*}",
+      "sum:trace.hits{env:prod,service:api} by {host}.rollup(sum, 60)",
+      "top(sum:trace.hits{env:prod} by {host}.rollup(sum, 60), 5, 'mean', 'desc') / 2",
+      "sum:a.b{*} / sum:c.d{*} * 100",
+      "abs(avg:a{*}) + per_second(sum:b{*}.as_count())",
+      "sum:x{env:prod AND (service:a OR service:b)} by {host,env}",
+      "anomalies(avg:x{*}, 'basic', 2)",
+      "timeshift(avg:x{*}, -3600)",
+      "sum:x{*}.fill(zero, 300).as_count()",
+    ])("should accept %s", (query) => {
+      expect(lintMetricQuery(query)).toEqual({ valid: true, errors: [], warnings: [] });
+    });
+  });
+
+  describe("aggregator and metric", () => {
+    it("should warn about a missing aggregator and require a scope", () => {
+      const result = lintMetricQuery("system.cpu.user");
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([
+        {
+          position: 15,
+          end: 15,
+          fix: "{*}",
+          message: 'Missing scope after metric name "system.cpu.user"; use {*} for all sources',
+        },
+      ]);
+      expect(result.warnings[0]).toMatchObject({ position: 0, fix: "avg:" });
+      expect(result.suggestedQuery).toBe("avg:system.cpu.user{*}");
+    });
+
+    it("should suggest accepted aggregators and fix key=value tags", () => {
+      const result = lintMetricQuery("average:system.cpu.user{env=prod}");
+
+      expect(result.errors.map((e) => [e.position, e.fix])).toEqual([
+        [0, "avg"],
+        [24, "env:prod"],
+      ]);
+      expect(result.suggestedQuery).toBe("avg:system.cpu.user{env:prod}");
+    });
+
+    it("should reject a space between the metric and the scope", () => {
+      expect(lintMetricQuery("sum:x {*}").suggestedQuery).toBe("sum:x{*}");
+    });
+
+    it.each([
+      ["avg :x{*}", 3, 'Unexpected space before ":"'],
+      ["avg: x{*}", 4, 'Unexpected space after ":"'],
+    ])("should treat %j as a misplaced colon", (query, position, message) => {
+      const result = lintMetricQuery(query);
+
+      expect(result.errors).toEqual([{ position, end: position + 1, fix: "", message }]);
+      expect(result.suggestedQuery).toBe("avg:x{*}");
+    });
+  });
+
+  describe("scope", () => {
+    it.each([
+      ["sum:x{env:prod", "Unclosed scope opened at position 5", "sum:x{env:prod}"],
+      ["sum:x{}", "Empty scope; use {*} for all sources", "sum:x{*}"],
+      ["sum:x{a:b,,c:d}", "Empty tag in scope", "sum:x{a:b,c:d}"],
+      ["sum:x{env: prod}", 'Unexpected space after "env:"', "sum:x{env:prod}"],
+    ])("should report %s", (query, message, suggestedQuery) => {
+      const result = lintMetricQuery(query);
+
+      expect(result.valid).toBe(false);
+      expect(result.errors[0].message).toBe(message);
+      expect(result.suggestedQuery).toBe(suggestedQuery);
+    });
+  });
+
+  describe("group by and methods", () => {
+    it.each([
+      ["sum:x{env:prod} by host", 19, "sum:x{env:prod} by {host}"],
+      ["sum:x{env:prod} by {env:prod}", 20, "sum:x{env:prod} by {env}"],
+      ["sum:x{env:prod}.rolup(sum)", 16, "sum:x{env:prod}.rollup(sum)"],
+      ["sum:x{env:prod}.rollup(total, 60)", 23, "sum:x{env:prod}.rollup(sum, 60)"],
+      ["sum:x{*}.as_count(5)", 18, "sum:x{*}.as_count()"],
+      ["sum:x{*}.rollup(sum, 60", 23, "sum:x{*}.rollup(sum, 60)"],
+    ])("should locate and fix %s", (query, position, suggestedQuery) => {
+      const result = lintMetricQuery(query);
+
+      expect(result.errors[0].position).toBe(position);
+      expect(result.suggestedQuery).toBe(suggestedQuery);
+    });
+
+    it.each(["avg:x{*} by", "x{*}.rollup("])(
+      "should not suggest a fix that is still invalid for %j",
+      (query) => {
+        const result = lintMetricQuery(query);
+
+        expect(result.valid).toBe(false);
+        expect(result.suggestedQuery).toBeUndefined();
+      }
+    );
+
+    it("should reject a non-numeric rollup interval", () => {
+      const result = lintMetricQuery("sum:x{*}.rollup(sum, 1m)");
+
+      expect(result.errors[0].message).toContain("optional interval in seconds");
+      expect(result.suggestedQuery).toBeUndefined();
+    });
+  });
+
+  describe("expressions", () => {
+    it("should warn about unknown functions with a suggestion", () => {
+      const result = lintMetricQuery("per_secnd(sum:x{*})");
+
+      expect(result.valid).toBe(true);
+      expect(result.warnings[0]).toMatchObject({ position: 0, fix: "per_second" });
+    });
+
+    it.each([
+      ["sum:x{*})", 8, 'Unmatched ")"'],
+      ["sum:x{*} sum:y{*}", 9, "join queries with +, -, * or /"],
+      ["abs(sum:x{*}", 12, 'Expected ")" to close abs('],
+      ["", 0, "Expected a metric query, found end of query"],
+    ])("should report structural errors in %j", (query, position, message) => {
+      const result = lintMetricQuery(query);
+
+      expect(result.valid).toBe(false);
+      expect(result.errors[0].position).toBe(position);
+      expect(result.errors[0].message).toContain(message);
+    });
+  });
+});
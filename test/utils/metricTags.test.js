@@ -0,0 +1,79 @@
+/**
+ * Tests for metric tag discovery helpers.
+ */
+
+import { describe, it, expect } from "vitest";
+import {
+  groupTagsByKey,
+  closestMatches,
+  requiredFilterTags,
+  suggestFilterTags,
+} from "#utils/metricTags.js";
+
+const TAGS = ["env:prod", "env:staging", "service:api", "service:checkout", "host:web-1", "canary"];
+
+describe("metricTags utils", () => {
+  describe("groupTagsByKey", () => {
+    it("should group sorted values by key and keep bare tags as keys", () => {
+      const groups = groupTagsByKey([...TAGS, "env:prod"]);
+
+      expect([...groups.keys()]).toEqual(["canary", "env", "host", "service"]);
+      expect(groups.get("env")).toEqual(["prod", "staging"]);
+      expect(groups.get("canary")).toEqual([]);
+    });
+
+    it("should handle values containing colons and missing tags", () => {
+      expect(groupTagsByKey(["url:http://x"]).get("url")).toEqual(["http://x"]);
+      expect(groupTagsByKey(undefined).size).toBe(0);
+    });
+  });
+
+  describe("closestMatches", () => {
+    it("should prefer containment, then edit distance", () => {
+      expect(closestMatches("prod", ["staging", "prd", "production"])).toEqual([
+        "production",
+        "prd",
+      ]);
+      expect(closestMatches("Chekout", ["checkout", "api"])).toEqual(["checkout"]);
+    });
+
+    it("should skip exact and distant candidates and honor the limit", () => {
+      expect(closestMatches("api", ["api", "web"])).toEqual([]);
+      expect(closestMatches("web", ["web-1", "web-2", "web-3", "web-4"], 2)).toEqual([
+        "web-1",
+        "web-2",
+      ]);
+    });
+  });
+
+  describe("requiredFilterTags", () => {
+    it("should skip operators, negations and wildcards", () => {
+      expect(
+        requiredFilterTags("env:prod AND (service:api OR service:web),!host:a,-host:b,host:web-*")
+      ).toEqual(["env:prod", "service:api", "service:web"]);
+      expect(requiredFilterTags("")).toEqual([]);
+    });
+  });
+
+  describe("suggestFilterTags", () => {
+    it("should suggest close values for known keys", () => {
+      expect(suggestFilterTags("env:production,service:api", TAGS)).toEqual([
+        { tag: "env:production", reason: "unknown_value", suggestions: ["env:prod"] },
+      ]);
+    });
+
+    it("should suggest close keys, keeping the value when that tag exists", () => {
+      expect(suggestFilterTags("servce:api,hst:db", TAGS)).toEqual([
+        { tag: "servce:api", reason: "unknown_key", suggestions: ["service:api"] },
+        { tag: "hst:db", reason: "unknown_key", suggestions: ["host"] },
+      ]);
+    });
+
+    it("should suggest close bare tags and report tags with no close match", () => {
+      expect(suggestFilterTags("canry,region:eu", TAGS)).toEqual([
+        { tag: "canry", reason: "unknown_key", suggestions: ["canary"] },
+        { tag: "region:eu", reason: "unknown_key", suggestions: [] },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Tests for Datadog credential profiles.
+ */
+
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { loadProfiles } from "#utils/profiles.js";
+import { InvalidConfigurationError } from "#utils/errors.js";
+
+const US = { apiKey: "us-api", appKey: "us-app" };
+const EU = { apiKey: "eu-api", appKey: "eu-app", site: "datadoghq.eu" };
+
+describe("profiles utils", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "mcp-profiles-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should build a default profile from the single-org variables", () => {
+    const { profiles, defaultOrg } = loadProfiles({
+      datadogApiKey: "key",
+      datadogAppKey: "app",
+      datadogSite: "us5.datadoghq.com",
+    });
+
+    expect(defaultOrg).toBe("default");
+    expect(profiles.get("default")).toEqual({
+      name: "default",
+      apiKey: "key",
+      appKey: "app",
+      site: "us5.datadoghq.com",
+    });
+  });
+
+  it("should load profiles from DATADOG_PROFILES JSON", () => {
+    const { profiles, defaultOrg } = loadProfiles({
+      datadogProfiles: JSON.stringify({ us: US, eu: EU }),
+    });
+
+    expect([...profiles.keys()]).toEqual(["us", "eu"]);
+    expect(profiles.get("us").site).toBe("datadoghq.com");
+    expect(profiles.get("eu").site).toBe("datadoghq.eu");
+    expect(defaultOrg).toBe("us");
+  });
+
+  it("should combine the environment profile, a profiles file and JSON", () => {
+    const file = path.join(dir, "profiles.json");
+    fs.writeFileSync(file, JSON.stringify({ eu: EU }));
+
+    const { profiles, defaultOrg } = loadProfiles({
+      datadogApiKey: "key",
+      datadogAppKey: "app",
+      datadogProfilesFile: file,
+      datadogProfiles: JSON.stringify({ us: US }),
+      datadogDefaultOrg: "eu",
+    });
+
+    expect([...profiles.keys()]).toEqual(["default", "eu", "us"]);
+    expect(defaultOrg).toBe("eu");
+  });
+
+  it("should reject invalid configuration", () => {
+    expect(() => loadProfiles({})).toThrow("No Datadog credentials configured");
+    expect(() => loadProfiles({ datadogProfiles: "{nope" })).toThrow(
+      "Invalid JSON in DATADOG_PROFILES"
+    );
+    expect(() => loadProfiles({ datadogProfiles: "[]" })).toThrow("must be an object");
+    expect(() =>
+      loadProfiles({ datadogProfiles: JSON.stringify({ eu: { apiKey: "x" } }) })
+    ).toThrow('Profile "eu" in DATADOG_PROFILES is missing "appKey"');
+    expect(() => loadProfiles({ datadogProfiles: JSON.stringify({ "e u": EU }) })).toThrow(
+      'Invalid org name "e u"'
+    );
+    expect(() =>
+      loadProfiles({ datadogProfiles: JSON.stringify({ us: US }), datadogDefaultOrg: "eu" })
+    ).toThrow(InvalidConfigurationError);
+    expect(() => loadProfiles({ datadogProfilesFile: path.join(dir, "missing.json") })).toThrow(
+      "Could not read DATADOG_PROFILES_FILE"
+    );
+  });
+
+  it("should accept an apiUrl override and trim trailing slashes", () => {
+    const { profiles } = loadProfiles({
+      datadogApiKey: "key",
+      datadogAppKey: "app",
+      datadogApiUrl: "http://127.0.0.1:4010/",
+      datadogProfiles: JSON.stringify({ eu: { ...EU, apiUrl: "https://proxy.internal" } }),
+    });
+
+    expect(profiles.get("default").apiUrl).toBe("http://127.0.0.1:4010");
+    expect(profiles.get("eu").apiUrl).toBe("https://proxy.internal");
+    expect(() =>
+      loadProfiles({ datadogProfiles: JSON.stringify({ eu: { ...EU, apiUrl: "localhost" } }) })
+    ).toThrow('Profile "eu" in DATADOG_PROFILES has an invalid "apiUrl"');
+  });
+
+  it("should reject an org defined twice", () => {
+    expect(() =>
+      loadProfiles({
+        datadogApiKey: "key",
+        datadogAppKey: "app",
+        datadogProfiles: JSON.stringify({ default: US }),
+      })
+    ).toThrow('Org "default" is defined more than once');
+  });
+});
@@ -0,0 +1,338 @@
+/**
+ * Tests for the shared retry/backoff policy.
+ */
+
+import { describe, it, expect, vi } from "vitest";
+import { client } from "@datadog/datadog-api-client";
+import {
+  DEFAULT_RETRY_POLICY,
+  computeBackoffMs,
+  createRetryingFetch,
+  getRetryAfterMs,
+  isRetryableError,
+  resolveRetryPolicy,
+  trackRetries,
+  withRetry,
+} from "#utils/retry.js";
+import { ApiClient } from "#utils/apiClient.js";
+import { DatadogClientError } from "#utils/errors.js";
+import { MetricsClient } from "#clients/metricsClient.js";
+import { createMockConfig, getFetchMock } from "#test/helpers.js";
+
+const noSleep = () => Promise.resolve();
+
+function httpError(statusCode, extra = {}) {
+  return Object.assign(new Error(`HTTP ${statusCode}`), { statusCode }, extra);
+}
+
+function response(status, headers = {}) {
+  return { ok: status < 400, status, headers: new Headers(headers), json: async () => ({}) };
+}
+
+describe("retry utils", () => {
+  describe("resolveRetryPolicy", () => {
+    it("should fill in defaults", () => {
+      expect(resolveRetryPolicy()).toEqual(DEFAULT_RETRY_POLICY);
+    });
+
+    it("should accept numeric strings and ignore invalid values", () => {
+      expect(resolveRetryPolicy({ maxRetries: "5", baseDelayMs: "abc", deadlineMs: -1 })).toEqual({
+        ...DEFAULT_RETRY_POLICY,
+        maxRetries: 5,
+      });
+    });
+  });
+
+  describe("getRetryAfterMs", () => {
+    it("should read X-RateLimit-Reset seconds", () => {
+      expect(getRetryAfterMs(new Headers({ "X-RateLimit-Reset": "7" }))).toBe(7000);
+    });
+
+    it("should read Retry-After seconds from a plain object", () => {
+      expect(getRetryAfterMs({ "Retry-After": "2" })).toBe(2000);
+    });
+
+    it("should read Retry-After HTTP dates", () => {
+      const now = Date.UTC(2024, 0, 1, 0, 0, 0);
+      const headers = { "retry-after": new Date(now + 3000).toUTCString() };
+      expect(getRetryAfterMs(headers, now)).toBe(3000);
+    });
+
+    it("should return null without rate-limit headers", () => {
+      expect(getRetryAfterMs(new Headers())).toBeNull();
+      expect(getRetryAfterMs(undefined)).toBeNull();
+    });
+  });
+
+  describe("computeBackoffMs", () => {
+    it("should grow exponentially and respect the cap", () => {
+      const policy = resolveRetryPolicy({ baseDelayMs: 100, maxDelayMs: 1000 });
+      expect(computeBackoffMs(0, policy, () => 0.999)).toBe(100);
+      expect(computeBackoffMs(2, policy, () => 0.999)).toBe(400);
+      expect(computeBackoffMs(10, policy, () => 0.999)).toBe(999);
+      expect(computeBackoffMs(3, policy, () => 0)).toBe(0);
+    });
+  });
+
+  describe("isRetryableError", () => {
+    it("should retry rate limits, server errors and timeouts", () => {
+      expect(isRetryableError(httpError(429))).toBe(true);
+      expect(isRetryableError(httpError(503))).toBe(true);
+      expect(isRetryableError({ code: 502, body: {} })).toBe(true);
+      expect(isRetryableError(new DOMException("timed out", "TimeoutError"))).toBe(true);
+      expect(
+        isRetryableError(
+          new DatadogClientError("Request timeout", null, new DOMException("", "AbortError"))
+        )
+      ).toBe(true);
+    });
+
+    it("should not retry client errors or unknown failures", () => {
+      expect(isRetryableError(httpError(400))).toBe(false);
+      expect(isRetryableError(httpError(404))).toBe(false);
+      expect(isRetryableError(new Error("boom"))).toBe(false);
+    });
+  });
+
+  describe("withRetry", () => {
+    it("should retry until the operation succeeds", async () => {
+      const operation = vi
+        .fn()
+        .mockRejectedValueOnce(httpError(429))
+        .mockRejectedValueOnce(httpError(500))
+        .mockResolvedValue("ok");
+
+      await expect(withRetry(operation, {}, { sleep: noSleep })).resolves.toBe("ok");
+      expect(operation).toHaveBeenCalledTimes(3);
+    });
+
+    it("should not retry non-retryable errors", async () => {
+      const operation = vi.fn().mockRejectedValue(httpError(403));
+
+      await expect(withRetry(operation, {}, { sleep: noSleep })).rejects.toThrow("HTTP 403");
+      expect(operation).toHaveBeenCalledTimes(1);
+    });
+
+    it("should give up after maxRetries", async () => {
+      const operation = vi.fn().mockRejectedValue(httpError(503));
+
+      await expect(withRetry(operation, { maxRetries: 2 }, { sleep: noSleep })).rejects.toThrow(
+        "HTTP 503"
+      );
+      expect(operation).toHaveBeenCalledTimes(3);
+    });
+
+    it("should wait for the server-requested delay", async () => {
+      const sleep = vi.fn(noSleep);
+      const operation = vi
+        .fn()
+        .mockRejectedValueOnce(httpError(429, { headers: { "x-ratelimit-reset": "4" } }))
+        .mockResolvedValue("ok");
+
+      await withRetry(operation, {}, { sleep });
+      expect(sleep).toHaveBeenCalledWith(4000);
+    });
+
+    it("should use jittered backoff without headers", async () => {
+      const sleep = vi.fn(noSleep);
+      const operation = vi
+        .fn()
+        .mockRejectedValueOnce(httpError(500))
+        .mockRejectedValueOnce(httpError(500))
+        .mockResolvedValue("ok");
+
+      await withRetry(operation, { baseDelayMs: 200 }, { sleep, random: () => 0.5 });
+      expect(sleep.mock.calls).toEqual([[100], [200]]);
+    });
+
+    it("should give up when the next retry would pass the deadline", async () => {
+      const sleep = vi.fn(noSleep);
+      const operation = vi
+        .fn()
+        .mockRejectedValue(httpError(429, { headers: { "x-ratelimit-reset": "60" } }));
+
+      await expect(withRetry(operation, { deadlineMs: 5000 }, { sleep })).rejects.toThrow(
+        "HTTP 429"
+      );
+      expect(operation).toHaveBeenCalledTimes(1);
+      expect(sleep).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("createRetryingFetch", () => {
+    it("should retry retryable responses", async () => {
+      const fetchImpl = vi
+        .fn()
+        .mockResolvedValueOnce(response(503))
+        .mockResolvedValueOnce(response(429, { "Retry-After": "0" }))
+        .mockResolvedValue(response(200));
+      const retryingFetch = createRetryingFetch(fetchImpl, {}, { sleep: noSleep });
+
+      const res = await retryingFetch("https://api.example.com", { method: "GET" });
+
+      expect(res.status).toBe(200);
+      expect(fetchImpl).toHaveBeenCalledTimes(3);
+      expect(fetchImpl).toHaveBeenCalledWith("https://api.example.com", { method: "GET" });
+    });
+
+    it("should return the last response once retries are exhausted", async () => {
+      const fetchImpl = vi.fn().mockResolvedValue(response(502));
+      const retryingFetch = createRetryingFetch(fetchImpl, { maxRetries: 1 }, { sleep: noSleep });
+
+      const res = await retryingFetch("https://api.example.com");
+
+      expect(res.status).toBe(502);
+      expect(fetchImpl).toHaveBeenCalledTimes(2);
+    });
+
+    it("should retry only rate limits with rateLimitOnly", async () => {
+      const fetchImpl = vi
+        .fn()
+        .mockResolvedValueOnce(response(429, { "Retry-After": "0" }))
+        .mockResolvedValueOnce(response(503))
+        .mockRejectedValue(Object.assign(new Error("timed out"), { name: "TimeoutError" }));
+      const retryingFetch = createRetryingFetch(
+        fetchImpl,
+        {},
+        { sleep: noSleep, rateLimitOnly: true }
+      );
+
+      const res = await retryingFetch("https://api.example.com", { method: "POST" });
+      await expect(retryingFetch("https://api.example.com", { method: "POST" })).rejects.toThrow(
+        "timed out"
+      );
+
+      expect(res.status).toBe(503);
+      expect(fetchImpl).toHaveBeenCalledTimes(3);
+    });
+
+    it("should not retry a request its caller aborted", async () => {
+      const controller = new AbortController();
+      controller.abort();
+      const fetchImpl = vi
+        .fn()
+        .mockRejectedValue(Object.assign(new Error("aborted"), { name: "AbortError" }));
+      const retryingFetch = createRetryingFetch(fetchImpl, {}, { sleep: noSleep });
+
+      await expect(
+        retryingFetch("https://api.example.com", { signal: controller.signal })
+      ).rejects.toThrow("aborted");
+      expect(fetchImpl).toHaveBeenCalledTimes(1);
+    });
+
+    it("should stop waiting for a retry when the request is aborted", async () => {
+      vi.useFakeTimers();
+      try {
+        const controller = new AbortController();
+        const fetchImpl = vi.fn().mockResolvedValue(response(429, { "Retry-After": "20" }));
+        const retryingFetch = createRetryingFetch(fetchImpl);
+
+        const pending = retryingFetch("https://api.example.com", { signal: controller.signal });
+        await vi.advanceTimersByTimeAsync(1000);
+        controller.abort();
+        const res = await pending;
+
+        expect(res.status).toBe(429);
+        expect(fetchImpl).toHaveBeenCalledTimes(1);
+        expect(vi.getTimerCount()).toBe(0);
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+
+    it("should rethrow non-retryable fetch errors", async () => {
+      const fetchImpl = vi.fn().mockRejectedValue(new Error("Failed to fetch"));
+      const retryingFetch = createRetryingFetch(fetchImpl, {}, { sleep: noSleep });
+
+      await expect(retryingFetch("https://api.example.com")).rejects.toThrow("Failed to fetch");
+      expect(fetchImpl).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe("trackRetries", () => {
+    it("should count retries made inside the tracked call", async () => {
+      const operation = vi.fn().mockRejectedValueOnce(httpError(500)).mockResolvedValue("done");
+
+      const outcome = await trackRetries(() => withRetry(operation, {}, { sleep: noSleep }));
+
+      expect(outcome).toEqual({ result: "done", retries: 1 });
+    });
+
+    it("should report the error and retry count on failure", async () => {
+      const operation = vi.fn().mockRejectedValue(httpError(500));
+
+      const outcome = await trackRetries(() =>
+        withRetry(operation, { maxRetries: 2 }, { sleep: noSleep })
+      );
+
+      expect(outcome.error.message).toBe("HTTP 500");
+      expect(outcome.retries).toBe(2);
+    });
+  });
+
+  describe("client integration", () => {
+    it("should retry ApiClient requests on server errors", async () => {
+      const fetchMock = getFetchMock();
+      fetchMock
+        .mockResolvedValueOnce(response(503))
+        .mockResolvedValueOnce({ ...response(200), json: async () => ({ ok: true }) });
+      const api = new ApiClient({ baseUrl: "https://api.example.com", retry: { baseDelayMs: 0 } });
+
+      const { data, error } = await api.get("/v1/thing");
+
+      expect(error).toBeNull();
+      expect(data).toEqual({ ok: true });
+      expect(fetchMock).toHaveBeenCalledTimes(2);
+    });
+
+    it("should surface the final ApiClient error after retries", async () => {
+      const fetchMock = getFetchMock();
+      const rateLimited = response(429, { "X-RateLimit-Reset": "0" });
+      fetchMock
+        .mockResolvedValueOnce(rateLimited)
+        .mockResolvedValueOnce(rateLimited)
+        .mockResolvedValueOnce(rateLimited);
+      const api = new ApiClient({ baseUrl: "https://api.example.com", retry: { maxRetries: 2 } });
+
+      const { data, error } = await api.get("/v1/thing");
+
+      expect(data).toBeNull();
+      expect(error.statusCode).toBe(429);
+      expect(fetchMock).toHaveBeenCalledTimes(3);
+    });
+
+    it("should not resend a metric submission after a server error", async () => {
+      vi.mocked(client.createConfiguration).mockClear();
+      const metricsClient = new MetricsClient(createMockConfig());
+      const fetchMock = getFetchMock();
+      fetchMock.mockReset();
+      fetchMock.mockResolvedValue(response(503));
+
+      // The intake API gets its own configuration, built after the shared one
+      const [[shared], [intake]] = vi.mocked(client.createConfiguration).mock.calls;
+      const submitted = await intake.fetch("https://api.datadoghq.com/api/v2/series", {
+        method: "POST",
+      });
+
+      expect(metricsClient.metricsIntakeApi).toBeDefined();
+      expect(submitted.status).toBe(503);
+      expect(fetchMock).toHaveBeenCalledTimes(1);
+
+      fetchMock.mockReset();
+      fetchMock.mockResolvedValueOnce(response(503)).mockResolvedValue(response(200));
+      const queried = await shared.fetch("https://api.datadoghq.com/api/v1/query");
+      expect(queried.status).toBe(200);
+      expect(fetchMock).toHaveBeenCalledTimes(2);
+    });
+
+    it("should install a retrying fetch in the SDK configuration", () => {
+      vi.mocked(client.createConfiguration).mockClear();
+
+      const metricsClient = new MetricsClient({ ...createMockConfig(), retry: { maxRetries: 1 } });
+
+      expect(metricsClient.metricsApi).toBeDefined();
+      const [options] = vi.mocked(client.createConfiguration).mock.calls[0];
+      expect(typeof options.fetch).toBe("function");
+    });
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Tests for markdown and sparkline renderings.
+ */
+
+import { describe, it, expect } from "vitest";
+import {
+  sparkline,
+  formatNumber,
+  renderTable,
+  renderSeries,
+  renderRows,
+  describeTimeRange,
+} from "#utils/seriesFormat.js";
+
+const points = (values) => values.map((v, i) => [1767866400000 + i * 60000, v]);
+
+describe("seriesFormat utils", () => {
+  describe("sparkline", () => {
+    it("should scale values onto eight levels", () => {
+      expect(sparkline([1, 2, 3, 4, 5, 6, 7, 8])).toBe("▁▂▃▄▅▆▇█");
+      expect(sparkline(points([0, 10, 5]))).toBe("▁█▅");
+    });
+
+    it("should render gaps as spaces and flat series at mid height", () => {
+      expect(sparkline([1, null, 3, 3])).toBe("▁ ██");
+      expect(sparkline([4, 4, 4])).toBe("▄▄▄");
+      expect(sparkline([])).toBe("");
+    });
+
+    it("should average long series into the width", () => {
+      const line = sparkline(
+        Array.from({ length: 100 }, (_, i) => i),
+        10
+      );
+
+      expect(line).toHaveLength(10);
+      expect(line[0]).toBe("▁");
+      expect(line.at(-1)).toBe("█");
+    });
+  });
+
+  describe("formatNumber", () => {
+    it("should format numbers compactly", () => {
+      expect(formatNumber(1234567)).toBe("1.235M");
+      expect(formatNumber(12.3456)).toBe("12.35");
+      expect(formatNumber(0.012345)).toBe("0.01235");
+      expect(formatNumber(null)).toBe("-");
+    });
+  });
+
+  describe("renderTable", () => {
+    it("should escape cells and show missing values as dashes", () => {
+      expect(renderTable(["service", "value"], [{ service: "a|b", value: null }])).toBe(
+        "| service | value |\n| --- | --- |\n| a\\|b | - |"
+      );
+      expect(renderTable(["value"], [])).toBe("_No rows_");
+    });
+  });
+
+  describe("renderSeries", () => {
+    const series = [
+      { label: "host:web-1", points: points([1, 2, 3]) },
+      { label: "host:web-2", points: [] },
+    ];
+
+    it("should render a markdown table of statistics with a sparkline per series", () => {
+      const text = renderSeries(series, "markdown", {
+        title: "avg:system.cpu.user{*} by {host}",
+        details: [describeTimeRange({ from: "a", to: "b", timezone: "Europe/Paris" })],
+        notes: ["Partial results"],
+      });
+
+      expect(text).toBe(
+        [
+          "**avg:system.cpu.user{*} by {host}**",
+          "a → b (Europe/Paris)",
+          "",
+          "| Series | Points | Min | Mean | Max | Last | Trend |",
+          "| --- | --- | --- | --- | --- | --- | --- |",
+          "| host:web-1 | 3 | 1 | 2 | 3 | 3 | `▁▅█` |",
+          "| host:web-2 | 0 | - | - | - | - | - |",
+          "",
+          "_Partial results_",
+        ].join("\n")
+      );
+    });
+
+    it("should render aligned sparkline lines", () => {
+      const text = renderSeries(
+        [
+          { label: "long", points: points([1, 2, 3, 4]) },
+          { label: "short", points: points([2, 1]) },
+        ],
+        "sparkline"
+      );
+
+      expect(text).toBe(
+        [
+          "```text",
+          "▁▃▆█  long  min 1 · max 4 · last 4",
+          "█▁    short  min 1 · max 2 · last 1",
+          "```",
+        ].join("\n")
+      );
+    });
+
+    it("should cap rendered series and handle an empty result", () => {
+      const many = Array.from({ length: 52 }, (_, i) => ({ label: `s${i}`, points: points([i]) }));
+
+      expect(renderSeries(many, "markdown")).toContain("_2 more series not shown_");
+      expect(renderSeries([], "sparkline", { title: "q" })).toBe("**q**\n\n_No series_");
+    });
+  });
+
+  describe("renderRows", () => {
+    it("should frame a table", () => {
+      expect(renderRows(["value"], [{ value: 3 }], { details: ["filter: *"] })).toBe(
+        "filter: *\n\n| value |\n| --- |\n| 3 |"
+      );
+    });
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Tests for series statistics and downsampling.
+ */
+
+import { describe, it, expect } from "vitest";
+import { summarizeSeries, downsampleLttb, compareSummaries } from "#utils/seriesStats.js";
+
+const HOUR = 60 * 60 * 1000;
+
+describe("seriesStats utils", () => {
+  describe("summarizeSeries", () => {
+    it("should compute statistics over all points", () => {
+      const points = [
+        [0, 1],
+        [HOUR, 2],
+        [2 * HOUR, 3],
+        [3 * HOUR, 4],
+        [4 * HOUR, 5],
+      ];
+
+      const summary = summarizeSeries(points);
+
+      expect(summary).toMatchObject({
+        count: 5,
+        min: 1,
+        max: 5,
+        mean: 3,
+        last: 5,
+        lastTimestamp: 4 * HOUR,
+        p50: 3,
+        p95: 4.8,
+        p99: 4.96,
+        slopePerHour: 1,
+      });
+      expect(summary.stdDev).toBeCloseTo(Math.SQRT2, 5);
+    });
+
+    it("should report the point furthest from the median as the spike", () => {
+      const points = [
+        [1000, 10],
+        [2000, 11],
+        [3000, 95],
+        [4000, 10],
+        [5000, 9],
+      ];
+
+      const { spike } = summarizeSeries(points);
+
+      expect(spike.timestamp).toBe(3000);
+      expect(spike.value).toBe(95);
+      expect(spike.deviation).toBe(85);
+      expect(spike.zScore).toBeGreaterThan(1.9);
+    });
+
+    it("should ignore gaps and handle empty or flat series", () => {
+      expect(summarizeSeries([[1000, null]]).count).toBe(0);
+      expect(summarizeSeries(undefined).mean).toBeNull();
+
+      const flat = summarizeSeries([[1000, 7]]);
+      expect(flat).toMatchObject({ count: 1, mean: 7, stdDev: 0, slopePerHour: null });
+      expect(flat.spike.zScore).toBeNull();
+    });
+  });
+
+  describe("downsampleLttb", () => {
+    const points = Array.from({ length: 1000 }, (_, i) => [
+      i * 1000,
+      i === 500 ? 100 : Math.sin(i / 50),
+    ]);
+
+    it("should keep the budget, the endpoints and the peaks", () => {
+      const sampled = downsampleLttb(points, 50);
+
+      expect(sampled).toHaveLength(50);
+      expect(sampled[0]).toEqual(points[0]);
+      expect(sampled.at(-1)).toEqual(points.at(-1));
+      expect(sampled).toContainEqual([500000, 100]);
+      expect(sampled.map((p) => p[0])).toEqual([...sampled.map((p) => p[0])].sort((a, b) => a - b));
+    });
+
+    it("should return short series unchanged and drop gaps", () => {
+      expect(downsampleLttb(points.slice(0, 10), 50)).toEqual(points.slice(0, 10));
+      expect(
+        downsampleLttb(
+          [
+            [1, 1],
+            [2, null],
+            [3, 3],
+          ],
+          10
+        )
+      ).toEqual([
+        [1, 1],
+        [3, 3],
+      ]);
+    });
+  });
+
+  describe("compareSummaries", () => {
+    const summary = (values) => summarizeSeries(values.map((v, i) => [i * 1000, v]));
+
+    it("should report delta, percentage change and Welch t statistic", () => {
+      const result = compareSummaries(summary([20, 21, 19, 20]), summary([10, 11, 9, 10]));
+
+      expect(result.delta).toBe(10);
+      expect(result.percentChange).toBe(100);
+      expect(result.tStat).toBeCloseTo(17.32, 1);
+      expect(result.significant).toBe(true);
+    });
+
+    it("should not flag noisy or short windows", () => {
+      const noisy = compareSummaries(summary([1, 30, 2, 29]), summary([10, 12, 11, 13]));
+      const short = compareSummaries(summary([100, 100]), summary([1, 1]));
+
+      expect(noisy.significant).toBe(false);
+      expect(short.significant).toBe(false);
+    });
+
+    it("should handle flat windows, zero baselines and missing data", () => {
+      expect(compareSummaries(summary([5, 5, 5]), summary([3, 3, 3]))).toEqual({
+        delta: 2,
+        percentChange: 66.6667,
+        tStat: null,
+        significant: true,
+      });
+      expect(compareSummaries(summary([1, 2, 3]), summary([0, 0, 0])).percentChange).toBeNull();
+      expect(compareSummaries(summary([]), summary([1, 2, 3]))).toEqual({
+        delta: null,
+        percentChange: null,
+        tStat: null,
+        significant: false,
+      });
+    });
+  });
+});
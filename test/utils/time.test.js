@@ -0,0 +1,161 @@
+/**
+ * Tests for the shared time parsing module.
+ */
+
+import { describe, it, expect } from "vitest";
+import { parseTime, resolveTimeRange, isAbsoluteTime, DEFAULT_RANGE_MS } from "#utils/time.js";
+
+// Wednesday 2024-03-13 14:37:25.500 UTC
+const NOW = Date.UTC(2024, 2, 13, 14, 37, 25, 500);
+const iso = (ms) => new Date(ms).toISOString();
+
+describe("time utils", () => {
+  describe("parseTime", () => {
+    it("should treat small numbers as Unix seconds", () => {
+      expect(parseTime(1609459200)).toBe(1609459200000);
+    });
+
+    it("should treat large numbers as Unix milliseconds", () => {
+      expect(parseTime(1609459200000)).toBe(1609459200000);
+    });
+
+    it("should parse numeric strings with the same heuristic", () => {
+      expect(parseTime("1609459200")).toBe(1609459200000);
+      expect(parseTime("1609459200000")).toBe(1609459200000);
+    });
+
+    it("should parse ISO 8601 strings with an offset", () => {
+      expect(parseTime("2021-01-01T01:00:00+01:00")).toBe(Date.UTC(2021, 0, 1));
+    });
+
+    it("should interpret ISO strings without an offset in the requested timezone", () => {
+      expect(parseTime("2024-01-15T09:00:00")).toBe(Date.UTC(2024, 0, 15, 9));
+      expect(parseTime("2024-01-15T09:00:00", { timezone: "Europe/Paris" })).toBe(
+        Date.UTC(2024, 0, 15, 8)
+      );
+      expect(parseTime("2024-07-15", { timezone: "America/New_York" })).toBe(
+        Date.UTC(2024, 6, 15, 4)
+      );
+    });
+
+    it("should parse relative expressions", () => {
+      expect(parseTime("now", { now: NOW })).toBe(NOW);
+      expect(parseTime("now-15m", { now: NOW })).toBe(NOW - 15 * 60 * 1000);
+      expect(parseTime("now-1h+30m", { now: NOW })).toBe(NOW - 30 * 60 * 1000);
+      expect(parseTime("now-1w", { now: NOW })).toBe(NOW - 7 * 24 * 3600 * 1000);
+    });
+
+    it("should round relative expressions to calendar units", () => {
+      expect(parseTime("now/d", { now: NOW })).toBe(Date.UTC(2024, 2, 13));
+      expect(parseTime("now-1d/d", { now: NOW })).toBe(Date.UTC(2024, 2, 12));
+      expect(parseTime("now/w", { now: NOW })).toBe(Date.UTC(2024, 2, 11));
+      expect(parseTime("now/M", { now: NOW })).toBe(Date.UTC(2024, 2, 1));
+      expect(parseTime("now/h", { now: NOW })).toBe(Date.UTC(2024, 2, 13, 14));
+    });
+
+    it("should round to days in the requested timezone", () => {
+      expect(parseTime("now/d", { now: NOW, timezone: "Asia/Tokyo" })).toBe(
+        Date.UTC(2024, 2, 12, 15)
+      );
+    });
+
+    it("should parse natural phrases", () => {
+      expect(parseTime("15 minutes ago", { now: NOW })).toBe(NOW - 15 * 60 * 1000);
+      expect(parseTime("last 2 hours", { now: NOW })).toBe(NOW - 2 * 3600 * 1000);
+      expect(parseTime("past hour", { now: NOW })).toBe(NOW - 3600 * 1000);
+      expect(parseTime("last 30m", { now: NOW })).toBe(NOW - 30 * 60 * 1000);
+      expect(parseTime("Yesterday", { now: NOW })).toBe(Date.UTC(2024, 2, 12));
+      expect(parseTime("today", { now: NOW })).toBe(Date.UTC(2024, 2, 13));
+      expect(parseTime("this week", { now: NOW })).toBe(Date.UTC(2024, 2, 11));
+    });
+
+    it("should reject unparseable input", () => {
+      expect(() => parseTime("invalid-date")).toThrow("Invalid timestamp format");
+      expect(() => parseTime("now-15q")).toThrow("Invalid timestamp format");
+      expect(() => parseTime({})).toThrow("Invalid timestamp format");
+    });
+
+    it("should reject unknown timezones", () => {
+      expect(() => parseTime("now", { timezone: "Mars/Olympus" })).toThrow("Invalid timezone");
+    });
+  });
+
+  describe("isAbsoluteTime", () => {
+    it("should accept timestamps and ISO strings", () => {
+      expect(isAbsoluteTime(1609459200)).toBe(true);
+      expect(isAbsoluteTime("1609459200000")).toBe(true);
+      expect(isAbsoluteTime("2024-01-15T09:00:00")).toBe(true);
+      expect(isAbsoluteTime("2024-01-15T09:00:00Z")).toBe(true);
+    });
+
+    it("should reject relative expressions, phrases and missing values", () => {
+      expect(isAbsoluteTime("now-15m")).toBe(false);
+      expect(isAbsoluteTime("yesterday")).toBe(false);
+      expect(isAbsoluteTime("last 2 hours")).toBe(false);
+      expect(isAbsoluteTime(undefined)).toBe(false);
+    });
+  });
+
+  describe("resolveTimeRange", () => {
+    it("should default to the last hour", () => {
+      const range = resolveTimeRange(undefined, undefined, { now: NOW });
+
+      expect(range.to).toBe(NOW);
+      expect(range.from).toBe(NOW - DEFAULT_RANGE_MS);
+      expect(range.timeRange).toEqual({ from: iso(NOW - DEFAULT_RANGE_MS), to: iso(NOW) });
+    });
+
+    it("should default from to one hour before an explicit to", () => {
+      const to = Date.UTC(2024, 0, 1, 12);
+      const range = resolveTimeRange(undefined, to, { now: NOW });
+
+      expect(range.from).toBe(to - DEFAULT_RANGE_MS);
+    });
+
+    it("should default to to now for open-ended expressions", () => {
+      const range = resolveTimeRange("now-15m", undefined, { now: NOW });
+
+      expect(range.from).toBe(NOW - 15 * 60 * 1000);
+      expect(range.to).toBe(NOW);
+    });
+
+    it("should use the full span of a bounded period", () => {
+      const yesterday = resolveTimeRange("yesterday", undefined, { now: NOW });
+      expect(yesterday.from).toBe(Date.UTC(2024, 2, 12));
+      expect(yesterday.to).toBe(Date.UTC(2024, 2, 13));
+
+      const rounded = resolveTimeRange("now-1d/d", "now-1d/d", { now: NOW });
+      expect(rounded.from).toBe(Date.UTC(2024, 2, 12));
+      expect(rounded.to).toBe(Date.UTC(2024, 2, 13));
+    });
+
+    it("should resolve a phrase range", () => {
+      const range = resolveTimeRange("last 2 hours", undefined, { now: NOW });
+
+      expect(range.to - range.from).toBe(2 * 3600 * 1000);
+      expect(range.to).toBe(NOW);
+    });
+
+    it("should echo the timezone when one is given", () => {
+      const range = resolveTimeRange("yesterday", undefined, {
+        now: NOW,
+        timezone: "Europe/Paris",
+      });
+
+      expect(range.timeRange).toEqual({
+        from: "2024-03-11T23:00:00.000Z",
+        to: "2024-03-12T23:00:00.000Z",
+        timezone: "Europe/Paris",
+      });
+    });
+
+    it("should handle DST transitions when rounding", () => {
+      // 2024-03-31 is the spring-forward day in Europe/Paris (23 hours long)
+      const now = Date.UTC(2024, 3, 1, 10);
+      const range = resolveTimeRange("yesterday", undefined, { now, timezone: "Europe/Paris" });
+
+      expect(range.timeRange.from).toBe("2024-03-30T23:00:00.000Z");
+      expect(range.timeRange.to).toBe("2024-03-31T22:00:00.000Z");
+    });
+  });
+});
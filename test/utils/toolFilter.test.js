@@ -0,0 +1,181 @@
+/**
+ * Tests for tool enablement (domains, allowlist and denylist).
+ */
+
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { InMemoryTransport } from "@modelcontextprotocol/sdk/inMemory.js";
+import { createToolFilter, loadToolFilterConfig, parseList } from "#utils/toolFilter.js";
+import { InvalidConfigurationError } from "#utils/errors.js";
+import { registerTools, createServer, TOOL_DOMAINS } from "../../src/server.js";
+
+describe("tool filter utils", () => {
+  describe("parseList", () => {
+    it("should split and trim comma-separated values", () => {
+      expect(parseList(" logs, metrics ,,")).toEqual(["logs", "metrics"]);
+      expect(parseList(["a", " b "])).toEqual(["a", "b"]);
+      expect(parseList(undefined)).toEqual([]);
+    });
+  });
+
+  describe("createToolFilter", () => {
+    it("should enable everything by default", () => {
+      const filter = createToolFilter();
+      expect(filter("query_traces", "apm")).toEqual({
+        enabled: true,
+        reason: "enabled by default",
+      });
+    });
+
+    it("should enable only the configured domains", () => {
+      const filter = createToolFilter({ domains: ["logs", "Metrics"] });
+
+      expect(filter("search_logs", "logs").enabled).toBe(true);
+      expect(filter("query_metrics", "metrics").enabled).toBe(true);
+      expect(filter("query_traces", "apm")).toEqual({
+        enabled: false,
+        reason: 'domain "apm" not enabled',
+      });
+    });
+
+    it("should match names and globs in the allowlist", () => {
+      const filter = createToolFilter({ allow: ["search_*", "list_metrics"] });
+
+      expect(filter("search_logs", "logs")).toEqual({
+        enabled: true,
+        reason: 'allowed by "search_*"',
+      });
+      expect(filter("list_metrics", "metrics").enabled).toBe(true);
+      expect(filter("query_metrics", "metrics")).toEqual({
+        enabled: false,
+        reason: "not in allowlist",
+      });
+    });
+
+    it("should let allow patterns add tools outside the enabled domains", () => {
+      const filter = createToolFilter({ domains: ["logs"], allow: ["get_service_health"] });
+
+      expect(filter("get_service_health", "apm").enabled).toBe(true);
+      expect(filter("query_traces", "apm").enabled).toBe(false);
+    });
+
+    it("should give the denylist precedence", () => {
+      const filter = createToolFilter({ domains: ["logs"], allow: ["*"], deny: ["*_log_*"] });
+
+      expect(filter("get_log_details", "logs")).toEqual({
+        enabled: false,
+        reason: 'denied by "*_log_*"',
+      });
+      expect(filter("search_logs", "logs").enabled).toBe(true);
+    });
+
+    it("should treat regex characters in patterns literally", () => {
+      const filter = createToolFilter({ deny: ["list.metrics"] });
+
+      expect(filter("list_metrics", "metrics").enabled).toBe(true);
+    });
+
+    it("should reject unknown domains", () => {
+      expect(() => createToolFilter({ domains: ["logz"], knownDomains: TOOL_DOMAINS })).toThrow(
+        InvalidConfigurationError
+      );
+    });
+  });
+
+  describe("loadToolFilterConfig", () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "mcp-tools-"));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("should read settings from environment values", () => {
+      expect(loadToolFilterConfig({ domains: "logs,metrics", deny: "aggregate_logs" })).toEqual({
+        domains: ["logs", "metrics"],
+        allow: [],
+        deny: ["aggregate_logs"],
+        source: "env",
+      });
+    });
+
+    it("should read the config file and let environment values override it", () => {
+      const file = path.join(dir, "tools.json");
+      fs.writeFileSync(file, JSON.stringify({ domains: ["apm"], deny: ["query_traces"] }));
+
+      const config = loadToolFilterConfig({ configFile: file, domains: "logs" });
+
+      expect(config.domains).toEqual(["logs"]);
+      expect(config.deny).toEqual(["query_traces"]);
+      expect(config.source).toBe(`env + ${file}`);
+    });
+
+    it("should reject missing or malformed config files", () => {
+      const file = path.join(dir, "bad.json");
+      fs.writeFileSync(file, JSON.stringify({ domains: "logs" }));
+
+      expect(() => loadToolFilterConfig({ configFile: path.join(dir, "nope.json") })).toThrow(
+        "Could not load tools config file"
+      );
+      expect(() => loadToolFilterConfig({ configFile: file })).toThrow("must be an array");
+    });
+  });
+
+  describe("registry and server", () => {
+    const clients = {
+      metricsClient: {},
+      logsClient: {},
+      eventsClient: {},
+      monitorsClient: {},
+      apmClient: {},
+      servicesClient: {},
+    };
+
+    beforeEach(() => {
+      vi.spyOn(console, "error").mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      vi.restoreAllMocks();
+    });
+
+    it("should register only enabled tools and record why others were skipped", () => {
+      const registry = registerTools(clients, {
+        toolFilter: createToolFilter({ domains: ["logs"] }),
+      });
+
+      const names = registry.allTools.map((t) => t.name);
+      expect(names).toContain("search_logs");
+      expect(names).not.toContain("query_metrics");
+      expect(registry.toolMap.has("query_metrics")).toBe(false);
+      expect(registry.disabledTools.get("query_metrics")).toBe('domain "metrics" not enabled');
+      expect(console.error).toHaveBeenCalledWith(expect.stringMatching(/^Tools enabled: \d+ of/));
+    });
+
+    it("should honor the filter in tools/list and tools/call", async () => {
+      const registry = registerTools(clients, {
+        toolFilter: createToolFilter({ allow: ["list_metrics"] }),
+      });
+      const server = createServer({ name: "test", version: "0.0.0", registry });
+      const client = new Client({ name: "test-client", version: "0.0.0" });
+      const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+      await server.connect(serverTransport);
+      await client.connect(clientTransport);
+
+      const { tools } = await client.listTools();
+      expect(tools.map((t) => t.name)).toEqual(["list_metrics"]);
+
+      await expect(client.callTool({ name: "query_metrics", arguments: {} })).rejects.toThrow(
+        "Tool disabled: query_metrics (not in allowlist)"
+      );
+
+      await client.close();
+    });
+  });
+});